@@ -2,8 +2,8 @@ import React, { useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { DndProvider } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
-import { Navigation, Footer, DrawerCart, Breadcrumbs, CartPreviewStrip } from './components';
-import { CatalogPage, CartPage, CheckoutPage, CustomersPage, InvoicesPage, ProductDetailPage, StoreLocatorPage, StoreManagementPage, ShelfDetailPage, LoginPage, UserManagementPage, PermissionManagementPage } from './pages';
+import { Navigation, Footer, DrawerCart, Breadcrumbs, CartPreviewStrip, CartToast, BarcodeScanListener } from './components';
+import { CatalogPage, CartPage, CheckoutPage, CustomersPage, InvoicesPage, ProductDetailPage, StoreLocatorPage, StoreManagementPage, ShelfDetailPage, LoginPage, UserManagementPage, PermissionManagementPage, CommissionPage, ShiftPage, EstimatesPage, OrdersPage, GiftCardsPage, MetalRatesPage } from './pages';
 import { useCart } from './context/CartContext';
 import { useAuth } from './context/AuthContext';
 import './styles/App.css';
@@ -169,6 +169,55 @@ function App() {
                   } 
                 />
                 
+                <Route 
+                  path="/shift" 
+                  element={
+                    <ProtectedRoute requireAuth={true}>
+                      <ShiftPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/estimates" 
+                  element={
+                    <ProtectedRoute requireAuth={true}>
+                      <EstimatesPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/orders" 
+                  element={
+                    <ProtectedRoute requireAuth={true}>
+                      <OrdersPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/gift-cards" 
+                  element={
+                    <ProtectedRoute requireAuth={true}>
+                      <GiftCardsPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/metal-rates" 
+                  element={
+                    <ProtectedRoute requireAuth={true}>
+                      <MetalRatesPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/commission" 
+                  element={
+                    <ProtectedRoute requireAuth={true}>
+                      <CommissionPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                
                 {/* Admin routes - require auth */}
                 <Route 
                   path="/user-management" 
@@ -198,6 +247,7 @@ function App() {
         {isAuthenticated && (
           <>
             <CartPreviewStrip onCartClick={openDrawer} />
+            <CartToast />
             <Footer />
           </>
         )}
@@ -209,6 +259,9 @@ function App() {
             onClose={closeDrawer} 
           />
         )}
+
+        {/* Keyboard-wedge barcode scanner - adds scanned items to the cart from any page */}
+        {isAuthenticated && <BarcodeScanListener />}
       </div>
     </Router>
     </DndProvider>
@@ -0,0 +1,126 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ScanLine, Search, X } from 'lucide-react';
+import { useCart } from '../context/CartContext';
+import { useMetalRates } from '../context/MetalRatesContext';
+import { useBarcodeScanner } from '../hooks';
+import { productsApi, demistifiedProductsApi } from '../services/api';
+import { isNetworkError, repriceProduct, formatRupees } from '../utils';
+import { SCANNER_SOUND_ENABLED } from '../config/scanner';
+
+const TOAST_DURATION_MS = 3000;
+
+let audioContext = null;
+
+/**
+ * Short beep - high for an added item, low for a code that wasn't found
+ */
+const playTone = (success) => {
+  if (!SCANNER_SOUND_ENABLED) return;
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    audioContext = audioContext || new AudioContextClass();
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = success ? 1200 : 300;
+    gain.gain.value = 0.1;
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + (success ? 0.12 : 0.35));
+  } catch (err) {
+    console.warn('🔊 Scanner beep unavailable:', err);
+  }
+};
+
+/**
+ * Find the catalog product for a scanned code
+ * Real jewelry variants are matched on barcode, demistified items on SKU.
+ * @returns {Promise<Object|null>} Product, or null if neither catalog knows the code
+ */
+const resolveScannedCode = async (code) => {
+  const product = await productsApi.getByBarcode(code);
+  if (product) return product;
+
+  try {
+    return await demistifiedProductsApi.getById(code);
+  } catch (err) {
+    if (isNetworkError(err)) throw err;
+    return null;
+  }
+};
+
+/**
+ * BarcodeScanListener Component
+ * Adds scanned items to the active cart from anywhere in the app, with a
+ * beep and a toast to confirm. Unknown codes offer the catalog search.
+ */
+export const BarcodeScanListener = () => {
+  const navigate = useNavigate();
+  const { addItem } = useCart();
+  const { board: rateBoard } = useMetalRates();
+  const [toast, setToast] = useState(null);
+  const timerRef = useRef(null);
+
+  const showToast = (nextToast) => {
+    clearTimeout(timerRef.current);
+    setToast(nextToast);
+    timerRef.current = setTimeout(() => setToast(null), TOAST_DURATION_MS * (nextToast.type === 'unknown' ? 2 : 1));
+  };
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const handleScan = useCallback(async (code) => {
+    console.log('🔍 Barcode scanned:', code);
+    showToast({ type: 'pending', code, message: `Looking up ${code}...` });
+
+    try {
+      const product = await resolveScannedCode(code);
+      if (!product) {
+        playTone(false);
+        showToast({ type: 'unknown', code, message: `Unknown code ${code}` });
+        return;
+      }
+
+      const productId = product.variant_id || product.id || product.item_id || product.sku;
+      await addItem(productId, 1, product);
+      playTone(true);
+      showToast({ type: 'added', code, message: `Added ${product.name} · ${formatRupees(repriceProduct(product, rateBoard).price)}` });
+    } catch (err) {
+      console.error('Scan error:', err);
+      playTone(false);
+      showToast({
+        type: 'error',
+        code,
+        message: isNetworkError(err) ? `Can't look up ${code} while offline` : `Failed to add ${code}: ${err.message}`,
+      });
+    }
+  }, [addItem, rateBoard]);
+
+  useBarcodeScanner(handleScan);
+
+  if (!toast) return null;
+
+  return (
+    <div className={`scan-toast scan-toast-${toast.type}`} role="status">
+      <ScanLine size={18} />
+      <span>{toast.message}</span>
+      {toast.type === 'unknown' && (
+        <button
+          className="btn-link"
+          onClick={() => {
+            setToast(null);
+            navigate(`/catalog?search=${encodeURIComponent(toast.code)}`);
+          }}
+        >
+          <Search size={14} />
+          Search catalog
+        </button>
+      )}
+      <button className="scan-toast-close" onClick={() => setToast(null)} aria-label="Dismiss">
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
@@ -1,5 +1,8 @@
-import React from 'react';
-import { formatCurrency, formatRupees } from '../utils';
+import React, { useState } from 'react';
+import { formatCurrency, formatRupees, requiresHuid } from '../utils';
+import { HuidCapture } from './HuidCapture';
+import { PriceOverrideEditor } from './PriceOverrideEditor';
+import { usePrimaryImage } from '../hooks';
 
 /**
  * CartItem Component
@@ -9,8 +12,14 @@ import { formatCurrency, formatRupees } from '../utils';
  * @param {Object} props.item - Cart item data
  * @param {Function} props.onUpdateQuantity - Callback for quantity change
  * @param {Function} props.onRemove - Callback for removing item
+ * @param {Array} props.hallmarks - HUIDs captured for this line (hallmarked gold only)
+ * @param {Function} props.onHallmarksChange - Callback with the line's updated HUIDs
+ * @param {string[]} props.takenHuids - HUIDs captured on other lines of the cart
+ * @param {Function} props.onOverridePrice - Callback (itemId, override) to change the line price
+ * @param {Function} props.onRemoveOverride - Callback (itemId) to put the line back on its original price
  */
-export const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
+export const CartItem = ({ item, onUpdateQuantity, onRemove, hallmarks, onHallmarksChange, takenHuids, onOverridePrice, onRemoveOverride }) => {
+  const [isEditingPrice, setIsEditingPrice] = useState(false);
   const {
     cart_item_id,
     id,
@@ -20,8 +29,16 @@ export const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
     purity,
     weight,
     image = '💎',
+    sku,
+    item_type: itemType,
+    price_override: priceOverride,
   } = item;
 
+  // Real jewelry lines without a stored image show the primary image uploaded for the SKU
+  const hasImageUrl = typeof image === 'string' && image.startsWith('http');
+  const primaryImage = usePrimaryImage(sku, itemType === 'real_jewelry' && !hasImageUrl);
+  const imageUrl = hasImageUrl ? image : primaryImage;
+
   const itemId = cart_item_id || id;
   
   console.log('🛒 CartItem - Item data:', {
@@ -39,7 +56,9 @@ export const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
 
   return (
     <div className="cart-item">
-      <div className="cart-item-icon">{image}</div>
+      <div className="cart-item-icon">
+        {imageUrl ? <img src={imageUrl} alt={name} className="cart-item-img" /> : image}
+      </div>
 
       <div className="cart-item-details">
         <h3>{name}</h3>
@@ -48,8 +67,25 @@ export const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
           {purity && weight && <span>•</span>}
           {weight && <span>{weight}</span>}
           <span>•</span>
+          {priceOverride && <span className="price-override-original">₹{formatCurrency(priceOverride.original_price)}</span>}
           <span>₹{formatCurrency(safePrice)} each</span>
+          {onOverridePrice && !isEditingPrice && (
+            <button className="btn-link" onClick={() => setIsEditingPrice(true)}>
+              Change price
+            </button>
+          )}
         </div>
+        {priceOverride && (
+          <div className="price-override-note">
+            {priceOverride.reason}
+            {priceOverride.approved_by && ` · approved by ${priceOverride.approved_by}`}
+            {onRemoveOverride && (
+              <button className="btn-link" onClick={() => onRemoveOverride(itemId)}>
+                Restore
+              </button>
+            )}
+          </div>
+        )}
       </div>
 
       <div className="cart-item-quantity">
@@ -84,6 +120,26 @@ export const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
       >
         ×
       </button>
+
+      {isEditingPrice && (
+        <PriceOverrideEditor
+          item={item}
+          onApply={async (override) => {
+            await onOverridePrice(itemId, override);
+            setIsEditingPrice(false);
+          }}
+          onCancel={() => setIsEditingPrice(false)}
+        />
+      )}
+
+      {onHallmarksChange && requiresHuid(item) && (
+        <HuidCapture
+          item={item}
+          entries={hallmarks}
+          onChange={(entries) => onHallmarksChange(itemId, entries)}
+          takenHuids={takenHuids}
+        />
+      )}
     </div>
   );
 };
\ No newline at end of file
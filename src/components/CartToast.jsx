@@ -0,0 +1,34 @@
+import React, { useEffect } from 'react';
+import { AlertCircle, X } from 'lucide-react';
+import { useCart } from '../context/CartContext';
+
+const TOAST_DURATION_MS = 5000;
+
+/**
+ * CartToast Component
+ * Tells the cashier when a cart change was rejected by the server and undone
+ */
+export const CartToast = () => {
+  const { notice, dismissNotice } = useCart();
+
+  useEffect(() => {
+    if (!notice) return undefined;
+    const timer = setTimeout(dismissNotice, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [notice, dismissNotice]);
+
+  if (!notice) return null;
+
+  return (
+    <div className="cart-toast" role="alert">
+      <AlertCircle size={18} />
+      <div className="cart-toast-text">
+        <strong>{notice.message} - change undone</strong>
+        {notice.detail && <span>{notice.detail}</span>}
+      </div>
+      <button className="cart-toast-close" onClick={dismissNotice} aria-label="Dismiss">
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
@@ -2,10 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { CheckCircle, Download, Send, Mail, Phone, X } from 'lucide-react';
 import { invoicesApi } from '../services/api';
 import { formatRupees } from '../utils';
+import { ReceiptPrintActions } from './ReceiptPrintActions';
 
 /**
  * CheckoutSuccess Component
  * Shows success message after checkout completion with invoice actions
+ *
+ * @param {Object} props.receipt - Receipt snapshot from buildReceipt, for counter printing
  */
 export const CheckoutSuccess = ({ 
   isOpen, 
@@ -13,7 +16,9 @@ export const CheckoutSuccess = ({
   onNewTransaction,
   onViewInvoices,
   invoiceData = {},
-  customerData = {} 
+  customerData = {},
+  exchangeItems = [],
+  receipt = null
 }) => {
   const [loading, setLoading] = useState(false);
   const [showSendModal, setShowSendModal] = useState(false);
@@ -23,9 +28,14 @@ export const CheckoutSuccess = ({
     invoice_id,
     invoice_number,
     total_amount,
-    status = 'Paid'
+    status = 'Paid',
+    provisional = false
   } = invoiceData || {};
 
+  // Prefer the exchange block as recorded on the invoice, fall back to what was entered
+  const oldGoldItems = invoiceData?.old_gold_items?.length ? invoiceData.old_gold_items : exchangeItems;
+  const oldGoldTotal = oldGoldItems.reduce((sum, piece) => sum + (parseFloat(piece.exchange_value) || 0), 0);
+
   // Debug: Log invoice data to see what we're receiving
   React.useEffect(() => {
     if (isOpen) {
@@ -157,6 +167,14 @@ export const CheckoutSuccess = ({
           <div className="success-content">
             <h2 className="success-title">✅ Payment Successful!</h2>
             
+            {provisional && (
+              <div className="offline-sale-notice">
+                📴 Saved offline. {invoice_number} is a provisional number – the invoice will be
+                created and numbered when the connection is back. Sending and downloading are
+                available after it syncs.
+              </div>
+            )}
+
             <div className="invoice-summary">
               <h3>Invoice #{invoice_number || invoice_id || 'N/A'}</h3>
               <p className="amount">Total: {formatRupees(total_amount)}</p>
@@ -169,6 +187,35 @@ export const CheckoutSuccess = ({
               )}
             </div>
 
+            {oldGoldItems.length > 0 && (
+              <div className="old-gold-invoice-block">
+                <h4>Old Gold Exchanged</h4>
+                <table className="old-gold-table">
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th>Net (g)</th>
+                      <th>Purity</th>
+                      <th>Fine (g)</th>
+                      <th>Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {oldGoldItems.map((piece, index) => (
+                      <tr key={piece.id || index}>
+                        <td>{piece.description}</td>
+                        <td>{piece.net_weight_g}</td>
+                        <td>{piece.purity_percent}%</td>
+                        <td>{piece.fine_weight_g}</td>
+                        <td>{formatRupees(piece.exchange_value)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p><strong>Exchange value:</strong> {formatRupees(oldGoldTotal)}</p>
+              </div>
+            )}
+
             {customerData && (customerData.name || customerData["Contact Name"] || customerData["Display Name"]) && (
               <div className="customer-info">
                 <p><strong>Customer:</strong> {
@@ -188,7 +235,9 @@ export const CheckoutSuccess = ({
             )}
 
             <div className="invoice-actions">
-              {!invoice_id && (
+              <ReceiptPrintActions receipt={receipt} />
+
+              {!invoice_id && !provisional && (
                 <div className="warning-message" style={{background: '#fff3cd', border: '1px solid #ffeaa7', padding: '10px', marginBottom: '15px', borderRadius: '4px'}}>
                   ⚠️ <strong>Warning:</strong> Invoice ID not found in checkout response. Some actions may be unavailable.
                 </div>
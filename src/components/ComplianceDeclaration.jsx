@@ -0,0 +1,75 @@
+import React from 'react';
+import { ShieldAlert, ShieldCheck } from 'lucide-react';
+import { ID_PROOF_TYPES, isValidPan, formatRupees } from '../utils';
+import { PAN_REQUIRED_ABOVE } from '../config/compliance';
+
+/**
+ * ComplianceDeclaration Component
+ * PAN / ID proof capture for high-value sales and the list of compliance
+ * issues (cash limits, PAN mismatches) for the current sale
+ *
+ * @param {Object} props
+ * @param {Object} props.declaration - { id_type, id_number, confirmed }
+ * @param {Function} props.onChange - Called with the updated declaration
+ * @param {Object} props.compliance - Result of evaluateCompliance
+ * @param {string} props.customerPan - PAN on the selected customer's record
+ */
+export const ComplianceDeclaration = ({ declaration, onChange, compliance, customerPan }) => {
+  if (!compliance.panRequired && compliance.issues.length === 0) return null;
+
+  const isPan = declaration.id_type === 'pan';
+  const update = (changes) => onChange({ ...declaration, ...changes });
+
+  return (
+    <div className="compliance-declaration">
+      {compliance.issues.map((issue, index) => (
+        <div key={index} className={`compliance-issue ${issue.level}`}>
+          <ShieldAlert size={16} />
+          <span>{issue.message}</span>
+        </div>
+      ))}
+
+      {compliance.panRequired && (
+        <div className="compliance-form">
+          <p className="compliance-hint">
+            Sale is above {formatRupees(PAN_REQUIRED_ABOVE)} – record the customer's PAN, or an ID proof with a signed Form 60.
+          </p>
+
+          <div className="compliance-fields">
+            <select
+              className="input-field"
+              value={declaration.id_type}
+              onChange={(e) => update({ id_type: e.target.value, id_number: e.target.value === 'pan' ? customerPan || '' : '', confirmed: false })}
+            >
+              {ID_PROOF_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              className="input-field"
+              placeholder={isPan ? 'ABCDE1234F' : 'ID proof number'}
+              value={declaration.id_number}
+              maxLength={isPan ? 10 : 20}
+              onChange={(e) => update({ id_number: isPan ? e.target.value.toUpperCase() : e.target.value })}
+            />
+            {isPan && isValidPan(declaration.id_number) && (
+              <ShieldCheck size={20} className="compliance-valid" />
+            )}
+          </div>
+
+          <label className="compliance-confirm">
+            <input
+              type="checkbox"
+              checked={declaration.confirmed}
+              onChange={(e) => update({ confirmed: e.target.checked })}
+            />
+            {isPan
+              ? 'I have checked the customer\'s PAN card'
+              : 'Customer has signed Form 60 and I have checked the ID proof'}
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -3,8 +3,11 @@
  * Uses /api/agent/lab-grown-diamond/create endpoint
  * Supports multiple variants, each with metal, stone, and diamond components
  */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { X, Plus, Trash2, Upload } from 'lucide-react';
+import { useMetalRates } from '../context/MetalRatesContext';
+import { VariantPricePreview } from './VariantPricePreview';
+import { previewVariantPricing, comparePricingBreakdown, resolveTaxRule, getLabProductErrors, toLabProductPayload, formatRupees } from '../utils';
 
 const METAL_TYPES = ['gold', 'white_gold', 'yellow_gold'];
 const PURITY_OPTIONS = [24, 22, 21, 20, 18, 16, 14, 10];
@@ -52,6 +55,15 @@ const CreateLabProductModal = ({ isOpen, onClose, onSubmit, loading = false }) =
   const [images, setImages] = useState([]);
   const [errors, setErrors] = useState({});
   const [expandedVariants, setExpandedVariants] = useState({ 0: true });
+  const { board: rateBoard } = useMetalRates();
+
+  // Live breakdown per variant, using the same formula as the backend.
+  // Lab-grown pieces are always billed at the jewellery rate, whatever the category is called.
+  const gstRatePercent = resolveTaxRule({ item_type: 'real_jewelry' }).rate_percent;
+  const pricePreviews = useMemo(
+    () => formData.variants.map((variant) => previewVariantPricing(variant, rateBoard?.rates, gstRatePercent)),
+    [formData.variants, rateBoard, gstRatePercent]
+  );
 
   useEffect(() => {
     if (!isOpen) {
@@ -92,61 +104,7 @@ const CreateLabProductModal = ({ isOpen, onClose, onSubmit, loading = false }) =
   }, [isOpen]);
 
   const validateForm = () => {
-    const newErrors = {};
-    
-    // Required base fields
-    if (!formData.category.trim()) {
-      newErrors.category = 'Category is required';
-    }
-    
-    if (!formData.jewelry_type.trim()) {
-      newErrors.jewelry_type = 'Jewelry type is required';
-    }
-
-    // Validate variants
-    formData.variants.forEach((variant, vIndex) => {
-      // Required variant fields
-      // Price is calculated by backend - no validation needed
-      if (!variant.net_weight_g || parseFloat(variant.net_weight_g) <= 0) {
-        newErrors[`variant_${vIndex}_net_weight`] = 'Net weight is required and must be greater than 0';
-      }
-
-      // At least one metal component required
-      if (!variant.metal_components || variant.metal_components.length === 0) {
-        newErrors[`variant_${vIndex}_metal`] = 'At least one metal component is required';
-      }
-
-      // Validate metal components
-      variant.metal_components?.forEach((metal, mIndex) => {
-        if (!metal.metal_type) {
-          newErrors[`variant_${vIndex}_metal_${mIndex}_type`] = 'Metal type is required';
-        }
-        if (!metal.purity_k) {
-          newErrors[`variant_${vIndex}_metal_${mIndex}_purity`] = 'Purity is required';
-        }
-        if (!metal.gross_weight_g || parseFloat(metal.gross_weight_g) <= 0) {
-          newErrors[`variant_${vIndex}_metal_${mIndex}_gross_weight`] = 'Gross weight must be greater than 0';
-        }
-        if (!metal.net_weight_g || parseFloat(metal.net_weight_g) <= 0) {
-          newErrors[`variant_${vIndex}_metal_${mIndex}_net_weight`] = 'Net weight must be greater than 0';
-        }
-        // Metal rate per gram is calculated by backend - no validation needed
-      });
-
-      // Validate diamond components (optional but if present, must be complete)
-      variant.diamond_components?.forEach((diamond, dIndex) => {
-        if (!diamond.carat || parseFloat(diamond.carat) <= 0) {
-          newErrors[`variant_${vIndex}_diamond_${dIndex}_carat`] = 'Carat must be greater than 0';
-        }
-        if (!diamond.shape) {
-          newErrors[`variant_${vIndex}_diamond_${dIndex}_shape`] = 'Shape is required';
-        }
-        if (!diamond.stone_price_per_carat || parseFloat(diamond.stone_price_per_carat) <= 0) {
-          newErrors[`variant_${vIndex}_diamond_${dIndex}_rate`] = 'Price per carat is required';
-        }
-      });
-    });
-    
+    const newErrors = getLabProductErrors(formData);
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -354,6 +312,25 @@ const CreateLabProductModal = ({ isOpen, onClose, onSubmit, loading = false }) =
     }));
   };
 
+  // Tell the user when the backend priced a variant differently from the preview they saw
+  const flagPriceDifferences = (createdVariants) => {
+    const differences = formData.variants.map((variant, vIndex) => {
+      const created = createdVariants.find((entry) => variant.sku && entry.sku === variant.sku) || createdVariants[vIndex];
+      return {
+        label: `Variant ${vIndex + 1}${created?.sku ? ` (${created.sku})` : ''}`,
+        mismatches: comparePricingBreakdown(pricePreviews[vIndex], created?.pricing_breakdown),
+      };
+    }).filter(({ mismatches }) => mismatches.length > 0);
+
+    if (differences.length === 0) return;
+    console.warn('💍 Backend pricing differs from preview:', differences);
+    alert(`⚠️ The backend priced ${differences.length === 1 ? 'a variant' : 'some variants'} differently from the preview:\n\n${differences
+      .map(({ label, mismatches }) => `${label}\n${mismatches
+        .map((m) => `  ${m.label}: preview ${formatRupees(m.preview)}, backend ${formatRupees(m.actual)}`)
+        .join('\n')}`)
+      .join('\n\n')}\n\nCheck the metal rates and charges on the product.`);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -362,58 +339,10 @@ const CreateLabProductModal = ({ isOpen, onClose, onSubmit, loading = false }) =
     }
     
     try {
-      // Process tags: split by comma and trim
-      const tagsArray = formData.tags
-        .split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag.length > 0);
-
-      // Prepare variants_json according to API structure
-      const variantsJson = formData.variants.map(variant => ({
-        ...(variant.sku && { sku: variant.sku }),
-        // Price is calculated by backend - not sent in request
-        ...(variant.weight_g && { weight_g: parseFloat(variant.weight_g) }),
-        net_weight_g: parseFloat(variant.net_weight_g),
-        ...(variant.purity_k && { purity_k: parseFloat(variant.purity_k) }),
-        metal_components: variant.metal_components.map(metal => ({
-          metal_type: metal.metal_type,
-          purity_k: parseFloat(metal.purity_k),
-          gross_weight_g: parseFloat(metal.gross_weight_g),
-          net_weight_g: parseFloat(metal.net_weight_g),
-          // metal_rate_per_g is calculated by backend based on metal_type and purity_k
-          ...(metal.wastage_percent && { wastage_percent: parseFloat(metal.wastage_percent) }),
-          ...(metal.making_charge_per_g && { making_charge_per_g: parseFloat(metal.making_charge_per_g) }),
-          ...(metal.making_charge_flat && { making_charge_flat: parseFloat(metal.making_charge_flat) }),
-          ...(metal.notes && { notes: metal.notes })
-        })),
-        diamond_components: variant.diamond_components.map(diamond => ({
-          carat: parseFloat(diamond.carat),
-          shape: diamond.shape,
-          ...(diamond.cut && { cut: diamond.cut }),
-          ...(diamond.clarity && { clarity: diamond.clarity }),
-          ...(diamond.color_grade && { color_grade: diamond.color_grade }),
-          ...(diamond.cert_no && { cert_no: diamond.cert_no }),
-          stone_price_per_carat: parseFloat(diamond.stone_price_per_carat),
-          ...(diamond.origin && { origin: diamond.origin }),
-          ...(diamond.notes && { notes: diamond.notes })
-        }))
-      }));
-
-      // Prepare product data for API
-      const productData = {
-        category: formData.category,
-        jewelry_type: formData.jewelry_type,
-        ...(formData.vendor && { vendor: formData.vendor }),
-        ...(formData.product_type && { product_type: formData.product_type }),
-        ...(formData.finish && { finish: formData.finish }),
-        ...(tagsArray.length > 0 && { tags: tagsArray }),
-        ...(formData.occasions && { occasions: formData.occasions }),
-        ...(formData.primary_color && { primary_color: formData.primary_color }),
-        ...(formData.secondary_color && { secondary_color: formData.secondary_color }),
-        variants_json: variantsJson
-      };
+      const productData = toLabProductPayload(formData);
 
-      await onSubmit(productData, images);
+      const response = await onSubmit(productData, images);
+      if (rateBoard) flagPriceDifferences(response?.product_summary?.variants || []);
       
       // Reset form
       setFormData({
@@ -1037,6 +966,8 @@ const CreateLabProductModal = ({ isOpen, onClose, onSubmit, loading = false }) =
                     </div>
                   </div>
                 )}
+
+                <VariantPricePreview preview={pricePreviews[vIndex]} hasRates={Boolean(rateBoard)} />
               </div>
             ))}
           </div>
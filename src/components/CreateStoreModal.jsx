@@ -2,12 +2,15 @@
  * CreateStoreModal - Modal for creating new stores/locations
  */
 import React, { useState, useEffect } from 'react';
+import { isValidVpa } from '../utils';
 
 const CreateStoreModal = ({ isOpen, onClose, onSubmit, loading = false }) => {
   const [formData, setFormData] = useState({
     name: '',
     code: '',
     description: '',
+    upi_vpa: '',
+    upi_payee_name: '',
     is_active: true
   });
   const [errors, setErrors] = useState({});
@@ -18,6 +21,8 @@ const CreateStoreModal = ({ isOpen, onClose, onSubmit, loading = false }) => {
         name: '',
         code: '',
         description: '',
+        upi_vpa: '',
+        upi_payee_name: '',
         is_active: true
       });
       setErrors({});
@@ -34,6 +39,10 @@ const CreateStoreModal = ({ isOpen, onClose, onSubmit, loading = false }) => {
     if (!formData.code.trim()) {
       newErrors.code = 'Store code is required';
     }
+
+    if (formData.upi_vpa.trim() && !isValidVpa(formData.upi_vpa)) {
+      newErrors.upi_vpa = 'Enter a valid UPI ID, e.g. minaki@okhdfcbank';
+    }
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -68,6 +77,8 @@ const CreateStoreModal = ({ isOpen, onClose, onSubmit, loading = false }) => {
         name: '',
         code: '',
         description: '',
+        upi_vpa: '',
+        upi_payee_name: '',
         is_active: true
       });
       setErrors({});
@@ -130,6 +141,33 @@ const CreateStoreModal = ({ isOpen, onClose, onSubmit, loading = false }) => {
             <small>Optional additional information about the store</small>
           </div>
 
+          <div className="form-group">
+            <label htmlFor="upi_vpa">UPI ID (VPA)</label>
+            <input
+              id="upi_vpa"
+              type="text"
+              name="upi_vpa"
+              value={formData.upi_vpa}
+              onChange={handleChange}
+              placeholder="e.g., minaki@okhdfcbank"
+              className={errors.upi_vpa ? 'input-error' : ''}
+            />
+            {errors.upi_vpa && <span className="error-text">{errors.upi_vpa}</span>}
+            <small>Used for UPI QR codes at checkout for this store</small>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="upi_payee_name">UPI Payee Name</label>
+            <input
+              id="upi_payee_name"
+              type="text"
+              name="upi_payee_name"
+              value={formData.upi_payee_name}
+              onChange={handleChange}
+              placeholder="Name shown in the customer's UPI app"
+            />
+          </div>
+
           <div className="form-group checkbox">
             <label htmlFor="is_active">
               <input
@@ -8,8 +8,10 @@ import { User } from 'lucide-react';
  * @param {Object} props
  * @param {Object} props.customer - Customer data
  * @param {Function} props.onSelect - Callback when customer is selected
+ * @param {Function} props.onViewPoints - Optional callback to open the customer's points ledger
+ * @param {Function} props.onViewWallet - Optional callback to open the customer's gift card and store credit wallet
  */
-export const CustomerCard = ({ customer, onSelect }) => {
+export const CustomerCard = ({ customer, onSelect, onViewPoints, onViewWallet }) => {
   // Handle different possible field names from the API response
   const name = customer.name || customer["Contact Name"] || customer["Display Name"] || customer["Company Name"] || "Unknown";
   const phone = customer.phone || customer.Phone || customer.MobilePhone || "";
@@ -41,11 +43,24 @@ export const CustomerCard = ({ customer, onSelect }) => {
         <div className="stat">
           <div className="stat-label">Loyalty Points</div>
           <div className="stat-value">{loyaltyPoints}</div>
+          {onViewPoints && (
+            <button className="btn-link" onClick={() => onViewPoints(customer)}>
+              View history
+            </button>
+          )}
         </div>
         <div className="stat">
           <div className="stat-label">Total Spent</div>
           <div className="stat-value">₹{totalSpent.toLocaleString()}</div>
         </div>
+        {onViewWallet && (
+          <div className="stat">
+            <div className="stat-label">Wallet</div>
+            <button className="btn-link" onClick={() => onViewWallet(customer)}>
+              Check balance
+            </button>
+          </div>
+        )}
       </div>
 
       <button 
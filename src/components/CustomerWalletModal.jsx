@@ -0,0 +1,91 @@
+import React, { useEffect } from 'react';
+import { X, Wallet } from 'lucide-react';
+import { useGiftCards } from '../hooks';
+import { LoadingSpinner } from './LoadingSpinner';
+import { ErrorMessage } from './ErrorMessage';
+import { formatGiftCardType, getGiftCardError, isGiftCardExpired, formatRupees } from '../utils';
+
+const formatDate = (value) => (value ? new Date(`${value}T00:00:00`).toLocaleDateString('en-IN') : '—');
+
+/**
+ * CustomerWalletModal Component
+ * Gift cards and store credit held by a customer, with the balance they can spend
+ *
+ * @param {Object} props
+ * @param {Object} props.customer - Customer whose wallet to show (null when closed)
+ * @param {Function} props.onClose - Function to close the modal
+ */
+export const CustomerWalletModal = ({ customer, onClose }) => {
+  const { cards, loading, error, loadCustomerCards } = useGiftCards();
+  const customerId = customer?.id || customer?.["Contact ID"];
+  const name = customer?.name || customer?.["Contact Name"] || customer?.["Display Name"] || 'Customer';
+
+  useEffect(() => {
+    if (customerId) loadCustomerCards(customerId).catch(() => {});
+  }, [customerId, loadCustomerCards]);
+
+  if (!customer) return null;
+
+  const spendable = cards
+    .filter((card) => !getGiftCardError(card))
+    .reduce((sum, card) => sum + card.balance, 0);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content customer-wallet-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <Wallet size={24} />
+            <span>{name} – Wallet</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="gift-card-hint">Available to spend</div>
+          <div className="gift-card-balance">{formatRupees(spendable)}</div>
+
+          {loading && <LoadingSpinner message="Loading wallet..." />}
+          {error && <ErrorMessage message={error} onRetry={() => loadCustomerCards(customerId).catch(() => {})} />}
+
+          {!loading && !error && (cards.length === 0 ? (
+            <p className="gift-card-hint">No gift cards or store credit on file.</p>
+          ) : (
+            <div className="table-container">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Card</th>
+                    <th>Type</th>
+                    <th>Issued</th>
+                    <th>Expires</th>
+                    <th>Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {cards.map((card) => (
+                    <tr key={card.card_number}>
+                      <td>
+                        <strong>{card.card_number}</strong>
+                        {card.source_reference && <div className="gift-card-hint">Credit note {card.source_reference}</div>}
+                      </td>
+                      <td>{formatGiftCardType(card.card_type)}</td>
+                      <td>{formatRupees(card.initial_amount)}</td>
+                      <td>
+                        {formatDate(card.expires_on)}
+                        {isGiftCardExpired(card) && <span className="status-badge pending gift-card-status">Expired</span>}
+                      </td>
+                      <td><strong>{formatRupees(card.balance)}</strong></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
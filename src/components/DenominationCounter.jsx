@@ -0,0 +1,43 @@
+import React from 'react';
+import { DENOMINATIONS, sumDenominations, formatRupees } from '../utils';
+
+/**
+ * DenominationCounter Component
+ * Count of notes and coins per denomination with a running total
+ *
+ * @param {Object} props
+ * @param {Object} props.counts - Map of denomination -> count
+ * @param {Function} props.onChange - Callback (counts) with the updated map
+ * @param {boolean} props.disabled - Disable inputs
+ */
+export const DenominationCounter = ({ counts = {}, onChange, disabled = false }) => {
+  const handleChange = (denomination, value) => {
+    onChange({ ...counts, [denomination]: value === '' ? '' : Math.max(0, parseInt(value) || 0) });
+  };
+
+  return (
+    <div className="denomination-counter">
+      {DENOMINATIONS.map((denomination) => (
+        <div key={denomination} className="denomination-row">
+          <span className="denomination-label">₹{denomination}</span>
+          <span>×</span>
+          <input
+            type="number"
+            min="0"
+            className="input-field"
+            value={counts[denomination] ?? ''}
+            onChange={(e) => handleChange(denomination, e.target.value)}
+            disabled={disabled}
+          />
+          <span className="denomination-value">
+            {formatRupees(denomination * (parseInt(counts[denomination]) || 0))}
+          </span>
+        </div>
+      ))}
+      <div className="denomination-total">
+        <span>Total</span>
+        <strong>{formatRupees(sumDenominations(counts))}</strong>
+      </div>
+    </div>
+  );
+};
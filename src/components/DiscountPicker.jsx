@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { X, Percent, Tag, Plus } from 'lucide-react';
+import { discountsApi } from '../services/api';
+import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import { LoadingSpinner } from './LoadingSpinner';
+import { ErrorMessage } from './ErrorMessage';
+import { normalizeDiscount, calculateDiscountAmount, formatDiscountLabel, formatRupees } from '../utils';
+
+const EMPTY_DISCOUNT_FORM = {
+  name: '',
+  discount_type: 'percentage',
+  value: '',
+  reason: '',
+};
+
+/**
+ * DiscountPicker Component
+ * Modal for applying a discount to the active cart.
+ * Managers can also create an ad-hoc percentage or flat discount.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Function to close the modal
+ */
+export const DiscountPicker = ({ isOpen, onClose }) => {
+  const { totals, appliedDiscount, applyDiscount, removeDiscount } = useCart();
+  const { isManager, userInfo } = useAuth();
+
+  const [discounts, setDiscounts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_DISCOUNT_FORM);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchDiscounts = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await discountsApi.getAll();
+        const list = Array.isArray(result) ? result : (result.discounts || result.data || []);
+        setDiscounts(list.map(normalizeDiscount).filter(Boolean));
+      } catch (err) {
+        setError('Failed to load discounts');
+        console.error('Fetch discounts error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDiscounts();
+  }, [isOpen]);
+
+  const handleApply = async (discount) => {
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      await applyDiscount(discount);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to apply discount');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      await removeDiscount();
+    } catch (err) {
+      setError(err.message || 'Failed to remove discount');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setError(null);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const value = parseFloat(formData.value);
+
+    // Validation
+    if (!formData.name.trim() || !formData.reason.trim()) {
+      setError('Name and reason are required');
+      return;
+    }
+    if (!value || value <= 0) {
+      setError('Please enter a discount value greater than zero');
+      return;
+    }
+    if (formData.discount_type === 'percentage' && value > 100) {
+      setError('Percentage discount cannot exceed 100%');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const created = await discountsApi.create({
+        name: formData.name.trim(),
+        discount_type: formData.discount_type,
+        discount_value: value,
+        reason: formData.reason.trim(),
+        created_by: userInfo?.email || userInfo?.name || null,
+        is_adhoc: true,
+      });
+      const discount = normalizeDiscount(created.discount || created);
+      setDiscounts((prev) => [...prev, discount]);
+      setFormData(EMPTY_DISCOUNT_FORM);
+      setShowCreateForm(false);
+      await handleApply(discount);
+    } catch (err) {
+      setError(err.message || 'Failed to create discount');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay discount-picker-overlay" onClick={onClose}>
+      <div className="modal-content discount-picker" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <Percent size={24} />
+            <span>Apply Discount</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {error && <ErrorMessage message={error} />}
+
+          {appliedDiscount && (
+            <div className="discount-applied">
+              <Tag size={18} />
+              <div>
+                <strong>{formatDiscountLabel(appliedDiscount)}</strong>
+                <div>Saving {formatRupees(totals.discount)}</div>
+              </div>
+              <button className="btn-link" onClick={handleRemove} disabled={isSubmitting}>
+                Remove
+              </button>
+            </div>
+          )}
+
+          {loading ? (
+            <LoadingSpinner message="Loading discounts..." />
+          ) : (
+            <div className="discount-list">
+              {discounts.length === 0 && (
+                <p className="discount-empty">No discounts configured</p>
+              )}
+              {discounts.map((discount) => (
+                <button
+                  key={discount.id}
+                  className={`discount-option ${appliedDiscount?.id === discount.id ? 'active' : ''}`}
+                  onClick={() => handleApply(discount)}
+                  disabled={isSubmitting || appliedDiscount?.id === discount.id}
+                >
+                  <span>{formatDiscountLabel(discount)}</span>
+                  <span>−{formatRupees(calculateDiscountAmount(discount, totals.subtotal))}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Ad-hoc discounts are restricted to managers */}
+          {isManager() && (
+            showCreateForm ? (
+              <form onSubmit={handleCreate} className="discount-create-form">
+                <div className="form-group">
+                  <label>Name <span className="required">*</span></label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    placeholder="e.g. Loyal customer"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Type</label>
+                  <select name="discount_type" value={formData.discount_type} onChange={handleChange}>
+                    <option value="percentage">Percentage (%)</option>
+                    <option value="flat">Flat amount (₹)</option>
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label>Value <span className="required">*</span></label>
+                  <input
+                    type="number"
+                    name="value"
+                    min="0"
+                    step="0.01"
+                    value={formData.value}
+                    onChange={handleChange}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Reason <span className="required">*</span></label>
+                  <input
+                    type="text"
+                    name="reason"
+                    value={formData.reason}
+                    onChange={handleChange}
+                    placeholder="Recorded on the invoice"
+                  />
+                </div>
+
+                <div className="modal-actions">
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setShowCreateForm(false)}
+                    disabled={isSubmitting}
+                  >
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                    {isSubmitting ? 'Saving...' : 'Create & Apply'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <button className="btn-outline btn-full" onClick={() => setShowCreateForm(true)}>
+                <Plus size={18} />
+                Create Ad-hoc Discount
+              </button>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
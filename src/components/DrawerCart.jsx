@@ -1,7 +1,10 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { X, ShoppingCart, Plus, Minus, Trash2, ArrowRight } from 'lucide-react';
+import { X, ShoppingCart, Plus, Minus, Trash2, ArrowRight, Percent } from 'lucide-react';
 import { useCart } from '../context/CartContext';
+import { DiscountPicker } from './DiscountPicker';
+import { ParkSaleButton } from './ParkSaleButton';
+import { formatDiscountLabel } from '../utils';
 
 /**
  * DrawerCart Component
@@ -18,8 +21,10 @@ export const DrawerCart = ({ isOpen, onClose }) => {
     updateItemQuantity, 
     removeItem, 
     clearCart,
+    appliedDiscount,
     loading 
   } = useCart();
+  const [isDiscountPickerOpen, setIsDiscountPickerOpen] = useState(false);
 
   const handleUpdateQuantity = async (itemId, newQuantity) => {
     try {
@@ -57,6 +62,7 @@ export const DrawerCart = ({ isOpen, onClose }) => {
   if (!isOpen) return null;
 
   return (
+    <>
     <div className="drawer-overlay" onClick={onClose}>
       <div className="drawer-cart" onClick={(e) => e.stopPropagation()}>
         {/* Drawer Header */}
@@ -135,8 +141,16 @@ export const DrawerCart = ({ isOpen, onClose }) => {
                 })}
               </div>
 
-              {/* Clear Cart Button */}
+              {/* Discount and Clear Cart Buttons */}
               <div className="drawer-actions">
+                <button
+                  className="btn-link"
+                  onClick={() => setIsDiscountPickerOpen(true)}
+                  disabled={loading}
+                >
+                  <Percent size={16} />
+                  {appliedDiscount ? 'Change Discount' : 'Apply Discount'}
+                </button>
                 <button 
                   className="btn-link drawer-clear"
                   onClick={handleClearCart}
@@ -158,6 +172,12 @@ export const DrawerCart = ({ isOpen, onClose }) => {
                 <span>Subtotal:</span>
                 <span>₹{totals.subtotal?.toLocaleString() || '0'}</span>
               </div>
+              {totals.discount > 0 && (
+                <div className="summary-line discount">
+                  <span>{formatDiscountLabel(appliedDiscount)}:</span>
+                  <span>−₹{totals.discount.toLocaleString()}</span>
+                </div>
+              )}
               {totals.tax > 0 && (
                 <div className="summary-line">
                   <span>Tax:</span>
@@ -179,6 +199,7 @@ export const DrawerCart = ({ isOpen, onClose }) => {
               >
                 View Full Cart
               </Link>
+              <ParkSaleButton onParked={onClose} />
               <Link 
                 to="/checkout" 
                 className="btn-primary btn-full"
@@ -192,5 +213,11 @@ export const DrawerCart = ({ isOpen, onClose }) => {
         )}
       </div>
     </div>
+
+    <DiscountPicker
+      isOpen={isDiscountPickerOpen}
+      onClose={() => setIsDiscountPickerOpen(false)}
+    />
+    </>
   );
 };
\ No newline at end of file
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { Printer, Send, Mail } from 'lucide-react';
+import { estimatesApi } from '../services/estimatesApi';
+import { SendInvoiceModal } from './InvoiceActions';
+
+/**
+ * EstimateActions Component
+ * Print an estimate or share it through the WhatsApp / email senders
+ *
+ * @param {Object} props
+ * @param {Object} props.estimate - Normalized estimate
+ */
+export const EstimateActions = ({ estimate }) => {
+  const [sendType, setSendType] = useState(null);
+
+  return (
+    <div className="estimate-actions no-print">
+      <button className="btn-primary" onClick={() => window.print()}>
+        <Printer size={18} />
+        Print
+      </button>
+      <button className="btn-secondary" onClick={() => setSendType('whatsapp')}>
+        <Send size={18} />
+        WhatsApp
+      </button>
+      <button className="btn-secondary" onClick={() => setSendType('email')}>
+        <Mail size={18} />
+        Email
+      </button>
+
+      {sendType && (
+        <SendInvoiceModal
+          isOpen={!!sendType}
+          onClose={() => setSendType(null)}
+          invoiceId={estimate.id}
+          invoiceNumber={estimate.estimate_number}
+          sendType={sendType}
+          customerData={{ phone: estimate.customer_phone || '', email: estimate.customer_email || '' }}
+          documentLabel="Estimate"
+          sendApi={estimatesApi}
+        />
+      )}
+    </div>
+  );
+};
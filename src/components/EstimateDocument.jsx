@@ -0,0 +1,100 @@
+import React from 'react';
+import { formatRupees } from '../utils';
+import { METAL_RATE_TYPES } from '../config/metalRates';
+import { RECEIPT_STORE_NAME, RECEIPT_STORE_ADDRESS, RECEIPT_STORE_PHONE, RECEIPT_STORE_GSTIN } from '../config/receipt';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '—');
+
+/**
+ * EstimateDocument Component
+ * Printable quotation with the lines, totals and metal rates it was priced at
+ *
+ * @param {Object} props
+ * @param {Object} props.estimate - Normalized estimate
+ */
+export const EstimateDocument = ({ estimate }) => {
+  const rates = METAL_RATE_TYPES.filter(({ key }) => estimate.metal_rates[key]);
+
+  const row = (label, value, className = '') => (
+    <div className={`summary-line ${className}`}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+
+  return (
+    <div className="estimate-document print-area">
+      <div className="estimate-document-header">
+        <div>
+          <h2>{RECEIPT_STORE_NAME}</h2>
+          {RECEIPT_STORE_ADDRESS && <div>{RECEIPT_STORE_ADDRESS}</div>}
+          {RECEIPT_STORE_PHONE && <div>Ph: {RECEIPT_STORE_PHONE}</div>}
+          {RECEIPT_STORE_GSTIN && <div>GSTIN: {RECEIPT_STORE_GSTIN}</div>}
+        </div>
+        <div className="estimate-document-meta">
+          <h3>ESTIMATE</h3>
+          <div>No: {estimate.estimate_number}</div>
+          <div>Date: {formatDate(estimate.created_at || new Date())}</div>
+          <div><strong>Valid until: {formatDate(estimate.valid_until)}</strong></div>
+        </div>
+      </div>
+
+      {(estimate.customer_name || estimate.customer_phone) && (
+        <div className="estimate-document-customer">
+          For: {estimate.customer_name}{estimate.customer_phone && ` • ${estimate.customer_phone}`}
+        </div>
+      )}
+
+      <table className="estimate-document-lines">
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Qty</th>
+            <th>Rate</th>
+            <th>Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {estimate.lines.map((line, index) => (
+            <tr key={index}>
+              <td>
+                {line.name}
+                {(line.purity || line.weight) && (
+                  <div className="estimate-line-detail">
+                    {[line.purity, line.weight && `${line.weight} g`].filter(Boolean).join(' • ')}
+                  </div>
+                )}
+              </td>
+              <td>{line.quantity}</td>
+              <td>{formatRupees(line.rate)}</td>
+              <td>{formatRupees(line.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="estimate-document-totals">
+        {row('Subtotal', formatRupees(estimate.subtotal))}
+        {estimate.discount_amount > 0 && row(
+          `Discount${estimate.discount?.name ? ` (${estimate.discount.name})` : ''}`,
+          `-${formatRupees(estimate.discount_amount)}`
+        )}
+        {row('GST', formatRupees(estimate.tax_amount))}
+        {row('Estimated Total', formatRupees(estimate.total_amount), 'total')}
+      </div>
+
+      {rates.length > 0 && (
+        <div className="estimate-document-rates">
+          <strong>Metal rates used (per g):</strong>{' '}
+          {rates.map(({ key, label }) => `${label} ${formatRupees(estimate.metal_rates[key])}`).join(' • ')}
+        </div>
+      )}
+
+      {estimate.notes && <div className="estimate-document-notes">{estimate.notes}</div>}
+
+      <p className="estimate-document-disclaimer">
+        This is an estimate, not a tax invoice. Prices are held until the date above and may change with metal rates after it.
+      </p>
+    </div>
+  );
+};
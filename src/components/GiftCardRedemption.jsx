@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { Gift, X } from 'lucide-react';
+import { useGiftCards } from '../hooks';
+import {
+  normalizeGiftCardNumber,
+  maskGiftCardNumber,
+  formatGiftCardType,
+  getGiftCardError,
+  validateGiftCardRedemption,
+  parseAmount,
+  formatRupees,
+} from '../utils';
+
+/**
+ * GiftCardRedemption Component
+ * Applies gift cards and store credit from the customer's wallet as tenders at checkout.
+ * Cards are only checked here - the checkout API debits them when the sale completes.
+ *
+ * @param {Object} props
+ * @param {Array} props.tenders - Cards applied so far [{ card_number, card_type, balance, amount }]
+ * @param {Function} props.onApply - Called with a tender to add
+ * @param {Function} props.onRemove - Called with the card number to remove
+ * @param {number} props.amountDue - Most that can still be put on cards
+ * @param {string} props.customerId - Selected customer, whose wallet cards are offered
+ * @param {boolean} props.disabled - Whether cards can't be redeemed (offline, advance order)
+ * @param {string} props.disabledReason - Why cards can't be redeemed
+ */
+export const GiftCardRedemption = ({
+  tenders = [],
+  onApply,
+  onRemove,
+  amountDue = 0,
+  customerId = null,
+  disabled = false,
+  disabledReason = null,
+}) => {
+  const { cards: walletCards, loading, lookupCard, loadCustomerCards } = useGiftCards();
+  const [cardNumber, setCardNumber] = useState('');
+  const [card, setCard] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (disabled) return;
+    loadCustomerCards(customerId).catch(() => {});
+  }, [customerId, disabled, loadCustomerCards]);
+
+  const appliedNumbers = tenders.map((tender) => tender.card_number);
+  const usableWalletCards = walletCards.filter((walletCard) => !getGiftCardError(walletCard)
+    && !appliedNumbers.includes(walletCard.card_number));
+
+  const selectCard = (found) => {
+    setCard(found);
+    setAmount(String(Math.min(found.balance, parseAmount(amountDue))));
+    setError(getGiftCardError(found));
+  };
+
+  const handleLookup = async () => {
+    const number = normalizeGiftCardNumber(cardNumber);
+    if (!number) return;
+    if (appliedNumbers.includes(number)) {
+      setError(`Card ${number} is already applied`);
+      return;
+    }
+
+    try {
+      const found = await lookupCard(number);
+      if (!found) {
+        setCard(null);
+        setError(`No card found with number ${number}`);
+        return;
+      }
+      selectCard(found);
+    } catch (err) {
+      setError(`Failed to check card: ${err.message}`);
+    }
+  };
+
+  const handleApply = () => {
+    const validationError = validateGiftCardRedemption(amount, card, amountDue);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    onApply({
+      card_number: card.card_number,
+      card_type: card.card_type,
+      balance: card.balance,
+      amount: parseAmount(amount),
+    });
+    setCard(null);
+    setCardNumber('');
+    setAmount('');
+    setError(null);
+  };
+
+  if (disabled) {
+    return (
+      <div className="gift-card-redemption">
+        <div className="gift-card-header"><Gift size={16} /> Gift Cards & Store Credit</div>
+        <div className="gift-card-hint">{disabledReason}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="gift-card-redemption">
+      <div className="gift-card-header"><Gift size={16} /> Gift Cards & Store Credit</div>
+
+      {tenders.map((tender) => (
+        <div key={tender.card_number} className="gift-card-applied">
+          <span>{formatGiftCardType(tender.card_type)} {maskGiftCardNumber(tender.card_number)}</span>
+          <span>{formatRupees(tender.amount)}</span>
+          <button
+            className="gift-card-remove"
+            onClick={() => onRemove(tender.card_number)}
+            aria-label={`Remove card ${tender.card_number}`}
+          >
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+
+      {usableWalletCards.length > 0 && !card && (
+        <div className="gift-card-wallet">
+          <span>In wallet:</span>
+          {usableWalletCards.map((walletCard) => (
+            <button
+              key={walletCard.card_number}
+              className="gift-card-suggestion"
+              onClick={() => { setCardNumber(walletCard.card_number); selectCard(walletCard); }}
+            >
+              {formatGiftCardType(walletCard.card_type)} {maskGiftCardNumber(walletCard.card_number)} · {formatRupees(walletCard.balance)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {card ? (
+        <div className="gift-card-form">
+          <span className="gift-card-found">
+            {formatGiftCardType(card.card_type)} {card.card_number} – balance {formatRupees(card.balance)}
+          </span>
+          <input
+            type="number"
+            min="0"
+            className="input-field"
+            placeholder="Amount"
+            value={amount}
+            onChange={(e) => { setAmount(e.target.value); setError(null); }}
+          />
+          <button className="btn-secondary" onClick={handleApply} disabled={!!getGiftCardError(card)}>
+            Apply
+          </button>
+          <button className="btn-link" onClick={() => { setCard(null); setError(null); }}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="gift-card-form">
+          <input
+            type="text"
+            className="input-field"
+            placeholder="Card number"
+            value={cardNumber}
+            onChange={(e) => { setCardNumber(e.target.value); setError(null); }}
+            onKeyDown={(e) => e.key === 'Enter' && handleLookup()}
+          />
+          <button className="btn-secondary" onClick={handleLookup} disabled={loading || !cardNumber.trim()}>
+            {loading ? 'Checking...' : 'Check Card'}
+          </button>
+        </div>
+      )}
+
+      {error && <div className="payment-warning">{error}</div>}
+    </div>
+  );
+};
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { PauseCircle, PlayCircle, RefreshCw } from 'lucide-react';
+import { useCart } from '../context/CartContext';
+import { formatRupees } from '../utils';
+
+/**
+ * Format how long ago a sale was parked
+ * @param {string} heldAt - ISO timestamp
+ * @returns {string} e.g. "just now", "12 min", "2 h 5 min"
+ */
+const formatAge = (heldAt) => {
+  if (!heldAt) return '';
+  const minutes = Math.floor((Date.now() - new Date(heldAt).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ${minutes % 60} min`;
+  return `${Math.floor(hours / 24)} d`;
+};
+
+/**
+ * HeldSalesPanel Component
+ * Header button and dropdown listing parked carts with a resume action
+ */
+export const HeldSalesPanel = () => {
+  const navigate = useNavigate();
+  const { items, cartCustomer, heldTransactions, loadHeldTransactions, resumeCart, loading } = useCart();
+  const [isOpen, setIsOpen] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = async () => {
+    try {
+      setRefreshing(true);
+      setError(null);
+      await loadHeldTransactions();
+    } catch (err) {
+      setError('Failed to load parked sales');
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  // Load once so the badge count is right, and again whenever the panel opens
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen]);
+
+  // Close panel when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (isOpen && !event.target.closest('.held-sales-container')) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  const handleResume = async (held) => {
+    try {
+      // The sale currently on the counter is parked by resumeCart before the swap, under its customer
+      let holdDetails = {};
+      if (items.length > 0) {
+        const customerName = cartCustomer
+          ? cartCustomer.name || cartCustomer["Contact Name"] || cartCustomer["Display Name"] || cartCustomer["Company Name"]
+          : null;
+        const notes = window.prompt(
+          customerName
+            ? `The current cart has items. Park it for ${customerName} and resume the selected sale? Add a note (optional):`
+            : 'The current cart has items. Park it and resume the selected sale? Enter the customer name or a note (optional):'
+        );
+        // prompt returns null when cancelled
+        if (notes === null) return;
+        holdDetails = {
+          customerId: cartCustomer?.id || cartCustomer?.["Contact ID"] || null,
+          customerName: customerName || notes.trim() || null,
+          notes: notes.trim() || null,
+        };
+      }
+
+      await resumeCart(held.cart_id, holdDetails);
+      setIsOpen(false);
+      navigate('/cart');
+    } catch (err) {
+      alert(`Failed to resume sale: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="held-sales-container">
+      <button
+        className="held-sales-button"
+        onClick={() => setIsOpen(!isOpen)}
+        title="Parked sales"
+      >
+        <PauseCircle size={22} />
+        {heldTransactions.length > 0 && (
+          <span className="cart-badge">{heldTransactions.length}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="held-sales-dropdown">
+          <div className="held-sales-header">
+            <span>Parked Sales</span>
+            <button className="btn-icon" onClick={refresh} disabled={refreshing} title="Refresh">
+              <RefreshCw size={16} />
+            </button>
+          </div>
+
+          {error && <div className="held-sales-empty">{error}</div>}
+
+          {!error && heldTransactions.length === 0 && (
+            <div className="held-sales-empty">
+              {refreshing ? 'Loading...' : 'No parked sales'}
+            </div>
+          )}
+
+          {heldTransactions.map((held) => (
+            <div key={held.id} className="held-sale">
+              <div className="held-sale-info">
+                <div className="held-sale-customer">{held.customer_name}</div>
+                <div className="held-sale-meta">
+                  {held.item_count} items • {formatRupees(held.total)}
+                  {held.held_at && ` • ${formatAge(held.held_at)}`}
+                </div>
+                {held.notes && held.notes !== held.customer_name && (
+                  <div className="held-sale-notes">{held.notes}</div>
+                )}
+              </div>
+              <button
+                className="btn-outline btn-sm"
+                onClick={() => handleResume(held)}
+                disabled={loading}
+              >
+                <PlayCircle size={16} />
+                Resume
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
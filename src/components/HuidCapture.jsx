@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { BadgeCheck, X } from 'lucide-react';
+import { productsApi } from '../services/api';
+import { normalizeHuid, isValidHuid, getLineVariantId, isNetworkError } from '../utils';
+
+/**
+ * HuidCapture Component
+ * Records the BIS hallmark HUID of each piece on a hallmarked cart line.
+ * HUIDs already on the variant's serials can be confirmed with one click;
+ * a new HUID is checked against other sales and saved on the chosen serial.
+ *
+ * @param {Object} props
+ * @param {Object} props.item - Cart item data
+ * @param {Array} props.entries - HUIDs captured for this line [{ huid, serial_number }]
+ * @param {Function} props.onChange - Called with the updated entries
+ * @param {string[]} props.takenHuids - HUIDs captured on other lines of the cart
+ */
+export const HuidCapture = ({ item, entries = [], onChange, takenHuids = [] }) => {
+  const [serials, setSerials] = useState([]);
+  const [huid, setHuid] = useState('');
+  const [serialNumber, setSerialNumber] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const variantId = getLineVariantId(item);
+  const remaining = item.quantity - entries.length;
+  const usedHuids = [...takenHuids, ...entries.map((entry) => entry.huid)];
+  const usedSerials = entries.map((entry) => entry.serial_number).filter(Boolean);
+
+  useEffect(() => {
+    if (!variantId) return;
+    productsApi.getVariantSerials(variantId)
+      .then((list) => setSerials(list.filter((serial) => !serial.status || serial.status === 'in_stock')))
+      .catch((err) => console.warn('🏷️ Failed to load serials for HUID capture:', err));
+  }, [variantId]);
+
+  // Serials with a HUID on record that can be confirmed as-is
+  const suggestions = serials.filter((serial) => serial.huid
+    && !usedHuids.includes(normalizeHuid(serial.huid))
+    && !usedSerials.includes(serial.serial_number));
+  const unmarkedSerials = serials.filter((serial) => !serial.huid && !usedSerials.includes(serial.serial_number));
+
+  const addEntry = (entry) => {
+    onChange([...entries, entry]);
+    setHuid('');
+    setSerialNumber('');
+    setError(null);
+  };
+
+  const handleAdd = async () => {
+    const value = normalizeHuid(huid);
+
+    if (!isValidHuid(value)) {
+      setError('HUID must be 6 letters or digits, e.g. AB12CD');
+      return;
+    }
+    if (usedHuids.includes(value)) {
+      setError(`HUID ${value} is already on another piece in this cart`);
+      return;
+    }
+
+    try {
+      setChecking(true);
+      const existing = await productsApi.findSerialByHuid(value);
+
+      if (existing) {
+        if (existing.status === 'sold' || existing.invoice_number) {
+          setError(`HUID ${value} was already sold${existing.invoice_number ? ` on invoice ${existing.invoice_number}` : ''}`);
+          return;
+        }
+        if (variantId && existing.variant_id && String(existing.variant_id) !== String(variantId)) {
+          setError(`HUID ${value} belongs to a different product (serial ${existing.serial_number})`);
+          return;
+        }
+        addEntry({ huid: value, serial_number: existing.serial_number || serialNumber || null });
+        return;
+      }
+
+      if (variantId && serialNumber) {
+        await productsApi.updateSerialHuid(variantId, serialNumber, value);
+      }
+      addEntry({ huid: value, serial_number: serialNumber || null });
+    } catch (err) {
+      if (err.status === 409) {
+        setError(`HUID ${value} is already recorded on another serial`);
+        return;
+      }
+      if (isNetworkError(err)) {
+        // Checked again on the server when the sale is completed
+        console.warn('🏷️ HUID lookup unavailable, capturing without duplicate check:', err);
+        addEntry({ huid: value, serial_number: serialNumber || null });
+        return;
+      }
+      console.error('HUID check error:', err);
+      setError(`Failed to check HUID: ${err.message}`);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className={`huid-capture ${remaining > 0 ? 'incomplete' : ''}`}>
+      <div className="huid-capture-header">
+        <span>BIS Hallmark HUID</span>
+        <span className="huid-capture-count">{entries.length}/{item.quantity}</span>
+      </div>
+
+      {entries.map((entry) => (
+        <div key={entry.huid} className="huid-entry">
+          <BadgeCheck size={14} />
+          <span className="huid-code">{entry.huid}</span>
+          {entry.serial_number && <span className="huid-serial">Serial {entry.serial_number}</span>}
+          <button
+            className="huid-remove"
+            onClick={() => onChange(entries.filter((e) => e.huid !== entry.huid))}
+            aria-label={`Remove HUID ${entry.huid}`}
+          >
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+
+      {remaining > 0 && (
+        <>
+          {suggestions.length > 0 && (
+            <div className="huid-suggestions">
+              <span>Confirm piece:</span>
+              {suggestions.map((serial) => (
+                <button
+                  key={serial.serial_number}
+                  className="huid-suggestion"
+                  onClick={() => addEntry({ huid: normalizeHuid(serial.huid), serial_number: serial.serial_number })}
+                >
+                  {normalizeHuid(serial.huid)} · {serial.serial_number}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="huid-form">
+            <input
+              type="text"
+              className="input-field"
+              placeholder="HUID"
+              value={huid}
+              maxLength={6}
+              onChange={(e) => { setHuid(e.target.value.toUpperCase()); setError(null); }}
+              onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+            />
+            {unmarkedSerials.length > 0 && (
+              <select
+                className="input-field"
+                value={serialNumber}
+                onChange={(e) => setSerialNumber(e.target.value)}
+              >
+                <option value="">Serial (optional)</option>
+                {unmarkedSerials.map((serial) => (
+                  <option key={serial.serial_number} value={serial.serial_number}>{serial.serial_number}</option>
+                ))}
+              </select>
+            )}
+            <button className="btn-secondary" onClick={handleAdd} disabled={checking || !huid}>
+              {checking ? 'Checking...' : 'Add'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <div className="huid-error">❌ {error}</div>}
+    </div>
+  );
+};
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { TransformWrapper, TransformComponent } from 'react-zoom-pan-pinch';
+import { X, ZoomIn, ZoomOut, RotateCcw, ChevronLeft, ChevronRight } from 'lucide-react';
+
+/**
+ * ImageZoomViewer Component
+ * Full-screen image viewer with pinch, wheel and button zoom, for showing
+ * a piece's detail to a customer
+ *
+ * @param {Object} props
+ * @param {Array} props.images - [{ name, url }]
+ * @param {number} props.startIndex - Image shown first
+ * @param {string} props.alt - Alt text prefix
+ * @param {Function} props.onClose - Close handler
+ */
+export const ImageZoomViewer = ({ images, startIndex = 0, alt = '', onClose }) => {
+  const [index, setIndex] = useState(startIndex);
+  const hasMany = images.length > 1;
+
+  const showPrevious = () => setIndex((current) => (current - 1 + images.length) % images.length);
+  const showNext = () => setIndex((current) => (current + 1) % images.length);
+
+  // Escape closes, arrow keys move between images
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+      if (event.key === 'ArrowLeft' && hasMany) showPrevious();
+      if (event.key === 'ArrowRight' && hasMany) showNext();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [hasMany, onClose]);
+
+  const image = images[index];
+  if (!image) return null;
+
+  // Rendered on the body so it covers the page whatever it's opened from
+  return createPortal(
+    <div className="image-zoom-viewer" onClick={onClose}>
+      {/* Keyed by image so each one opens unzoomed */}
+      <TransformWrapper key={image.name} minScale={1} maxScale={8} centerOnInit>
+        {({ zoomIn, zoomOut, resetTransform }) => (
+          <>
+            <div className="image-zoom-toolbar" onClick={(e) => e.stopPropagation()}>
+              <span>{index + 1} / {images.length}</span>
+              <button type="button" onClick={() => zoomIn()} aria-label="Zoom in"><ZoomIn size={20} /></button>
+              <button type="button" onClick={() => zoomOut()} aria-label="Zoom out"><ZoomOut size={20} /></button>
+              <button type="button" onClick={() => resetTransform()} aria-label="Reset zoom"><RotateCcw size={20} /></button>
+              <button type="button" onClick={onClose} aria-label="Close"><X size={20} /></button>
+            </div>
+
+            <div className="image-zoom-stage" onClick={(e) => e.stopPropagation()}>
+              <TransformComponent wrapperClass="image-zoom-wrapper" contentClass="image-zoom-content">
+                <img src={image.url} alt={`${alt} ${index + 1}`} className="image-zoom-img" />
+              </TransformComponent>
+            </div>
+          </>
+        )}
+      </TransformWrapper>
+
+      {hasMany && (
+        <>
+          <button
+            type="button"
+            className="image-zoom-nav image-zoom-prev"
+            onClick={(e) => { e.stopPropagation(); showPrevious(); }}
+            aria-label="Previous image"
+          >
+            <ChevronLeft size={32} />
+          </button>
+          <button
+            type="button"
+            className="image-zoom-nav image-zoom-next"
+            onClick={(e) => { e.stopPropagation(); showNext(); }}
+            aria-label="Next image"
+          >
+            <ChevronRight size={32} />
+          </button>
+        </>
+      )}
+    </div>,
+    document.body
+  );
+};
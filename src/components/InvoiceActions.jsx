@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
-import { Download, Send, Mail, MoreHorizontal, Eye } from 'lucide-react';
+import { Download, Send, Mail, MoreHorizontal, Eye, RotateCcw } from 'lucide-react';
 import { invoicesApi } from '../services/api';
+import { ReturnInvoiceModal } from './ReturnInvoiceModal';
 
 /**
  * InvoiceActions Component
@@ -11,12 +12,14 @@ export const InvoiceActions = ({
   customer = {},
   compact = false,
   showViewButton = false,
-  onView = null 
+  onView = null,
+  onReturned = null
 }) => {
   const [loading, setLoading] = useState(false);
   const [showDropdown, setShowDropdown] = useState(false);
   const [showSendModal, setShowSendModal] = useState(false);
   const [sendType, setSendType] = useState('whatsapp');
+  const [showReturnModal, setShowReturnModal] = useState(false);
 
   const invoiceId = invoice?.id || invoice?.invoice_id;
   const invoiceNumber = invoice?.invoice_number || invoice?.number;
@@ -44,6 +47,11 @@ export const InvoiceActions = ({
     setShowDropdown(false);
   };
 
+  const handleReturn = () => {
+    setShowReturnModal(true);
+    setShowDropdown(false);
+  };
+
   const handleView = () => {
     if (onView) {
       onView(invoice);
@@ -99,6 +107,14 @@ export const InvoiceActions = ({
                 <Mail size={16} />
                 Email Invoice
               </button>
+              <button 
+                className="dropdown-item" 
+                onClick={handleReturn}
+                disabled={!invoiceId}
+              >
+                <RotateCcw size={16} />
+                Return Items
+              </button>
             </div>
           )}
         </div>
@@ -114,6 +130,14 @@ export const InvoiceActions = ({
             customerData={customer}
           />
         )}
+
+        {/* Return Modal */}
+        <ReturnInvoiceModal
+          isOpen={showReturnModal}
+          onClose={() => setShowReturnModal(false)}
+          invoice={invoice}
+          onReturned={onReturned}
+        />
       </div>
     );
   }
@@ -147,6 +171,15 @@ export const InvoiceActions = ({
         Email Invoice
       </button>
 
+      <button
+        className="btn-outline"
+        onClick={handleReturn}
+        disabled={!invoiceId}
+      >
+        <RotateCcw size={18} />
+        Return Items
+      </button>
+
       {showViewButton && (
         <button className="btn-outline" onClick={handleView}>
           <Eye size={18} />
@@ -165,6 +198,14 @@ export const InvoiceActions = ({
           customerData={customer}
         />
       )}
+
+      {/* Return Modal */}
+      <ReturnInvoiceModal
+        isOpen={showReturnModal}
+        onClose={() => setShowReturnModal(false)}
+        invoice={invoice}
+        onReturned={onReturned}
+      />
     </div>
   );
 };
@@ -172,26 +213,32 @@ export const InvoiceActions = ({
 /**
  * SendInvoiceModal Component
  * Modal for sending invoice via WhatsApp or Email
+ * Also sends other documents (e.g. estimates) through an API with the same senders.
+ *
+ * @param {string} props.documentLabel - Shown in titles and messages, e.g. "Estimate"
+ * @param {Object} props.sendApi - Object with sendWhatsApp / sendEmail, defaults to invoicesApi
  */
-const SendInvoiceModal = ({ 
+export const SendInvoiceModal = ({ 
   isOpen, 
   onClose, 
   invoiceId,
   invoiceNumber,
   sendType, 
-  customerData = {} 
+  customerData = {},
+  documentLabel = 'Invoice',
+  sendApi = invoicesApi
 }) => {
   const [loading, setLoading] = useState(false);
   const [phoneNumber, setPhoneNumber] = useState(customerData.phone || '');
   const [email, setEmail] = useState(customerData.email || '');
-  const [subject, setSubject] = useState(`Invoice ${invoiceNumber || invoiceId}`);
+  const [subject, setSubject] = useState(`${documentLabel} ${invoiceNumber || invoiceId}`);
   const [message, setMessage] = useState('');
 
   const handleSend = async (e) => {
     e.preventDefault();
     
     if (!invoiceId) {
-      alert('❌ Invoice ID not available');
+      alert(`❌ ${documentLabel} ID not available`);
       return;
     }
 
@@ -204,7 +251,7 @@ const SendInvoiceModal = ({
           alert('❌ Please enter a phone number');
           return;
         }
-        result = await invoicesApi.sendWhatsApp(
+        result = await sendApi.sendWhatsApp(
           invoiceId, 
           phoneNumber.trim(), 
           message.trim() || null
@@ -214,7 +261,7 @@ const SendInvoiceModal = ({
           alert('❌ Please enter an email address');
           return;
         }
-        result = await invoicesApi.sendEmail(
+        result = await sendApi.sendEmail(
           invoiceId, 
           email.trim(), 
           subject.trim() || null, 
@@ -223,7 +270,7 @@ const SendInvoiceModal = ({
       }
 
       if (result.success) {
-        alert(`✅ Invoice sent via ${sendType} successfully!`);
+        alert(`✅ ${documentLabel} sent via ${sendType} successfully!`);
         onClose();
       } else {
         alert(`❌ Failed to send: ${result.error || 'Unknown error'}`);
@@ -251,12 +298,12 @@ const SendInvoiceModal = ({
             ) : (
               <>
                 <Mail size={20} />
-                Email Invoice
+                Email {documentLabel}
               </>
             )}
           </h3>
           <p className="modal-subtitle">
-            Invoice: {invoiceNumber || invoiceId}
+            {documentLabel}: {invoiceNumber || invoiceId}
           </p>
           <button className="modal-close-btn" onClick={onClose}>
             ×
@@ -323,7 +370,7 @@ const SendInvoiceModal = ({
               className="btn-primary"
               disabled={loading}
             >
-              {loading ? 'Sending...' : `Send Invoice`}
+              {loading ? 'Sending...' : `Send ${documentLabel}`}
             </button>
             <button 
               type="button" 
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, FileText, RotateCcw } from 'lucide-react';
+import { invoicesApi } from '../services/api';
+import { useReturns } from '../hooks';
+import { LoadingSpinner } from './LoadingSpinner';
+import { ErrorMessage } from './ErrorMessage';
+import { InvoiceReturnsHistory } from './InvoiceReturnsHistory';
+import { getInvoiceLines, getReturnedQuantities, normalizePriceOverride, formatRupees } from '../utils';
+
+/**
+ * InvoiceDetailsModal Component
+ * Shows an invoice's lines together with its linked returns history
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice - Invoice to show (null closes the modal)
+ * @param {string} props.customerName - Customer display name
+ * @param {Function} props.onClose - Close callback
+ */
+export const InvoiceDetailsModal = ({ invoice, customerName, onClose }) => {
+  const { returns, loading: returnsLoading, loadReturns } = useReturns();
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const invoiceId = invoice?.id || invoice?.invoice_id;
+
+  useEffect(() => {
+    if (!invoiceId) return;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await invoicesApi.getById(invoiceId);
+        setDetails(data?.invoice || data);
+      } catch (err) {
+        console.error('Failed to load invoice details:', err);
+        setError(err.message || 'Failed to load invoice');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+    loadReturns(invoiceId).catch(() => {});
+  }, [invoiceId, loadReturns]);
+
+  const record = details || invoice || {};
+  const lines = useMemo(() => getInvoiceLines(record), [record]);
+  const returnedQuantities = useMemo(() => getReturnedQuantities(returns), [returns]);
+  const priceOverrides = (record.price_overrides || []).map((override) => ({
+    ...normalizePriceOverride(override),
+    item_name: override.item_name,
+  }));
+  const lineMetalRates = (record.line_metal_rates || []).filter((line) => line.metal_rates?.length > 0);
+  const refundedTotal = returns.reduce((sum, ret) => sum + (parseFloat(ret.refund_amount) || 0), 0);
+
+  if (!invoice) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content return-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <FileText size={24} />
+            <span>Invoice {record.invoice_number || `#${invoiceId}`}</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {error && <ErrorMessage message={error} />}
+
+          {loading ? (
+            <LoadingSpinner message="Loading invoice..." />
+          ) : (
+            <>
+              <div className="invoice-details-meta">
+                <span>{customerName || 'Walk-in Customer'}</span>
+                <span>{record.created_at ? new Date(record.created_at).toLocaleDateString() : ''}</span>
+                <strong>{formatRupees(record.total_amount)}</strong>
+              </div>
+
+              <table className="return-lines">
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th>Qty</th>
+                    <th>Returned</th>
+                    <th>Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lines.map((line) => (
+                    <tr key={line.line_id}>
+                      <td>
+                        <div>{line.name}</div>
+                        {line.sku && <small>{line.sku}</small>}
+                      </td>
+                      <td>{line.quantity}</td>
+                      <td>{returnedQuantities[line.line_id] || 0}</td>
+                      <td>{formatRupees(line.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {priceOverrides.length > 0 && (
+                <div className="form-group invoice-price-overrides">
+                  <label>Price Overrides</label>
+                  <table className="return-lines">
+                    <thead>
+                      <tr>
+                        <th>Item</th>
+                        <th>Price</th>
+                        <th>Reason</th>
+                        <th>Approved By</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {priceOverrides.map((override, index) => (
+                        <tr key={index}>
+                          <td>{override.item_name}</td>
+                          <td>
+                            <s>{formatRupees(override.original_price)}</s> {formatRupees(override.unit_price)}
+                          </td>
+                          <td>
+                            <div>{override.reason}</div>
+                            {override.requested_by && <small>by {override.requested_by}</small>}
+                          </td>
+                          <td>{override.approved_by || '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {lineMetalRates.length > 0 && (
+                <div className="form-group invoice-metal-rates">
+                  <label>Metal Rates Applied</label>
+                  <table className="return-lines">
+                    <thead>
+                      <tr>
+                        <th>Item</th>
+                        <th>Metal</th>
+                        <th>Rate / g</th>
+                        <th>Effective From</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {lineMetalRates.flatMap((line) => line.metal_rates.map((rate, index) => (
+                        <tr key={`${line.cart_item_id}-${index}`}>
+                          <td>{index === 0 ? line.item_name : ''}</td>
+                          <td>{rate.metal_type}{rate.purity_k ? ` ${rate.purity_k}K` : ''} · {rate.weight_g}g</td>
+                          <td>{formatRupees(rate.rate_per_g)}</td>
+                          <td>{line.rates_effective_from ? new Date(line.rates_effective_from).toLocaleString('en-IN') : '—'}</td>
+                        </tr>
+                      )))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="form-group">
+            <label>
+              <RotateCcw size={18} />
+              Returns
+              {refundedTotal > 0 && ` – ${formatRupees(refundedTotal)} refunded`}
+            </label>
+            <InvoiceReturnsHistory returns={returns} loading={returnsLoading} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
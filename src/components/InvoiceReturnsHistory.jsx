@@ -0,0 +1,47 @@
+import React from 'react';
+import { RotateCcw } from 'lucide-react';
+import { REFUND_METHODS, formatRupees } from '../utils';
+
+const refundLabel = (method) => REFUND_METHODS.find((option) => option.value === method)?.label || method;
+
+/**
+ * InvoiceReturnsHistory Component
+ * Lists the returns and credit notes linked to an invoice
+ *
+ * @param {Object} props
+ * @param {Array} props.returns - Returns for the invoice
+ * @param {boolean} props.loading - Whether returns are still loading
+ */
+export const InvoiceReturnsHistory = ({ returns = [], loading = false }) => {
+  if (loading) {
+    return <div className="returns-history-empty">Loading returns...</div>;
+  }
+
+  if (returns.length === 0) {
+    return <div className="returns-history-empty">No returns against this invoice</div>;
+  }
+
+  return (
+    <div className="returns-history">
+      {returns.map((ret) => (
+        <div key={ret.id || ret.credit_note_number} className="returns-history-entry">
+          <div className="returns-history-header">
+            <span className="returns-history-number">
+              <RotateCcw size={14} />
+              {ret.credit_note_number || `Return #${ret.id}`}
+            </span>
+            <span>{ret.created_at ? new Date(ret.created_at).toLocaleDateString() : ''}</span>
+          </div>
+          <div className="returns-history-items">
+            {(ret.items || []).map((item) => `${item.name || item.sku} × ${item.quantity}`).join(', ')}
+          </div>
+          <div className="returns-history-meta">
+            <span>{ret.reason}</span>
+            <span>{refundLabel(ret.refund_method)}</span>
+            <strong>{formatRupees(ret.refund_amount)}</strong>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
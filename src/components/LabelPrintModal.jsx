@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Printer, Tag } from 'lucide-react';
+import { ProductLabel } from './ProductLabel';
+import {
+  LABEL_FIELDS,
+  LABEL_TEMPLATES,
+  DEFAULT_LABEL_TEMPLATE_ID,
+  MAX_LABEL_COPIES,
+  LABEL_SETTINGS_STORAGE_KEY,
+} from '../config/labels';
+
+const getTemplate = (id) => LABEL_TEMPLATES.find((template) => template.id === id) || LABEL_TEMPLATES[0];
+
+const settingsFromTemplate = (template) => ({
+  templateId: template.id,
+  width_mm: String(template.width_mm),
+  height_mm: String(template.height_mm),
+  symbology: template.symbology,
+  fields: template.fields,
+});
+
+const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LABEL_SETTINGS_STORAGE_KEY));
+    if (saved && LABEL_TEMPLATES.some((template) => template.id === saved.templateId)) return saved;
+  } catch (err) {
+    // Unreadable settings - start from the default template
+  }
+  return settingsFromTemplate(getTemplate(DEFAULT_LABEL_TEMPLATE_ID));
+};
+
+/**
+ * LabelPrintModal Component
+ * Prints price tags or barcode labels for one or more products. The template sets
+ * the layout; size, barcode type and fields can be changed before printing.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {Array} props.products - Products to label, from the api.js transforms
+ */
+export const LabelPrintModal = ({ isOpen, onClose, products = [] }) => {
+  const [settings, setSettings] = useState(loadSettings);
+  const [copies, setCopies] = useState('1');
+
+  if (!isOpen) return null;
+
+  const baseTemplate = getTemplate(settings.templateId);
+  const width = parseFloat(settings.width_mm);
+  const height = parseFloat(settings.height_mm);
+  const copyCount = parseInt(copies, 10);
+  const isValid = width > 0 && height > 0 && copyCount >= 1 && copyCount <= MAX_LABEL_COPIES
+    && settings.fields.length > 0 && products.length > 0;
+
+  const template = {
+    ...baseTemplate,
+    width_mm: width || baseTemplate.width_mm,
+    height_mm: height || baseTemplate.height_mm,
+    // Narrower tags keep a few millimetres of tail between the flaps
+    flap_width_mm: Math.min(baseTemplate.flap_width_mm || 0, ((width || baseTemplate.width_mm) - 6) / 2),
+    symbology: settings.symbology,
+    fields: settings.fields,
+  };
+
+  const labels = isValid ? products.flatMap((product) => Array(copyCount).fill(product)) : [];
+  const pageRule = template.sheet === 'a4'
+    ? '@page product-labels { size: A4; margin: 10mm 7mm; }'
+    : `@page product-labels { size: ${template.width_mm}mm ${template.height_mm}mm; margin: 0; }`;
+
+  const updateSetting = (key, value) => setSettings((prev) => ({ ...prev, [key]: value }));
+
+  const toggleField = (key) => {
+    setSettings((prev) => ({
+      ...prev,
+      fields: prev.fields.includes(key) ? prev.fields.filter((field) => field !== key) : [...prev.fields, key],
+    }));
+  };
+
+  const handlePrint = () => {
+    localStorage.setItem(LABEL_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    window.print();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content label-print-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>
+            <Tag size={20} />
+            Print Labels ({products.length} product{products.length === 1 ? '' : 's'})
+          </h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-body label-print-layout">
+          <div className="label-print-settings">
+            <div className="form-group">
+              <label>Template</label>
+              <select
+                className="input-field"
+                value={settings.templateId}
+                onChange={(e) => setSettings(settingsFromTemplate(getTemplate(e.target.value)))}
+              >
+                {LABEL_TEMPLATES.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.name} ({option.width_mm} × {option.height_mm} mm)
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="label-print-size">
+              <div className="form-group">
+                <label>Width (mm)</label>
+                <input
+                  type="number"
+                  min="10"
+                  step="0.1"
+                  className="input-field"
+                  value={settings.width_mm}
+                  onChange={(e) => updateSetting('width_mm', e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label>Height (mm)</label>
+                <input
+                  type="number"
+                  min="5"
+                  step="0.1"
+                  className="input-field"
+                  value={settings.height_mm}
+                  onChange={(e) => updateSetting('height_mm', e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="label-print-size">
+              <div className="form-group">
+                <label>Barcode</label>
+                <select
+                  className="input-field"
+                  value={settings.symbology}
+                  onChange={(e) => updateSetting('symbology', e.target.value)}
+                >
+                  <option value="code128">Code128</option>
+                  <option value="qr">QR code</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Copies each</label>
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_LABEL_COPIES}
+                  className="input-field"
+                  value={copies}
+                  onChange={(e) => setCopies(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Fields</label>
+              <div className="label-print-fields">
+                {LABEL_FIELDS.map(({ key, label }) => (
+                  <label key={key} className="label-print-field">
+                    <input
+                      type="checkbox"
+                      checked={settings.fields.includes(key)}
+                      onChange={() => toggleField(key)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <p className="label-print-hint">
+              {template.sheet === 'a4'
+                ? 'Prints on A4 sticker sheets. Set margins to "Default" and scale to 100% in the print dialog.'
+                : 'Prints one label per page for a label printer. Choose the label stock size in the print dialog.'}
+            </p>
+          </div>
+
+          <div className="label-print-preview">
+            {products.map((product, index) => (
+              <ProductLabel key={`${product.id}-${index}`} product={product} template={template} />
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="button" className="btn btn-primary" onClick={handlePrint} disabled={!isValid}>
+            <Printer size={18} />
+            Print {labels.length} Label{labels.length === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+
+      {/* Print sheet - hidden on screen, outside the modal so it isn't clipped */}
+      {createPortal(
+        <div className="label-print-container print-area">
+          <style>{pageRule}</style>
+          <div className={`label-print-sheet label-print-sheet-${template.sheet}`}>
+            {labels.map((product, index) => (
+              <ProductLabel key={`${product.id}-${index}`} product={product} template={template} />
+            ))}
+          </div>
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+};
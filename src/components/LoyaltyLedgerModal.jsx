@@ -0,0 +1,96 @@
+import React, { useEffect } from 'react';
+import { X, Star } from 'lucide-react';
+import { useLoyalty } from '../hooks';
+import { LoadingSpinner } from './LoadingSpinner';
+import { ErrorMessage } from './ErrorMessage';
+import { pointsToValue, formatRupees } from '../utils';
+
+const ENTRY_LABELS = {
+  earn: 'Earned',
+  redeem: 'Redeemed',
+  adjust: 'Adjustment',
+  expire: 'Expired',
+  reversal: 'Reversed',
+};
+
+/**
+ * LoyaltyLedgerModal Component
+ * Points earned and redeemed by a customer, newest first
+ *
+ * @param {Object} props
+ * @param {Object} props.customer - Customer whose ledger to show (null when closed)
+ * @param {Function} props.onClose - Function to close the modal
+ */
+export const LoyaltyLedgerModal = ({ customer, onClose }) => {
+  const { balance, ledger, loading, error, loadBalance, loadLedger } = useLoyalty();
+  const customerId = customer?.id || customer?.["Contact ID"];
+  const name = customer?.name || customer?.["Contact Name"] || customer?.["Display Name"] || 'Customer';
+
+  useEffect(() => {
+    if (!customerId) return;
+    loadBalance(customerId, customer.loyalty_points || 0);
+    loadLedger(customerId).catch(() => {});
+  }, [customerId, customer, loadBalance, loadLedger]);
+
+  if (!customer) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content loyalty-ledger-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <Star size={24} />
+            <span>{name} – Loyalty Points</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="loyalty-balance">
+            <span>Balance: <strong>{balance}</strong> points</span>
+            <span className="loyalty-balance-value">worth {formatRupees(pointsToValue(balance))}</span>
+          </div>
+
+          {loading && <LoadingSpinner message="Loading points history..." />}
+          {error && <ErrorMessage message={error} onRetry={() => loadLedger(customerId).catch(() => {})} />}
+
+          {!loading && !error && (ledger.length === 0 ? (
+            <p className="loyalty-hint">No points activity yet.</p>
+          ) : (
+            <div className="table-container">
+              <table className="data-table loyalty-ledger-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Activity</th>
+                    <th>Invoice</th>
+                    <th>Points</th>
+                    <th>Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.map((entry) => (
+                    <tr key={entry.id}>
+                      <td>{entry.created_at ? new Date(entry.created_at).toLocaleDateString('en-IN') : '–'}</td>
+                      <td>
+                        {ENTRY_LABELS[entry.type] || entry.type}
+                        {entry.description && <div className="loyalty-entry-note">{entry.description}</div>}
+                      </td>
+                      <td>{entry.invoice_number || '–'}</td>
+                      <td className={entry.points < 0 ? 'loyalty-points-out' : 'loyalty-points-in'}>
+                        {entry.points > 0 ? `+${entry.points}` : entry.points}
+                      </td>
+                      <td>{entry.balance_after ?? '–'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,77 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+import { pointsToValue, getMaxRedeemablePoints, formatRupees } from '../utils';
+import { LOYALTY_MAX_REDEEM_PERCENT, LOYALTY_MIN_REDEEM_POINTS } from '../config/loyalty';
+
+/**
+ * LoyaltyRedemption Component
+ * Shows the customer's points balance at checkout, lets the cashier put
+ * points towards the bill and previews the points this sale will earn.
+ *
+ * @param {Object} props
+ * @param {number} props.balance - Customer's points balance
+ * @param {string} props.points - Points entered for redemption
+ * @param {Function} props.onChange - Called with the points entered
+ * @param {number} props.total - Bill value the points are capped against
+ * @param {number} props.pointsEarned - Points this sale will earn
+ * @param {string} props.error - Redemption error, if any
+ * @param {boolean} props.disabled - Whether redemption is unavailable (offline, advance order)
+ * @param {string} props.disabledReason - Why redemption is unavailable
+ */
+export const LoyaltyRedemption = ({
+  balance = 0,
+  points = '',
+  onChange,
+  total = 0,
+  pointsEarned = 0,
+  error = null,
+  disabled = false,
+  disabledReason = null,
+}) => {
+  const maxPoints = getMaxRedeemablePoints(balance, total);
+  const canRedeem = !disabled && maxPoints >= LOYALTY_MIN_REDEEM_POINTS;
+
+  return (
+    <div className="loyalty-redemption">
+      <div className="loyalty-balance">
+        <Star size={16} />
+        <span>Loyalty Points: <strong>{balance}</strong></span>
+        <span className="loyalty-balance-value">worth {formatRupees(pointsToValue(balance))}</span>
+      </div>
+
+      {canRedeem ? (
+        <div className="loyalty-redeem-form">
+          <input
+            type="number"
+            min="0"
+            step="1"
+            className="input-field"
+            placeholder="Points to redeem"
+            value={points}
+            onChange={(e) => onChange(e.target.value)}
+          />
+          <button type="button" className="btn-link" onClick={() => onChange(String(maxPoints))}>
+            Use max ({maxPoints})
+          </button>
+          {parseInt(points, 10) > 0 && !error && (
+            <span className="loyalty-redeem-value">− {formatRupees(pointsToValue(points))}</span>
+          )}
+        </div>
+      ) : (
+        <div className="loyalty-hint">
+          {disabled
+            ? disabledReason
+            : `Points can be redeemed from ${LOYALTY_MIN_REDEEM_POINTS} points, up to ${LOYALTY_MAX_REDEEM_PERCENT}% of the bill`}
+        </div>
+      )}
+
+      {error && <div className="payment-warning">{error}</div>}
+
+      {pointsEarned > 0 && (
+        <div className="loyalty-earn-preview">
+          This sale earns <strong>{pointsEarned}</strong> points
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
-import { ShoppingCart, Package, FileText, User, Clock, Gem, Home, BarChart3, Menu, X, MapPin, Building2, LogOut, Shield, Lock } from 'lucide-react';
+import { ShoppingCart, Package, FileText, User, Clock, Gem, Home, BarChart3, Menu, X, MapPin, Building2, LogOut, Shield, Lock, Percent, ClipboardList, PackageCheck, Gift, Coins } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { HeldSalesPanel } from './HeldSalesPanel';
+import { SyncStatusPanel } from './SyncStatusPanel';
 
 /**
  * Navigation Component
@@ -206,6 +208,10 @@ export const Navigation = ({ cartItemCount = 0, onCartClick, onSidebarToggle })
             </div>
           )}
           
+          <SyncStatusPanel />
+
+          <HeldSalesPanel />
+
           <button 
             className={`cart-icon ${!hasItemsInCart ? 'disabled' : ''}`}
             onClick={handleCartClick}
@@ -254,6 +260,42 @@ export const Navigation = ({ cartItemCount = 0, onCartClick, onSidebarToggle })
             <span>Invoices</span>
           </Link>
 
+          <Link 
+            to="/estimates" 
+            className={`sidebar-link ${isActive('/estimates') ? 'active' : ''}`}
+            onClick={() => window.innerWidth <= 968 && closeSidebar()}
+          >
+            <ClipboardList size={20} />
+            <span>Estimates</span>
+          </Link>
+
+          <Link 
+            to="/orders" 
+            className={`sidebar-link ${isActive('/orders') ? 'active' : ''}`}
+            onClick={() => window.innerWidth <= 968 && closeSidebar()}
+          >
+            <PackageCheck size={20} />
+            <span>Advance Orders</span>
+          </Link>
+
+          <Link 
+            to="/gift-cards" 
+            className={`sidebar-link ${isActive('/gift-cards') ? 'active' : ''}`}
+            onClick={() => window.innerWidth <= 968 && closeSidebar()}
+          >
+            <Gift size={20} />
+            <span>Gift Cards</span>
+          </Link>
+
+          <Link 
+            to="/metal-rates" 
+            className={`sidebar-link ${isActive('/metal-rates') ? 'active' : ''}`}
+            onClick={() => window.innerWidth <= 968 && closeSidebar()}
+          >
+            <Coins size={20} />
+            <span>Metal Rates</span>
+          </Link>
+
           <Link 
             to="/store-locator" 
             className={`sidebar-link ${isActive('/store-locator') ? 'active' : ''}`}
@@ -281,6 +323,24 @@ export const Navigation = ({ cartItemCount = 0, onCartClick, onSidebarToggle })
             <span>Customers</span>
           </Link>
 
+          <Link 
+            to="/shift" 
+            className={`sidebar-link ${isActive('/shift') ? 'active' : ''}`}
+            onClick={() => window.innerWidth <= 968 && closeSidebar()}
+          >
+            <Clock size={20} />
+            <span>Shift & Cash Drawer</span>
+          </Link>
+
+          <Link 
+            to="/commission" 
+            className={`sidebar-link ${isActive('/commission') ? 'active' : ''}`}
+            onClick={() => window.innerWidth <= 968 && closeSidebar()}
+          >
+            <Percent size={20} />
+            <span>Commission</span>
+          </Link>
+
           <Link 
             to="/reports" 
             className={`sidebar-link ${isActive('/reports') ? 'active' : ''}`}
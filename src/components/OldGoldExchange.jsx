@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Scale } from 'lucide-react';
+import {
+  OLD_GOLD_KARATS,
+  calculateExchangeValue,
+  validateOldGoldPiece,
+  formatRupees,
+} from '../utils';
+
+const EMPTY_PIECE = {
+  description: '',
+  gross_weight_g: '',
+  stone_weight_g: '',
+  purity_type: 'karat',
+  karat: '22',
+  touch_percent: '',
+};
+
+/**
+ * OldGoldExchange Component
+ * Captures old gold pieces taken in exchange and shows their value
+ *
+ * @param {Object} props
+ * @param {Array} props.pieces - Pieces already added (with calculated values)
+ * @param {Function} props.onAdd - Callback (piece) with calculated values merged in
+ * @param {Function} props.onRemove - Callback (pieceId)
+ */
+export const OldGoldExchange = ({ pieces = [], onAdd, onRemove }) => {
+  const [formData, setFormData] = useState(EMPTY_PIECE);
+  // Buy rate is the same for every piece on the day, so it survives between entries
+  const [buyRate, setBuyRate] = useState('');
+  const [error, setError] = useState(null);
+
+  const draft = { ...formData, buy_rate_per_g: buyRate };
+  const preview = calculateExchangeValue(draft);
+  const exchangeTotal = pieces.reduce((sum, piece) => sum + piece.exchange_value, 0);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setError(null);
+  };
+
+  const handleAdd = () => {
+    const validationError = validateOldGoldPiece(draft);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    onAdd({
+      id: `og_${Date.now()}`,
+      ...draft,
+      description: formData.description.trim() || 'Old gold',
+      ...preview,
+    });
+    setFormData(EMPTY_PIECE);
+  };
+
+  return (
+    <div className="old-gold-exchange">
+      {pieces.length > 0 && (
+        <table className="old-gold-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>Net (g)</th>
+              <th>Purity</th>
+              <th>Fine (g)</th>
+              <th>Value</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {pieces.map((piece) => (
+              <tr key={piece.id}>
+                <td>{piece.description}</td>
+                <td>{piece.net_weight_g}</td>
+                <td>
+                  {piece.purity_type === 'touch' ? `${piece.touch_percent}% touch` : `${piece.karat}K`}
+                </td>
+                <td>{piece.fine_weight_g}</td>
+                <td>{formatRupees(piece.exchange_value)}</td>
+                <td>
+                  <button
+                    className="btn-icon"
+                    onClick={() => onRemove(piece.id)}
+                    aria-label="Remove old gold item"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="old-gold-form">
+        <div>
+          <label className="input-label">Description</label>
+          <input
+            type="text"
+            name="description"
+            className="input-field"
+            placeholder="e.g. Old bangle"
+            value={formData.description}
+            onChange={handleChange}
+          />
+        </div>
+        <div>
+          <label className="input-label">Gross Weight (g)</label>
+          <input
+            type="number"
+            name="gross_weight_g"
+            className="input-field"
+            min="0"
+            step="0.001"
+            value={formData.gross_weight_g}
+            onChange={handleChange}
+          />
+        </div>
+        <div>
+          <label className="input-label">Stone Deduction (g)</label>
+          <input
+            type="number"
+            name="stone_weight_g"
+            className="input-field"
+            min="0"
+            step="0.001"
+            value={formData.stone_weight_g}
+            onChange={handleChange}
+          />
+        </div>
+        <div>
+          <label className="input-label">Purity Tested By</label>
+          <select
+            name="purity_type"
+            className="input-field"
+            value={formData.purity_type}
+            onChange={handleChange}
+          >
+            <option value="karat">Karat</option>
+            <option value="touch">Touch %</option>
+          </select>
+        </div>
+        {formData.purity_type === 'karat' ? (
+          <div>
+            <label className="input-label">Karat</label>
+            <select name="karat" className="input-field" value={formData.karat} onChange={handleChange}>
+              {OLD_GOLD_KARATS.map((karat) => (
+                <option key={karat} value={karat}>{karat}K</option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <div>
+            <label className="input-label">Touch %</label>
+            <input
+              type="number"
+              name="touch_percent"
+              className="input-field"
+              min="0"
+              max="100"
+              step="0.01"
+              value={formData.touch_percent}
+              onChange={handleChange}
+            />
+          </div>
+        )}
+        <div>
+          <label className="input-label">Buy Rate (₹/g, 24K)</label>
+          <input
+            type="number"
+            className="input-field"
+            min="0"
+            value={buyRate}
+            onChange={(e) => {
+              setBuyRate(e.target.value);
+              setError(null);
+            }}
+          />
+        </div>
+      </div>
+
+      {error && <div className="payment-warning">{error}</div>}
+
+      <div className="old-gold-actions">
+        <span className="old-gold-preview">
+          <Scale size={16} />
+          {preview.fine_weight_g} g fine = <strong>{formatRupees(preview.exchange_value)}</strong>
+        </span>
+        <button type="button" className="btn-outline" onClick={handleAdd}>
+          <Plus size={18} />
+          Add Old Gold
+        </button>
+      </div>
+
+      {pieces.length > 0 && (
+        <div className="change-display">
+          Exchange value applied: <strong>{formatRupees(exchangeTotal)}</strong>
+        </div>
+      )}
+    </div>
+  );
+};
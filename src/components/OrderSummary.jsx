@@ -8,7 +8,10 @@ import { formatRupees } from '../utils';
  * @param {Object} props
  * @param {Array} props.items - Cart items
  * @param {number} props.subtotal - Subtotal amount
+ * @param {number} props.discount - Discount amount taken off the subtotal
+ * @param {string} props.discountLabel - Label for the discount line
  * @param {number} props.tax - Tax amount
+ * @param {Object} props.taxBreakup - GST breakup from computeTaxBreakup (CGST/SGST or IGST lines)
  * @param {number} props.total - Total amount
  * @param {number} props.itemCount - Number of items
  * @param {boolean} props.showItems - Whether to show itemized list
@@ -16,7 +19,10 @@ import { formatRupees } from '../utils';
 export const OrderSummary = ({ 
   items = [], 
   subtotal, 
+  discount = 0,
+  discountLabel = '',
   tax, 
+  taxBreakup = null,
   total, 
   itemCount,
   showItems = false 
@@ -44,10 +50,40 @@ export const OrderSummary = ({
         <span>{formatRupees(subtotal)}</span>
       </div>
 
-      <div className="summary-line">
-        <span>GST (3%)</span>
-        <span>{formatRupees(tax)}</span>
-      </div>
+      {discount > 0 && (
+        <div className="summary-line discount">
+          <span>Discount {discountLabel && `– ${discountLabel}`}</span>
+          <span>−{formatRupees(discount)}</span>
+        </div>
+      )}
+
+      {taxBreakup && taxBreakup.groups.length > 0 ? (
+        taxBreakup.groups.map((group) => {
+          const suffix = taxBreakup.groups.length > 1 ? ` – ${group.label}` : '';
+          return taxBreakup.isInterState ? (
+            <div key={group.rule_id} className="summary-line">
+              <span>IGST ({group.rate_percent}%){suffix}</span>
+              <span>{formatRupees(group.igst)}</span>
+            </div>
+          ) : (
+            <React.Fragment key={group.rule_id}>
+              <div className="summary-line">
+                <span>CGST ({group.rate_percent / 2}%){suffix}</span>
+                <span>{formatRupees(group.cgst)}</span>
+              </div>
+              <div className="summary-line">
+                <span>SGST ({group.rate_percent / 2}%){suffix}</span>
+                <span>{formatRupees(group.sgst)}</span>
+              </div>
+            </React.Fragment>
+          );
+        })
+      ) : (
+        <div className="summary-line">
+          <span>GST</span>
+          <span>{formatRupees(tax)}</span>
+        </div>
+      )}
 
       <div className="summary-divider"></div>
 
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { PauseCircle } from 'lucide-react';
+import { useCart } from '../context/CartContext';
+
+/**
+ * ParkSaleButton Component
+ * Parks the active cart so the counter can serve another customer.
+ * A fresh cart becomes active straight away.
+ *
+ * @param {Object} props
+ * @param {Object} props.customer - Selected customer, if any
+ * @param {string} props.className - Button class (default: 'btn-secondary btn-full')
+ * @param {Function} props.onParked - Callback after the cart is parked
+ */
+export const ParkSaleButton = ({ customer = null, className = 'btn-secondary btn-full', onParked }) => {
+  const { items, holdCart, loading } = useCart();
+  const [parking, setParking] = useState(false);
+
+  const customerName = customer
+    ? customer.name || customer["Contact Name"] || customer["Display Name"] || customer["Company Name"]
+    : null;
+
+  const handlePark = async () => {
+    const notes = window.prompt(
+      customerName
+        ? `Park this sale for ${customerName}? Add a note (optional):`
+        : 'Park this sale? Enter the customer name or a note (optional):'
+    );
+    // prompt returns null when cancelled
+    if (notes === null) return;
+
+    try {
+      setParking(true);
+      await holdCart({
+        customerId: customer?.id || customer?.["Contact ID"] || null,
+        customerName: customerName || notes.trim() || null,
+        notes: notes.trim() || null,
+      });
+      if (onParked) onParked();
+    } catch (err) {
+      alert(`Failed to park sale: ${err.message}`);
+    } finally {
+      setParking(false);
+    }
+  };
+
+  return (
+    <button
+      className={className}
+      onClick={handlePark}
+      disabled={loading || parking || items.length === 0}
+    >
+      <PauseCircle size={18} />
+      {parking ? 'Parking...' : 'Park Sale'}
+    </button>
+  );
+};
@@ -0,0 +1,134 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { PAYMENT_METHODS, formatPaymentMethod, formatRupees, formatGiftCardType, maskGiftCardNumber } from '../utils';
+
+/**
+ * PaymentLines Component
+ * Editable list of tender lines for split-tender checkout
+ *
+ * @param {Object} props
+ * @param {Array} props.lines - Payment lines { id, method, amount }
+ * @param {Object} props.summary - Result of summarizeTenders(lines, total)
+ * @param {Function} props.onChange - Callback (lineId, changes) when a line is edited
+ * @param {Function} props.onAdd - Callback to add a new line
+ * @param {Function} props.onRemove - Callback (lineId) to remove a line
+ * @param {number} props.exchangeAmount - Old gold exchange value applied as a fixed tender
+ * @param {number} props.exchangeRefund - Old gold value above the amount due, paid back to the customer
+ * @param {number} props.loyaltyAmount - Value of loyalty points redeemed, applied as a fixed tender
+ * @param {Array} props.giftCards - Gift cards applied as fixed tenders [{ card_number, card_type, amount }]
+ */
+export const PaymentLines = ({ lines = [], summary, onChange, onAdd, onRemove, exchangeAmount = 0, exchangeRefund = 0, loyaltyAmount = 0, giftCards = [] }) => {
+  const handleFillRemaining = (line) => {
+    const current = parseFloat(line.amount) || 0;
+    onChange(line.id, { amount: String(Math.round((current + summary.remaining) * 100) / 100) });
+  };
+
+  return (
+    <div className="payment-lines">
+      {exchangeAmount > 0 && (
+        <div className="payment-line payment-line-exchange">
+          <span className="payment-line-index">−</span>
+          <span className="payment-line-method">Old gold exchange</span>
+          <span className="payment-line-amount">{formatRupees(exchangeAmount)}</span>
+        </div>
+      )}
+
+      {loyaltyAmount > 0 && (
+        <div className="payment-line payment-line-exchange">
+          <span className="payment-line-index">−</span>
+          <span className="payment-line-method">Loyalty points</span>
+          <span className="payment-line-amount">{formatRupees(loyaltyAmount)}</span>
+        </div>
+      )}
+
+      {giftCards.map((card) => (
+        <div key={card.card_number} className="payment-line payment-line-exchange">
+          <span className="payment-line-index">−</span>
+          <span className="payment-line-method">{formatGiftCardType(card.card_type)} {maskGiftCardNumber(card.card_number)}</span>
+          <span className="payment-line-amount">{formatRupees(card.amount)}</span>
+        </div>
+      ))}
+
+      {lines.map((line, index) => (
+        <div key={line.id} className="payment-line">
+          <span className="payment-line-index">{index + 1}</span>
+
+          <select
+            className="input-field payment-line-method"
+            value={line.method}
+            onChange={(e) => onChange(line.id, { method: e.target.value })}
+          >
+            {PAYMENT_METHODS.map((method) => (
+              <option key={method} value={method}>
+                {formatPaymentMethod(method)}
+              </option>
+            ))}
+          </select>
+
+          <input
+            type="number"
+            min="0"
+            className="input-field payment-line-amount"
+            placeholder="Amount"
+            value={line.amount}
+            onChange={(e) => onChange(line.id, { amount: e.target.value })}
+          />
+
+          <button
+            type="button"
+            className="btn-link"
+            onClick={() => handleFillRemaining(line)}
+            disabled={summary.remaining <= 0}
+            title="Put the remaining balance on this line"
+          >
+            Fill balance
+          </button>
+
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={() => onRemove(line.id)}
+            disabled={lines.length <= 1}
+            aria-label="Remove payment line"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+
+      <button type="button" className="btn-outline" onClick={onAdd}>
+        <Plus size={18} />
+        Add Payment Line
+      </button>
+
+      <div className="payment-lines-summary">
+        <div className="summary-line">
+          <span>Paid</span>
+          <span>{formatRupees(summary.paid)}</span>
+        </div>
+        <div className={`summary-line ${summary.remaining > 0 ? 'payment-balance-due' : ''}`}>
+          <span>Remaining</span>
+          <span>{formatRupees(summary.remaining)}</span>
+        </div>
+      </div>
+
+      {summary.isOverpaidNonCash && (
+        <div className="payment-warning">
+          Card, UPI, bank transfer, old gold, loyalty points and gift cards cannot exceed the total. Only cash can be over-tendered.
+        </div>
+      )}
+
+      {exchangeRefund > 0 && (
+        <div className="change-display">
+          Old gold is worth more than the bill. Pay the customer: <strong>{formatRupees(exchangeRefund)}</strong>
+        </div>
+      )}
+
+      {summary.change > 0 && (
+        <div className="change-display">
+          Change to return: <strong>{formatRupees(summary.change)}</strong>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { usersApi } from '../services/usersApi';
+import {
+  PRICE_OVERRIDE_REASONS,
+  validatePriceOverride,
+  requiresOverrideApproval,
+  getOverrideReductionPercent,
+  formatRupees,
+} from '../utils';
+import { PRICE_OVERRIDE_APPROVAL_PERCENT } from '../config/priceOverride';
+
+/**
+ * PriceOverrideEditor Component
+ * Inline form for changing a cart line's unit price. A reason is always
+ * required; cuts beyond the approval threshold need a manager - either the
+ * logged-in user or a manager entering their PIN at the counter.
+ *
+ * @param {Object} props
+ * @param {Object} props.item - Cart item data
+ * @param {Function} props.onApply - Called with the override { unit_price, original_price, reason, approval_token, requested_by, approved_by, approval_method }.
+ *   Only the price, reason and token go to the server; the names are for showing the line until it answers.
+ * @param {Function} props.onCancel - Called to close the editor
+ */
+export const PriceOverrideEditor = ({ item, onApply, onCancel }) => {
+  const { userInfo, isManager } = useAuth();
+  const originalPrice = item.price_override?.original_price ?? item.price;
+
+  const [price, setPrice] = useState(String(item.price));
+  const [reason, setReason] = useState(PRICE_OVERRIDE_REASONS[0]);
+  const [note, setNote] = useState('');
+  const [pin, setPin] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reductionPercent = getOverrideReductionPercent(originalPrice, price);
+  const needsApproval = requiresOverrideApproval(originalPrice, price);
+  const needsPin = needsApproval && !isManager();
+  const fullReason = reason === 'Other' ? note.trim() : [reason, note.trim()].filter(Boolean).join(' – ');
+  const userName = userInfo?.email || userInfo?.name || null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validatePriceOverride({ unitPrice: price, originalPrice: item.price, reason: fullReason });
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    if (needsPin && !pin) {
+      setError('A manager needs to enter their PIN to approve this price');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      let approver = null;
+      if (needsPin) {
+        let manager;
+        try {
+          manager = await usersApi.verifyManagerPin(pin);
+        } catch (err) {
+          setError(err.status === 401 || err.status === 403
+            ? 'PIN not recognised or not a manager'
+            : `Failed to check PIN: ${err.message}`);
+          setPin('');
+          return;
+        }
+        approver = {
+          approved_by: manager.email || manager.name,
+          approval_method: 'manager_pin',
+          approval_token: manager.approval_token,
+        };
+      } else if (needsApproval) {
+        approver = { approved_by: userName, approval_method: 'manager_login' };
+      }
+
+      await onApply({
+        unit_price: Math.round(parseFloat(price) * 100) / 100,
+        original_price: originalPrice,
+        reason: fullReason,
+        approval_token: approver?.approval_token || null,
+        requested_by: userName,
+        approved_by: approver?.approved_by || null,
+        approval_method: approver?.approval_method || null,
+      });
+    } catch (err) {
+      setError(`Failed to change price: ${err.message}`);
+      setPin('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="price-override-editor" onSubmit={handleSubmit}>
+      <div className="price-override-row">
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          className="input-field"
+          value={price}
+          onChange={(e) => { setPrice(e.target.value); setError(null); }}
+          aria-label="New unit price"
+          autoFocus
+        />
+        <select className="input-field" value={reason} onChange={(e) => setReason(e.target.value)}>
+          {PRICE_OVERRIDE_REASONS.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="input-field"
+          placeholder={reason === 'Other' ? 'Reason (required)' : 'Note (optional)'}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+      </div>
+
+      <div className="price-override-hint">
+        Catalog price {formatRupees(originalPrice)}
+        {reductionPercent !== 0 && ` · ${reductionPercent > 0 ? `${reductionPercent}% off` : `${Math.abs(reductionPercent)}% above`}`}
+      </div>
+
+      {needsApproval && (
+        <div className="price-override-approval">
+          <ShieldCheck size={14} />
+          {needsPin ? (
+            <>
+              <span>More than {PRICE_OVERRIDE_APPROVAL_PERCENT}% off needs a manager:</span>
+              <input
+                type="password"
+                inputMode="numeric"
+                className="input-field"
+                placeholder="Manager PIN"
+                value={pin}
+                onChange={(e) => { setPin(e.target.value); setError(null); }}
+                autoComplete="off"
+              />
+            </>
+          ) : (
+            <span>Approved by you as manager</span>
+          )}
+        </div>
+      )}
+
+      {error && <div className="price-override-error">❌ {error}</div>}
+
+      <div className="price-override-actions">
+        <button type="button" className="btn-link" onClick={onCancel} disabled={submitting}>Cancel</button>
+        <button type="submit" className="btn-secondary" disabled={submitting}>
+          {submitting ? 'Saving...' : 'Apply Price'}
+        </button>
+      </div>
+    </form>
+  );
+};
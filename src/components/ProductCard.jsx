@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { Eye } from 'lucide-react';
 import { formatRupees } from '../utils';
+import { usePrimaryImage } from '../hooks';
 
 /**
  * ProductCard Component
@@ -10,8 +11,11 @@ import { formatRupees } from '../utils';
  * @param {Object} props
  * @param {Object} props.product - Product data
  * @param {Function} props.onAddToCart - Callback when add to cart is clicked
+ * @param {boolean} props.selectable - Show a checkbox for picking products (e.g. for labels)
+ * @param {boolean} props.selected - Whether the product is picked
+ * @param {Function} props.onToggleSelect - Callback when the checkbox is toggled
  */
-export const ProductCard = ({ product, onAddToCart }) => {
+export const ProductCard = ({ product, onAddToCart, selectable = false, selected = false, onToggleSelect }) => {
   const {
     id,
     item_id,
@@ -40,19 +44,34 @@ export const ProductCard = ({ product, onAddToCart }) => {
   const isLowStock = finalStock < 3 && finalStock > 0;
 
   // Handle image display - check if it's a URL or emoji
-  const isImageUrl = typeof image === 'string' && (image.startsWith('http') || image.startsWith('https'));
+  const hasImageUrl = typeof image === 'string' && (image.startsWith('http') || image.startsWith('https'));
+  // Real jewelry shows the primary image uploaded for its SKU
+  const primaryImage = usePrimaryImage(sku, !isDemistified && !hasImageUrl);
+  const imageUrl = hasImageUrl ? image : primaryImage;
+  const isImageUrl = Boolean(imageUrl);
 
   // Create product detail link
   const productDetailLink = `/product/${productType}/${encodeURIComponent(productIdentifier)}`;
 
   return (
-    <div className={`product-card ${isDemistified ? 'demistified' : ''}`}>
+    <div className={`product-card ${isDemistified ? 'demistified' : ''} ${selected ? 'selected' : ''}`}>
+      {selectable && (
+        <label className="product-card-select">
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={() => onToggleSelect(product)}
+            aria-label={`Select ${name}`}
+          />
+        </label>
+      )}
+
       {/* Make the image clickable to view details */}
       <Link to={productDetailLink} className="product-image-link">
         <div className="product-image">
           {isImageUrl ? (
             <img 
-              src={image} 
+              src={imageUrl} 
               alt={name} 
               className="product-img"
               onError={(e) => {
@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useDrag, useDrop } from 'react-dnd';
+import { Star, Trash2, ImagePlus, Upload, X, Maximize2, GripVertical } from 'lucide-react';
+import { useProductImages } from '../hooks';
+import { ImageZoomViewer } from './ImageZoomViewer';
+import { compressImage, formatFileSize, moveListItem } from '../utils';
+import { MAX_IMAGES_PER_SKU } from '../config/productImages';
+
+const THUMBNAIL_TYPE = 'product-image';
+
+// Thumbnail that can be dragged to a new position in the strip
+const GalleryThumbnail = ({ image, index, isActive, isPrimary, disabled, onSelect, onMove, onDrop, onMakePrimary, onDelete }) => {
+  const ref = useRef(null);
+
+  const [, drop] = useDrop({
+    accept: THUMBNAIL_TYPE,
+    hover: (item) => {
+      if (item.index === index) return;
+      onMove(item.index, index);
+      item.index = index;
+    },
+  });
+
+  const [{ isDragging }, drag] = useDrag({
+    type: THUMBNAIL_TYPE,
+    item: { index },
+    canDrag: !disabled,
+    end: () => onDrop(),
+    collect: (monitor) => ({
+      isDragging: monitor.isDragging(),
+    }),
+  });
+
+  drag(drop(ref));
+
+  return (
+    <div
+      ref={ref}
+      className={`gallery-thumb ${isActive ? 'active' : ''} ${isDragging ? 'dragging' : ''}`}
+      onClick={() => onSelect(image.name)}
+    >
+      <img src={image.url} alt={`Thumbnail ${index + 1}`} />
+      {isPrimary && <span className="gallery-primary-badge">Primary</span>}
+      <div className="gallery-thumb-actions" onClick={(e) => e.stopPropagation()}>
+        <GripVertical size={14} className="gallery-thumb-grip" />
+        {!isPrimary && (
+          <button type="button" onClick={() => onMakePrimary(image.name)} disabled={disabled} title="Make primary">
+            <Star size={14} />
+          </button>
+        )}
+        <button type="button" onClick={() => onDelete(image.name)} disabled={disabled} title="Delete image">
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * ProductImageGallery Component
+ * Images stored for a SKU with upload, drag-to-reorder, primary selection,
+ * delete and a zoom viewer. The primary image is the first one and is what
+ * product cards and cart lines show.
+ *
+ * @param {Object} props
+ * @param {string} props.sku - SKU the images are stored under
+ * @param {string} props.name - Product name, for alt text
+ */
+export const ProductImageGallery = ({ sku, name = '' }) => {
+  const { images, loading, saving, error, uploadImages, reorderImages, setPrimaryImage, deleteImage, clearError } = useProductImages(sku);
+  const [activeName, setActiveName] = useState(null);
+  const [dragOrder, setDragOrder] = useState(null);
+  const [pending, setPending] = useState([]);
+  const [compressing, setCompressing] = useState(false);
+  const [isZoomOpen, setIsZoomOpen] = useState(false);
+  const pendingRef = useRef(pending);
+  pendingRef.current = pending;
+
+  const shownImages = dragOrder || images;
+  const activeImage = shownImages.find((image) => image.name === activeName) || shownImages[0];
+  const remainingSlots = MAX_IMAGES_PER_SKU - images.length - pending.length;
+
+  // Free preview URLs when the gallery goes away
+  useEffect(() => () => pendingRef.current.forEach((entry) => URL.revokeObjectURL(entry.previewUrl)), []);
+
+  const handleFilesChosen = async (e) => {
+    const files = Array.from(e.target.files || []).filter((file) => file.type.startsWith('image/'));
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    if (files.length > remainingSlots) {
+      alert(`⚠️ A product can have up to ${MAX_IMAGES_PER_SKU} images. ${remainingSlots > 0 ? `Choose ${remainingSlots} or fewer.` : 'Delete some first.'}`);
+      return;
+    }
+
+    try {
+      setCompressing(true);
+      const results = await Promise.all(files.map(compressImage));
+      setPending((prev) => [
+        ...prev,
+        ...results.map((result) => ({ ...result, previewUrl: URL.createObjectURL(result.file) })),
+      ]);
+    } catch (err) {
+      console.error('Image compression error:', err);
+      alert(`❌ ${err.message}`);
+    } finally {
+      setCompressing(false);
+    }
+  };
+
+  const removePending = (index) => {
+    URL.revokeObjectURL(pending[index].previewUrl);
+    setPending((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleUpload = async () => {
+    try {
+      await uploadImages(pending.map((entry) => entry.file));
+      pending.forEach((entry) => URL.revokeObjectURL(entry.previewUrl));
+      setPending([]);
+    } catch (err) {
+      // Error is shown by the hook; the previews stay so the upload can be retried
+    }
+  };
+
+  const handleMove = (fromIndex, toIndex) => {
+    setDragOrder((current) => moveListItem(current || images, fromIndex, toIndex));
+  };
+
+  const handleDrop = async () => {
+    if (!dragOrder) return;
+    const changed = dragOrder.some((image, index) => image.name !== images[index]?.name);
+    setDragOrder(null);
+    if (!changed) return;
+
+    try {
+      await reorderImages(dragOrder);
+    } catch (err) {
+      // Order is put back by the hook
+    }
+  };
+
+  const handleMakePrimary = async (imageName) => {
+    try {
+      await setPrimaryImage(imageName);
+      setActiveName(imageName);
+    } catch (err) {
+      // Order is put back by the hook
+    }
+  };
+
+  const handleDelete = async (imageName) => {
+    if (!window.confirm('Delete this image? It will be removed from the product everywhere.')) return;
+    try {
+      await deleteImage(imageName);
+    } catch (err) {
+      // Error is shown by the hook
+    }
+  };
+
+  if (!sku) {
+    return (
+      <div className="image-container">
+        <div className="product-icon-large">💍</div>
+        <p className="gallery-hint">This variant has no SKU, so images can't be attached.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="product-image-gallery">
+      <div className="image-container">
+        {activeImage ? (
+          <>
+            <img
+              src={activeImage.url}
+              alt={name}
+              className="product-img gallery-main-img"
+              onClick={() => setIsZoomOpen(true)}
+            />
+            <button type="button" className="gallery-zoom-btn" onClick={() => setIsZoomOpen(true)} title="Zoom">
+              <Maximize2 size={18} />
+            </button>
+          </>
+        ) : (
+          <div className="product-icon-large">{loading ? '⏳' : '💍'}</div>
+        )}
+      </div>
+
+      {error && (
+        <div className="gallery-error">
+          <span>{error}</span>
+          <button type="button" onClick={clearError}><X size={14} /></button>
+        </div>
+      )}
+
+      {shownImages.length > 0 && (
+        <div className="gallery-thumbs">
+          {shownImages.map((image, index) => (
+            <GalleryThumbnail
+              key={image.name}
+              image={image}
+              index={index}
+              isActive={image.name === activeImage?.name}
+              isPrimary={index === 0}
+              disabled={saving}
+              onSelect={setActiveName}
+              onMove={handleMove}
+              onDrop={handleDrop}
+              onMakePrimary={handleMakePrimary}
+              onDelete={handleDelete}
+            />
+          ))}
+        </div>
+      )}
+      {shownImages.length > 1 && <p className="gallery-hint">Drag thumbnails to reorder. The first image is shown in the catalog and cart.</p>}
+
+      {pending.length > 0 && (
+        <div className="gallery-pending">
+          {pending.map((entry, index) => (
+            <div key={entry.previewUrl} className="gallery-pending-item">
+              <img src={entry.previewUrl} alt={`New image ${index + 1}`} />
+              <span className="gallery-pending-size">
+                {entry.compressed
+                  ? `${formatFileSize(entry.originalSize)} → ${formatFileSize(entry.compressedSize)}`
+                  : formatFileSize(entry.originalSize)}
+              </span>
+              <button type="button" className="remove-image-btn" onClick={() => removePending(index)} disabled={saving}>
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="image-actions gallery-actions">
+        <label className={`btn btn-outline ${remainingSlots <= 0 || compressing || saving ? 'disabled' : ''}`}>
+          <ImagePlus size={16} />
+          {compressing ? 'Compressing...' : 'Add Images'}
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            hidden
+            onChange={handleFilesChosen}
+            disabled={remainingSlots <= 0 || compressing || saving}
+          />
+        </label>
+        {pending.length > 0 && (
+          <button type="button" className="btn btn-primary" onClick={handleUpload} disabled={saving}>
+            <Upload size={16} />
+            {saving ? 'Uploading...' : `Upload ${pending.length}`}
+          </button>
+        )}
+      </div>
+
+      {isZoomOpen && shownImages.length > 0 && (
+        <ImageZoomViewer
+          images={shownImages}
+          startIndex={Math.max(0, shownImages.findIndex((image) => image.name === activeImage?.name))}
+          alt={name}
+          onClose={() => setIsZoomOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,345 @@
+import React, { useState, useMemo } from 'react';
+import { Upload, Download, FileSpreadsheet, CheckCircle, AlertCircle } from 'lucide-react';
+import { useProductImport } from '../hooks';
+import {
+  getImportFields,
+  suggestColumnMapping,
+  getUnmappedRequiredFields,
+  planProductImport,
+  toImportErrorCsv,
+  getImportTemplateCsv,
+} from '../utils';
+
+const STEPS = [
+  { key: 'upload', label: 'Upload' },
+  { key: 'mapping', label: 'Map Columns' },
+  { key: 'preview', label: 'Dry Run' },
+  { key: 'results', label: 'Import' },
+];
+
+const downloadCsv = (text, filename) => {
+  const blob = new Blob([text], { type: 'text/csv' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * ProductImportWizard Component
+ * Imports lab-grown products from a vendor CSV or Excel sheet: map the columns,
+ * check every row with the create form's rules, then create the valid products.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the wizard is open
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onImported - Called after an import that created at least one product
+ */
+export const ProductImportWizard = ({ isOpen, onClose, onImported }) => {
+  const { results, progress, importing, error, readFile, runImport, reset } = useProductImport();
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState({ headers: [], dataRows: [] });
+  const [mapping, setMapping] = useState({});
+  const [reading, setReading] = useState(false);
+
+  const fields = useMemo(() => getImportFields(), []);
+  const unmappedRequired = getUnmappedRequiredFields(mapping);
+  const plan = useMemo(
+    () => (step === 'preview' || step === 'results' ? planProductImport(sheet.dataRows, mapping) : []),
+    [step, sheet, mapping]
+  );
+
+  const validProducts = plan.filter((product) => product.isValid);
+  const invalidRows = plan.flatMap((product) => product.rows).filter((row) => row.errors.length > 0);
+  const failedResults = results.filter((result) => result.status === 'failed');
+  const createdCount = results.filter((result) => result.status === 'created').length;
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    if (importing) return;
+    setStep('upload');
+    setFileName('');
+    setSheet({ headers: [], dataRows: [] });
+    setMapping({});
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setReading(true);
+      const { headers, dataRows } = await readFile(file);
+      setFileName(file.name);
+      setSheet({ headers, dataRows });
+      setMapping(suggestColumnMapping(headers));
+      setStep('mapping');
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping((prev) => {
+      const next = { ...prev };
+      if (value === '') delete next[fieldKey];
+      else next[fieldKey] = parseInt(value);
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    setStep('results');
+    const outcome = await runImport(plan);
+    if (outcome.some((result) => result.status === 'created')) {
+      onImported?.();
+    }
+  };
+
+  // Invalid rows and rows of products the backend rejected, with the reason
+  const handleDownloadErrors = () => {
+    const rejectedRows = failedResults.flatMap((result) => result.rows.map((row) => ({
+      ...row,
+      errors: [result.message],
+    })));
+    const failedRows = [...invalidRows, ...rejectedRows].sort((a, b) => a.rowNumber - b.rowNumber);
+    const baseName = fileName.replace(/\.[^.]+$/, '') || 'import';
+    downloadCsv(toImportErrorCsv(sheet.headers, failedRows), `${baseName}_errors.csv`);
+  };
+
+  const stepIndex = STEPS.findIndex((entry) => entry.key === step);
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content product-import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import Lab-Grown Products</h2>
+          <button className="modal-close" onClick={handleClose} disabled={importing}>✕</button>
+        </div>
+
+        <div className="modal-body">
+          <ol className="product-import-steps">
+            {STEPS.map((entry, index) => (
+              <li
+                key={entry.key}
+                className={index === stepIndex ? 'active' : index < stepIndex ? 'done' : ''}
+              >
+                {index + 1}. {entry.label}
+              </li>
+            ))}
+          </ol>
+
+          {error && <div className="error-message">{error}</div>}
+
+          {step === 'upload' && (
+            <div className="product-import-upload">
+              <FileSpreadsheet size={40} />
+              <p>Choose a .csv or .xlsx file. Each row is one variant; rows with the same Product Ref become variants of one product.</p>
+              <label className="btn btn-primary product-import-file">
+                <Upload size={18} />
+                {reading ? 'Reading...' : 'Choose File'}
+                <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} disabled={reading} hidden />
+              </label>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => downloadCsv(getImportTemplateCsv(), 'lab_product_import_template.csv')}
+              >
+                <Download size={18} />
+                Download Template
+              </button>
+            </div>
+          )}
+
+          {step === 'mapping' && (
+            <>
+              <p className="product-import-hint">
+                {fileName} - {sheet.dataRows.length} rows. Match each field to a column in the file; fields marked * are required.
+              </p>
+              <div className="product-import-mapping">
+                {fields.map((field) => (
+                  <div key={field.key} className="form-group">
+                    <label>
+                      {field.label} {field.required && <span className="required">*</span>}
+                    </label>
+                    <select
+                      className="input-field"
+                      value={mapping[field.key] ?? ''}
+                      onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    >
+                      <option value="">— Not in file —</option>
+                      {sheet.headers.map((header, index) => (
+                        <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              {unmappedRequired.length > 0 && (
+                <p className="product-import-warning">
+                  <AlertCircle size={16} />
+                  Map {unmappedRequired.map((field) => field.label).join(', ')} to continue
+                </p>
+              )}
+            </>
+          )}
+
+          {step === 'preview' && (
+            <>
+              <div className="product-import-summary">
+                <span className="product-import-ok">
+                  <CheckCircle size={16} />
+                  {validProducts.length} product{validProducts.length === 1 ? '' : 's'} ready
+                </span>
+                {invalidRows.length > 0 && (
+                  <span className="product-import-failed">
+                    <AlertCircle size={16} />
+                    {invalidRows.length} row{invalidRows.length === 1 ? '' : 's'} with errors will be skipped
+                  </span>
+                )}
+              </div>
+              <div className="table-container">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Product</th>
+                      <th>SKU</th>
+                      <th>Category</th>
+                      <th>Net Weight</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.flatMap((product) => product.rows.map((row) => (
+                      <tr key={row.rowNumber} className={row.errors.length > 0 ? 'product-import-row-error' : ''}>
+                        <td>{row.rowNumber}</td>
+                        <td>{product.key.startsWith('row-') ? '—' : product.key}</td>
+                        <td>{row.variant.sku || '—'}</td>
+                        <td>{row.product.category} {row.product.jewelry_type && `/ ${row.product.jewelry_type}`}</td>
+                        <td>{row.variant.net_weight_g ? `${row.variant.net_weight_g}g` : '—'}</td>
+                        <td>
+                          {row.errors.length > 0
+                            ? row.errors.map((message) => <div key={message}>{message}</div>)
+                            : product.isValid ? 'Ready' : 'Skipped - another variant has errors'}
+                        </td>
+                      </tr>
+                    )))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {step === 'results' && (
+            <>
+              {importing ? (
+                <p className="product-import-hint">
+                  Creating products... {progress.done} of {progress.total}
+                </p>
+              ) : (
+                <div className="product-import-summary">
+                  <span className="product-import-ok">
+                    <CheckCircle size={16} />
+                    {createdCount} created
+                  </span>
+                  {(failedResults.length > 0 || invalidRows.length > 0) && (
+                    <span className="product-import-failed">
+                      <AlertCircle size={16} />
+                      {failedResults.length} failed, {invalidRows.length} invalid row{invalidRows.length === 1 ? '' : 's'} skipped
+                    </span>
+                  )}
+                </div>
+              )}
+              <div className="table-container">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Rows</th>
+                      <th>Product</th>
+                      <th>Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map((result) => (
+                      <tr key={result.key} className={result.status === 'created' ? '' : 'product-import-row-error'}>
+                        <td>{result.rows.map((row) => row.rowNumber).join(', ')}</td>
+                        <td>{result.key.startsWith('row-') ? result.rows[0].variant.sku || '—' : result.key}</td>
+                        <td>{result.status === 'created' ? `✅ ${result.message}` : `❌ ${result.message}`}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          {step === 'mapping' && (
+            <>
+              <button type="button" className="btn btn-secondary" onClick={() => setStep('upload')}>
+                Back
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => setStep('preview')}
+                disabled={unmappedRequired.length > 0}
+              >
+                Check Rows
+              </button>
+            </>
+          )}
+
+          {step === 'preview' && (
+            <>
+              <button type="button" className="btn btn-secondary" onClick={() => setStep('mapping')}>
+                Back
+              </button>
+              {invalidRows.length > 0 && (
+                <button type="button" className="btn btn-secondary" onClick={handleDownloadErrors}>
+                  <Download size={18} />
+                  Download Errors
+                </button>
+              )}
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleImport}
+                disabled={validProducts.length === 0 || importing}
+              >
+                Import {validProducts.length} Product{validProducts.length === 1 ? '' : 's'}
+              </button>
+            </>
+          )}
+
+          {step === 'results' && (
+            <>
+              {!importing && (failedResults.length > 0 || invalidRows.length > 0) && (
+                <button type="button" className="btn btn-secondary" onClick={handleDownloadErrors}>
+                  <Download size={18} />
+                  Download Errors
+                </button>
+              )}
+              <button type="button" className="btn btn-primary" onClick={handleClose} disabled={importing}>
+                Done
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
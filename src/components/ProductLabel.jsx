@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { Code128Barcode } from './Code128Barcode';
+import { getLabelValues } from '../utils';
+import { LABEL_FIELDS } from '../config/labels';
+
+/**
+ * ProductLabel Component
+ * One price tag or barcode label, drawn at its printed size in millimetres
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Product from the api.js transforms
+ * @param {Object} props.template - Label template with any size, symbology and field changes applied
+ */
+export const ProductLabel = ({ product, template }) => {
+  const values = getLabelValues(product);
+  const [qrDataUrl, setQrDataUrl] = useState(null);
+  const isQr = template.symbology === 'qr';
+
+  useEffect(() => {
+    if (!isQr || !values.barcode) return;
+    let cancelled = false;
+    QRCode.toDataURL(values.barcode, { width: 240, margin: 0, errorCorrectionLevel: 'M' })
+      .then((url) => !cancelled && setQrDataUrl(url))
+      .catch((err) => console.error('Failed to render label QR:', err));
+    return () => { cancelled = true; };
+  }, [isQr, values.barcode]);
+
+  const fields = LABEL_FIELDS.filter(({ key }) => template.fields.includes(key) && values[key]);
+
+  const code = (
+    <div className="product-label-code">
+      {isQr ? (
+        qrDataUrl && <img src={qrDataUrl} alt={`QR for ${values.barcode}`} className="product-label-qr" />
+      ) : (
+        <>
+          <Code128Barcode value={values.barcode} className="product-label-bars" />
+          <div className="product-label-code-text">{values.barcode}</div>
+        </>
+      )}
+    </div>
+  );
+
+  const details = (
+    <div className="product-label-fields">
+      {fields.map(({ key, label }) => (
+        <div key={key} className={`product-label-field product-label-${key}`}>
+          {key !== 'name' && key !== 'price' && <span className="product-label-field-name">{label}</span>}
+          <span>{values[key]}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  const size = { width: `${template.width_mm}mm`, height: `${template.height_mm}mm` };
+
+  if (template.layout === 'dumbbell') {
+    const flap = { width: `${template.flap_width_mm}mm` };
+    return (
+      <div className="product-label product-label-dumbbell" style={size}>
+        <div className="product-label-flap" style={flap}>{code}</div>
+        <div className="product-label-tail" />
+        <div className="product-label-flap" style={flap}>{details}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`product-label product-label-rectangle ${isQr ? 'product-label-with-qr' : ''}`} style={size}>
+      {code}
+      {details}
+    </div>
+  );
+};
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Printer, Usb, Cable } from 'lucide-react';
+import { useReceiptPrinter } from '../hooks';
+import { ThermalReceipt } from './ThermalReceipt';
+
+/**
+ * ReceiptPrintActions Component
+ * Print button for the counter receipt, with thermal printer pairing.
+ * Without a paired printer the receipt prints through the browser in an 80mm layout.
+ *
+ * @param {Object} props
+ * @param {Object} props.receipt - Result of buildReceipt
+ */
+export const ReceiptPrintActions = ({ receipt }) => {
+  const { printer, printing, error, isSupported, connectPrinter, disconnectPrinter, printReceipt } = useReceiptPrinter();
+
+  const handlePrint = async () => {
+    try {
+      const method = await printReceipt(receipt);
+      if (method === 'html') window.print();
+    } catch (err) {
+      if (window.confirm(`❌ Thermal printer failed: ${err.message}\n\nPrint from the browser instead?`)) {
+        window.print();
+      }
+    }
+  };
+
+  const handleConnect = async (type) => {
+    try {
+      await connectPrinter(type);
+    } catch (err) {
+      if (err.name !== 'NotFoundError') {
+        alert(`❌ Failed to connect printer: ${err.message}`);
+      }
+    }
+  };
+
+  if (!receipt) return null;
+
+  return (
+    <div className="receipt-print-actions">
+      <button className="btn-primary" onClick={handlePrint} disabled={printing}>
+        <Printer size={18} />
+        {printing ? 'Printing...' : 'Print Receipt'}
+      </button>
+
+      {isSupported && (
+        <div className="receipt-printer-status">
+          {printer ? (
+            <>
+              <span>🖨️ {printer.name}</span>
+              <button className="btn-link" onClick={disconnectPrinter}>Disconnect</button>
+            </>
+          ) : (
+            <>
+              <span>No thermal printer paired</span>
+              <button className="btn-link" onClick={() => handleConnect('usb')}>
+                <Usb size={14} /> USB
+              </button>
+              <button className="btn-link" onClick={() => handleConnect('serial')}>
+                <Cable size={14} /> Serial
+              </button>
+            </>
+          )}
+        </div>
+      )}
+      {error && <div className="receipt-printer-error">{error}</div>}
+
+      {/* Browser print fallback - hidden on screen */}
+      <div className="receipt-print-container">
+        <ThermalReceipt receipt={receipt} />
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,439 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, RotateCcw, Package } from 'lucide-react';
+import { invoicesApi } from '../services/api';
+import { locationsApi } from '../services/locationsApi';
+import { shelvesApi } from '../services/shelfApi';
+import { boxesApi } from '../services/boxApi';
+import { useReturns, useGiftCards } from '../hooks';
+import { useAuth } from '../context/AuthContext';
+import { useShift } from '../context/ShiftContext';
+import { LoadingSpinner } from './LoadingSpinner';
+import { ErrorMessage } from './ErrorMessage';
+import { InvoiceReturnsHistory } from './InvoiceReturnsHistory';
+import {
+  REFUND_METHODS,
+  RETURN_REASONS,
+  getInvoiceLines,
+  getReturnedQuantities,
+  calculateReturnTotals,
+  formatRupees,
+  GIFT_CARD_TYPES,
+} from '../utils';
+
+const toList = (data, key) => (Array.isArray(data) ? data : data?.[key] || []);
+
+/**
+ * ReturnInvoiceModal Component
+ * Select invoice lines to return, issue a refund or credit note and put the
+ * pieces back into a box
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Close callback
+ * @param {Object} props.invoice - Invoice being returned against
+ * @param {Function} props.onReturned - Callback (result) after the return is recorded
+ */
+export const ReturnInvoiceModal = ({ isOpen, onClose, invoice, onReturned }) => {
+  const { userInfo } = useAuth();
+  const { recordReturn } = useShift();
+  const { returns, loading: returnsLoading, loadReturns, createReturn } = useReturns();
+  const { issueCard } = useGiftCards();
+
+  const [invoiceDetails, setInvoiceDetails] = useState(null);
+  const [loadingInvoice, setLoadingInvoice] = useState(false);
+  const [selections, setSelections] = useState({});
+  const [reason, setReason] = useState(RETURN_REASONS[0]);
+  const [notes, setNotes] = useState('');
+  const [refundMethod, setRefundMethod] = useState('store_credit');
+  const [creditToWallet, setCreditToWallet] = useState(true);
+  const [restock, setRestock] = useState(true);
+  const [locations, setLocations] = useState([]);
+  const [shelves, setShelves] = useState([]);
+  const [boxes, setBoxes] = useState([]);
+  const [locationId, setLocationId] = useState('');
+  const [shelfId, setShelfId] = useState('');
+  const [boxId, setBoxId] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const invoiceId = invoice?.id || invoice?.invoice_id;
+  // Store credit can only go into a wallet when the invoice was billed to a customer
+  const customerId = invoiceDetails?.customer_id || invoice?.customer_id || null;
+  const walletCredit = refundMethod === 'store_credit' && creditToWallet && !!customerId;
+
+  // Invoice list entries don't always carry line items - fetch the full invoice
+  useEffect(() => {
+    if (!isOpen || !invoiceId) return;
+
+    const load = async () => {
+      try {
+        setLoadingInvoice(true);
+        setError(null);
+        const [details] = await Promise.all([
+          invoicesApi.getById(invoiceId),
+          loadReturns(invoiceId).catch(() => []),
+        ]);
+        setInvoiceDetails(details?.invoice || details);
+      } catch (err) {
+        console.error('Failed to load invoice for return:', err);
+        setError(err.message || 'Failed to load invoice');
+      } finally {
+        setLoadingInvoice(false);
+      }
+    };
+
+    setSelections({});
+    setNotes('');
+    load();
+    locationsApi.getAll(true)
+      .then((data) => setLocations(toList(data, 'locations')))
+      .catch((err) => console.warn('Failed to load locations:', err));
+  }, [isOpen, invoiceId, loadReturns]);
+
+  useEffect(() => {
+    setShelves([]);
+    setShelfId('');
+    if (!locationId) return;
+    shelvesApi.getByLocation(locationId, true)
+      .then((data) => setShelves(toList(data, 'shelves')))
+      .catch((err) => console.warn('Failed to load shelves:', err));
+  }, [locationId]);
+
+  useEffect(() => {
+    setBoxes([]);
+    setBoxId('');
+    if (!shelfId) return;
+    boxesApi.getByShelf(shelfId, true)
+      .then((data) => setBoxes(toList(data, 'boxes')))
+      .catch((err) => console.warn('Failed to load boxes:', err));
+  }, [shelfId]);
+
+  const lines = useMemo(() => getInvoiceLines(invoiceDetails || invoice || {}), [invoiceDetails, invoice]);
+  const returnedQuantities = useMemo(() => getReturnedQuantities(returns), [returns]);
+  const totals = calculateReturnTotals(lines, selections, invoiceDetails || invoice || {});
+  const selectedLines = lines.filter((line) => (parseInt(selections[line.line_id]) || 0) > 0);
+
+  const remainingFor = (line) => Math.max(0, line.quantity - (returnedQuantities[line.line_id] || 0));
+
+  const toggleLine = (line) => {
+    setSelections((prev) => ({
+      ...prev,
+      [line.line_id]: prev[line.line_id] ? 0 : remainingFor(line),
+    }));
+    setError(null);
+  };
+
+  const setLineQuantity = (line, value) => {
+    const quantity = Math.min(remainingFor(line), Math.max(0, parseInt(value) || 0));
+    setSelections((prev) => ({ ...prev, [line.line_id]: quantity }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (selectedLines.length === 0) {
+      setError('Select at least one item to return');
+      return;
+    }
+    if (reason === 'Other' && !notes.trim()) {
+      setError('Describe the reason for the return');
+      return;
+    }
+    if (restock && !boxId) {
+      setError('Choose the box the pieces are going back into');
+      return;
+    }
+
+    const returnData = {
+      invoice_id: invoiceId,
+      items: selectedLines.map((line) => ({
+        line_id: line.line_id,
+        product_id: line.product_id,
+        product_type: line.product_type,
+        name: line.name,
+        sku: line.sku,
+        quantity: parseInt(selections[line.line_id]),
+        amount: Math.round((line.amount / line.quantity) * selections[line.line_id] * 100) / 100,
+      })),
+      reason,
+      notes: notes.trim() || null,
+      refund_method: refundMethod,
+      refund_amount: totals.total,
+      tax_amount: totals.tax,
+      discount_amount: totals.discount,
+      restock_box_id: restock ? parseInt(boxId) : null,
+    };
+
+    try {
+      setIsSubmitting(true);
+      const { result, restockErrors } = await createReturn(
+        returnData,
+        userInfo?.email || userInfo?.name || 'app_user'
+      );
+
+      try {
+        await recordReturn({
+          return_id: result.id,
+          invoice_id: invoiceId,
+          refund_method: refundMethod,
+          refund_amount: totals.total,
+        });
+      } catch (shiftError) {
+        console.warn('⚠️ Failed to record return against shift:', shiftError);
+      }
+
+      let message = `✅ Return recorded. ${result.credit_note_number ? `Credit note ${result.credit_note_number}` : 'Refund'} for ${formatRupees(totals.total)}.`;
+
+      // The credit note is already issued, so a wallet failure only needs a follow-up from Gift Cards
+      if (walletCredit) {
+        try {
+          const card = await issueCard({
+            card_type: GIFT_CARD_TYPES.STORE_CREDIT,
+            amount: totals.total,
+            customer_id: customerId,
+            source: 'credit_note',
+            source_reference: result.credit_note_number || result.id,
+          });
+          message += `\nAdded to the customer's wallet as store credit ${card.card_number}.`;
+        } catch (walletError) {
+          message += `\n\n⚠️ Credit note could not be added to the customer's wallet: ${walletError.message}. Issue it as store credit from Gift Cards.`;
+        }
+      }
+      if (restockErrors.length > 0) {
+        message += `\n\n⚠️ Some pieces could not be put back into the box:\n${restockErrors.join('\n')}`;
+      }
+      alert(message);
+
+      if (onReturned) onReturned(result);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to record return');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content return-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <RotateCcw size={24} />
+            <span>Return Items – {invoice?.invoice_number || invoiceId}</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        {loadingInvoice ? (
+          <div className="modal-body">
+            <LoadingSpinner message="Loading invoice..." />
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="modal-body">
+            {error && <ErrorMessage message={error} />}
+
+            <table className="return-lines">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Item</th>
+                  <th>Sold</th>
+                  <th>Returned</th>
+                  <th>Return Qty</th>
+                  <th>Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {lines.length === 0 && (
+                  <tr>
+                    <td colSpan="6" className="returns-history-empty">This invoice has no line items</td>
+                  </tr>
+                )}
+                {lines.map((line) => {
+                  const remaining = remainingFor(line);
+                  const selected = (parseInt(selections[line.line_id]) || 0) > 0;
+                  return (
+                    <tr key={line.line_id} className={remaining === 0 ? 'return-line-done' : ''}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selected}
+                          onChange={() => toggleLine(line)}
+                          disabled={remaining === 0 || isSubmitting}
+                        />
+                      </td>
+                      <td>
+                        <div>{line.name}</div>
+                        {line.sku && <small>{line.sku}</small>}
+                      </td>
+                      <td>{line.quantity}</td>
+                      <td>{returnedQuantities[line.line_id] || 0}</td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          max={remaining}
+                          value={selections[line.line_id] || 0}
+                          onChange={(e) => setLineQuantity(line, e.target.value)}
+                          disabled={remaining === 0 || isSubmitting}
+                        />
+                      </td>
+                      <td>{formatRupees(line.amount)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <div className="form-group">
+              <label htmlFor="return-reason">
+                Reason <span className="required">*</span>
+              </label>
+              <select
+                id="return-reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                disabled={isSubmitting}
+              >
+                {RETURN_REASONS.map((option) => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="return-notes">Notes</label>
+              <textarea
+                id="return-notes"
+                rows="2"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Condition of the piece, what the customer is taking instead..."
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>
+                Refund As <span className="required">*</span>
+              </label>
+              <div className="refund-methods">
+                {REFUND_METHODS.map((method) => (
+                  <label key={method.value} className="checkbox-label">
+                    <input
+                      type="radio"
+                      name="refund_method"
+                      value={method.value}
+                      checked={refundMethod === method.value}
+                      onChange={(e) => setRefundMethod(e.target.value)}
+                      disabled={isSubmitting}
+                    />
+                    <span>{method.label}</span>
+                  </label>
+                ))}
+              </div>
+              {refundMethod === 'store_credit' && customerId && (
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={creditToWallet}
+                    onChange={(e) => setCreditToWallet(e.target.checked)}
+                    disabled={isSubmitting}
+                  />
+                  <span>Add the credit note to the customer's wallet</span>
+                </label>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={restock}
+                  onChange={(e) => setRestock(e.target.checked)}
+                  disabled={isSubmitting}
+                />
+                <span>Put the returned pieces back into stock</span>
+              </label>
+
+              {restock && (
+                <div className="restock-picker">
+                  <Package size={18} />
+                  <select value={locationId} onChange={(e) => setLocationId(e.target.value)} disabled={isSubmitting}>
+                    <option value="">Location</option>
+                    {locations.map((location) => (
+                      <option key={location.id} value={location.id}>{location.location_name || location.name}</option>
+                    ))}
+                  </select>
+                  <select value={shelfId} onChange={(e) => setShelfId(e.target.value)} disabled={!locationId || isSubmitting}>
+                    <option value="">Shelf</option>
+                    {shelves.map((shelf) => (
+                      <option key={shelf.id} value={shelf.id}>{shelf.shelf_name || shelf.shelf_code}</option>
+                    ))}
+                  </select>
+                  <select value={boxId} onChange={(e) => setBoxId(e.target.value)} disabled={!shelfId || isSubmitting}>
+                    <option value="">Box</option>
+                    {boxes.map((box) => (
+                      <option key={box.id} value={box.id}>{box.box_name || box.box_code}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+
+            <div className="return-totals">
+              <div className="summary-line">
+                <span>Items</span>
+                <span>{formatRupees(totals.subtotal)}</span>
+              </div>
+              {totals.discount > 0 && (
+                <div className="summary-line">
+                  <span>Discount reversed</span>
+                  <span>−{formatRupees(totals.discount)}</span>
+                </div>
+              )}
+              <div className="summary-line">
+                <span>GST</span>
+                <span>{formatRupees(totals.tax)}</span>
+              </div>
+              <div className="summary-line total">
+                <span>{refundMethod === 'store_credit' ? 'Credit Note' : 'Refund'}</span>
+                <span>{formatRupees(totals.total)}</span>
+              </div>
+            </div>
+
+            {returns.length > 0 && (
+              <div className="form-group">
+                <label>Previous Returns</label>
+                <InvoiceReturnsHistory returns={returns} loading={returnsLoading} />
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={onClose}
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={isSubmitting || selectedLines.length === 0}
+              >
+                {isSubmitting ? 'Processing...' : 'Record Return'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { UserPlus, Trash2 } from 'lucide-react';
+import { usersApi } from '../services/usersApi';
+import { createSalesSplit, balanceSalesSplits, validateSalesSplits } from '../utils';
+
+/**
+ * SalesPersonSplit Component
+ * Attributes a sale to one or more sales staff with a percentage share
+ *
+ * @param {Object} props
+ * @param {Array} props.splits - Sales splits { user_id, name, email, share_percent }
+ * @param {Function} props.onChange - Callback (splits) with the updated list
+ */
+export const SalesPersonSplit = ({ splits = [], onChange }) => {
+  const [staff, setStaff] = useState([]);
+
+  // The staff list is admin-only on the backend; without it names are typed in
+  useEffect(() => {
+    usersApi.getAll()
+      .then((data) => setStaff((Array.isArray(data) ? data : []).filter((user) => user.is_active !== false)))
+      .catch(() => setStaff([]));
+  }, []);
+
+  const validationError = validateSalesSplits(splits);
+
+  const updateSplit = (index, changes) => {
+    onChange(splits.map((split, i) => (i === index ? { ...split, ...changes } : split)));
+  };
+
+  const handleSelectStaff = (index, email) => {
+    const member = staff.find((user) => user.email === email);
+    if (member) {
+      const { share_percent } = splits[index];
+      updateSplit(index, { ...createSalesSplit(member), share_percent });
+    }
+  };
+
+  const handleAdd = () => {
+    onChange(balanceSalesSplits([...splits, createSalesSplit({}, 0)]));
+  };
+
+  const handleRemove = (index) => {
+    onChange(balanceSalesSplits(splits.filter((_, i) => i !== index)));
+  };
+
+  return (
+    <div className="sales-person-split">
+      {splits.map((split, index) => (
+        <div key={index} className="sales-person-line">
+          {staff.length > 0 ? (
+            <select
+              className="input-field"
+              value={split.email}
+              onChange={(e) => handleSelectStaff(index, e.target.value)}
+            >
+              <option value="">Select salesperson</option>
+              {staff.map((user) => (
+                <option key={user.id || user.email} value={user.email}>
+                  {user.name || user.email}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              className="input-field"
+              placeholder="Salesperson name"
+              value={split.name}
+              onChange={(e) => updateSplit(index, { name: e.target.value, user_id: null, email: '' })}
+            />
+          )}
+
+          {splits.length > 1 && (
+            <>
+              <div className="sales-person-share">
+                <input
+                  type="number"
+                  className="input-field"
+                  min="0"
+                  max="100"
+                  value={split.share_percent}
+                  onChange={(e) => updateSplit(index, { share_percent: e.target.value })}
+                />
+                <span>%</span>
+              </div>
+              <button
+                type="button"
+                className="btn-icon"
+                onClick={() => handleRemove(index)}
+                aria-label="Remove salesperson"
+              >
+                <Trash2 size={16} />
+              </button>
+            </>
+          )}
+        </div>
+      ))}
+
+      <div className="sales-person-actions">
+        <button type="button" className="btn-link" onClick={handleAdd}>
+          <UserPlus size={16} />
+          Split with another salesperson
+        </button>
+        {splits.length > 1 && (
+          <button type="button" className="btn-link" onClick={() => onChange(balanceSalesSplits(splits))}>
+            Split evenly
+          </button>
+        )}
+      </div>
+
+      {validationError && (
+        <div className="payment-warning">{validationError}</div>
+      )}
+    </div>
+  );
+};
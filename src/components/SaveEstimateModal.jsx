@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { X, ClipboardList } from 'lucide-react';
+import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import { useEstimates } from '../hooks';
+import { ErrorMessage } from './ErrorMessage';
+import { EstimateDocument } from './EstimateDocument';
+import { EstimateActions } from './EstimateActions';
+import { getDefaultValidUntil, formatRupees } from '../utils';
+
+const createEstimateForm = () => ({
+  customer_name: '',
+  customer_phone: '',
+  customer_email: '',
+  valid_until: getDefaultValidUntil(),
+  notes: '',
+});
+
+/**
+ * SaveEstimateModal Component
+ * Saves the active cart as a numbered estimate, then offers to print or share it
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Function to close the modal
+ */
+export const SaveEstimateModal = ({ isOpen, onClose }) => {
+  const { items, totals, appliedDiscount } = useCart();
+  const { userInfo } = useAuth();
+  const { saveEstimate, loading, error } = useEstimates();
+  const [formData, setFormData] = useState(createEstimateForm);
+  const [savedEstimate, setSavedEstimate] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleClose = () => {
+    setFormData(createEstimateForm());
+    setSavedEstimate(null);
+    onClose();
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (formData.valid_until < getDefaultValidUntil(new Date(), 0)) {
+      alert('❌ Validity date can\'t be in the past');
+      return;
+    }
+
+    try {
+      const estimate = await saveEstimate({
+        items,
+        totals,
+        appliedDiscount,
+        customer: {
+          name: formData.customer_name.trim() || null,
+          phone: formData.customer_phone.trim() || null,
+        },
+        validUntil: formData.valid_until,
+        notes: formData.notes.trim() || null,
+        createdBy: userInfo?.email || userInfo?.name || null,
+      });
+      setSavedEstimate({ ...estimate, customer_email: formData.customer_email.trim() || null });
+    } catch (err) {
+      // Error is shown by the hook
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content save-estimate-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <ClipboardList size={24} />
+            <span>{savedEstimate ? `Estimate ${savedEstimate.estimate_number}` : 'Save as Estimate'}</span>
+          </div>
+          <button className="modal-close" onClick={handleClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {savedEstimate ? (
+            <>
+              <EstimateDocument estimate={savedEstimate} />
+              <EstimateActions estimate={savedEstimate} />
+            </>
+          ) : (
+            <form className="estimate-form" onSubmit={handleSave}>
+              {error && <ErrorMessage message={error} />}
+              <p className="estimate-form-summary">
+                {totals.itemCount} items • {formatRupees(totals.total)}
+              </p>
+
+              <label className="input-label">Customer Name</label>
+              <input
+                type="text"
+                name="customer_name"
+                className="input-field"
+                value={formData.customer_name}
+                onChange={handleChange}
+              />
+
+              <label className="input-label">Phone</label>
+              <input
+                type="tel"
+                name="customer_phone"
+                className="input-field"
+                placeholder="+91 9876543210"
+                value={formData.customer_phone}
+                onChange={handleChange}
+              />
+
+              <label className="input-label">Email</label>
+              <input
+                type="email"
+                name="customer_email"
+                className="input-field"
+                value={formData.customer_email}
+                onChange={handleChange}
+              />
+
+              <label className="input-label">Valid Until</label>
+              <input
+                type="date"
+                name="valid_until"
+                className="input-field"
+                value={formData.valid_until}
+                onChange={handleChange}
+                required
+              />
+
+              <label className="input-label">Notes</label>
+              <textarea
+                name="notes"
+                className="input-field"
+                rows="2"
+                value={formData.notes}
+                onChange={handleChange}
+                placeholder="e.g. size to be adjusted"
+              />
+
+              <button type="submit" className="btn-primary btn-full" disabled={loading}>
+                {loading ? 'Saving...' : 'Save Estimate'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
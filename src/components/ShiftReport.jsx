@@ -0,0 +1,94 @@
+import React from 'react';
+import { Printer } from 'lucide-react';
+import { summarizeShift, formatPaymentMethod, formatRupees } from '../utils';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * ShiftReport Component
+ * Printable X report (mid-shift) or Z report (at close) for a till shift
+ *
+ * @param {Object} props
+ * @param {Object} props.shift - Shift with sales, returns and movements
+ * @param {string} props.type - 'X' for a running report, 'Z' for the closing report
+ * @param {string} props.locationName - Store location name
+ */
+export const ShiftReport = ({ shift, type = 'X', locationName }) => {
+  const summary = summarizeShift(shift);
+  const isClosing = type === 'Z';
+  const countedCash = parseFloat(shift.counted_cash) || 0;
+  const variance = isClosing ? Math.round((countedCash - summary.expectedCash) * 100) / 100 : 0;
+
+  const row = (label, value, className = '') => (
+    <div className={`summary-line ${className}`}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+
+  return (
+    <div className="shift-report print-area">
+      <div className="shift-report-header">
+        <h2>{type} Report</h2>
+        <div>{locationName || 'Store'} • {shift.user_name || shift.user_id}</div>
+        <div>Opened: {formatDateTime(shift.opened_at || shift.created_at)}</div>
+        <div>{isClosing ? `Closed: ${formatDateTime(shift.closed_at)}` : `Printed: ${formatDateTime(new Date())}`}</div>
+      </div>
+
+      <h3>Sales</h3>
+      {row('Invoices', summary.salesCount)}
+      {row('Gross sales', formatRupees(summary.grossSales))}
+      {row('Discounts given', formatRupees(summary.discounts))}
+
+      <h3>By Payment Method</h3>
+      {Object.keys(summary.byMethod).length === 0 && row('No payments', formatRupees(0))}
+      {Object.entries(summary.byMethod).map(([method, amount]) => (
+        <React.Fragment key={method}>{row(formatPaymentMethod(method), formatRupees(amount))}</React.Fragment>
+      ))}
+
+      <h3>Returns</h3>
+      {row('Returns', summary.returnsCount)}
+      {row('Total refunded / credited', formatRupees(summary.returnsTotal))}
+
+      <h3>Cash Drawer</h3>
+      {row('Opening float', formatRupees(shift.opening_float))}
+      {row('+ Cash sales', formatRupees(summary.byMethod.cash || 0))}
+      {row('− Change given', formatRupees(summary.changeGiven))}
+      {row('+ Cash in', formatRupees(summary.cashIn))}
+      {row('− Cash out', formatRupees(summary.cashOut))}
+      {row('− Cash refunds', formatRupees(summary.cashRefunds))}
+      {row('Expected cash', formatRupees(summary.expectedCash), 'total')}
+
+      {isClosing && (
+        <>
+          {row('Counted cash', formatRupees(countedCash))}
+          {row(
+            variance === 0 ? 'Variance' : variance > 0 ? 'Variance (over)' : 'Variance (short)',
+            formatRupees(variance),
+            variance === 0 ? '' : 'shift-variance'
+          )}
+          {shift.notes && <p className="shift-report-notes">Notes: {shift.notes}</p>}
+        </>
+      )}
+
+      {(shift.movements || []).length > 0 && (
+        <>
+          <h3>Cash Movements</h3>
+          {shift.movements.map((movement, index) => (
+            <React.Fragment key={movement.id || index}>
+              {row(
+                `${movement.type === 'cash_in' ? 'In' : 'Out'} – ${movement.reason || 'No reason'}`,
+                formatRupees(movement.amount)
+              )}
+            </React.Fragment>
+          ))}
+        </>
+      )}
+
+      <button type="button" className="btn-secondary btn-full no-print" onClick={() => window.print()}>
+        <Printer size={18} />
+        Print {type} Report
+      </button>
+    </div>
+  );
+};
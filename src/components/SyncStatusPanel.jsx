@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { Wifi, WifiOff, RefreshCw, AlertTriangle, Trash2 } from 'lucide-react';
+import { useOffline } from '../context/OfflineContext';
+import { useAuth } from '../context/AuthContext';
+import { QUEUED_SALE_STATUS, formatRupees } from '../utils';
+
+/**
+ * SyncStatusPanel Component
+ * Header indicator for connectivity and the offline sales queue, with a
+ * dropdown listing queued sales and any sync conflicts
+ */
+export const SyncStatusPanel = () => {
+  const {
+    isOnline,
+    queuedSales,
+    pendingCount,
+    conflictCount,
+    syncing,
+    lastSyncResult,
+    error,
+    syncNow,
+    retrySale,
+    discardSale,
+  } = useOffline();
+  const { isManager } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Close panel when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (isOpen && !event.target.closest('.sync-status-container')) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  // Conflicts need someone to act on them, so don't leave them to the badge alone
+  useEffect(() => {
+    if (lastSyncResult?.conflicts.length > 0) {
+      alert(`⚠️ ${lastSyncResult.conflicts.length} offline sale(s) could not be synced:\n\n${
+        lastSyncResult.conflicts.map((entry) => `${entry.provisional}: ${entry.message}`).join('\n')
+      }\n\nOpen the sync panel in the header to retry or resolve them.`);
+    }
+  }, [lastSyncResult]);
+
+  const handleDiscard = async (sale) => {
+    if (!window.confirm(
+      `Discard queued sale ${sale.provisional_invoice_number}?\n\nOnly do this once it has been billed again or refunded - it will not be synced.`
+    )) {
+      return;
+    }
+
+    try {
+      await discardSale(sale.id);
+    } catch (err) {
+      alert(`❌ Failed to discard sale: ${err.message}`);
+    }
+  };
+
+  const statusClass = conflictCount > 0 ? 'conflict' : !isOnline ? 'offline' : pendingCount > 0 ? 'pending' : 'online';
+  const statusLabel = syncing
+    ? 'Syncing...'
+    : !isOnline
+      ? 'Offline'
+      : conflictCount > 0
+        ? `${conflictCount} sale${conflictCount === 1 ? '' : 's'} need attention`
+        : pendingCount > 0
+          ? `${pendingCount} sale${pendingCount === 1 ? '' : 's'} waiting to sync`
+          : 'Online – all sales synced';
+
+  const StatusIcon = syncing ? RefreshCw : conflictCount > 0 ? AlertTriangle : isOnline ? Wifi : WifiOff;
+
+  return (
+    <div className="sync-status-container">
+      <button
+        className={`held-sales-button sync-status-button ${statusClass}`}
+        onClick={() => setIsOpen(!isOpen)}
+        title={statusLabel}
+      >
+        <StatusIcon size={22} className={syncing ? 'sync-spin' : ''} />
+        {queuedSales.length > 0 && (
+          <span className="cart-badge">{queuedSales.length}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="held-sales-dropdown">
+          <div className="held-sales-header">
+            <span>{statusLabel}</span>
+            <button
+              className="btn-icon"
+              onClick={syncNow}
+              disabled={syncing || pendingCount === 0}
+              title="Sync now"
+            >
+              <RefreshCw size={16} />
+            </button>
+          </div>
+
+          {error && <div className="held-sales-empty">{error}</div>}
+
+          {lastSyncResult && lastSyncResult.synced.length > 0 && (
+            <div className="sync-status-result">
+              Synced {lastSyncResult.synced.map((entry) => `${entry.provisional} → ${entry.invoice_number || 'invoice'}`).join(', ')}
+            </div>
+          )}
+
+          {queuedSales.length === 0 && (
+            <div className="held-sales-empty">No sales waiting to sync</div>
+          )}
+
+          {queuedSales.map((sale) => (
+            <div key={sale.id} className={`held-sale sync-sale ${sale.status}`}>
+              <div className="held-sale-info">
+                <div className="held-sale-customer">{sale.provisional_invoice_number}</div>
+                <div className="held-sale-meta">
+                  {sale.customer_name} • {formatRupees(sale.total_amount)} • {new Date(sale.queued_at).toLocaleTimeString()}
+                </div>
+                {sale.status === QUEUED_SALE_STATUS.CONFLICT && (
+                  <div className="sync-sale-error">{sale.last_error}</div>
+                )}
+                {sale.status === QUEUED_SALE_STATUS.PENDING && sale.last_error && (
+                  <div className="held-sale-notes">Last attempt: {sale.last_error}</div>
+                )}
+              </div>
+              {sale.status === QUEUED_SALE_STATUS.CONFLICT && (
+                <div className="sync-sale-actions">
+                  <button
+                    className="btn-outline btn-sm"
+                    onClick={() => retrySale(sale)}
+                    disabled={syncing || !isOnline}
+                  >
+                    Retry
+                  </button>
+                  {isManager() && (
+                    <button className="btn-icon" onClick={() => handleDiscard(sale)} title="Discard">
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { formatCurrency, formatReceiptLineDetail, formatReceiptLineHuids } from '../utils';
+import { RECEIPT_LOGO_URL } from '../config/receipt';
+
+/**
+ * ThermalReceipt Component
+ * 80mm receipt layout for printing through the browser when no thermal
+ * printer is connected directly
+ *
+ * @param {Object} props
+ * @param {Object} props.receipt - Result of buildReceipt
+ */
+export const ThermalReceipt = ({ receipt }) => {
+  const [qrDataUrl, setQrDataUrl] = useState(null);
+
+  useEffect(() => {
+    if (!receipt?.invoiceNumber) return;
+    let cancelled = false;
+    QRCode.toDataURL(receipt.invoiceNumber, { width: 160, margin: 1 })
+      .then((url) => !cancelled && setQrDataUrl(url))
+      .catch((err) => console.error('Failed to render receipt QR:', err));
+    return () => { cancelled = true; };
+  }, [receipt?.invoiceNumber]);
+
+  if (!receipt) return null;
+
+  const date = new Date(receipt.date);
+  const row = (label, value, className = '') => (
+    <div className={`receipt-row ${className}`}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+
+  return (
+    <div className="thermal-receipt print-area">
+      <div className="receipt-center">
+        {RECEIPT_LOGO_URL && <img src={RECEIPT_LOGO_URL} alt="" className="receipt-logo" />}
+        <div className="receipt-store-name">{receipt.store.name}</div>
+        {receipt.store.address && <div>{receipt.store.address}</div>}
+        {receipt.store.phone && <div>Ph: {receipt.store.phone}</div>}
+        {receipt.store.gstin && <div>GSTIN: {receipt.store.gstin}</div>}
+        <div className="receipt-heading">{receipt.provisional ? 'PROVISIONAL RECEIPT' : 'TAX INVOICE'}</div>
+      </div>
+
+      {row(`Invoice: ${receipt.invoiceNumber}`, date.toLocaleDateString('en-IN'))}
+      {row(receipt.cashier ? `Cashier: ${receipt.cashier}` : '', date.toLocaleTimeString('en-IN'))}
+      {receipt.customerName && <div>Customer: {receipt.customerName}</div>}
+      {receipt.customerPhone && <div>Phone: {receipt.customerPhone}</div>}
+      {receipt.placeOfSupply && <div>Place of supply: {receipt.placeOfSupply}</div>}
+
+      <div className="receipt-rule" />
+      {row('Item', 'Amount', 'receipt-bold')}
+      {receipt.lines.map((line, index) => (
+        <div key={index} className="receipt-line">
+          <div>{line.name}</div>
+          {formatReceiptLineDetail(line) && <div className="receipt-detail">{formatReceiptLineDetail(line)}</div>}
+          {formatReceiptLineHuids(line) && <div className="receipt-detail">{formatReceiptLineHuids(line)}</div>}
+          {row(`${line.quantity} x ${formatCurrency(line.rate)}`, formatCurrency(line.amount), 'receipt-detail')}
+        </div>
+      ))}
+      <div className="receipt-rule" />
+
+      {row('Subtotal', formatCurrency(receipt.subtotal))}
+      {receipt.discount > 0 && row(
+        `Discount${receipt.discountLabel ? ` (${receipt.discountLabel})` : ''}`,
+        `-${formatCurrency(receipt.discount)}`
+      )}
+      {receipt.taxLines.map((tax) => (
+        <React.Fragment key={tax.label}>{row(tax.label, formatCurrency(tax.amount))}</React.Fragment>
+      ))}
+      {row('TOTAL', `₹${formatCurrency(receipt.total)}`, 'receipt-total')}
+      <div className="receipt-rule" />
+
+      {receipt.tenders.map((tender, index) => (
+        <React.Fragment key={index}>{row(tender.label, formatCurrency(tender.amount))}</React.Fragment>
+      ))}
+      {receipt.change > 0 && row('Change', formatCurrency(receipt.change))}
+      {receipt.exchangeRefund > 0 && row('Old gold balance paid', formatCurrency(receipt.exchangeRefund))}
+
+      {receipt.oldGold.length > 0 && (
+        <>
+          <div className="receipt-rule" />
+          <div>Old gold taken in exchange:</div>
+          {receipt.oldGold.map((piece, index) => (
+            <React.Fragment key={index}>
+              {row(`${piece.description} (${piece.fineWeight} g fine)`, formatCurrency(piece.value), 'receipt-detail')}
+            </React.Fragment>
+          ))}
+        </>
+      )}
+      <div className="receipt-rule" />
+
+      <div className="receipt-center">
+        {qrDataUrl && <img src={qrDataUrl} alt={`QR for ${receipt.invoiceNumber}`} className="receipt-qr" />}
+        <div>{receipt.footer}</div>
+      </div>
+    </div>
+  );
+};
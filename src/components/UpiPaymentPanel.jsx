@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { QrCode } from 'lucide-react';
+import { locationsApi } from '../services/locationsApi';
+import { useShift } from '../context/ShiftContext';
+import { UpiQrCode } from './UpiQrCode';
+import { buildUpiPayload, isValidVpa } from '../utils';
+import { DEFAULT_UPI_VPA, DEFAULT_UPI_PAYEE_NAME } from '../config/upi';
+
+/**
+ * UpiPaymentPanel Component
+ * Picks the store location's VPA and generates a dynamic UPI QR for the
+ * amount on the UPI tender lines
+ *
+ * @param {Object} props
+ * @param {number} props.amount - Amount to collect over UPI
+ * @param {string} props.reference - Invoice or cart reference for the transaction
+ */
+export const UpiPaymentPanel = ({ amount, reference }) => {
+  const { counterLocationId, setCounterLocation } = useShift();
+  const [locations, setLocations] = useState([]);
+  const locationId = counterLocationId || '';
+  const [showQr, setShowQr] = useState(false);
+
+  useEffect(() => {
+    locationsApi.getAll(true)
+      .then((data) => setLocations(Array.isArray(data) ? data : data.items || []))
+      .catch((err) => console.warn('Failed to load store locations:', err));
+  }, []);
+
+  const location = locations.find((loc) => String(loc.id) === String(locationId));
+  const vpa = location?.upi_vpa || DEFAULT_UPI_VPA;
+  const payeeName = location?.upi_payee_name || location?.location_name || DEFAULT_UPI_PAYEE_NAME;
+  const canGenerate = isValidVpa(vpa) && amount > 0;
+
+  const handleLocationChange = (e) => {
+    setCounterLocation(e.target.value);
+  };
+
+  return (
+    <div className="payment-details upi-payment-panel">
+      <label className="input-label">Store Location</label>
+      <select className="input-field" value={locationId} onChange={handleLocationChange}>
+        <option value="">Default ({DEFAULT_UPI_VPA || 'no VPA set'})</option>
+        {locations.map((loc) => (
+          <option key={loc.id} value={loc.id}>
+            {loc.location_name}{loc.upi_vpa ? ` – ${loc.upi_vpa}` : ' – no VPA'}
+          </option>
+        ))}
+      </select>
+
+      {!isValidVpa(vpa) && (
+        <div className="payment-warning">
+          No UPI ID is set for this location. Add one in Store Management.
+        </div>
+      )}
+
+      {!showQr ? (
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => setShowQr(true)}
+          disabled={!canGenerate}
+        >
+          <QrCode size={18} />
+          Generate QR Code
+        </button>
+      ) : canGenerate && (
+        <UpiQrCode
+          payload={buildUpiPayload({ vpa, payeeName, amount, reference, note: `Payment ${reference || ''}`.trim() })}
+          amount={amount}
+          payeeName={payeeName}
+          vpa={vpa}
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { Maximize2, X } from 'lucide-react';
+import { formatRupees } from '../utils';
+
+/**
+ * UpiQrCode Component
+ * Renders a UPI intent payload as a QR code in the browser, with a
+ * full-screen view to turn towards the customer
+ *
+ * @param {Object} props
+ * @param {string} props.payload - upi://pay payload
+ * @param {number} props.amount - Amount encoded in the payload
+ * @param {string} props.payeeName - Payee name
+ * @param {string} props.vpa - Payee VPA
+ */
+export const UpiQrCode = ({ payload, amount, payeeName, vpa }) => {
+  const [dataUrl, setDataUrl] = useState(null);
+  const [isFullScreen, setIsFullScreen] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(payload, { width: 480, margin: 2, errorCorrectionLevel: 'M' })
+      .then((url) => !cancelled && setDataUrl(url))
+      .catch((err) => console.error('Failed to render UPI QR:', err));
+    return () => { cancelled = true; };
+  }, [payload]);
+
+  // Escape closes the customer view
+  useEffect(() => {
+    if (!isFullScreen) return;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') setIsFullScreen(false);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isFullScreen]);
+
+  if (!dataUrl) return null;
+
+  return (
+    <div className="upi-qr">
+      <img src={dataUrl} alt={`UPI QR for ${formatRupees(amount)}`} className="upi-qr-image" />
+      <div className="upi-qr-info">
+        <div className="upi-qr-amount">{formatRupees(amount)}</div>
+        <div>{payeeName}</div>
+        <small>{vpa}</small>
+      </div>
+      <button type="button" className="btn-outline" onClick={() => setIsFullScreen(true)}>
+        <Maximize2 size={18} />
+        Show to Customer
+      </button>
+
+      {isFullScreen && (
+        <div className="upi-qr-fullscreen" onClick={() => setIsFullScreen(false)}>
+          <button className="upi-qr-close" aria-label="Close">
+            <X size={28} />
+          </button>
+          <div className="upi-qr-fullscreen-payee">{payeeName}</div>
+          <img src={dataUrl} alt="UPI QR code" />
+          <div className="upi-qr-fullscreen-amount">{formatRupees(amount)}</div>
+          <div className="upi-qr-fullscreen-hint">Scan with any UPI app to pay</div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Calculator } from 'lucide-react';
+import { PRICE_BREAKDOWN_FIELDS, formatRupees } from '../utils';
+
+/**
+ * VariantPricePreview Component
+ * Live price breakdown for a variant being entered, worked out from today's metal rates
+ *
+ * @param {Object} props
+ * @param {Object} props.preview - Breakdown from previewVariantPricing
+ * @param {boolean} props.hasRates - Whether the rate board has been loaded
+ */
+export const VariantPricePreview = ({ preview, hasRates }) => {
+  if (!hasRates) {
+    return (
+      <div className="price-preview price-preview-unavailable">
+        <Calculator size={16} />
+        <span>Publish today's metal rates to preview the price</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="price-preview">
+      <div className="price-preview-title">
+        <Calculator size={16} />
+        <span>Price Preview</span>
+      </div>
+      {PRICE_BREAKDOWN_FIELDS.map(({ key, label }) => (
+        <div key={key} className={`price-preview-line ${key === 'final_price' ? 'price-preview-total' : ''}`}>
+          <span>{key === 'gst_amount' ? `${label} (${preview.gst_rate_percent}%)` : label}</span>
+          <span>{formatRupees(preview[key])}</span>
+        </div>
+      ))}
+      {preview.missingRates.length > 0 && (
+        <small className="price-preview-warning">No rate on the board for {preview.missingRates.join(', ')} – not included</small>
+      )}
+      <small className="price-preview-note">Estimate only. The backend sets the final price when the product is created.</small>
+    </div>
+  );
+};
@@ -13,10 +13,38 @@ export { CustomerModal } from './CustomerModal';
 export { DrawerCart } from './DrawerCart';
 export { Breadcrumbs } from './Breadcrumbs';
 export { CartPreviewStrip } from './CartPreviewStrip';
+export { CartToast } from './CartToast';
 export { CheckoutSuccess } from './CheckoutSuccess';
 export { InvoiceActions } from './InvoiceActions';
+export { ReturnInvoiceModal } from './ReturnInvoiceModal';
+export { InvoiceReturnsHistory } from './InvoiceReturnsHistory';
+export { InvoiceDetailsModal } from './InvoiceDetailsModal';
 export { ProductEditModal } from './ProductEditModal';
 export { DemistifiedFilters } from './DemistifiedFilters';
+export { PaymentLines } from './PaymentLines';
+export { DiscountPicker } from './DiscountPicker';
+export { ParkSaleButton } from './ParkSaleButton';
+export { HeldSalesPanel } from './HeldSalesPanel';
+export { SyncStatusPanel } from './SyncStatusPanel';
+export { ThermalReceipt } from './ThermalReceipt';
+export { ReceiptPrintActions } from './ReceiptPrintActions';
+export { ComplianceDeclaration } from './ComplianceDeclaration';
+export { HuidCapture } from './HuidCapture';
+export { PriceOverrideEditor } from './PriceOverrideEditor';
+export { BarcodeScanListener } from './BarcodeScanListener';
+export { EstimateDocument } from './EstimateDocument';
+export { EstimateActions } from './EstimateActions';
+export { SaveEstimateModal } from './SaveEstimateModal';
+export { OldGoldExchange } from './OldGoldExchange';
+export { LoyaltyRedemption } from './LoyaltyRedemption';
+export { LoyaltyLedgerModal } from './LoyaltyLedgerModal';
+export { GiftCardRedemption } from './GiftCardRedemption';
+export { CustomerWalletModal } from './CustomerWalletModal';
+export { SalesPersonSplit } from './SalesPersonSplit';
+export { UpiQrCode } from './UpiQrCode';
+export { UpiPaymentPanel } from './UpiPaymentPanel';
+export { DenominationCounter } from './DenominationCounter';
+export { ShiftReport } from './ShiftReport';
 
 // Store Locator Components
 export { default as StoreGridView } from './StoreGridView';
@@ -32,6 +60,13 @@ export { default as CreateBoxModal } from './CreateBoxModal';
 export { default as AddProductToBoxModal } from './AddProductToBoxModal';
 export { default as BoxProductsModal } from './BoxProductsModal';
 export { default as CreateLabProductModal } from './CreateLabProductModal';
+export { VariantPricePreview } from './VariantPricePreview';
+export { ProductImportWizard } from './ProductImportWizard';
+export { Code128Barcode } from './Code128Barcode';
+export { ProductLabel } from './ProductLabel';
+export { LabelPrintModal } from './LabelPrintModal';
+export { ProductImageGallery } from './ProductImageGallery';
+export { ImageZoomViewer } from './ImageZoomViewer';
 
 // User Management Components
 export { CreateUserModal } from './CreateUserModal';
@@ -0,0 +1,14 @@
+/**
+ * Compliance Configuration
+ * Statutory limits checked at checkout. Override per deployment if the
+ * rules change - amounts are in rupees.
+ */
+
+// Income Tax Rule 114B: PAN (or Form 60) is required for sales above this value
+export const PAN_REQUIRED_ABOVE = parseFloat(import.meta.env.VITE_PAN_REQUIRED_ABOVE) || 200000;
+
+// Section 269ST: cash of this amount or more can't be accepted for a single transaction
+export const CASH_RECEIPT_LIMIT = parseFloat(import.meta.env.VITE_CASH_RECEIPT_LIMIT) || 200000;
+
+// Cash above this is allowed but flagged to the cashier
+export const CASH_WARNING_THRESHOLD = parseFloat(import.meta.env.VITE_CASH_WARNING_THRESHOLD) || 100000;
@@ -0,0 +1,7 @@
+/**
+ * Estimate Configuration
+ * Quotations given to customers before they buy.
+ */
+
+// Days an estimate is honoured for unless the cashier picks another date
+export const ESTIMATE_VALIDITY_DAYS = parseInt(import.meta.env.VITE_ESTIMATE_VALIDITY_DAYS, 10) || 7;
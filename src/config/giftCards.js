@@ -0,0 +1,13 @@
+/**
+ * Gift Card Configuration
+ * Numbered gift cards sold over the counter and store-credit cards issued for returns.
+ */
+
+// Days a newly issued card can be used for
+export const GIFT_CARD_VALIDITY_DAYS = parseInt(import.meta.env.VITE_GIFT_CARD_VALIDITY_DAYS, 10) || 365;
+
+// Smallest amount a gift card can be sold or topped up for
+export const GIFT_CARD_MIN_AMOUNT = parseFloat(import.meta.env.VITE_GIFT_CARD_MIN_AMOUNT) || 500;
+
+// Highest balance a card can hold
+export const GIFT_CARD_MAX_BALANCE = parseFloat(import.meta.env.VITE_GIFT_CARD_MAX_BALANCE) || 200000;
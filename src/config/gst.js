@@ -0,0 +1,67 @@
+/**
+ * GST Configuration
+ * Tax rules keyed on product category and HSN/SAC code, plus the store's
+ * registered state used to decide between CGST+SGST and IGST.
+ */
+
+// State the store is GST-registered in
+export const STORE_STATE = import.meta.env.VITE_STORE_STATE || 'Delhi';
+
+// Rate used when no rule matches an item
+export const DEFAULT_GST_RATE_PERCENT = 3;
+
+/**
+ * GST rules
+ * An item is matched on its HSN/SAC code first (prefix of one of `hsn_codes`), then on
+ * its item type, then on its category. Types and categories must match exactly
+ * (case-insensitive) - item names are never used, so "Solitaire Ring" stays jewellery.
+ * Jewellery comes before loose stones so a piece is never billed at the stone rate.
+ */
+export const GST_RULES = [
+  {
+    id: 'repairs',
+    label: 'Repairs & services',
+    hsn_codes: ['9987'],
+    item_types: ['repair', 'service'],
+    categories: ['repair', 'repairs', 'service', 'services', 'polishing'],
+    rate_percent: 18,
+  },
+  {
+    id: 'making_charges',
+    label: 'Making charges (job work)',
+    hsn_codes: ['9988'],
+    item_types: ['making_charges', 'job_work'],
+    categories: ['making charge', 'making charges', 'job work'],
+    rate_percent: 5,
+  },
+  {
+    id: 'jewelry',
+    label: 'Jewellery',
+    hsn_codes: ['7113', '7114', '7117'],
+    // Lab-grown (real_jewelry) and demistified (zakya_product) pieces are always jewellery
+    item_types: ['real_jewelry', 'zakya_product', 'demistified'],
+    categories: [
+      'jewelry', 'jewellery', 'ring', 'rings', 'necklace', 'necklaces', 'earring', 'earrings',
+      'bracelet', 'bracelets', 'bangle', 'bangles', 'pendant', 'pendants', 'chain', 'chains',
+    ],
+    rate_percent: 3,
+  },
+  {
+    id: 'loose_stones',
+    label: 'Loose diamonds & stones',
+    hsn_codes: ['7102', '7103', '7104'],
+    item_types: ['loose_stone', 'loose_diamond'],
+    categories: ['loose diamond', 'loose diamonds', 'loose stone', 'loose stones'],
+    rate_percent: 0.25,
+  },
+];
+
+// States and union territories for place of supply
+export const INDIAN_STATES = [
+  'Andaman and Nicobar Islands', 'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar',
+  'Chandigarh', 'Chhattisgarh', 'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Goa',
+  'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jammu and Kashmir', 'Jharkhand', 'Karnataka',
+  'Kerala', 'Ladakh', 'Lakshadweep', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya',
+  'Mizoram', 'Nagaland', 'Odisha', 'Puducherry', 'Punjab', 'Rajasthan', 'Sikkim',
+  'Tamil Nadu', 'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal',
+];
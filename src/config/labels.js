@@ -0,0 +1,74 @@
+/**
+ * Label Configuration
+ * Price tag and barcode label templates. Sizes are in millimetres; each can be
+ * adjusted at print time and the last settings used are remembered per counter.
+ */
+
+// Everything a label can show, in print order
+export const LABEL_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'sku', label: 'SKU' },
+  { key: 'gross_weight', label: 'Gross Wt' },
+  { key: 'net_weight', label: 'Net Wt' },
+  { key: 'purity', label: 'Purity' },
+  { key: 'stone_weight', label: 'Stone Wt' },
+  { key: 'price', label: 'Price' },
+];
+
+/**
+ * layout: 'dumbbell' prints the barcode on one flap and the details on the other,
+ *         with the tail between them left blank to loop through the piece
+ * sheet:  'roll' prints one label per page at the label's size (label printers);
+ *         'a4' packs labels onto A4 sticker sheets
+ */
+export const LABEL_TEMPLATES = [
+  {
+    id: 'dumbbell',
+    name: 'Jewelry dumbbell tag',
+    layout: 'dumbbell',
+    sheet: 'roll',
+    width_mm: 65,
+    height_mm: 13,
+    flap_width_mm: 22,
+    symbology: 'code128',
+    fields: ['sku', 'gross_weight', 'net_weight', 'purity', 'stone_weight', 'price'],
+  },
+  {
+    id: 'sticker',
+    name: 'Barcode sticker',
+    layout: 'rectangle',
+    sheet: 'roll',
+    width_mm: 50,
+    height_mm: 25,
+    symbology: 'code128',
+    fields: ['sku', 'net_weight', 'purity', 'price'],
+  },
+  {
+    id: 'qr_sticker',
+    name: 'QR sticker',
+    layout: 'rectangle',
+    sheet: 'roll',
+    width_mm: 38,
+    height_mm: 25,
+    symbology: 'qr',
+    fields: ['sku', 'net_weight', 'price'],
+  },
+  {
+    id: 'a4_sheet',
+    name: 'A4 sticker sheet (3 × 8)',
+    layout: 'rectangle',
+    sheet: 'a4',
+    width_mm: 63.5,
+    height_mm: 33.9,
+    symbology: 'code128',
+    fields: ['name', 'sku', 'gross_weight', 'net_weight', 'purity', 'stone_weight', 'price'],
+  },
+];
+
+export const DEFAULT_LABEL_TEMPLATE_ID = import.meta.env.VITE_LABEL_TEMPLATE || 'dumbbell';
+
+// Most copies of one label in a print run
+export const MAX_LABEL_COPIES = 50;
+
+// Remembers the template, size and fields this counter printed with last
+export const LABEL_SETTINGS_STORAGE_KEY = 'pos_label_settings';
@@ -0,0 +1,16 @@
+/**
+ * Loyalty Configuration
+ * How customers earn points on a sale and what a point is worth when redeemed.
+ */
+
+// Points earned for every ₹100 paid (redeemed points don't earn)
+export const LOYALTY_POINTS_PER_100 = parseFloat(import.meta.env.VITE_LOYALTY_POINTS_PER_100) || 1;
+
+// Rupee value of one point at redemption
+export const LOYALTY_POINT_VALUE = parseFloat(import.meta.env.VITE_LOYALTY_POINT_VALUE) || 1;
+
+// Points can pay for at most this percent of a bill
+export const LOYALTY_MAX_REDEEM_PERCENT = parseFloat(import.meta.env.VITE_LOYALTY_MAX_REDEEM_PERCENT) || 20;
+
+// Smallest number of points that can be redeemed at once
+export const LOYALTY_MIN_REDEEM_POINTS = parseInt(import.meta.env.VITE_LOYALTY_MIN_REDEEM_POINTS, 10) || 100;
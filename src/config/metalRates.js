@@ -0,0 +1,24 @@
+/**
+ * Metal Rate Configuration
+ * Metals the store prices by the day's rate, keyed as on the rate board.
+ */
+
+export const METAL_RATE_TYPES = [
+  { key: 'gold_24k', label: 'Gold 24K', metal: 'gold', purity: 24 },
+  { key: 'gold_22k', label: 'Gold 22K', metal: 'gold', purity: 22 },
+  { key: 'gold_18k', label: 'Gold 18K', metal: 'gold', purity: 18 },
+  { key: 'silver', label: 'Silver', metal: 'silver' },
+  { key: 'platinum', label: 'Platinum', metal: 'platinum' },
+];
+
+// Rate moves smaller than this (percent) aren't flagged against an older quote
+export const RATE_CHANGE_TOLERANCE_PERCENT = parseFloat(import.meta.env.VITE_RATE_CHANGE_TOLERANCE_PERCENT) || 0.5;
+
+// A new rate this far (percent) from the one in effect asks for confirmation before publishing
+export const RATE_MOVE_WARNING_PERCENT = parseFloat(import.meta.env.VITE_RATE_MOVE_WARNING_PERCENT) || 5;
+
+// How far back the rate board's history goes by default
+export const RATE_HISTORY_DAYS = parseInt(import.meta.env.VITE_RATE_HISTORY_DAYS, 10) || 30;
+
+// Backend prices within this many rupees of the client-side preview aren't flagged
+export const PRICE_PREVIEW_TOLERANCE = parseFloat(import.meta.env.VITE_PRICE_PREVIEW_TOLERANCE) || 1;
@@ -0,0 +1,17 @@
+/**
+ * Offline Configuration
+ * IndexedDB storage used to keep the counter billing while the connection is down,
+ * and the provisional invoice numbering for sales taken offline.
+ */
+
+export const OFFLINE_DB_NAME = 'minaki_pos_offline';
+export const OFFLINE_DB_VERSION = 1;
+
+// Provisional numbers look like OFF-20250114-0003 until the server assigns the real one
+export const PROVISIONAL_INVOICE_PREFIX = import.meta.env.VITE_PROVISIONAL_INVOICE_PREFIX || 'OFF';
+
+// How often queued sales are retried while the browser reports it is online
+export const SYNC_RETRY_INTERVAL_MS = 30000;
+
+// Last provisional sequence used on this counter
+export const PROVISIONAL_SEQUENCE_STORAGE_KEY = 'pos_provisional_invoice_seq';
@@ -0,0 +1,10 @@
+/**
+ * Advance Order Configuration
+ * Layaway / advance-payment orders that reserve pieces until they are paid off.
+ */
+
+// Smallest advance accepted to reserve pieces, as a percent of the order value
+export const MIN_ADVANCE_PERCENT = parseFloat(import.meta.env.VITE_MIN_ADVANCE_PERCENT) || 10;
+
+// Default number of days the customer has to pay the balance
+export const ORDER_BALANCE_DUE_DAYS = parseInt(import.meta.env.VITE_ORDER_BALANCE_DUE_DAYS, 10) || 30;
@@ -0,0 +1,7 @@
+/**
+ * Price Override Configuration
+ * Cashiers can change a cart line's price with a reason; bigger cuts need a manager.
+ */
+
+// Price reductions beyond this percent of the original price need a manager's approval
+export const PRICE_OVERRIDE_APPROVAL_PERCENT = parseFloat(import.meta.env.VITE_PRICE_OVERRIDE_APPROVAL_PERCENT) || 5;
@@ -0,0 +1,21 @@
+/**
+ * Product Image Configuration
+ * Photos are compressed in the browser before upload so large camera images
+ * don't have to travel to the server at full size.
+ */
+
+// Longest side of an uploaded image, in pixels
+export const IMAGE_MAX_DIMENSION = parseInt(import.meta.env.VITE_IMAGE_MAX_DIMENSION, 10) || 2000;
+
+// JPEG quality used when compressing (0-1)
+export const IMAGE_JPEG_QUALITY = parseFloat(import.meta.env.VITE_IMAGE_JPEG_QUALITY) || 0.85;
+
+// Most images kept for one SKU
+export const MAX_IMAGES_PER_SKU = 12;
+
+// Signed image URLs are requested for an hour and reused for a little less
+export const IMAGE_URL_EXPIRATION_SECONDS = 3600;
+export const IMAGE_URL_CACHE_MS = 50 * 60 * 1000;
+
+// Most SKUs whose primary images are looked up in one request
+export const PRIMARY_IMAGE_BATCH_SIZE = 50;
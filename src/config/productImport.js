@@ -0,0 +1,11 @@
+/**
+ * Product Import Configuration
+ * Spreadsheet layout for bulk lab-grown product import - one row per variant.
+ */
+
+// Component column groups read from each row (metal_1_*, metal_2_*, diamond_1_* ...)
+export const IMPORT_MAX_METAL_COMPONENTS = parseInt(import.meta.env.VITE_IMPORT_MAX_METAL_COMPONENTS, 10) || 2;
+export const IMPORT_MAX_DIAMOND_COMPONENTS = parseInt(import.meta.env.VITE_IMPORT_MAX_DIAMOND_COMPONENTS, 10) || 3;
+
+// Vendor used when the sheet leaves it blank, as in the create form
+export const IMPORT_DEFAULT_VENDOR = import.meta.env.VITE_IMPORT_DEFAULT_VENDOR || 'MINAKI';
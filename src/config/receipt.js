@@ -0,0 +1,21 @@
+/**
+ * Receipt Configuration
+ * Store details printed on counter receipts and the thermal printer's paper geometry.
+ */
+
+export const RECEIPT_STORE_NAME = import.meta.env.VITE_RECEIPT_STORE_NAME || 'Minaki';
+export const RECEIPT_STORE_ADDRESS = import.meta.env.VITE_RECEIPT_STORE_ADDRESS || '';
+export const RECEIPT_STORE_PHONE = import.meta.env.VITE_RECEIPT_STORE_PHONE || '';
+export const RECEIPT_STORE_GSTIN = import.meta.env.VITE_STORE_GSTIN || '';
+export const RECEIPT_FOOTER = import.meta.env.VITE_RECEIPT_FOOTER || 'Thank you for shopping with us!';
+
+// Monochrome logo printed at the top of the receipt - leave unset to print the store name only
+export const RECEIPT_LOGO_URL = import.meta.env.VITE_RECEIPT_LOGO_URL || '';
+
+// 80mm paper: 576 printable dots, 48 characters per line in the printer's default font
+export const RECEIPT_PAPER_WIDTH_DOTS = 576;
+export const RECEIPT_CHARS_PER_LINE = 48;
+export const RECEIPT_LOGO_WIDTH_DOTS = 384;
+
+// Most USB-serial thermal printers ship at 9600 or 115200 baud
+export const SERIAL_PRINTER_BAUD_RATE = parseInt(import.meta.env.VITE_RECEIPT_PRINTER_BAUD_RATE, 10) || 9600;
@@ -0,0 +1,13 @@
+/**
+ * Barcode Scanner Configuration
+ * Keyboard-wedge scanners type the code followed by Enter, much faster than a person can.
+ */
+
+// Longest gap between keystrokes that still counts as part of a scan
+export const SCANNER_MAX_KEY_INTERVAL_MS = parseInt(import.meta.env.VITE_SCANNER_MAX_KEY_INTERVAL_MS, 10) || 50;
+
+// Shortest code accepted as a scan
+export const SCANNER_MIN_LENGTH = parseInt(import.meta.env.VITE_SCANNER_MIN_LENGTH, 10) || 4;
+
+// Beep when a scan is added or not recognised
+export const SCANNER_SOUND_ENABLED = import.meta.env.VITE_SCANNER_SOUND_ENABLED !== 'false';
@@ -0,0 +1,11 @@
+/**
+ * UPI Configuration
+ * Fallback payee used when the counter's store location has no VPA set.
+ * Per-location VPAs are stored on the location (upi_vpa, upi_payee_name).
+ */
+
+export const DEFAULT_UPI_VPA = import.meta.env.VITE_UPI_VPA || '';
+export const DEFAULT_UPI_PAYEE_NAME = import.meta.env.VITE_UPI_PAYEE_NAME || 'Minaki';
+
+// Remembers which store location this counter bills from
+export const COUNTER_LOCATION_STORAGE_KEY = 'pos_counter_location_id';
@@ -0,0 +1,34 @@
+import React, { createContext, useContext } from 'react';
+import { useMetalRates as useMetalRatesHook } from '../hooks/useMetalRates';
+
+/**
+ * Metal Rates Context
+ * Provides the rate board in effect across the application
+ */
+const MetalRatesContext = createContext();
+
+/**
+ * Metal Rates Provider Component
+ * Must be rendered inside AuthProvider
+ */
+export const MetalRatesProvider = ({ children }) => {
+  const metalRatesState = useMetalRatesHook();
+
+  return (
+    <MetalRatesContext.Provider value={metalRatesState}>
+      {children}
+    </MetalRatesContext.Provider>
+  );
+};
+
+/**
+ * Hook to use metal rates context
+ * Must be used within MetalRatesProvider
+ */
+export const useMetalRates = () => {
+  const context = useContext(MetalRatesContext);
+  if (!context) {
+    throw new Error('useMetalRates must be used within a MetalRatesProvider');
+  }
+  return context;
+};
@@ -0,0 +1,34 @@
+import React, { createContext, useContext } from 'react';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+
+/**
+ * Offline Context
+ * Provides connectivity status and the offline sales queue across the application
+ */
+const OfflineContext = createContext();
+
+/**
+ * Offline Provider Component
+ * Must be rendered inside ShiftProvider
+ */
+export const OfflineProvider = ({ children }) => {
+  const offlineState = useOfflineSync();
+
+  return (
+    <OfflineContext.Provider value={offlineState}>
+      {children}
+    </OfflineContext.Provider>
+  );
+};
+
+/**
+ * Hook to use offline context
+ * Must be used within OfflineProvider
+ */
+export const useOffline = () => {
+  const context = useContext(OfflineContext);
+  if (!context) {
+    throw new Error('useOffline must be used within an OfflineProvider');
+  }
+  return context;
+};
@@ -0,0 +1,34 @@
+import React, { createContext, useContext } from 'react';
+import { useShift as useShiftHook } from '../hooks/useShift';
+
+/**
+ * Shift Context
+ * Provides the open till shift across the application
+ */
+const ShiftContext = createContext();
+
+/**
+ * Shift Provider Component
+ * Must be rendered inside AuthProvider
+ */
+export const ShiftProvider = ({ children }) => {
+  const shiftState = useShiftHook();
+
+  return (
+    <ShiftContext.Provider value={shiftState}>
+      {children}
+    </ShiftContext.Provider>
+  );
+};
+
+/**
+ * Hook to use shift context
+ * Must be used within ShiftProvider
+ */
+export const useShift = () => {
+  const context = useContext(ShiftContext);
+  if (!context) {
+    throw new Error('useShift must be used within a ShiftProvider');
+  }
+  return context;
+};
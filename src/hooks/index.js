@@ -9,6 +9,20 @@ export { useStoreManagement } from './useStoreManagement';
 export { useProductLocationTracking } from './useLocations';
 export { useUsers } from './useUsers';
 export { usePermissions } from './usePermissions';
+export { useReturns } from './useReturns';
+export { useCommission } from './useCommission';
+export { useShift } from './useShift';
+export { useOfflineSync } from './useOfflineSync';
+export { useReceiptPrinter } from './useReceiptPrinter';
+export { useEstimates } from './useEstimates';
+export { useOrders } from './useOrders';
+export { useLoyalty } from './useLoyalty';
+export { useGiftCards } from './useGiftCards';
+export { useBarcodeScanner } from './useBarcodeScanner';
+export { useMetalRates } from './useMetalRates';
+export { useProductImport } from './useProductImport';
+export { useProductImages } from './useProductImages';
+export { usePrimaryImage } from './usePrimaryImage';
 // Backwards compatibility and direct exports
 export { useProductLocationTracking as useProductLocations } from './useLocations';
 export { default as useLocations } from './useLocations';
\ No newline at end of file
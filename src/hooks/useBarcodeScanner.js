@@ -0,0 +1,59 @@
+import { useEffect, useRef } from 'react';
+import { isScanBurst, isEditableTarget, normalizeScannedCode } from '../utils';
+import { SCANNER_MAX_KEY_INTERVAL_MS } from '../config/scanner';
+
+/**
+ * Custom Hook: useBarcodeScanner
+ * Listens for keyboard-wedge scans anywhere on the page outside text fields.
+ * A scan is a burst of fast keystrokes ending in Enter; normal typing is ignored.
+ *
+ * @param {Function} onScan - Called with the scanned code
+ * @param {boolean} enabled - Whether to listen
+ */
+export const useBarcodeScanner = (onScan, enabled = true) => {
+  const keystrokesRef = useRef([]);
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (isEditableTarget(event.target) || event.ctrlKey || event.altKey || event.metaKey) {
+        keystrokesRef.current = [];
+        return;
+      }
+
+      const now = Date.now();
+      const keystrokes = keystrokesRef.current;
+      const last = keystrokes[keystrokes.length - 1];
+
+      // A pause means a person is typing - start over from this key
+      if (last && now - last.time > SCANNER_MAX_KEY_INTERVAL_MS * 4) {
+        keystrokesRef.current = [];
+      }
+
+      if (event.key === 'Enter') {
+        const burst = keystrokesRef.current;
+        keystrokesRef.current = [];
+        if (isScanBurst(burst)) {
+          // Don't let the scanner's Enter press whatever button has focus
+          event.preventDefault();
+          const code = normalizeScannedCode(burst.map((keystroke) => keystroke.key).join(''));
+          if (code) onScanRef.current(code);
+        }
+        return;
+      }
+
+      if (event.key.length === 1) {
+        keystrokesRef.current.push({ key: event.key, time: now });
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [enabled]);
+};
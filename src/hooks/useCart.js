@@ -1,5 +1,20 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
-import { cartApi } from '../services/api';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { cartApi, checkoutApi, discountsApi } from '../services/api';
+import { offlineStore } from '../services/offlineStore';
+import { useMetalRates } from '../context/MetalRatesContext';
+import {
+  normalizeDiscount,
+  calculateDiscountAmount,
+  computeTaxBreakup,
+  isNetworkError,
+  createOfflineCartId,
+  isOfflineCartId,
+  requiresHuid,
+  normalizePriceOverride,
+  repriceProduct,
+  isPricedAtOldRates,
+} from '../utils';
+import { STORE_STATE } from '../config/gst';
 
 /**
  * Transform cart items from API response to normalized format
@@ -29,6 +44,18 @@ const normalizeCartItems = (items) => {
       purity: item.purity || item.cf_finish || item.cf_work,
       weight: item.weight || item.net_weight || item.weight_g,
       image: item.image || (item.shopify_image && item.shopify_image.url) || '💎',
+      sku: item.sku || item.replay_product_data?.sku,
+      // Tax classification - drives the GST rule applied to this line
+      item_type: item.item_type,
+      category: item.category || item.product_type || item.category_name,
+      hsn_code: item.hsn_code || item.hsn_or_sac || item.hsn,
+      // Manual price change with its reason and approver, if the line has one
+      price_override: normalizePriceOverride(item.price_override),
+      // What real jewelry is re-priced from, and the day's rates the line was priced at
+      metal_components: item.metal_components || item.replay_product_data?.metal_components || [],
+      pricing_breakdown: item.pricing_breakdown || item.replay_product_data?.pricing_breakdown || null,
+      metal_rates_applied: item.metal_rates_applied || item.replay_product_data?.metal_rates_applied || [],
+      rates_effective_from: item.rates_effective_from || item.replay_product_data?.rates_effective_from || null,
       // Keep original data for debugging
       _originalData: item
     };
@@ -83,6 +110,69 @@ const normalizeCartItems = (items) => {
   });
 };
 
+/**
+ * Build a cart line locally for a cart that only exists on this counter
+ * The catalog product is kept so the line can be re-added on the server when the sale syncs.
+ */
+const createLocalCartItem = (productId, quantity, productData) => normalizeCartItems([{
+  ...productData,
+  id: productId,
+  cart_item_id: `local-${productId}-${Date.now()}`,
+  quantity,
+  replay_product_id: productId,
+  replay_product_data: productData,
+}])[0];
+
+/**
+ * Whether a cart line matches the ID passed to update/remove
+ */
+const matchesCartItem = (item, itemId) => item.cart_item_id === itemId || item.id === itemId;
+
+/**
+ * Cart lines with a product added - repeat adds of a local line bump its quantity
+ */
+const withItemAdded = (items, productId, quantity, productData) => {
+  const existing = items.find((item) => item._originalData?.replay_product_id === productId);
+  if (existing) {
+    return items.map((item) => (item === existing ? { ...item, quantity: item.quantity + quantity } : item));
+  }
+  return [...items, createLocalCartItem(productId, quantity, productData)];
+};
+
+/**
+ * Cart lines with one line's quantity changed - zero drops the line
+ */
+const withItemQuantity = (items, itemId, quantity) => (quantity === 0
+  ? items.filter((item) => !matchesCartItem(item, itemId))
+  : items.map((item) => (matchesCartItem(item, itemId) ? { ...item, quantity } : item)));
+
+/**
+ * Cart lines with a price override set, or cleared when override is null
+ */
+const withPriceOverride = (items, itemId, override) => items.map((item) => {
+  if (!matchesCartItem(item, itemId)) return item;
+  if (!override) {
+    return item.price_override
+      ? { ...item, price: item.price_override.original_price, price_override: null }
+      : item;
+  }
+  return { ...item, price: override.unit_price, price_override: { ...override, overridden_at: new Date().toISOString() } };
+});
+
+/**
+ * Transform a held/parked transaction from the API to a consistent format
+ */
+const normalizeHeldTransaction = (held) => ({
+  id: held.id || held.hold_id || held.cart_id,
+  cart_id: held.cart_id || held.id,
+  customer_id: held.customer_id || null,
+  customer_name: held.customer_name || held.customer?.name || held.notes || 'Walk-in Customer',
+  item_count: parseInt(held.item_count ?? held.items?.length) || 0,
+  total: parseFloat(held.total_amount ?? held.total) || 0,
+  held_at: held.held_at || held.created_at || null,
+  notes: held.notes || null,
+});
+
 /**
  * Custom Hook: useCart
  * Manages shopping cart state and operations with session persistence
@@ -90,6 +180,7 @@ const normalizeCartItems = (items) => {
  * @returns {Object} Cart state and methods
  */
 export const useCart = () => {
+  const { board: rateBoard } = useMetalRates();
   const [cartId, setCartId] = useState(() => {
     // Try to restore cart ID from session storage
     const savedCartId = sessionStorage.getItem('cartId');
@@ -97,8 +188,36 @@ export const useCart = () => {
     return savedCartId;
   });
   const [items, setItems] = useState([]);
+  const [appliedDiscount, setAppliedDiscount] = useState(null);
+  // Estimate the cart was loaded from - it's only marked converted once the sale completes
+  const [estimateLink, setEstimateLink] = useState(() => {
+    try {
+      return JSON.parse(sessionStorage.getItem('cartEstimate'));
+    } catch (err) {
+      return null;
+    }
+  });
+  const [heldTransactions, setHeldTransactions] = useState([]);
+  // BIS hallmark HUIDs captured per line: { [cart_item_id]: [{ huid, serial_number }] }
+  const [hallmarks, setHallmarks] = useState({});
+  // Customer's state for GST - IGST applies when it differs from the store's state
+  const [placeOfSupply, setPlaceOfSupply] = useState(STORE_STATE);
+  // Customer checkout has selected for this cart, so a sale parked from elsewhere still says whose it is
+  const [cartCustomer, setCartCustomer] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Changes shown on screen that the server hasn't confirmed yet
+  const [syncing, setSyncing] = useState(false);
+  // Last change the server rejected, shown as a toast after rolling back
+  const [notice, setNotice] = useState(null);
+  // Don't overwrite the saved copy with the empty state from before the cart loads
+  const snapshotReadyRef = useRef(false);
+  const pendingMutationsRef = useRef(0);
+  // Latest lines and discount, for rolling back a change the server rejects
+  const itemsRef = useRef(items);
+  const discountRef = useRef(appliedDiscount);
+  itemsRef.current = items;
+  discountRef.current = appliedDiscount;
 
   // Save cart ID to session storage whenever it changes
   useEffect(() => {
@@ -108,6 +227,57 @@ export const useCart = () => {
     }
   }, [cartId]);
 
+  useEffect(() => {
+    if (estimateLink) sessionStorage.setItem('cartEstimate', JSON.stringify(estimateLink));
+    else sessionStorage.removeItem('cartEstimate');
+  }, [estimateLink]);
+
+  // The link only holds while the cart it was made for is the active one
+  const sourceEstimateId = estimateLink && estimateLink.cartId === cartId ? estimateLink.estimateId : null;
+
+  // Keep a copy of the cart on this device so it survives a dropped connection
+  useEffect(() => {
+    if (!cartId || !snapshotReadyRef.current) return;
+    offlineStore.saveCart(cartId, { items, appliedDiscount, hallmarks })
+      .catch((err) => console.warn('🛒 Failed to save offline cart copy:', err));
+  }, [cartId, items, appliedDiscount, hallmarks]);
+
+  // Drop HUIDs for lines that were removed or reduced below the captured count
+  useEffect(() => {
+    setHallmarks((prev) => {
+      const next = {};
+      items.filter(requiresHuid).forEach((item) => {
+        const lineId = item.cart_item_id || item.id;
+        if (prev[lineId]?.length) next[lineId] = prev[lineId].slice(0, item.quantity);
+      });
+      const changed = Object.keys(prev).length !== Object.keys(next).length
+        || Object.keys(next).some((lineId) => next[lineId].length !== prev[lineId].length);
+      return changed ? next : prev;
+    });
+  }, [items]);
+
+  // Load the copy of a cart saved on this device
+  const restoreCartSnapshot = async (targetCartId) => {
+    const snapshot = await offlineStore.getCart(targetCartId).catch(() => null);
+    snapshotReadyRef.current = true;
+    if (!snapshot) return false;
+    setItems(snapshot.items || []);
+    setAppliedDiscount(snapshot.appliedDiscount || null);
+    setHallmarks(snapshot.hallmarks || {});
+    console.log('📴 Restored cart from offline copy:', targetCartId);
+    return true;
+  };
+
+  // Carry the current lines over to a local cart when the server can't be reached
+  const switchToOfflineCart = () => {
+    const offlineCartId = createOfflineCartId();
+    console.log('📴 Server unreachable, continuing on offline cart:', offlineCartId);
+    snapshotReadyRef.current = true;
+    setCartId(offlineCartId);
+    setError(null);
+    return offlineCartId;
+  };
+
   // Initialize cart on mount - only if we don't have a cart ID
   useEffect(() => {
     const initializeCart = async () => {
@@ -138,9 +308,15 @@ export const useCart = () => {
         const newCart = await cartApi.create();
         console.log('✅ Cart created successfully:', newCart);
         const newCartId = newCart.cart_id || newCart.id;
+        snapshotReadyRef.current = true;
         setCartId(newCartId);
         setError(null);
       } catch (err) {
+        if (isNetworkError(err)) {
+          switchToOfflineCart();
+          return;
+        }
+
         const errorMessage = 'Failed to initialize cart';
         setError(errorMessage);
         console.error('❌ Cart initialization error:', err);
@@ -160,17 +336,24 @@ export const useCart = () => {
     initializeCart();
   }, []); // Remove cartId dependency to avoid infinite loops
 
-  // Refresh cart data
-  const refreshCart = useCallback(async () => {
-    if (!cartId) {
+  // Refresh cart data - defaults to the active cart
+  // A silent refresh reconciles in the background without flagging the cart as loading.
+  const refreshCart = useCallback(async (targetCartId = cartId, { silent = false } = {}) => {
+    if (!targetCartId) {
       console.log('🛒 RefreshCart - No cartId available');
       return;
     }
 
+    // Offline carts only exist on this device
+    if (isOfflineCartId(targetCartId)) {
+      await restoreCartSnapshot(targetCartId);
+      return;
+    }
+
     try {
-      setLoading(true);
-      console.log('🛒 RefreshCart - Fetching cart data for cartId:', cartId);
-      const cartData = await cartApi.getById(cartId);
+      if (!silent) setLoading(true);
+      console.log('🛒 RefreshCart - Fetching cart data for cartId:', targetCartId);
+      const cartData = await cartApi.getById(targetCartId);
       console.log('🛒 RefreshCart - Cart data received:', cartData);
       console.log('🛒 RefreshCart - Items structure:', cartData.items);
       console.log('🛒 RefreshCart - Items count:', cartData.items?.length || 0);
@@ -217,10 +400,24 @@ export const useCart = () => {
         itemsLength: normalizedItems.length
       });
       
+      snapshotReadyRef.current = true;
       setItems(normalizedItems);
+
+      // Pick up a discount the server already has on this cart
+      const serverDiscount = cartData.discount || cartData.applied_discount;
+      if (serverDiscount) {
+        setAppliedDiscount(normalizeDiscount(serverDiscount));
+      }
+
       setError(null);
       console.log('🛒 RefreshCart - State updated with', normalizedItems.length, 'items');
     } catch (err) {
+      if (isNetworkError(err)) {
+        // Keep billing from the copy on this device until the server is back
+        await restoreCartSnapshot(targetCartId);
+        return;
+      }
+
       setError('Failed to refresh cart');
       console.error('❌ RefreshCart error:', err);
       // If cart doesn't exist anymore, clear the stored ID
@@ -229,24 +426,76 @@ export const useCart = () => {
         sessionStorage.removeItem('cartId');
         setCartId(null);
         setItems([]);
+        setAppliedDiscount(null);
       }
     } finally {
-      setLoading(false);
+      if (!silent) setLoading(false);
     }
   }, [cartId]);
 
-  // Add item to cart
-  const addItem = useCallback(async (productId, quantity = 1, productData = {}) => {
+  /**
+   * Show a cart change straight away, then confirm it with the server
+   * The server's copy of the cart replaces the local one once nothing else is
+   * in flight, so a late response can't undo a newer tap. A rejected change is
+   * reported and the cart is re-read from the server, which drops that change
+   * without undoing others that went through meanwhile; a dropped connection
+   * keeps it on an offline cart.
+   *
+   * @param {Object} mutation
+   * @param {Function} mutation.applyItems - (items) => items with the change applied
+   * @param {*} mutation.discount - Discount to show meanwhile, if the change affects it
+   * @param {Function} mutation.request - Server call for the change
+   * @param {string} mutation.failureMessage - Shown when the server rejects it
+   */
+  const mutateOptimistically = async ({ applyItems, discount, request, failureMessage }) => {
+    const previousDiscount = discountRef.current;
+    setItems(applyItems);
+    if (discount !== undefined) setAppliedDiscount(discount);
+
+    pendingMutationsRef.current += 1;
+    setSyncing(true);
+
+    try {
+      const result = await request();
+      if (pendingMutationsRef.current === 1) {
+        const serverItems = result?.items || result?.cart?.items;
+        if (Array.isArray(serverItems)) {
+          setItems(normalizeCartItems(serverItems));
+        } else {
+          await refreshCart(cartId, { silent: true });
+        }
+      }
+      setError(null);
+      return result;
+    } catch (err) {
+      if (isNetworkError(err)) {
+        switchToOfflineCart();
+        return null;
+      }
+
+      // Only undo the discount if nothing has replaced it since
+      if (discount !== undefined && discountRef.current === discount) {
+        setAppliedDiscount(previousDiscount);
+      }
+      // Changes still in flight reconcile with the server when the last one lands
+      if (pendingMutationsRef.current === 1) {
+        await refreshCart(cartId, { silent: true });
+      }
+      setError(failureMessage);
+      setNotice({ id: Date.now(), message: failureMessage, detail: err.message });
+      throw err;
+    } finally {
+      pendingMutationsRef.current -= 1;
+      if (pendingMutationsRef.current === 0) setSyncing(false);
+    }
+  };
+
+  const dismissNotice = useCallback(() => setNotice(null), []);
+
+  // Add item to cart - real jewelry goes in at today's metal rates
+  const addItem = useCallback(async (productId, quantity = 1, catalogData = {}) => {
+    const productData = repriceProduct(catalogData, rateBoard);
     console.log('🛒 Add to cart called:', { productId, quantity, cartId, productData });
-    console.log('🛒 Product data structure:', {
-      id: productData.id,
-      price: productData.price,
-      name: productData.name,
-      isDemistified: productData.isDemistified,
-      item_id: productData.item_id,
-      sku: productData.sku,
-      fullData: productData
-    });
     
     if (!cartId) {
       const error = 'Cart not initialized';
@@ -255,32 +504,31 @@ export const useCart = () => {
       return;
     }
 
+    if (isOfflineCartId(cartId)) {
+      setItems((prev) => withItemAdded(prev, productId, quantity, productData));
+      return;
+    }
+
     try {
-      setLoading(true);
-      console.log('🛒 Making API call to add item...');
-      const result = await cartApi.addItem(cartId, productId, quantity, productData);
+      const result = await mutateOptimistically({
+        applyItems: (prev) => withItemAdded(prev, productId, quantity, productData),
+        request: () => cartApi.addItem(cartId, productId, quantity, productData),
+        failureMessage: 'Failed to add item to cart',
+      });
       console.log('✅ Add item API response:', result);
-      
-      await refreshCart();
-      setError(null);
-      console.log('✅ Cart refreshed successfully');
+      return result;
     } catch (err) {
-      const error = 'Failed to add item to cart';
-      setError(error);
       console.error('❌ Add to cart error:', err);
       console.error('❌ Error details:', {
         message: err.message,
-        stack: err.stack,
         cartId,
         productId,
         quantity,
         productData
       });
       throw err;
-    } finally {
-      setLoading(false);
     }
-  }, [cartId, refreshCart]);
+  }, [cartId, refreshCart, rateBoard]);
 
   // Update item quantity
   const updateItemQuantity = useCallback(async (itemId, quantity) => {
@@ -289,23 +537,67 @@ export const useCart = () => {
       return;
     }
 
+    if (isOfflineCartId(cartId)) {
+      setItems((prev) => withItemQuantity(prev, itemId, quantity));
+      return;
+    }
+
     try {
-      setLoading(true);
-      
-      if (quantity === 0) {
-        await cartApi.removeItem(cartId, itemId);
-      } else {
-        await cartApi.updateItem(cartId, itemId, quantity);
-      }
-      
-      await refreshCart();
-      setError(null);
+      await mutateOptimistically({
+        applyItems: (prev) => withItemQuantity(prev, itemId, quantity),
+        request: () => (quantity === 0
+          ? cartApi.removeItem(cartId, itemId)
+          : cartApi.updateItem(cartId, itemId, quantity)),
+        failureMessage: 'Failed to update item quantity',
+      });
     } catch (err) {
-      setError('Failed to update item quantity');
       console.error('Update quantity error:', err);
       throw err;
-    } finally {
-      setLoading(false);
+    }
+  }, [cartId, refreshCart]);
+
+  // Override a line's unit price - the caller has already collected the reason and any approval
+  const overrideItemPrice = useCallback(async (itemId, override) => {
+    if (!cartId) {
+      setError('Cart not initialized');
+      return;
+    }
+
+    if (isOfflineCartId(cartId)) {
+      setItems((prev) => withPriceOverride(prev, itemId, override));
+      return;
+    }
+
+    try {
+      await mutateOptimistically({
+        applyItems: (prev) => withPriceOverride(prev, itemId, override),
+        request: () => cartApi.overrideItemPrice(cartId, itemId, override),
+        failureMessage: 'Failed to change price',
+      });
+    } catch (err) {
+      console.error('Override price error:', err);
+      throw err;
+    }
+  }, [cartId, refreshCart]);
+
+  // Put a line back on its original price
+  const removePriceOverride = useCallback(async (itemId) => {
+    if (!cartId) return;
+
+    if (isOfflineCartId(cartId)) {
+      setItems((prev) => withPriceOverride(prev, itemId, null));
+      return;
+    }
+
+    try {
+      await mutateOptimistically({
+        applyItems: (prev) => withPriceOverride(prev, itemId, null),
+        request: () => cartApi.removePriceOverride(cartId, itemId),
+        failureMessage: 'Failed to restore price',
+      });
+    } catch (err) {
+      console.error('Remove price override error:', err);
+      throw err;
     }
   }, [cartId, refreshCart]);
 
@@ -319,55 +611,88 @@ export const useCart = () => {
       return;
     }
 
+    if (isOfflineCartId(cartId)) {
+      setItems((prev) => withItemQuantity(prev, itemId, 0));
+      return;
+    }
+
     try {
-      setLoading(true);
-      console.log('🗑️ Making API call to remove item...');
-      console.log('🗑️ API call parameters:', { cartId, itemId });
-      
-      await cartApi.removeItem(cartId, itemId);
-      console.log('✅ Remove item API call successful');
-      
-      await refreshCart();
-      console.log('✅ Cart refreshed after removal');
-      setError(null);
+      await mutateOptimistically({
+        applyItems: (prev) => withItemQuantity(prev, itemId, 0),
+        request: () => cartApi.removeItem(cartId, itemId),
+        failureMessage: 'Failed to remove item',
+      });
+      console.log('✅ Remove item confirmed by server');
     } catch (err) {
-      setError('Failed to remove item');
       console.error('❌ Remove item error:', err);
       console.error('❌ Remove item error details:', {
         message: err.message,
-        stack: err.stack,
         cartId,
         itemId
       });
       throw err;
-    } finally {
-      setLoading(false);
     }
   }, [cartId, refreshCart]);
 
-  // Clear entire cart
+  // Re-price lines still at an earlier rate board from today's rates
+  const repriceItems = useCallback(async () => {
+    if (!cartId || !rateBoard) return;
+
+    const withCurrentRates = (prev) => prev.map((item) => (isPricedAtOldRates(item, rateBoard)
+      ? repriceProduct(item, rateBoard)
+      : item));
+    const changedLines = withCurrentRates(itemsRef.current)
+      .filter((item, index) => item !== itemsRef.current[index])
+      .map((item) => ({
+        cart_item_id: item.cart_item_id,
+        unit_price: item.price,
+        metal_rates_applied: item.metal_rates_applied,
+        rates_effective_from: item.rates_effective_from,
+      }));
+    if (changedLines.length === 0) return;
+
+    if (isOfflineCartId(cartId)) {
+      setItems(withCurrentRates);
+      return;
+    }
+
+    try {
+      await mutateOptimistically({
+        applyItems: withCurrentRates,
+        request: () => cartApi.updatePrices(cartId, changedLines),
+        failureMessage: 'Failed to update prices to today\'s rates',
+      });
+    } catch (err) {
+      console.error('Reprice cart error:', err);
+      throw err;
+    }
+  }, [cartId, refreshCart, rateBoard]);
+
+  // Clear entire cart - lines and discount go in one request, the cart ID is kept for reuse
   const clearCart = useCallback(async () => {
     if (!cartId) return;
 
-    try {
-      setLoading(true);
-      
-      // Remove all items one by one
-      for (const item of items) {
-        await cartApi.removeItem(cartId, item.cart_item_id || item.id);
-      }
-      
+    if (isOfflineCartId(cartId)) {
       setItems([]);
-      setError(null);
+      setAppliedDiscount(null);
+      setEstimateLink(null);
+      return;
+    }
+
+    try {
+      await mutateOptimistically({
+        applyItems: () => [],
+        discount: null,
+        request: () => cartApi.clearItems(cartId),
+        failureMessage: 'Failed to clear cart',
+      });
+      setEstimateLink(null);
       console.log('🛒 Cart cleared successfully, keeping cart ID for reuse:', cartId);
     } catch (err) {
-      setError('Failed to clear cart');
       console.error('Clear cart error:', err);
       throw err;
-    } finally {
-      setLoading(false);
     }
-  }, [cartId, items]);
+  }, [cartId, refreshCart]);
 
   // Create new cart (for special cases like when current cart becomes invalid)
   const createNewCart = useCallback(async () => {
@@ -380,10 +705,17 @@ export const useCart = () => {
       const newCartId = newCart.cart_id || newCart.id;
       setCartId(newCartId);
       setItems([]);
+      setAppliedDiscount(null);
       setError(null);
       
       return newCartId;
     } catch (err) {
+      if (isNetworkError(err)) {
+        setItems([]);
+        setAppliedDiscount(null);
+        return switchToOfflineCart();
+      }
+
       const errorMessage = 'Failed to create new cart';
       setError(errorMessage);
       console.error('❌ Create new cart error:', err);
@@ -393,40 +725,59 @@ export const useCart = () => {
     }
   }, []);
 
-  // Hold cart transaction
-  const holdCart = useCallback(async () => {
-    if (!cartId) return;
+  // Start a fresh cart filled with saved lines, e.g. from an estimate (estimateId links the two until checkout)
+  // Pieces with a metal breakdown go in at today's rates, like anything added from the catalog
+  const startCartFromLines = useCallback(async (lines = [], discount = null, { estimateId = null } = {}) => {
+    const repricedLines = lines.map((line) => ({ ...line, product_data: repriceProduct(line.product_data || {}, rateBoard) }));
 
     try {
       setLoading(true);
-      await cartApi.hold(cartId);
-      setError(null);
-    } catch (err) {
-      setError('Failed to hold cart');
-      console.error('Hold cart error:', err);
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  }, [cartId]);
-
-  // Resume held cart
-  const resumeCart = useCallback(async () => {
-    if (!cartId) return;
+      const newCart = await cartApi.create();
+      const newCartId = newCart.cart_id || newCart.id;
+      for (const line of repricedLines) {
+        const added = await cartApi.addItem(newCartId, line.product_id, line.quantity, line.product_data);
+        const addedItemId = added?.cart_item_id || added?.item?.cart_item_id || added?.id;
+        // A price agreed on the estimate carries over with its original approval
+        if (line.price_override && addedItemId) {
+          await cartApi.overrideItemPrice(newCartId, addedItemId, line.price_override);
+        }
+      }
+      if (discount?.id) {
+        await discountsApi.applyToCart(newCartId, discount.id);
+      }
 
-    try {
-      setLoading(true);
-      await cartApi.resume(cartId);
-      await refreshCart();
+      snapshotReadyRef.current = true;
+      setCartId(newCartId);
+      setAppliedDiscount(discount ? normalizeDiscount(discount) : null);
+      setEstimateLink(estimateId ? { cartId: newCartId, estimateId } : null);
+      await refreshCart(newCartId);
       setError(null);
+      console.log('🛒 Started cart from saved lines:', newCartId);
+      return newCartId;
     } catch (err) {
-      setError('Failed to resume cart');
-      console.error('Resume cart error:', err);
+      if (isNetworkError(err)) {
+        const offlineCartId = switchToOfflineCart();
+        setItems(repricedLines.map((line) => {
+          const item = createLocalCartItem(line.product_id, line.quantity, line.product_data);
+          return line.price_override ? { ...item, price: line.price_override.unit_price, price_override: line.price_override } : item;
+        }));
+        setAppliedDiscount(discount ? normalizeDiscount(discount) : null);
+        setEstimateLink(estimateId ? { cartId: offlineCartId, estimateId } : null);
+        return offlineCartId;
+      }
+
+      setError('Failed to load items into a new cart');
+      console.error('Start cart from lines error:', err);
       throw err;
     } finally {
       setLoading(false);
     }
-  }, [cartId, refreshCart]);
+  }, [refreshCart, rateBoard]);
+
+  // Record the HUIDs for a hallmarked line, one entry per piece
+  const setLineHallmarks = useCallback((cartItemId, entries) => {
+    setHallmarks((prev) => ({ ...prev, [cartItemId]: entries }));
+  }, []);
 
   // Calculate totals - use useMemo to ensure it updates when items change
   const totals = useMemo(() => {
@@ -444,12 +795,17 @@ export const useCart = () => {
       return sum + itemTotal;
     }, 0);
     
-    const tax = subtotal * 0.03; // 3% GST
-    const total = subtotal + tax;
+    // Discount comes off the subtotal before GST is charged
+    const discount = calculateDiscountAmount(appliedDiscount, subtotal);
+    const taxableAmount = subtotal - discount;
+    const taxBreakup = computeTaxBreakup(items, { discount, placeOfSupply });
+    const tax = taxBreakup.totalTax;
+    const total = taxableAmount + tax;
     
     console.log('🛒 Totals calculated:', {
       itemCount,
       subtotal,
+      discount,
       tax,
       total,
       itemsLength: items.length,
@@ -464,24 +820,194 @@ export const useCart = () => {
     return {
       itemCount,
       subtotal,
+      discount,
+      taxableAmount,
       tax,
+      taxBreakup,
       total
     };
-  }, [items]);
+  }, [items, appliedDiscount, placeOfSupply]);
+
+  // Load held/parked transactions
+  const loadHeldTransactions = useCallback(async () => {
+    try {
+      const result = await checkoutApi.getHeldTransactions();
+      const list = Array.isArray(result) ? result : (result.held_transactions || result.transactions || result.data || []);
+      const normalized = list.map(normalizeHeldTransaction);
+      setHeldTransactions(normalized);
+      return normalized;
+    } catch (err) {
+      console.error('Load held transactions error:', err);
+      throw err;
+    }
+  }, []);
+
+  // Freeze the active cart, then record who it belongs to for the resume picker
+  const parkActiveCart = async (holdDetails = {}) => {
+    await cartApi.hold(cartId);
+    const held = await checkoutApi.hold({
+      cart_id: cartId,
+      customer_id: holdDetails.customerId || null,
+      customer_name: holdDetails.customerName || null,
+      item_count: items.reduce((sum, item) => sum + (item.quantity || 0), 0),
+      total_amount: totals.total,
+      notes: holdDetails.notes || null,
+    });
+    console.log('⏸️ Cart parked:', held);
+    return held;
+  };
+
+  // Park the active cart and start a fresh one for the next customer
+  const holdCart = useCallback(async (holdDetails = {}) => {
+    if (!cartId || items.length === 0) return;
+    if (isOfflineCartId(cartId)) {
+      throw new Error('Parking a sale needs a connection to the server');
+    }
+
+    try {
+      setLoading(true);
+      const held = await parkActiveCart(holdDetails);
+
+      const newCart = await cartApi.create();
+      setCartId(newCart.cart_id || newCart.id);
+      setItems([]);
+      setAppliedDiscount(null);
+      setCartCustomer(null);
+      setError(null);
+
+      await loadHeldTransactions();
+      return held;
+    } catch (err) {
+      setError('Failed to hold cart');
+      console.error('Hold cart error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [cartId, items, totals, loadHeldTransactions]);
+
+  // Resume a held cart into the active cartId
+  // A cart already on the counter is parked first, so resuming never throws a sale away;
+  // the resumed cart takes its place, so no fresh cart is needed
+  const resumeCart = useCallback(async (heldCartId, holdDetails = {}) => {
+    if (!heldCartId || heldCartId === cartId) return;
+    const parkFirst = items.length > 0;
+    if (parkFirst && isOfflineCartId(cartId)) {
+      throw new Error('Parking a sale needs a connection to the server');
+    }
+
+    try {
+      setLoading(true);
+      if (parkFirst) {
+        await parkActiveCart(holdDetails);
+      }
+      await cartApi.resume(heldCartId);
+      setCartId(heldCartId);
+      setAppliedDiscount(null);
+      setCartCustomer(null);
+      await refreshCart(heldCartId);
+      await loadHeldTransactions();
+      setError(null);
+    } catch (err) {
+      setError('Failed to resume cart');
+      console.error('Resume cart error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [cartId, items, totals, refreshCart, loadHeldTransactions]);
+
+  // Apply a discount to the cart
+  const applyDiscount = useCallback(async (discount) => {
+    if (!cartId) {
+      setError('Cart not initialized');
+      return;
+    }
+
+    // Offline carts get the discount applied on the server when the sale syncs
+    if (isOfflineCartId(cartId)) {
+      setAppliedDiscount(normalizeDiscount(discount));
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const discountId = discount.id || discount.discount_id;
+      const result = await discountsApi.applyToCart(cartId, discountId);
+      console.log('🏷️ Discount applied to cart:', result);
+      setAppliedDiscount(normalizeDiscount(result?.discount || discount));
+      setError(null);
+    } catch (err) {
+      if (isNetworkError(err)) {
+        switchToOfflineCart();
+        setAppliedDiscount(normalizeDiscount(discount));
+        return;
+      }
+
+      setError('Failed to apply discount');
+      console.error('Apply discount error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [cartId]);
+
+  // Remove the applied discount from the cart
+  const removeDiscount = useCallback(async () => {
+    if (!cartId) return;
+
+    if (isOfflineCartId(cartId)) {
+      setAppliedDiscount(null);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await discountsApi.removeFromCart(cartId);
+      setAppliedDiscount(null);
+      setError(null);
+    } catch (err) {
+      setError('Failed to remove discount');
+      console.error('Remove discount error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [cartId]);
 
   return {
     cartId,
+    isOfflineCart: isOfflineCartId(cartId),
+    sourceEstimateId,
     items,
     loading,
     error,
+    syncing,
+    notice,
+    dismissNotice,
     totals,
+    appliedDiscount,
+    heldTransactions,
+    hallmarks,
+    setLineHallmarks,
+    placeOfSupply,
+    setPlaceOfSupply,
+    cartCustomer,
+    setCartCustomer,
     addItem,
     updateItemQuantity,
+    overrideItemPrice,
+    removePriceOverride,
     removeItem,
+    repriceItems,
     clearCart,
     createNewCart,
+    startCartFromLines,
     holdCart,
     resumeCart,
+    loadHeldTransactions,
     refreshCart,
+    applyDiscount,
+    removeDiscount,
   };
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { useState, useCallback } from 'react';
+import { commissionApi } from '../services/commissionApi';
+
+/**
+ * Custom Hook: useCommission
+ * Manages commission rules and the per-staff commission report
+ */
+export const useCommission = () => {
+  const [rules, setRules] = useState([]);
+  const [report, setReport] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch all commission rules
+   */
+  const loadRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await commissionApi.getRules();
+      setRules(Array.isArray(data) ? data : []);
+    } catch (err) {
+      setError(err.message || 'Failed to load commission rules');
+      console.error('Load commission rules error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Create a rule, or update it when it already has an ID
+   */
+  const saveRule = useCallback(async (ruleData) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const { id, ...fields } = ruleData;
+      const saved = id
+        ? await commissionApi.updateRule(id, fields)
+        : await commissionApi.createRule(fields);
+      setRules((prev) => (id
+        ? prev.map((rule) => (rule.id === id ? { ...rule, ...saved } : rule))
+        : [...prev, saved]));
+      return saved;
+    } catch (err) {
+      setError(err.message || 'Failed to save commission rule');
+      console.error('Save commission rule error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Delete a rule
+   */
+  const deleteRule = useCallback(async (ruleId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await commissionApi.deleteRule(ruleId);
+      setRules((prev) => prev.filter((rule) => rule.id !== ruleId));
+    } catch (err) {
+      setError(err.message || 'Failed to delete commission rule');
+      console.error('Delete commission rule error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Fetch the per-staff commission report for a date range
+   */
+  const loadReport = useCallback(async (filters) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await commissionApi.getReport(filters);
+      setReport(Array.isArray(data) ? data : []);
+    } catch (err) {
+      setError(err.message || 'Failed to load commission report');
+      console.error('Load commission report error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return {
+    rules,
+    report,
+    loading,
+    error,
+    loadRules,
+    saveRule,
+    deleteRule,
+    loadReport,
+    clearError: () => setError(null),
+  };
+};
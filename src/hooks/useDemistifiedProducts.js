@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import { demistifiedProductsApi } from '../services/api';
+import { offlineStore } from '../services/offlineStore';
+import { isNetworkError } from '../utils';
 
 /**
  * Custom Hook: useDemistifiedProducts
@@ -51,6 +53,9 @@ export const useDemistifiedProducts = ({
   };
 
   const fetchProducts = async (page = currentPage, params = {}, useFilters = true, filtersOverride = null) => {
+    // Set once the filters are resolved - also keys the offline copy of the page
+    let cacheKey = null;
+
     try {
       console.log(`🚀 useDemistifiedProducts - Fetching page ${page}...`);
       setLoading(true);
@@ -74,7 +79,7 @@ export const useDemistifiedProducts = ({
       });
       
       // Check cache first - cache key must include filters!
-      const cacheKey = JSON.stringify({ page, pageSize, filters: filterParams, ...params });
+      cacheKey = JSON.stringify({ page, pageSize, filters: filterParams, ...params });
       if (cachedPages.has(cacheKey)) {
         console.log(`📋 Using cached data for page ${page} with filters:`, filterParams);
         const cachedData = cachedPages.get(cacheKey);
@@ -105,6 +110,8 @@ export const useDemistifiedProducts = ({
       
       // Cache the result
       setCachedPages(prev => new Map(prev).set(cacheKey, paginationData));
+      offlineStore.saveCatalog(`demistified:${cacheKey}`, paginationData)
+        .catch((saveError) => console.warn('Failed to save catalog page for offline use:', saveError));
       
       setProducts(paginationData.products);
       setTotalPages(paginationData.totalPages);
@@ -116,6 +123,20 @@ export const useDemistifiedProducts = ({
       return paginationData;
       
     } catch (err) {
+      // Offline - show the last copy of this page saved on the device
+      const snapshot = isNetworkError(err) && cacheKey
+        ? await offlineStore.getCatalog(`demistified:${cacheKey}`).catch(() => null)
+        : null;
+      if (snapshot) {
+        console.log('📴 Showing saved catalog page', snapshot.saved_at);
+        setProducts(snapshot.data.products);
+        setTotalPages(snapshot.data.totalPages);
+        setTotalItems(snapshot.data.totalItems);
+        setCurrentPage(snapshot.data.currentPage);
+        setError(null);
+        return snapshot.data;
+      }
+
       setError('Failed to load demistified products');
       console.error('Fetch demistified products error:', err);
       throw err;
@@ -0,0 +1,99 @@
+import { useState, useCallback } from 'react';
+import { estimatesApi } from '../services/estimatesApi';
+import { metalRatesApi } from '../services/metalRatesApi';
+import { normalizeEstimate, buildEstimatePayload, ESTIMATE_STATUS } from '../utils';
+
+/**
+ * Custom Hook: useEstimates
+ * Manages quotations saved from the cart
+ */
+export const useEstimates = () => {
+  const [estimates, setEstimates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load estimates, open ones by default
+   */
+  const loadEstimates = useCallback(async (filters = { status: ESTIMATE_STATUS.OPEN }) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await estimatesApi.getAll(filters);
+      const list = (Array.isArray(data) ? data : []).map(normalizeEstimate);
+      setEstimates(list);
+      return list;
+    } catch (err) {
+      setError(err.message || 'Failed to load estimates');
+      console.error('Load estimates error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Rates in effect now, or null when the rate board can't be reached
+   */
+  const getCurrentRates = useCallback(async () => {
+    try {
+      return await metalRatesApi.getCurrent();
+    } catch (err) {
+      console.warn('📋 Failed to load current metal rates:', err);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Save the cart as a numbered estimate, stamped with today's metal rates
+   * @param {Object} quote - See buildEstimatePayload
+   * @returns {Promise<Object>} Normalized estimate
+   */
+  const saveEstimate = useCallback(async (quote) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const rates = await getCurrentRates();
+      const created = await estimatesApi.create(buildEstimatePayload({ ...quote, rates }));
+      const estimate = normalizeEstimate(created);
+      console.log('📋 Estimate saved:', estimate);
+      setEstimates((prev) => [estimate, ...prev]);
+      return estimate;
+    } catch (err) {
+      setError(err.message || 'Failed to save estimate');
+      console.error('Save estimate error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [getCurrentRates]);
+
+  /**
+   * Change an estimate's status and drop it from the open list
+   */
+  const updateStatus = useCallback(async (estimateId, status, extra = {}) => {
+    try {
+      setError(null);
+      const updated = await estimatesApi.update(estimateId, { status, ...extra });
+      setEstimates((prev) => prev.filter((estimate) => estimate.id !== estimateId));
+      return updated;
+    } catch (err) {
+      setError(err.message || 'Failed to update estimate');
+      console.error('Update estimate error:', err);
+      throw err;
+    }
+  }, []);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    estimates,
+    loading,
+    error,
+    loadEstimates,
+    getCurrentRates,
+    saveEstimate,
+    updateStatus,
+    clearError,
+  };
+};
@@ -0,0 +1,208 @@
+import { useState, useCallback } from 'react';
+import { giftCardsApi } from '../services/giftCardsApi';
+import { useAuth } from '../context/AuthContext';
+import { useShift } from '../context/ShiftContext';
+import {
+  normalizeGiftCard,
+  normalizeGiftCardTransaction,
+  normalizeGiftCardNumber,
+  getDefaultCardExpiry,
+  GIFT_CARD_TYPES,
+} from '../utils';
+
+/**
+ * Custom Hook: useGiftCards
+ * Looks up, issues, tops up and redeems gift cards and store-credit wallet cards
+ */
+export const useGiftCards = () => {
+  const { userInfo } = useAuth();
+  const { currentShift, addMovement } = useShift();
+  const [cards, setCards] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const userName = userInfo?.email || userInfo?.name || null;
+
+  // Money taken for a card is in the drawer but isn't a sale until the card is spent
+  const recordCardCash = async (payments = [], changeGiven, reason) => {
+    const cashKept = payments
+      .filter((line) => line.payment_method === 'cash')
+      .reduce((sum, line) => sum + line.payment_amount, 0) - changeGiven;
+    if (currentShift && cashKept > 0) {
+      try {
+        await addMovement({ type: 'cash_in', amount: cashKept, reason });
+      } catch (shiftError) {
+        console.warn('⚠️ Failed to record gift card cash against shift:', shiftError);
+      }
+    }
+  };
+
+  /**
+   * Look up a card by number
+   * @returns {Promise<Object|null>} Normalized card, or null if there is no such card
+   */
+  const lookupCard = useCallback(async (cardNumber) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const card = await giftCardsApi.getByNumber(normalizeGiftCardNumber(cardNumber));
+      return card ? normalizeGiftCard(card) : null;
+    } catch (err) {
+      setError(err.message || 'Failed to look up card');
+      console.error('Gift card lookup error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Load the cards in a customer's wallet
+   */
+  const loadCustomerCards = useCallback(async (customerId) => {
+    if (!customerId) {
+      setCards([]);
+      return [];
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await giftCardsApi.getByCustomer(customerId);
+      const list = (Array.isArray(data) ? data : []).map(normalizeGiftCard);
+      setCards(list);
+      return list;
+    } catch (err) {
+      setError(err.message || 'Failed to load wallet');
+      console.error('Load customer cards error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Load a card's transactions
+   */
+  const loadTransactions = useCallback(async (cardNumber) => {
+    try {
+      setError(null);
+      const data = await giftCardsApi.getTransactions(cardNumber);
+      const list = (Array.isArray(data) ? data : []).map(normalizeGiftCardTransaction);
+      setTransactions(list);
+      return list;
+    } catch (err) {
+      console.warn('🎁 Failed to load card transactions:', err);
+      setTransactions([]);
+      return [];
+    }
+  }, []);
+
+  /**
+   * Issue a new card
+   * Gift cards are paid for now; store credit is issued against a credit note or by a manager.
+   *
+   * @param {Object} cardData - { card_type, amount, customer_id, expires_on, source, source_reference }
+   * @param {Object} payment - { payments, changeGiven } for a sold gift card
+   * @returns {Promise<Object>} Normalized card
+   */
+  const issueCard = useCallback(async (cardData, { payments = [], changeGiven = 0 } = {}) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const isSold = cardData.card_type === GIFT_CARD_TYPES.GIFT_CARD;
+      const card = normalizeGiftCard(await giftCardsApi.issue({
+        expires_on: getDefaultCardExpiry(),
+        source: isSold ? 'sale' : 'manual',
+        ...cardData,
+        payments: isSold ? payments : [],
+        change_given: isSold ? changeGiven : 0,
+        shift_id: currentShift?.id || null,
+        issued_by: userName,
+      }));
+      console.log('🎁 Card issued:', card);
+
+      if (isSold) {
+        await recordCardCash(payments, changeGiven, `Gift card sold – ${card.card_number}`);
+      }
+      setCards((prev) => [card, ...prev]);
+      return card;
+    } catch (err) {
+      setError(err.message || 'Failed to issue card');
+      console.error('Issue gift card error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [userName, currentShift, addMovement]);
+
+  /**
+   * Load more value onto a card against a payment
+   * @param {Object} card - Normalized card
+   * @param {Object} topUp - { amount, payments, changeGiven }
+   * @returns {Promise<Object>} Updated card
+   */
+  const topUpCard = useCallback(async (card, { amount, payments, changeGiven = 0 }) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const updated = normalizeGiftCard(await giftCardsApi.topUp(card.card_number, {
+        amount,
+        payments,
+        change_given: changeGiven,
+        shift_id: currentShift?.id || null,
+        performed_by: userName,
+      }));
+      await recordCardCash(payments, changeGiven, `Gift card top-up – ${card.card_number}`);
+      return updated;
+    } catch (err) {
+      setError(err.message || 'Failed to top up card');
+      console.error('Top up gift card error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [userName, currentShift, addMovement]);
+
+  /**
+   * Redeem value from a card outside checkout (e.g. against a repair or a paper voucher being retired)
+   * @param {Object} card - Normalized card
+   * @param {number} amount - Amount to take off the card
+   * @param {string} reference - What the value was used for
+   * @returns {Promise<Object>} Updated card
+   */
+  const redeemCard = useCallback(async (card, amount, reference) => {
+    try {
+      setLoading(true);
+      setError(null);
+      return normalizeGiftCard(await giftCardsApi.redeem(card.card_number, {
+        amount,
+        reference,
+        performed_by: userName,
+      }));
+    } catch (err) {
+      setError(err.message || 'Failed to redeem card');
+      console.error('Redeem gift card error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [userName]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    cards,
+    transactions,
+    loading,
+    error,
+    lookupCard,
+    loadCustomerCards,
+    loadTransactions,
+    issueCard,
+    topUpCard,
+    redeemCard,
+    clearError,
+  };
+};
@@ -0,0 +1,74 @@
+import { useState, useCallback } from 'react';
+import { loyaltyApi } from '../services/loyaltyApi';
+import { customersApi } from '../services/api';
+import { normalizeLedgerEntry } from '../utils';
+
+/**
+ * Custom Hook: useLoyalty
+ * Loads a customer's loyalty points balance and ledger
+ */
+export const useLoyalty = () => {
+  const [balance, setBalance] = useState(0);
+  const [ledger, setLedger] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the current points balance from the customer record
+   * @param {string} customerId - Customer / contact ID
+   * @param {number} fallback - Balance to use if the lookup fails
+   */
+  const loadBalance = useCallback(async (customerId, fallback = 0) => {
+    if (!customerId) {
+      setBalance(0);
+      return 0;
+    }
+
+    try {
+      setError(null);
+      const points = parseInt(await customersApi.getLoyaltyPoints(customerId), 10) || 0;
+      setBalance(points);
+      return points;
+    } catch (err) {
+      console.warn('⭐ Failed to load loyalty balance, using customer record:', err);
+      setBalance(fallback);
+      return fallback;
+    }
+  }, []);
+
+  /**
+   * Fetch the points ledger, newest first
+   */
+  const loadLedger = useCallback(async (customerId) => {
+    if (!customerId) return [];
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await loyaltyApi.getLedger(customerId);
+      const entries = (Array.isArray(data) ? data : data.entries || []).map(normalizeLedgerEntry);
+      setLedger(entries);
+      if (data.balance !== undefined) setBalance(parseInt(data.balance, 10) || 0);
+      return entries;
+    } catch (err) {
+      if (err.status === 404) {
+        setLedger([]);
+        return [];
+      }
+      setError(err.message || 'Failed to load points history');
+      console.error('Load loyalty ledger error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return {
+    balance,
+    ledger,
+    loading,
+    error,
+    loadBalance,
+    loadLedger,
+  };
+};
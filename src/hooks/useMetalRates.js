@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback } from 'react';
+import { metalRatesApi } from '../services/metalRatesApi';
+import { useAuth } from '../context/AuthContext';
+import { normalizeRateEntry } from '../utils';
+import { RATE_HISTORY_DAYS } from '../config/metalRates';
+
+/**
+ * Custom Hook: useMetalRates
+ * Manages the day's metal rate board that real jewelry is priced from
+ */
+export const useMetalRates = () => {
+  const { userInfo, isAuthenticated } = useAuth();
+  const [board, setBoard] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the rates in effect now
+   */
+  const loadCurrent = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const current = await metalRatesApi.getCurrent();
+      const entry = current ? normalizeRateEntry(current) : null;
+      setBoard(entry);
+      return entry;
+    } catch (err) {
+      if (err.status === 404) {
+        setBoard(null);
+        return null;
+      }
+      setError(err.message || 'Failed to load metal rates');
+      console.error('Load metal rates error:', err);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadCurrent();
+    } else {
+      setBoard(null);
+    }
+  }, [isAuthenticated, loadCurrent]);
+
+  /**
+   * Fetch earlier rate board entries, the last RATE_HISTORY_DAYS by default
+   */
+  const loadHistory = useCallback(async (days = RATE_HISTORY_DAYS) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const from = new Date();
+      from.setDate(from.getDate() - days);
+      const data = await metalRatesApi.getHistory({ from: from.toISOString() });
+      const list = (Array.isArray(data) ? data : (data?.history || [])).map(normalizeRateEntry);
+      setHistory(list);
+      return list;
+    } catch (err) {
+      setError(err.message || 'Failed to load rate history');
+      console.error('Load rate history error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Publish a new set of rates
+   * @param {Object} rates - { [rate_key]: number }
+   * @param {string} effectiveFrom - ISO timestamp the rates apply from
+   * @param {string} notes
+   */
+  const publishRates = useCallback(async (rates, effectiveFrom, notes = null) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const created = await metalRatesApi.publish({
+        rates,
+        effective_from: effectiveFrom,
+        entered_by: userInfo?.email || userInfo?.name || null,
+        notes,
+      });
+      const entry = normalizeRateEntry(created);
+      console.log('📈 Metal rates published:', entry);
+      setHistory((prev) => [entry, ...prev]);
+      // Rates dated in the future don't replace the board until they take effect
+      if (!entry.effective_from || new Date(entry.effective_from) <= new Date()) {
+        setBoard(entry);
+      }
+      return entry;
+    } catch (err) {
+      setError(err.message || 'Failed to publish metal rates');
+      console.error('Publish metal rates error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [userInfo]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    board,
+    history,
+    loading,
+    error,
+    loadCurrent,
+    loadHistory,
+    publishRates,
+    clearError,
+  };
+};
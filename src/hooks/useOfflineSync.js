@@ -0,0 +1,296 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { cartApi, checkoutApi, discountsApi } from '../services/api';
+import { shiftsApi } from '../services/shiftsApi';
+import { estimatesApi } from '../services/estimatesApi';
+import { offlineStore } from '../services/offlineStore';
+import { useShift } from '../context/ShiftContext';
+import {
+  QUEUED_SALE_STATUS,
+  isNetworkError,
+  isConflictError,
+  isDuplicateSaleError,
+  isOfflineCartId,
+  formatProvisionalInvoiceNumber,
+  ESTIMATE_STATUS,
+} from '../utils';
+import {
+  PROVISIONAL_INVOICE_PREFIX,
+  PROVISIONAL_SEQUENCE_STORAGE_KEY,
+  SYNC_RETRY_INTERVAL_MS,
+} from '../config/offline';
+
+/**
+ * Next provisional invoice number for this counter
+ */
+const nextProvisionalInvoiceNumber = () => {
+  const sequence = (parseInt(localStorage.getItem(PROVISIONAL_SEQUENCE_STORAGE_KEY)) || 0) + 1;
+  localStorage.setItem(PROVISIONAL_SEQUENCE_STORAGE_KEY, String(sequence));
+  return formatProvisionalInvoiceNumber(PROVISIONAL_INVOICE_PREFIX, sequence);
+};
+
+/**
+ * Push one queued sale to the server
+ * Carts built offline don't exist server-side, so they are recreated first. Each step is
+ * recorded on the queued sale as it succeeds, so a retry carries on with the same server
+ * cart instead of leaving a half-built one holding the pieces.
+ * @returns {Promise<Object>} Checkout result
+ */
+const replaySale = async (sale) => {
+  const checkoutData = { ...sale.checkout_data };
+
+  if (isOfflineCartId(checkoutData.cart_id)) {
+    let progress = sale.replay_progress || { server_cart_id: null, added_item_ids: [], priced_item_ids: [], discount_applied: false };
+    const saveProgress = async (changes) => {
+      progress = { ...progress, ...changes };
+      // Set on the sale object too, so syncNow's failure bookkeeping doesn't write over it
+      sale.replay_progress = progress;
+      await offlineStore.updateSale(sale);
+    };
+
+    if (!progress.server_cart_id) {
+      const newCart = await cartApi.create();
+      await saveProgress({ server_cart_id: newCart.cart_id || newCart.id });
+    }
+    const serverCartId = progress.server_cart_id;
+
+    for (const [index, item] of sale.cart_items.entries()) {
+      if (index >= progress.added_item_ids.length) {
+        const added = await cartApi.addItem(serverCartId, item.product_id, item.quantity, item.product_data);
+        const newItemId = added?.cart_item_id || added?.item?.cart_item_id || added?.id || null;
+        await saveProgress({ added_item_ids: [...progress.added_item_ids, newItemId] });
+      }
+      const addedItemId = progress.added_item_ids[index];
+      if (item.price_override && addedItemId && !progress.priced_item_ids.includes(addedItemId)) {
+        await cartApi.overrideItemPrice(serverCartId, addedItemId, item.price_override);
+        await saveProgress({ priced_item_ids: [...progress.priced_item_ids, addedItemId] });
+      }
+    }
+    if (checkoutData.discount_id && !progress.discount_applied) {
+      await discountsApi.applyToCart(serverCartId, checkoutData.discount_id);
+      await saveProgress({ discount_applied: true });
+    }
+    checkoutData.cart_id = serverCartId;
+  }
+
+  // Sales queued before they carried an ID fall back to their provisional number, which is just as stable
+  const result = await checkoutApi.completeSale({
+    ...checkoutData,
+    client_sale_id: checkoutData.client_sale_id || sale.provisional_invoice_number,
+    provisional_invoice_number: sale.provisional_invoice_number,
+    offline_created_at: sale.queued_at,
+  }).catch((err) => {
+    // An earlier attempt got through but its response didn't make it back
+    if (!isDuplicateSaleError(err)) throw err;
+    console.log('🔄 Offline sale already on the server:', sale.provisional_invoice_number);
+    return err.data;
+  });
+
+  // The shift was open when the sale was taken - credit its tenders now
+  if (checkoutData.shift_id && sale.shift_sale) {
+    try {
+      await shiftsApi.recordSale(checkoutData.shift_id, { ...sale.shift_sale, invoice_id: result.invoice_id });
+    } catch (err) {
+      console.warn('⚠️ Failed to record synced sale against shift:', err);
+    }
+  }
+
+  // The sale came from an estimate - it's converted now the sale is on the server
+  if (checkoutData.estimate_id) {
+    try {
+      await estimatesApi.update(checkoutData.estimate_id, {
+        status: ESTIMATE_STATUS.CONVERTED,
+        cart_id: checkoutData.cart_id,
+        invoice_id: result.invoice_id || null,
+      });
+    } catch (err) {
+      console.warn('⚠️ Failed to mark synced estimate as converted:', err);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Custom Hook: useOfflineSync
+ * Queues completed sales in IndexedDB while the server is unreachable and
+ * replays them, oldest first, once the connection is back
+ */
+export const useOfflineSync = () => {
+  const { currentShift, loadCurrentShift } = useShift();
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [queuedSales, setQueuedSales] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSyncResult, setLastSyncResult] = useState(null);
+  const [error, setError] = useState(null);
+  const syncingRef = useRef(false);
+
+  /**
+   * Load the queue from IndexedDB
+   */
+  const loadQueue = useCallback(async () => {
+    try {
+      const sales = await offlineStore.getSales();
+      setQueuedSales(sales);
+      return sales;
+    } catch (err) {
+      setError(err.message || 'Failed to read offline queue');
+      console.error('Load offline queue error:', err);
+      return [];
+    }
+  }, []);
+
+  /**
+   * Queue a sale the server could not take
+   * @param {Object} sale - { checkoutData, cartItems, shiftSale, customerName, total }
+   * @returns {Promise<Object>} Queued sale including its provisional invoice number
+   */
+  const queueSale = useCallback(async ({ checkoutData, cartItems, shiftSale, customerName, total }) => {
+    const sale = {
+      provisional_invoice_number: nextProvisionalInvoiceNumber(),
+      status: QUEUED_SALE_STATUS.PENDING,
+      queued_at: new Date().toISOString(),
+      checkout_data: checkoutData,
+      cart_items: cartItems,
+      shift_sale: shiftSale || null,
+      customer_name: customerName || 'Walk-in Customer',
+      total_amount: total,
+      attempts: 0,
+      last_error: null,
+    };
+
+    const id = await offlineStore.addSale(sale);
+    const queued = { ...sale, id };
+    setQueuedSales((prev) => [...prev, queued]);
+    console.log('📴 Sale queued for sync:', queued.provisional_invoice_number);
+    return queued;
+  }, []);
+
+  /**
+   * Replay pending sales in the order they were taken
+   * Stops at the first network failure so later sales never overtake earlier ones;
+   * conflicts are set aside for review and don't block the rest of the queue.
+   */
+  const syncNow = useCallback(async () => {
+    if (syncingRef.current) return null;
+
+    const pending = (await offlineStore.getSales()).filter((sale) => sale.status === QUEUED_SALE_STATUS.PENDING);
+    if (pending.length === 0) return null;
+
+    syncingRef.current = true;
+    setSyncing(true);
+    setError(null);
+
+    const summary = { synced: [], conflicts: [], stoppedOffline: false };
+
+    try {
+      for (const sale of pending) {
+        try {
+          const result = await replaySale(sale);
+          await offlineStore.removeSale(sale.id);
+          summary.synced.push({ provisional: sale.provisional_invoice_number, invoice_number: result.invoice_number });
+          console.log('🔄 Offline sale synced:', sale.provisional_invoice_number, '→', result.invoice_number);
+        } catch (err) {
+          if (!isConflictError(err)) {
+            await offlineStore.updateSale({ ...sale, attempts: sale.attempts + 1, last_error: err.message });
+            summary.stoppedOffline = isNetworkError(err);
+            console.warn('🔄 Sync paused, will retry:', err.message);
+            break;
+          }
+
+          await offlineStore.updateSale({
+            ...sale,
+            status: QUEUED_SALE_STATUS.CONFLICT,
+            attempts: sale.attempts + 1,
+            last_error: err.message,
+          });
+          summary.conflicts.push({ provisional: sale.provisional_invoice_number, message: err.message });
+          console.error('⚠️ Offline sale conflict:', sale.provisional_invoice_number, err);
+        }
+      }
+
+      if (summary.stoppedOffline) setIsOnline(false);
+      setLastSyncResult({ ...summary, at: new Date().toISOString() });
+
+      // Synced sales may have moved the till's expected cash
+      if (summary.synced.length > 0 && currentShift) {
+        await loadCurrentShift();
+      }
+      return summary;
+    } catch (err) {
+      setError(err.message || 'Failed to sync offline sales');
+      console.error('Offline sync error:', err);
+      return summary;
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      await loadQueue();
+    }
+  }, [currentShift, loadCurrentShift, loadQueue]);
+
+  /**
+   * Put a conflicting sale back in the queue, e.g. after the stock was fixed
+   */
+  const retrySale = useCallback(async (sale) => {
+    await offlineStore.updateSale({ ...sale, status: QUEUED_SALE_STATUS.PENDING });
+    await loadQueue();
+    return syncNow();
+  }, [loadQueue, syncNow]);
+
+  /**
+   * Drop a sale from the queue once it has been dealt with by hand
+   */
+  const discardSale = useCallback(async (saleId) => {
+    await offlineStore.removeSale(saleId);
+    await loadQueue();
+  }, [loadQueue]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  // Track connectivity and sync as soon as the browser is back online
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncNow]);
+
+  // The browser can report online while the server is still unreachable - keep retrying
+  const pendingCount = queuedSales.filter((sale) => sale.status === QUEUED_SALE_STATUS.PENDING).length;
+  useEffect(() => {
+    if (pendingCount === 0) return;
+
+    const interval = setInterval(() => {
+      if (navigator.onLine) {
+        setIsOnline(true);
+        syncNow();
+      }
+    }, SYNC_RETRY_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [pendingCount, syncNow]);
+
+  return {
+    isOnline,
+    setIsOnline,
+    queuedSales,
+    pendingCount,
+    conflictCount: queuedSales.filter((sale) => sale.status === QUEUED_SALE_STATUS.CONFLICT).length,
+    syncing,
+    lastSyncResult,
+    error,
+    queueSale,
+    syncNow,
+    retrySale,
+    discardSale,
+    loadQueue,
+  };
+};
@@ -0,0 +1,187 @@
+import { useState, useCallback } from 'react';
+import { ordersApi } from '../services/ordersApi';
+import { paymentsApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { useShift } from '../context/ShiftContext';
+import { normalizeOrder, ORDER_STATUS } from '../utils';
+
+/**
+ * Custom Hook: useOrders
+ * Manages advance-payment orders: the advance, installments, final invoice and cancellation
+ */
+export const useOrders = () => {
+  const { userInfo } = useAuth();
+  const { currentShift, addMovement } = useShift();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const userName = userInfo?.email || userInfo?.name || null;
+
+  const replaceOrder = (order) => {
+    setOrders((prev) => prev.map((existing) => (existing.id === order.id ? order : existing)));
+  };
+
+  /**
+   * Load orders, open ones by default
+   */
+  const loadOrders = useCallback(async (filters = { status: ORDER_STATUS.OPEN }) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ordersApi.getAll(filters);
+      const list = (Array.isArray(data) ? data : []).map(normalizeOrder);
+      setOrders(list);
+      return list;
+    } catch (err) {
+      setError(err.message || 'Failed to load orders');
+      console.error('Load orders error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Take a payment against an order and credit its cash to the open till
+   * Orders reach the shift's sales only as their final invoice - the
+   * drawer sees the cash as it comes in.
+   */
+  const processOrderPayment = async (order, { payments, changeGiven = 0, paymentType }) => {
+    const amount = payments.reduce((sum, payment) => sum + payment.payment_amount, 0) - changeGiven;
+    const payment = await paymentsApi.process({
+      order_id: order.id,
+      payment_type: paymentType,
+      payments,
+      amount,
+      change_given: changeGiven,
+      shift_id: currentShift?.id || null,
+      received_by: userName,
+    });
+
+    const cashKept = payments
+      .filter((line) => line.payment_method === 'cash')
+      .reduce((sum, line) => sum + line.payment_amount, 0) - changeGiven;
+    if (currentShift && cashKept > 0) {
+      try {
+        await addMovement({ type: 'cash_in', amount: cashKept, reason: `${paymentType === 'advance' ? 'Advance' : 'Installment'} – order ${order.order_number}` });
+      } catch (shiftError) {
+        console.warn('⚠️ Failed to record order cash against shift:', shiftError);
+      }
+    }
+    return payment;
+  };
+
+  /**
+   * Reserve the cart as an order and take the advance
+   * If the advance can't be taken the order is cancelled again so the pieces aren't left reserved.
+   *
+   * @param {Object} orderData - Payload for ordersApi.create
+   * @param {Object} advance - { payments, changeGiven }
+   * @returns {Promise<Object>} Normalized order
+   */
+  const createOrder = useCallback(async (orderData, advance) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const created = normalizeOrder(await ordersApi.create({ ...orderData, created_by: userName }));
+
+      try {
+        await processOrderPayment(created, { ...advance, paymentType: 'advance' });
+      } catch (paymentError) {
+        await ordersApi.cancel(created.id, { reason: 'Advance payment failed', cancelled_by: userName })
+          .catch((cancelError) => console.error('Failed to release order after payment error:', cancelError));
+        throw paymentError;
+      }
+
+      const order = normalizeOrder(await ordersApi.getById(created.id));
+      console.log('📦 Order created:', order);
+      setOrders((prev) => [order, ...prev]);
+      return order;
+    } catch (err) {
+      setError(err.message || 'Failed to create order');
+      console.error('Create order error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [userName, currentShift, addMovement]);
+
+  /**
+   * Generate the final invoice once nothing is left to pay
+   */
+  const completeOrder = useCallback(async (orderId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const completed = normalizeOrder(await ordersApi.complete(orderId, {
+        shift_id: currentShift?.id || null,
+        completed_by: userName,
+      }));
+      replaceOrder(completed);
+      return completed;
+    } catch (err) {
+      setError(err.message || 'Failed to generate invoice for order');
+      console.error('Complete order error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [userName, currentShift]);
+
+  /**
+   * Record an installment; the order is invoiced when it clears the balance
+   * @param {Object} order - Normalized order
+   * @param {Object} installment - { payments, changeGiven }
+   * @returns {Promise<Object>} Updated order
+   */
+  const recordPayment = useCallback(async (order, installment) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await processOrderPayment(order, { ...installment, paymentType: 'installment' });
+      const updated = normalizeOrder(await ordersApi.getById(order.id));
+      replaceOrder(updated);
+      return updated.balance_due <= 0 ? await completeOrder(order.id) : updated;
+    } catch (err) {
+      setError(err.message || 'Failed to record payment');
+      console.error('Record order payment error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [currentShift, addMovement, userName, completeOrder]);
+
+  /**
+   * Cancel an order and release its reserved pieces
+   */
+  const cancelOrder = useCallback(async (orderId, reason) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const cancelled = normalizeOrder(await ordersApi.cancel(orderId, { reason, cancelled_by: userName }));
+      setOrders((prev) => prev.filter((order) => order.id !== orderId));
+      return cancelled;
+    } catch (err) {
+      setError(err.message || 'Failed to cancel order');
+      console.error('Cancel order error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [userName]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    orders,
+    loading,
+    error,
+    loadOrders,
+    createOrder,
+    recordPayment,
+    completeOrder,
+    cancelOrder,
+    clearError,
+  };
+};
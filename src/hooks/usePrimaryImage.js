@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { productsApi } from '../services/api';
+import { normalizePrimaryImages } from '../utils';
+import { IMAGE_URL_EXPIRATION_SECONDS, IMAGE_URL_CACHE_MS, PRIMARY_IMAGE_BATCH_SIZE } from '../config/productImages';
+
+// Shared by every card and cart line so each SKU is looked up once per signed URL lifetime
+const primaryImageCache = new Map();
+const queuedSkus = new Set();
+const pendingSkus = new Set();
+const listeners = new Set();
+let flushScheduled = false;
+
+const readCache = (sku) => {
+  const entry = primaryImageCache.get(sku);
+  return entry && entry.expiresAt > Date.now() ? entry : null;
+};
+
+/**
+ * Record a SKU's primary image and update everything showing it
+ * @param {string} sku
+ * @param {string|null} url - null when the SKU has no images
+ */
+export const setPrimaryImageForSku = (sku, url) => {
+  primaryImageCache.set(sku, { url, expiresAt: Date.now() + IMAGE_URL_CACHE_MS });
+  listeners.forEach((listener) => listener(sku, url));
+};
+
+const lookupBatch = async (skus) => {
+  skus.forEach((sku) => pendingSkus.add(sku));
+  let urls = {};
+  try {
+    urls = normalizePrimaryImages(await productsApi.getPrimaryImagesForSkus(skus, { expiration: IMAGE_URL_EXPIRATION_SECONDS }));
+  } catch (err) {
+    console.error('🖼️ Failed to load primary images:', err);
+  }
+  skus.forEach((sku) => {
+    pendingSkus.delete(sku);
+    setPrimaryImageForSku(sku, urls[sku] || null);
+  });
+};
+
+// SKUs asked for while a page renders are collected and looked up together
+const flushLookups = () => {
+  flushScheduled = false;
+  const skus = [...queuedSkus];
+  queuedSkus.clear();
+  for (let start = 0; start < skus.length; start += PRIMARY_IMAGE_BATCH_SIZE) {
+    lookupBatch(skus.slice(start, start + PRIMARY_IMAGE_BATCH_SIZE));
+  }
+};
+
+const lookupPrimaryImage = (sku) => {
+  if (pendingSkus.has(sku) || queuedSkus.has(sku)) return;
+  queuedSkus.add(sku);
+  if (!flushScheduled) {
+    flushScheduled = true;
+    setTimeout(flushLookups, 0);
+  }
+};
+
+/**
+ * Custom Hook: usePrimaryImage
+ * URL of the primary image uploaded for a SKU, for product cards and cart lines
+ *
+ * @param {string} sku
+ * @param {boolean} enabled - Skip the lookup (e.g. the product already has an image)
+ * @returns {string|null}
+ */
+export const usePrimaryImage = (sku, enabled = true) => {
+  const [url, setUrl] = useState(() => (sku ? readCache(sku)?.url || null : null));
+
+  useEffect(() => {
+    if (!sku || !enabled) return undefined;
+
+    const listener = (changedSku, changedUrl) => {
+      if (changedSku === sku) setUrl(changedUrl);
+    };
+    listeners.add(listener);
+
+    const cached = readCache(sku);
+    setUrl(cached ? cached.url : null);
+    if (!cached) lookupPrimaryImage(sku);
+
+    return () => listeners.delete(listener);
+  }, [sku, enabled]);
+
+  return enabled ? url : null;
+};
@@ -0,0 +1,134 @@
+import { useState, useEffect, useCallback } from 'react';
+import { productsApi } from '../services/api';
+import { normalizeSkuImages } from '../utils';
+import { IMAGE_URL_EXPIRATION_SECONDS } from '../config/productImages';
+import { setPrimaryImageForSku } from './usePrimaryImage';
+
+/**
+ * Custom Hook: useProductImages
+ * Manages the images stored for a SKU: upload, delete and display order.
+ * The first image is the primary one.
+ *
+ * @param {string} sku
+ */
+export const useProductImages = (sku) => {
+  const [images, setImages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyImages = useCallback((nextImages) => {
+    setImages(nextImages);
+    setPrimaryImageForSku(sku, nextImages[0]?.url || null);
+  }, [sku]);
+
+  /**
+   * Fetch the SKU's images with fresh signed URLs
+   */
+  const loadImages = useCallback(async () => {
+    if (!sku) return [];
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await productsApi.getImagesForSku(sku, { expiration: IMAGE_URL_EXPIRATION_SECONDS });
+      const loaded = normalizeSkuImages(response);
+      applyImages(loaded);
+      return loaded;
+    } catch (err) {
+      setError(err.message || 'Failed to load images');
+      console.error('Load product images error:', err);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, [sku, applyImages]);
+
+  useEffect(() => {
+    setImages([]);
+    loadImages();
+  }, [loadImages]);
+
+  /**
+   * Upload images, already compressed in the browser
+   * @param {Array<File>} files
+   */
+  const uploadImages = useCallback(async (files) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await productsApi.uploadImagesForSku(sku, files, { compress: false, makePublic: true });
+      return await loadImages();
+    } catch (err) {
+      setError(err.message || 'Failed to upload images');
+      console.error('Upload product images error:', err);
+      throw err;
+    } finally {
+      setSaving(false);
+    }
+  }, [sku, loadImages]);
+
+  /**
+   * Save a new display order, putting the old one back if the server refuses it
+   * @param {Array} nextImages - Images in their new order
+   */
+  const reorderImages = useCallback(async (nextImages) => {
+    const previous = images;
+    applyImages(nextImages);
+    try {
+      setSaving(true);
+      setError(null);
+      await productsApi.reorderImagesForSku(sku, nextImages.map((image) => image.name));
+    } catch (err) {
+      applyImages(previous);
+      setError(err.message || 'Failed to save image order');
+      console.error('Reorder product images error:', err);
+      throw err;
+    } finally {
+      setSaving(false);
+    }
+  }, [sku, images, applyImages]);
+
+  /**
+   * Make an image the primary one by moving it to the front
+   * @param {string} imageName
+   */
+  const setPrimaryImage = useCallback((imageName) => {
+    const image = images.find((entry) => entry.name === imageName);
+    if (!image) return Promise.resolve();
+    return reorderImages([image, ...images.filter((entry) => entry.name !== imageName)]);
+  }, [images, reorderImages]);
+
+  /**
+   * Delete an image
+   * @param {string} imageName
+   */
+  const deleteImage = useCallback(async (imageName) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await productsApi.deleteImageForSku(sku, imageName);
+      applyImages(images.filter((image) => image.name !== imageName));
+    } catch (err) {
+      setError(err.message || 'Failed to delete image');
+      console.error('Delete product image error:', err);
+      throw err;
+    } finally {
+      setSaving(false);
+    }
+  }, [sku, images, applyImages]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    images,
+    loading,
+    saving,
+    error,
+    loadImages,
+    uploadImages,
+    reorderImages,
+    setPrimaryImage,
+    deleteImage,
+    clearError,
+  };
+};
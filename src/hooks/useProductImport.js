@@ -0,0 +1,98 @@
+import { useState, useCallback } from 'react';
+import { productsApi } from '../services/api';
+import { parseCsv } from '../utils';
+
+/**
+ * Custom Hook: useProductImport
+ * Reads a vendor spreadsheet and creates the lab-grown products in it one by one
+ */
+export const useProductImport = () => {
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Read the first sheet of a .csv or .xlsx file
+   * @param {File} file
+   * @returns {Promise<Object>} { headers, dataRows }
+   */
+  const readFile = useCallback(async (file) => {
+    try {
+      setError(null);
+      let rows;
+      if (/\.xlsx$/i.test(file.name)) {
+        // Only loaded when someone imports a workbook
+        const { readSheet } = await import('read-excel-file/browser');
+        rows = await readSheet(file);
+      } else {
+        rows = parseCsv(await file.text());
+      }
+
+      const [headers = [], ...dataRows] = rows;
+      if (headers.length === 0 || dataRows.length === 0) {
+        throw new Error('The file has no rows to import');
+      }
+      return { headers: headers.map((header) => String(header ?? '').trim()), dataRows };
+    } catch (err) {
+      setError(err.message || 'Failed to read the file');
+      console.error('Read import file error:', err);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Create every valid product in the plan, carrying on past failures
+   * @param {Array} plan - From planProductImport
+   * @returns {Promise<Array>} [{ key, rows, status: 'created' | 'failed' | 'skipped', message }]
+   */
+  const runImport = useCallback(async (plan) => {
+    const toCreate = plan.filter((product) => product.isValid);
+    const outcome = plan.filter((product) => !product.isValid).map((product) => ({
+      key: product.key,
+      rows: product.rows,
+      status: 'skipped',
+      message: 'Failed validation',
+    }));
+
+    try {
+      setImporting(true);
+      setError(null);
+      setResults(outcome);
+      setProgress({ done: 0, total: toCreate.length });
+
+      for (const product of toCreate) {
+        try {
+          const response = await productsApi.createLabGrownProduct(product.payload);
+          outcome.push({ key: product.key, rows: product.rows, status: 'created', message: response?.message || 'Created' });
+        } catch (err) {
+          console.error(`📥 Import failed for ${product.key}:`, err);
+          outcome.push({ key: product.key, rows: product.rows, status: 'failed', message: err.message || 'Failed to create product' });
+        }
+        setResults([...outcome]);
+        setProgress((prev) => ({ ...prev, done: prev.done + 1 }));
+      }
+
+      console.log('📥 Product import finished:', outcome);
+      return outcome;
+    } finally {
+      setImporting(false);
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    setResults([]);
+    setProgress({ done: 0, total: 0 });
+    setError(null);
+  }, []);
+
+  return {
+    results,
+    progress,
+    importing,
+    error,
+    readFile,
+    runImport,
+    reset,
+  };
+};
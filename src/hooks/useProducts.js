@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import { productsApi } from '../services/api';
+import { offlineStore } from '../services/offlineStore';
+import { isNetworkError } from '../utils';
 
 /**
  * Custom Hook: useProducts
@@ -30,12 +32,13 @@ export const useProducts = ({
   const [cachedPages, setCachedPages] = useState(new Map());
 
   const fetchProducts = async (page = currentPage, params = {}) => {
+    const cacheKey = JSON.stringify({ page, pageSize, ...params });
+
     try {
       console.log(`� useProducts - Fetching real jewelry page ${page}...`);
       setLoading(true);
       
       // Check cache first
-      const cacheKey = JSON.stringify({ page, pageSize, ...params });
       if (cachedPages.has(cacheKey)) {
         console.log(`📋 Using cached data for page ${page}`);
         const cachedData = cachedPages.get(cacheKey);
@@ -70,6 +73,8 @@ export const useProducts = ({
       
       // Cache the result
       setCachedPages(prev => new Map(prev).set(cacheKey, paginationData));
+      offlineStore.saveCatalog(`products:${cacheKey}`, paginationData)
+        .catch((saveError) => console.warn('Failed to save catalog page for offline use:', saveError));
       
       setProducts(paginationData.products);
       setTotalPages(paginationData.totalPages);
@@ -81,6 +86,20 @@ export const useProducts = ({
       return paginationData;
       
     } catch (err) {
+      // Offline - show the last copy of this page saved on the device
+      const snapshot = isNetworkError(err)
+        ? await offlineStore.getCatalog(`products:${cacheKey}`).catch(() => null)
+        : null;
+      if (snapshot) {
+        console.log('📴 Showing saved catalog page', snapshot.saved_at);
+        setProducts(snapshot.data.products);
+        setTotalPages(snapshot.data.totalPages);
+        setTotalItems(snapshot.data.totalItems);
+        setCurrentPage(snapshot.data.currentPage);
+        setError(null);
+        return snapshot.data;
+      }
+
       setError('Failed to load jewelry products');
       console.error('Fetch jewelry products error:', err);
       throw err;
@@ -0,0 +1,84 @@
+import { useState, useEffect, useCallback } from 'react';
+import { receiptPrinter, loadLogoRaster } from '../services/receiptPrinter';
+import { encodeReceipt } from '../utils';
+import { RECEIPT_LOGO_URL, RECEIPT_LOGO_WIDTH_DOTS } from '../config/receipt';
+
+/**
+ * Custom Hook: useReceiptPrinter
+ * Connects to the counter's thermal printer and prints receipts as ESC/POS
+ */
+export const useReceiptPrinter = () => {
+  const [printer, setPrinter] = useState(() => receiptPrinter.getConnection());
+  const [printing, setPrinting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Pick up a printer paired in an earlier session
+  useEffect(() => {
+    if (!receiptPrinter.isSupported()) return;
+    receiptPrinter.reconnect()
+      .then(() => setPrinter(receiptPrinter.getConnection()))
+      .catch((err) => console.warn('🖨️ Could not reconnect receipt printer:', err));
+  }, []);
+
+  /**
+   * Pair a printer - call from a click handler
+   * @param {string} type - 'usb' or 'serial'
+   */
+  const connectPrinter = useCallback(async (type) => {
+    try {
+      setError(null);
+      await receiptPrinter.connect(type);
+      setPrinter(receiptPrinter.getConnection());
+    } catch (err) {
+      // Closing the browser's device picker isn't an error worth showing
+      if (err.name !== 'NotFoundError') {
+        setError(err.message || 'Failed to connect printer');
+        console.error('Connect printer error:', err);
+      }
+      throw err;
+    }
+  }, []);
+
+  const disconnectPrinter = useCallback(async () => {
+    await receiptPrinter.disconnect();
+    setPrinter(null);
+  }, []);
+
+  /**
+   * Print a receipt on the thermal printer
+   * @param {Object} receipt - Result of buildReceipt
+   * @returns {Promise<string>} 'thermal' when sent to the printer, 'html' when no printer
+   *   is available and the caller should print the 80mm layout instead
+   */
+  const printReceipt = useCallback(async (receipt) => {
+    try {
+      setPrinting(true);
+      setError(null);
+
+      const connection = receiptPrinter.isSupported() ? await receiptPrinter.reconnect() : null;
+      if (!connection) return 'html';
+
+      const logo = await loadLogoRaster(RECEIPT_LOGO_URL, RECEIPT_LOGO_WIDTH_DOTS);
+      await receiptPrinter.print(encodeReceipt(receipt, { logo }));
+      console.log('🖨️ Receipt printed:', receipt.invoiceNumber);
+      return 'thermal';
+    } catch (err) {
+      setError(err.message || 'Failed to print receipt');
+      console.error('Print receipt error:', err);
+      throw err;
+    } finally {
+      setPrinter(receiptPrinter.getConnection());
+      setPrinting(false);
+    }
+  }, []);
+
+  return {
+    printer,
+    printing,
+    error,
+    isSupported: receiptPrinter.isSupported(),
+    connectPrinter,
+    disconnectPrinter,
+    printReceipt,
+  };
+};
@@ -0,0 +1,94 @@
+import { useState, useCallback } from 'react';
+import { returnsApi } from '../services/returnsApi';
+import { productsApi } from '../services/productLocationApi';
+
+/**
+ * Custom Hook: useReturns
+ * Manages returns and credit notes linked to an invoice
+ */
+export const useReturns = () => {
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load returns linked to an invoice
+   */
+  const loadReturns = useCallback(async (invoiceId) => {
+    if (!invoiceId) return [];
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await returnsApi.getByInvoice(invoiceId);
+      const list = Array.isArray(data) ? data : [];
+      setReturns(list);
+      return list;
+    } catch (err) {
+      // No returns recorded yet is not an error for the caller
+      if (err.status === 404) {
+        setReturns([]);
+        return [];
+      }
+      setError(err.message || 'Failed to load returns');
+      console.error('Load returns error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Record a return, then put the returned pieces back into the chosen box
+   * A failed restock does not undo the return - failures are reported back
+   * so the pieces can be placed manually from the locator.
+   *
+   * @returns {Promise<Object>} { result, restockErrors }
+   */
+  const createReturn = useCallback(async (returnData, processedBy) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = await returnsApi.create({ ...returnData, processed_by: processedBy });
+      console.log('↩️ Return recorded:', result);
+
+      const restockErrors = [];
+      if (returnData.restock_box_id) {
+        for (const item of returnData.items) {
+          try {
+            await productsApi.addToBox({
+              box_id: returnData.restock_box_id,
+              product_type: item.product_type,
+              product_id: item.product_id,
+              product_name: item.name,
+              sku: item.sku,
+              quantity: item.quantity,
+            }, processedBy);
+          } catch (err) {
+            console.error(`Restock failed for ${item.sku || item.product_id}:`, err);
+            restockErrors.push(`${item.name}: ${err.message}`);
+          }
+        }
+      }
+
+      setReturns((prev) => [...prev, result]);
+      return { result, restockErrors };
+    } catch (err) {
+      setError(err.message || 'Failed to record return');
+      console.error('Create return error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return {
+    returns,
+    loading,
+    error,
+    loadReturns,
+    createReturn,
+    clearError: () => setError(null),
+  };
+};
@@ -0,0 +1,180 @@
+import { useState, useEffect, useCallback } from 'react';
+import { shiftsApi } from '../services/shiftsApi';
+import { useAuth } from '../context/AuthContext';
+import { COUNTER_LOCATION_STORAGE_KEY } from '../config/upi';
+import { sumDenominations } from '../utils';
+
+/**
+ * Custom Hook: useShift
+ * Manages the logged-in user's till shift at this counter's store location
+ */
+export const useShift = () => {
+  const { userInfo, isAuthenticated } = useAuth();
+  const [currentShift, setCurrentShift] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Store location this counter bills from - a shift belongs to one location
+  const [locationId, setLocationId] = useState(() => localStorage.getItem(COUNTER_LOCATION_STORAGE_KEY) || null);
+
+  const userId = userInfo?.id || userInfo?.uid || userInfo?.email || null;
+
+  /**
+   * Fetch the open shift, if any
+   */
+  const loadCurrentShift = useCallback(async () => {
+    if (!userId) return null;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const shift = await shiftsApi.getCurrent({
+        user_id: userId,
+        ...(locationId ? { location_id: locationId } : {}),
+      });
+      setCurrentShift(shift && shift.id ? shift : null);
+      return shift;
+    } catch (err) {
+      if (err.status === 404) {
+        setCurrentShift(null);
+        return null;
+      }
+      setError(err.message || 'Failed to load shift');
+      console.error('Load shift error:', err);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, locationId]);
+
+  // Reloads when the counter moves to another location, so the shift shown is that location's
+  useEffect(() => {
+    if (isAuthenticated && userId) {
+      loadCurrentShift();
+    } else {
+      setCurrentShift(null);
+    }
+  }, [isAuthenticated, userId, loadCurrentShift]);
+
+  /**
+   * Set the store location for this counter
+   */
+  const setCounterLocation = useCallback((nextLocationId) => {
+    if (nextLocationId) localStorage.setItem(COUNTER_LOCATION_STORAGE_KEY, nextLocationId);
+    else localStorage.removeItem(COUNTER_LOCATION_STORAGE_KEY);
+    setLocationId(nextLocationId || null);
+  }, []);
+
+  /**
+   * Open a shift with the counted opening float
+   */
+  const openShift = useCallback(async (denominations) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const shift = await shiftsApi.open({
+        user_id: userId,
+        user_name: userInfo?.name || userInfo?.email,
+        location_id: locationId,
+        opening_float: sumDenominations(denominations),
+        opening_denominations: denominations,
+      });
+      const opened = { sales: [], returns: [], movements: [], ...shift };
+      setCurrentShift(opened);
+      console.log('🕐 Shift opened:', opened);
+      return opened;
+    } catch (err) {
+      setError(err.message || 'Failed to open shift');
+      console.error('Open shift error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, userInfo, locationId]);
+
+  /**
+   * Append an entry to one of the shift's lists after the server records it
+   */
+  const appendToShift = (listName, entry) => {
+    setCurrentShift((prev) => (prev ? { ...prev, [listName]: [...(prev[listName] || []), entry] } : prev));
+  };
+
+  /**
+   * Record a completed sale's tenders against the open shift
+   * Does nothing when no shift is open.
+   */
+  const recordSale = useCallback(async (sale) => {
+    if (!currentShift) return null;
+    const recorded = await shiftsApi.recordSale(currentShift.id, sale);
+    appendToShift('sales', { ...sale, ...recorded });
+    return recorded;
+  }, [currentShift]);
+
+  /**
+   * Record a return / refund against the open shift
+   * Does nothing when no shift is open.
+   */
+  const recordReturn = useCallback(async (ret) => {
+    if (!currentShift) return null;
+    const recorded = await shiftsApi.recordReturn(currentShift.id, ret);
+    appendToShift('returns', { ...ret, ...recorded });
+    return recorded;
+  }, [currentShift]);
+
+  /**
+   * Add a cash-in / cash-out entry
+   */
+  const addMovement = useCallback(async (movement) => {
+    if (!currentShift) throw new Error('No open shift');
+
+    try {
+      setError(null);
+      const entry = { ...movement, recorded_by: userInfo?.email || userInfo?.name, created_at: new Date().toISOString() };
+      const recorded = await shiftsApi.addMovement(currentShift.id, entry);
+      appendToShift('movements', { ...entry, ...recorded });
+      return recorded;
+    } catch (err) {
+      setError(err.message || 'Failed to record cash movement');
+      console.error('Cash movement error:', err);
+      throw err;
+    }
+  }, [currentShift, userInfo]);
+
+  /**
+   * Close the open shift with the counted cash
+   * @returns {Promise<Object>} Closed shift, including its sales and movements for the Z report
+   */
+  const closeShift = useCallback(async (closeData) => {
+    if (!currentShift) throw new Error('No open shift');
+
+    try {
+      setLoading(true);
+      setError(null);
+      const closed = await shiftsApi.close(currentShift.id, closeData);
+      const result = { ...currentShift, ...closeData, closed_at: new Date().toISOString(), ...closed };
+      setCurrentShift(null);
+      console.log('🕐 Shift closed:', result);
+      return result;
+    } catch (err) {
+      setError(err.message || 'Failed to close shift');
+      console.error('Close shift error:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [currentShift]);
+
+  return {
+    currentShift,
+    loading,
+    error,
+    counterLocationId: locationId,
+    setCounterLocation,
+    loadCurrentShift,
+    openShift,
+    recordSale,
+    recordReturn,
+    addMovement,
+    closeShift,
+    clearError: () => setError(null),
+  };
+};
@@ -48,6 +48,8 @@ export const useStoreManagement = () => {
         location_name: storeData.name,
         location_code: storeData.code,
         description: storeData.description || '',
+        upi_vpa: storeData.upi_vpa?.trim() || null,
+        upi_payee_name: storeData.upi_payee_name?.trim() || null,
         is_active: storeData.is_active !== false
       };
       
@@ -79,6 +81,8 @@ export const useStoreManagement = () => {
       if (storeData.name) updateData.location_name = storeData.name;
       if (storeData.code) updateData.location_code = storeData.code;
       if (storeData.description) updateData.description = storeData.description;
+      if (storeData.upi_vpa !== undefined) updateData.upi_vpa = storeData.upi_vpa?.trim() || null;
+      if (storeData.upi_payee_name !== undefined) updateData.upi_payee_name = storeData.upi_payee_name?.trim() || null;
       if (storeData.is_active !== undefined) updateData.is_active = storeData.is_active;
       
       const updated = await locationsApi.update(storeId, updateData);
@@ -3,11 +3,20 @@ import ReactDOM from 'react-dom/client';
 import App from './App';
 import { CartProvider } from './context/CartContext';
 import { AuthProvider } from './context/AuthContext';
+import { ShiftProvider } from './context/ShiftContext';
+import { OfflineProvider } from './context/OfflineContext';
+import { MetalRatesProvider } from './context/MetalRatesContext';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <AuthProvider>
-      <CartProvider>
-        <App />
-      </CartProvider>
+      <ShiftProvider>
+        <OfflineProvider>
+          <MetalRatesProvider>
+            <CartProvider>
+              <App />
+            </CartProvider>
+          </MetalRatesProvider>
+        </OfflineProvider>
+      </ShiftProvider>
     </AuthProvider>
 );
\ No newline at end of file
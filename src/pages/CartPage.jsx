@@ -1,8 +1,10 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ShoppingCart, Percent } from 'lucide-react';
+import { ShoppingCart, Percent, ClipboardList, Coins } from 'lucide-react';
 import { useCart } from '../context/CartContext';
-import { CartItem, OrderSummary } from '../components';
+import { useMetalRates } from '../context/MetalRatesContext';
+import { CartItem, OrderSummary, DiscountPicker, ParkSaleButton, SaveEstimateModal } from '../components';
+import { formatDiscountLabel, getCapturedHuids, isPricedAtOldRates } from '../utils';
 
 /**
  * CartPage Component
@@ -14,17 +16,29 @@ export const CartPage = () => {
     items, 
     totals, 
     updateItemQuantity, 
+    overrideItemPrice,
+    removePriceOverride,
     removeItem, 
+    repriceItems,
     clearCart,
-    loading 
+    appliedDiscount,
+    hallmarks,
+    setLineHallmarks,
+    loading,
+    syncing
   } = useCart();
+  const { board: rateBoard } = useMetalRates();
+  const [isDiscountPickerOpen, setIsDiscountPickerOpen] = useState(false);
+  const staleRateLines = items.filter((item) => isPricedAtOldRates(item, rateBoard));
+  const [isEstimateModalOpen, setIsEstimateModalOpen] = useState(false);
 
+  // Failed changes are rolled back and reported by the cart toast
   const handleClearCart = async () => {
     if (window.confirm('Are you sure you want to clear the cart?')) {
       try {
         await clearCart();
       } catch (err) {
-        alert('Failed to clear cart');
+        console.error('Failed to clear cart:', err);
       }
     }
   };
@@ -33,7 +47,23 @@ export const CartPage = () => {
     try {
       await updateItemQuantity(itemId, newQuantity);
     } catch (err) {
-      alert('Failed to update quantity');
+      console.error('Failed to update quantity:', err);
+    }
+  };
+
+  const handleRemovePriceOverride = async (itemId) => {
+    try {
+      await removePriceOverride(itemId);
+    } catch (err) {
+      console.error('Failed to restore price:', err);
+    }
+  };
+
+  const handleReprice = async () => {
+    try {
+      await repriceItems();
+    } catch (err) {
+      console.error('Failed to update prices:', err);
     }
   };
 
@@ -44,7 +74,6 @@ export const CartPage = () => {
       console.log('✅ CartPage - Item removed successfully');
     } catch (err) {
       console.error('❌ CartPage - Failed to remove item:', err);
-      alert('Failed to remove item');
     }
   };
 
@@ -82,12 +111,29 @@ export const CartPage = () => {
       ) : (
         <div className="cart-layout">
           <div className="cart-items">
+            {staleRateLines.length > 0 && (
+              <div className="cart-rate-notice">
+                <Coins size={18} />
+                <span>
+                  {staleRateLines.length} {staleRateLines.length === 1 ? 'item is' : 'items are'} priced at earlier metal rates.
+                  Today's rates took effect {new Date(rateBoard.effective_from).toLocaleString('en-IN')}.
+                </span>
+                <button className="btn-secondary" onClick={handleReprice} disabled={loading || syncing}>
+                  Update Prices
+                </button>
+              </div>
+            )}
             {items.map((item) => (
               <CartItem
                 key={item.cart_item_id || item.id}
                 item={item}
                 onUpdateQuantity={handleUpdateQuantity}
                 onRemove={handleRemoveItem}
+                hallmarks={hallmarks[item.cart_item_id || item.id]}
+                onHallmarksChange={setLineHallmarks}
+                takenHuids={getCapturedHuids(hallmarks, item.cart_item_id || item.id)}
+                onOverridePrice={overrideItemPrice}
+                onRemoveOverride={handleRemovePriceOverride}
               />
             ))}
           </div>
@@ -96,7 +142,10 @@ export const CartPage = () => {
             <OrderSummary
               items={items}
               subtotal={totals.subtotal}
+              discount={totals.discount}
+              discountLabel={formatDiscountLabel(appliedDiscount)}
               tax={totals.tax}
+              taxBreakup={totals.taxBreakup}
               total={totals.total}
               itemCount={totals.itemCount}
             />
@@ -104,18 +153,43 @@ export const CartPage = () => {
             <button
               className="btn-primary btn-full"
               onClick={() => navigate('/checkout')}
-              disabled={loading}
+              disabled={loading || syncing}
             >
-              Proceed to Checkout
+              {syncing ? 'Saving changes...' : 'Proceed to Checkout'}
             </button>
 
-            <button className="btn-secondary btn-full">
+            <button 
+              className="btn-secondary btn-full"
+              onClick={() => setIsDiscountPickerOpen(true)}
+              disabled={loading}
+            >
               <Percent size={18} />
-              Apply Discount
+              {appliedDiscount ? 'Change Discount' : 'Apply Discount'}
+            </button>
+
+            <button
+              className="btn-secondary btn-full"
+              onClick={() => setIsEstimateModalOpen(true)}
+              disabled={loading}
+            >
+              <ClipboardList size={18} />
+              Save as Estimate
             </button>
+
+            <ParkSaleButton onParked={() => navigate('/catalog')} />
           </div>
         </div>
       )}
+
+      <DiscountPicker
+        isOpen={isDiscountPickerOpen}
+        onClose={() => setIsDiscountPickerOpen(false)}
+      />
+
+      <SaveEstimateModal
+        isOpen={isEstimateModalOpen}
+        onClose={() => setIsEstimateModalOpen(false)}
+      />
     </div>
   );
 };
\ No newline at end of file
@@ -1,9 +1,12 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useProducts, useDemistifiedProducts } from '../hooks';
 import { useCart } from '../context/CartContext';
-import { ProductCard, SearchBar, LoadingSpinner, ErrorMessage, DemistifiedFilters, Pagination, CreateLabProductModal } from '../components';
+import { useMetalRates } from '../context/MetalRatesContext';
+import { ProductCard, SearchBar, LoadingSpinner, ErrorMessage, DemistifiedFilters, Pagination, CreateLabProductModal, ProductImportWizard, LabelPrintModal } from '../components';
 import { productsApi } from '../services/api';
-import { Plus } from 'lucide-react';
+import { repriceProduct } from '../utils';
+import { Plus, Upload, Tag } from 'lucide-react';
 
 /**
  * CatalogPage Component
@@ -15,6 +18,10 @@ export const CatalogPage = () => {
   const [filters, setFilters] = useState({});
   const [productType, setProductType] = useState('lab'); // 'lab' or 'demistified'
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isSelectingLabels, setIsSelectingLabels] = useState(false);
+  const [labelSelection, setLabelSelection] = useState({});
+  const [isLabelModalOpen, setIsLabelModalOpen] = useState(false);
   const [isCreating, setIsCreating] = useState(false);
   
   // Real products (Lab) - auto-fetch on mount since lab is default tab
@@ -27,6 +34,11 @@ export const CatalogPage = () => {
   const activeHook = productType === 'lab' ? realProductsHook : demistifiedProductsHook;
 
   const { addItem } = useCart();
+  const { board: rateBoard } = useMetalRates();
+
+  // Real jewelry is shown at today's metal rates rather than the price it was last saved at
+  const displayedProducts = useMemo(() => (activeHook.products || [])
+    .map((product) => (product.isRealJewelry ? repriceProduct(product, rateBoard) : product)), [activeHook.products, rateBoard]);
 
   const handleAddToCart = async (product) => {
     try {
@@ -38,6 +50,33 @@ export const CatalogPage = () => {
     }
   };
 
+  // Picked products are kept across pages and tabs until labels are printed or the selection is cleared
+  const getSelectionKey = (product) => `${product.isDemistified ? 'demistified' : 'real'}-${product.variant_id || product.id || product.sku}`;
+
+  const handleToggleLabelSelection = (product) => {
+    const key = getSelectionKey(product);
+    setLabelSelection((prev) => {
+      const next = { ...prev };
+      if (next[key]) delete next[key];
+      else next[key] = product;
+      return next;
+    });
+  };
+
+  const handleSelectPageForLabels = () => {
+    setLabelSelection((prev) => displayedProducts.reduce(
+      (next, product) => ({ ...next, [getSelectionKey(product)]: product }),
+      prev
+    ));
+  };
+
+  const handleCancelLabelSelection = () => {
+    setIsSelectingLabels(false);
+    setLabelSelection({});
+  };
+
+  const selectedLabelProducts = Object.values(labelSelection);
+
   // Handle product type toggle
   const handleProductTypeChange = async (type) => {
     setProductType(type);
@@ -73,6 +112,16 @@ export const CatalogPage = () => {
     setIsSearching(false);
   };
 
+  // Search for a code handed over by the barcode scanner (?search=...)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const scannedSearch = searchParams.get('search');
+
+  useEffect(() => {
+    if (!scannedSearch) return;
+    handleSearch(scannedSearch);
+    setSearchParams({}, { replace: true });
+  }, [scannedSearch]);
+
   // Handle filter changes
   const handleFiltersChange = async (newFilters) => {
     setFilters(newFilters);
@@ -131,6 +180,7 @@ export const CatalogPage = () => {
       await realProductsHook.refetch();
       alert(`Product created successfully! ${response.message || ''}`);
       setIsCreateModalOpen(false);
+      return response;
     } catch (err) {
       console.error('Error creating product:', err);
       alert(`Failed to create product: ${err.message}`);
@@ -187,20 +237,73 @@ export const CatalogPage = () => {
           </button>
         </div>
 
-        {/* Create Product Button - Only show on Lab tab */}
-        {productType === 'lab' && (
-          <button
-            type="button"
-            className="btn btn-primary"
-            onClick={() => setIsCreateModalOpen(true)}
-            style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}
-          >
-            <Plus size={18} />
-            Create Product
-          </button>
-        )}
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          {!isSelectingLabels && (
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setIsSelectingLabels(true)}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}
+            >
+              <Tag size={18} />
+              Print Labels
+            </button>
+          )}
+
+          {/* Create Product Button - Only show on Lab tab */}
+          {productType === 'lab' && (
+            <>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setIsImportOpen(true)}
+                style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}
+              >
+                <Upload size={18} />
+                Import
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => setIsCreateModalOpen(true)}
+                style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}
+              >
+                <Plus size={18} />
+                Create Product
+              </button>
+            </>
+          )}
+        </div>
       </div>
 
+      {/* Label selection bar */}
+      {isSelectingLabels && (
+        <div className="label-selection-bar">
+          <span>
+            {selectedLabelProducts.length === 0
+              ? 'Tick the products to label'
+              : `${selectedLabelProducts.length} product${selectedLabelProducts.length === 1 ? '' : 's'} selected`}
+          </span>
+          <div className="label-selection-actions">
+            <button type="button" className="btn btn-secondary" onClick={handleSelectPageForLabels}>
+              Select Page
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={handleCancelLabelSelection}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={() => setIsLabelModalOpen(true)}
+              disabled={selectedLabelProducts.length === 0}
+            >
+              <Tag size={18} />
+              Print Labels
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Filters - show for demistified products */}
       {productType === 'demistified' && (
         <DemistifiedFilters
@@ -220,11 +323,14 @@ export const CatalogPage = () => {
       {/* Products Grid */}
       {!shouldShowFullPageLoader && (
         <div className="products-grid">
-          {(activeHook.products || []).map((product) => (
+          {displayedProducts.map((product) => (
             <ProductCard
               key={`${product.id}-${productType}`}
               product={product}
               onAddToCart={handleAddToCart}
+              selectable={isSelectingLabels}
+              selected={Boolean(labelSelection[getSelectionKey(product)])}
+              onToggleSelect={handleToggleLabelSelection}
             />
           ))}
         </div>
@@ -264,6 +370,20 @@ export const CatalogPage = () => {
         onSubmit={handleCreateProduct}
         loading={isCreating}
       />
+
+      {/* Label Printing */}
+      <LabelPrintModal
+        isOpen={isLabelModalOpen}
+        onClose={() => setIsLabelModalOpen(false)}
+        products={selectedLabelProducts}
+      />
+
+      {/* Bulk Import Wizard */}
+      <ProductImportWizard
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImported={() => realProductsHook.refetch()}
+      />
     </div>
   );
 };
\ No newline at end of file
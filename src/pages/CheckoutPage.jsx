@@ -1,10 +1,59 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { CreditCard, Receipt, UserCheck, User } from 'lucide-react';
-import { useCustomers, useInvoices } from '../hooks';
+import { CreditCard, Receipt, UserCheck, User, PackageCheck } from 'lucide-react';
+import { useCustomers, useInvoices, useOrders, useLoyalty } from '../hooks';
 import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import { useShift } from '../context/ShiftContext';
+import { useOffline } from '../context/OfflineContext';
+import { useMetalRates } from '../context/MetalRatesContext';
 import { checkoutApi } from '../services/api';
-import { OrderSummary, CustomerModal, CheckoutSuccess } from '../components';
+import { estimatesApi } from '../services/estimatesApi';
+import { OrderSummary, CustomerModal, CheckoutSuccess, PaymentLines, ParkSaleButton, OldGoldExchange, LoyaltyRedemption, GiftCardRedemption, SalesPersonSplit, UpiPaymentPanel, ComplianceDeclaration } from '../components';
+import {
+  createPaymentLine,
+  summarizeTenders,
+  toPaymentPayload,
+  formatDiscountLabel,
+  toTaxPayload,
+  parseAmount,
+  OLD_GOLD_PAYMENT_METHOD,
+  createSalesSplit,
+  validateSalesSplits,
+  toSalesPersonPayload,
+  isNetworkError,
+  createClientSaleId,
+  toReplayItem,
+  buildReceipt,
+  createComplianceDeclaration,
+  evaluateCompliance,
+  toCompliancePayload,
+  getCustomerPan,
+  checkHallmarks,
+  toHallmarkPayload,
+  validateAdvance,
+  getMinimumAdvance,
+  getDefaultDueDate,
+  formatRupees,
+  LOYALTY_PAYMENT_METHOD,
+  pointsToValue,
+  validateRedemption,
+  calculatePointsEarned,
+  GIFT_CARD_PAYMENT_METHOD,
+  toGiftCardPayload,
+  toPriceOverridePayload,
+  toLineMetalRatePayload,
+  ESTIMATE_STATUS,
+} from '../utils';
+import { STORE_STATE, INDIAN_STATES } from '../config/gst';
+
+/**
+ * Read the customer's state from the different customer record formats
+ */
+const getCustomerState = (customer) => {
+  if (!customer) return null;
+  return customer.state || customer.place_of_supply || customer["Billing State"] || customer["Place of Supply"] || null;
+};
 
 /**
  * CheckoutPage Component
@@ -12,16 +61,31 @@ import { OrderSummary, CustomerModal, CheckoutSuccess } from '../components';
  */
 export const CheckoutPage = () => {
   const navigate = useNavigate();
-  const { cartId, items, totals, clearCart } = useCart();
-  const { selectedCustomer, clearSelection, selectCustomer } = useCustomers();
+  const { cartId, isOfflineCart, sourceEstimateId, items, totals, appliedDiscount, hallmarks, placeOfSupply, setPlaceOfSupply, setCartCustomer, clearCart, createNewCart } = useCart();
+  const { selectedCustomer, clearSelection, selectCustomer, updateCustomer } = useCustomers();
   const { autoSendInvoice } = useInvoices();
+  const { userInfo } = useAuth();
+  const { currentShift, recordSale } = useShift();
+  const { isOnline, queueSale, syncNow } = useOffline();
+  const { board: rateBoard } = useMetalRates();
+  const { createOrder } = useOrders();
+  const { balance: loyaltyBalance, loadBalance: loadLoyaltyBalance } = useLoyalty();
   
-  const [paymentMethod, setPaymentMethod] = useState('cash');
-  const [cashAmount, setCashAmount] = useState('');
+  const [paymentLines, setPaymentLines] = useState(() => [createPaymentLine('cash')]);
+  const [oldGoldItems, setOldGoldItems] = useState([]);
+  const [redeemPoints, setRedeemPoints] = useState('');
+  const [giftCardTenders, setGiftCardTenders] = useState([]);
+  const [salesSplits, setSalesSplits] = useState([]);
+  const [complianceDeclaration, setComplianceDeclaration] = useState(() => createComplianceDeclaration());
+  // 'full' settles the sale now; 'advance' reserves the pieces against a part payment
+  const [saleMode, setSaleMode] = useState('full');
+  const [advanceAmount, setAdvanceAmount] = useState('');
+  const [dueDate, setDueDate] = useState(() => getDefaultDueDate());
   const [processing, setProcessing] = useState(false);
   const [isCustomerModalOpen, setIsCustomerModalOpen] = useState(false);
   const [showSuccessModal, setShowSuccessModal] = useState(false);
   const [checkoutResult, setCheckoutResult] = useState(null);
+  const [receipt, setReceipt] = useState(null);
   
   // Auto-send preferences (could come from settings in future)
   const [autoSendPreferences] = useState({
@@ -29,8 +93,110 @@ export const CheckoutPage = () => {
     autoSendEmail: false     // Set to true to auto-send via Email
   });
 
+  // Place of supply follows the selected customer; walk-ins are taxed as intra-state
+  useEffect(() => {
+    setPlaceOfSupply(getCustomerState(selectedCustomer) || STORE_STATE);
+  }, [selectedCustomer, setPlaceOfSupply]);
+
+  // The cart keeps its customer so a sale parked from the held-sales panel is labelled with it
+  useEffect(() => {
+    setCartCustomer(selectedCustomer);
+  }, [selectedCustomer, setCartCustomer]);
+
+  // PAN on file is pre-filled; a new customer starts a fresh declaration
+  useEffect(() => {
+    setComplianceDeclaration(createComplianceDeclaration(selectedCustomer));
+  }, [selectedCustomer]);
+
+  // Points balance is fetched fresh for each customer; a redemption never carries over to another customer
+  useEffect(() => {
+    setRedeemPoints('');
+    const customerId = selectedCustomer?.id || selectedCustomer?.["Contact ID"];
+    loadLoyaltyBalance(customerId, parseInt(selectedCustomer?.loyalty_points, 10) || 0);
+  }, [selectedCustomer, loadLoyaltyBalance]);
+
+  // Sales are credited to the logged-in user unless split with others
+  useEffect(() => {
+    if (userInfo && salesSplits.length === 0) {
+      setSalesSplits([createSalesSplit(userInfo)]);
+    }
+  }, [userInfo, salesSplits.length]);
+
   const total = totals.total;
-  const change = cashAmount ? Math.max(0, parseFloat(cashAmount) - total) : 0;
+  const isAdvanceOrder = saleMode === 'advance';
+  // An advance order only takes the advance now; the rest is paid in installments from Orders
+  const amountDueNow = isAdvanceOrder ? parseAmount(advanceAmount) : total;
+  const exchangeTotal = parseAmount(oldGoldItems.reduce((sum, piece) => sum + piece.exchange_value, 0));
+  // Old gold is settled like any other non-cash tender against the sale total. On a sale, gold worth
+  // more than the bill covers it in full and the difference is paid back to the customer in cash.
+  const exchangeRefund = isAdvanceOrder ? 0 : parseAmount(Math.max(0, exchangeTotal - amountDueNow));
+  const exchangeLine = { method: OLD_GOLD_PAYMENT_METHOD, amount: parseAmount(exchangeTotal - exchangeRefund) };
+  // Points are redeemed against a completed sale only, and need the server to confirm the balance
+  const loyaltyUnavailableReason = isAdvanceOrder
+    ? 'Points can be redeemed when the order is invoiced'
+    : (!isOnline || isOfflineCart) ? 'Points can\'t be redeemed while offline' : null;
+  const pointsToRedeem = loyaltyUnavailableReason ? 0 : (parseInt(redeemPoints, 10) || 0);
+  const loyaltyError = pointsToRedeem ? validateRedemption(redeemPoints, loyaltyBalance, total) : null;
+  const loyaltyLine = { method: LOYALTY_PAYMENT_METHOD, amount: loyaltyError ? 0 : pointsToValue(pointsToRedeem) };
+  // Cards are checked against the server before they're applied and debited when the sale completes
+  const giftCardUnavailableReason = isAdvanceOrder
+    ? 'Gift cards can be redeemed when the order is invoiced'
+    : (!isOnline || isOfflineCart) ? 'Gift cards can\'t be redeemed while offline' : null;
+  const appliedGiftCards = giftCardUnavailableReason ? [] : giftCardTenders;
+  const giftCardLines = appliedGiftCards.map((tender) => ({ method: GIFT_CARD_PAYMENT_METHOD, amount: tender.amount }));
+  const fixedTenders = [exchangeLine, loyaltyLine, ...giftCardLines];
+  const fixedTenderTotal = parseAmount(fixedTenders.reduce((sum, line) => sum + line.amount, 0));
+  const tenderSummary = summarizeTenders([...fixedTenders, ...paymentLines], amountDueNow);
+  // Points are earned on what the customer pays, not on what points cover
+  const pointsEarned = selectedCustomer && !isAdvanceOrder ? calculatePointsEarned(total - loyaltyLine.amount) : 0;
+  const hasMethod = (method) => paymentLines.some((line) => line.method === method);
+  const customerPan = getCustomerPan(selectedCustomer);
+  const compliance = evaluateCompliance({
+    total,
+    cashReceived: tenderSummary.cashTotal - tenderSummary.change,
+    customer: selectedCustomer,
+    declaration: complianceDeclaration,
+  });
+  const hallmarkStatus = checkHallmarks(items, hallmarks);
+  const getAdvanceError = () => {
+    if (!isAdvanceOrder) return null;
+    if (!isOnline || isOfflineCart) return 'Advance orders need a connection to the server';
+    if (!selectedCustomer) return 'Select the customer the order is for';
+    if (exchangeTotal > parseAmount(advanceAmount)) {
+      return `Old gold is worth ${formatRupees(exchangeTotal)} - take an advance of at least that, or complete it as a regular sale`;
+    }
+    return validateAdvance(advanceAmount, total);
+  };
+  const advanceError = getAdvanceError();
+  const upiAmount = parseAmount(paymentLines
+    .filter((line) => line.method === 'upi')
+    .reduce((sum, line) => sum + parseAmount(line.amount), 0));
+
+  const handleAddPaymentLine = () => {
+    // Default the new line to a non-cash tender carrying the outstanding balance
+    setPaymentLines((prev) => [
+      ...prev,
+      createPaymentLine(hasMethod('card') ? 'upi' : 'card', tenderSummary.remaining || ''),
+    ]);
+  };
+
+  const handleUpdatePaymentLine = (lineId, changes) => {
+    setPaymentLines((prev) => prev.map((line) => (
+      line.id === lineId ? { ...line, ...changes } : line
+    )));
+  };
+
+  const handleRemovePaymentLine = (lineId) => {
+    setPaymentLines((prev) => (prev.length > 1 ? prev.filter((line) => line.id !== lineId) : prev));
+  };
+
+  const handleAddOldGold = (piece) => {
+    setOldGoldItems((prev) => [...prev, piece]);
+  };
+
+  const handleRemoveOldGold = (pieceId) => {
+    setOldGoldItems((prev) => prev.filter((piece) => piece.id !== pieceId));
+  };
 
   const handleCustomerSelect = (customer) => {
     selectCustomer(customer);
@@ -40,6 +206,65 @@ export const CheckoutPage = () => {
     console.log('Customer selected for checkout:', customerName);
   };
 
+  // The server couldn't be reached - keep the sale on this device and replay it later
+  const queueOfflineSale = async (checkoutData, shiftSale) => {
+    const queued = await queueSale({
+      checkoutData,
+      cartItems: items.map(toReplayItem),
+      shiftSale,
+      customerName: selectedCustomer?.name || selectedCustomer?.["Contact Name"] || selectedCustomer?.["Display Name"] || null,
+      total,
+    });
+    syncNow();
+
+    return {
+      invoice_number: queued.provisional_invoice_number,
+      total_amount: total,
+      status: 'Pending sync',
+      provisional: true,
+    };
+  };
+
+  // Fields shared by a completed sale and an advance order
+  const buildCheckoutData = () => ({
+    cart_id: cartId,
+    // Estimate this sale converts, if the cart was loaded from one
+    estimate_id: sourceEstimateId,
+    shift_id: currentShift?.id || null,
+    customer_id: selectedCustomer?.id || selectedCustomer?.["Contact ID"] || null,
+    payments: toPaymentPayload([...fixedTenders, ...paymentLines]),
+    old_gold_exchange_amount: exchangeTotal,
+    old_gold_refund_amount: exchangeRefund,
+    loyalty_points_redeemed: loyaltyLine.amount > 0 ? pointsToRedeem : 0,
+    loyalty_points_earned: pointsEarned,
+    gift_card_redemptions: toGiftCardPayload(appliedGiftCards),
+    old_gold_items: oldGoldItems.map((piece) => ({
+      description: piece.description,
+      gross_weight_g: parseFloat(piece.gross_weight_g) || 0,
+      stone_weight_g: parseFloat(piece.stone_weight_g) || 0,
+      net_weight_g: piece.net_weight_g,
+      purity_type: piece.purity_type,
+      purity_percent: piece.purity_percent,
+      fine_weight_g: piece.fine_weight_g,
+      buy_rate_per_g: parseFloat(piece.buy_rate_per_g) || 0,
+      exchange_value: piece.exchange_value,
+    })),
+    discount_id: appliedDiscount?.id || null,
+    discount_amount: totals.discount,
+    discount_reason: appliedDiscount?.reason || null,
+    tax_rate_percent: totals.taxBreakup.effectiveRatePercent,
+    tax_amount: totals.tax,
+    ...toTaxPayload(totals.taxBreakup),
+    notes: null,
+    ...toSalesPersonPayload(salesSplits),
+    hallmark_items: toHallmarkPayload(items, hallmarks),
+    price_overrides: toPriceOverridePayload(items),
+    metal_rates: rateBoard?.rates || {},
+    rates_effective_from: rateBoard?.effective_from || null,
+    line_metal_rates: toLineMetalRatePayload(items),
+    ...toCompliancePayload(complianceDeclaration, compliance, userInfo?.email || userInfo?.name || null)
+  });
+
   const handleCompleteSale = async () => {
     try {
       setProcessing(true);
@@ -47,24 +272,27 @@ export const CheckoutPage = () => {
       // Debug: Log selected customer to see what fields are available
       console.log('Selected customer for checkout:', selectedCustomer);
 
-      const checkoutData = {
-        cart_id: cartId,
-        customer_id: selectedCustomer?.id || selectedCustomer?.["Contact ID"] || null,
-        payments: [
-          {
-            payment_method: paymentMethod,
-            payment_amount: paymentMethod === 'cash' ? parseFloat(cashAmount) : total
-          }
-        ],
-        tax_rate_percent: 3.0, // Default tax rate - you might want to make this configurable
-        notes: null,
-        sales_person: null // You might want to add sales person tracking
-      };
+      // The same ID goes with the sale if it has to be queued, so a replay can't invoice it twice
+      const checkoutData = { ...buildCheckoutData(), client_sale_id: createClientSaleId() };
 
       // Debug: Log checkout data to see what's being sent
       console.log('Checkout data being sent:', checkoutData);
 
-      const result = await checkoutApi.completeSale(checkoutData);
+      const shiftSale = {
+        total_amount: total,
+        discount_amount: totals.discount,
+        payments: checkoutData.payments,
+        // The old gold balance is paid out of the till like change
+        change_given: parseAmount(tenderSummary.change + exchangeRefund),
+      };
+
+      // Offline carts only exist on this device, so they always go through the queue
+      const result = isOfflineCart
+        ? await queueOfflineSale(checkoutData, shiftSale)
+        : await checkoutApi.completeSale(checkoutData).catch((err) => {
+          if (!isNetworkError(err)) throw err;
+          return queueOfflineSale(checkoutData, shiftSale);
+        });
 
       console.log('✅ Checkout completed successfully:', result);
       console.log('✅ Checkout result structure:', {
@@ -77,8 +305,54 @@ export const CheckoutPage = () => {
         allKeys: Object.keys(result || {})
       });
 
+      // Cash tenders feed the till's expected cash for the shift; queued sales are credited when they sync
+      if (!result.provisional) {
+        try {
+          await recordSale({ ...shiftSale, invoice_id: result.invoice_id });
+        } catch (shiftError) {
+          console.warn('⚠️ Failed to record sale against shift:', shiftError);
+        }
+      }
+
+      // The estimate is converted now the sale is done; queued sales convert it when they sync
+      if (sourceEstimateId && !result.provisional) {
+        try {
+          await estimatesApi.update(sourceEstimateId, {
+            status: ESTIMATE_STATUS.CONVERTED,
+            cart_id: cartId,
+            invoice_id: result.invoice_id || null,
+          });
+        } catch (estimateError) {
+          console.warn('⚠️ Failed to mark estimate as converted:', estimateError);
+        }
+      }
+
+      // Keep a newly captured PAN on the customer so it's pre-filled next time
+      const customerId = selectedCustomer?.id || selectedCustomer?.["Contact ID"];
+      if (checkoutData.pan_number && customerId && !customerPan && !result.provisional) {
+        try {
+          await updateCustomer(customerId, { pan_number: checkoutData.pan_number });
+        } catch (panError) {
+          console.warn('⚠️ Failed to save PAN to customer:', panError);
+        }
+      }
+
       // Store the result for the success modal
       setCheckoutResult(result);
+      // Snapshot the receipt now - the cart is cleared once the cashier moves on
+      setReceipt(buildReceipt({
+        invoice: result,
+        items,
+        totals,
+        discountLabel: formatDiscountLabel(appliedDiscount),
+        payments: checkoutData.payments,
+        change: tenderSummary.change,
+        exchangeRefund,
+        exchangeItems: checkoutData.old_gold_items,
+        customer: selectedCustomer,
+        cashier: userInfo?.name || userInfo?.email || null,
+        hallmarks,
+      }));
 
       // Auto-send invoice if preferences are enabled
       if (result.invoice_id && selectedCustomer && (autoSendPreferences.autoSendWhatsApp || autoSendPreferences.autoSendEmail)) {
@@ -113,32 +387,69 @@ export const CheckoutPage = () => {
     }
   };
 
-  const isValidPayment = () => {
-    if (paymentMethod === 'cash') {
-      return cashAmount && parseFloat(cashAmount) >= total;
+  // Reserve the pieces against the advance; the invoice is generated from Orders once the balance is paid
+  const handleCreateOrder = async () => {
+    try {
+      setProcessing(true);
+      const checkoutData = buildCheckoutData();
+      const order = await createOrder(
+        { ...checkoutData, total_amount: total, due_date: dueDate },
+        { payments: checkoutData.payments, changeGiven: tenderSummary.change }
+      );
+
+      alert(`✅ Order ${order.order_number} created\n\nAdvance received: ${formatRupees(order.amount_paid)}\nBalance due: ${formatRupees(order.balance_due)} by ${new Date(`${dueDate}T00:00:00`).toLocaleDateString('en-IN')}`);
+
+      // The order keeps its cart, so the counter moves on to a fresh one
+      resetCheckoutState();
+      navigate('/orders');
+      await createNewCart();
+    } catch (error) {
+      console.error('Create order error:', error);
+      alert(`❌ Failed to create order: ${error.message}`);
+    } finally {
+      setProcessing(false);
     }
-    return true; // Other payment methods are assumed valid
   };
 
+  // Sale is blocked until the tender lines cover the amount due now, the sale is attributed, compliance checks pass
+  // and every hallmarked piece has its HUID
+  const isValidPayment = () => tenderSummary.isSettled && !validateSalesSplits(salesSplits) && compliance.isCompliant && hallmarkStatus.isComplete && !advanceError && !loyaltyError;
+
   const handleSuccessModalClose = () => {
     setShowSuccessModal(false);
     setCheckoutResult(null);
     // Don't auto-navigate - let user stay where they are
   };
 
+  // A queued sale still needs its cart when it syncs, so start a fresh one instead of emptying it
+  const resetCart = () => (checkoutResult?.provisional ? createNewCart() : clearCart());
+
+  const resetCheckoutState = () => {
+    setPaymentLines([createPaymentLine('cash')]);
+    setOldGoldItems([]);
+    setRedeemPoints('');
+    setGiftCardTenders([]);
+    setSalesSplits(userInfo ? [createSalesSplit(userInfo)] : []);
+    setComplianceDeclaration(createComplianceDeclaration());
+    setSaleMode('full');
+    setAdvanceAmount('');
+    setDueDate(getDefaultDueDate());
+    clearSelection();
+  };
+
   const handleNewTransaction = async () => {
     // Clear cart and reset state for new transaction
-    await clearCart();
+    await resetCart();
     console.log('🛒 Cart cleared for new transaction');
     setShowSuccessModal(false);
     setCheckoutResult(null);
-    clearSelection();
+    resetCheckoutState();
     navigate('/catalog');
   };
 
   const handleViewInvoices = async () => {
     // Clear cart since we're moving to invoices
-    await clearCart();
+    await resetCart();
     console.log('🛒 Cart cleared before viewing invoices');
     setShowSuccessModal(false);
     navigate('/invoices');
@@ -176,9 +487,6 @@ export const CheckoutPage = () => {
                      selectedCustomer.MobilePhone || 
                      "No phone"}
                   </div>
-                  <div className="customer-loyalty">
-                    Loyalty Points: {selectedCustomer.loyalty_points || 0}
-                  </div>
                 </div>
                 <button className="btn-link" onClick={clearSelection}>
                   Change
@@ -203,46 +511,156 @@ export const CheckoutPage = () => {
                 <button className="btn-link">Continue as Guest</button>
               </div>
             )}
+
+            <div className="place-of-supply">
+              <label className="input-label">Place of Supply</label>
+              <select
+                className="input-field"
+                value={placeOfSupply}
+                onChange={(e) => setPlaceOfSupply(e.target.value)}
+              >
+                {INDIAN_STATES.map((state) => (
+                  <option key={state} value={state}>
+                    {state}{state === STORE_STATE ? ' (store)' : ''}
+                  </option>
+                ))}
+              </select>
+              <small>
+                {totals.taxBreakup.isInterState ? 'Inter-state sale – IGST applies' : 'Intra-state sale – CGST + SGST apply'}
+              </small>
+            </div>
+          </div>
+
+          {/* Salesperson Section */}
+          <div className="checkout-section">
+            <h2 className="section-title">Salesperson</h2>
+            <SalesPersonSplit splits={salesSplits} onChange={setSalesSplits} />
+          </div>
+
+          {/* Old Gold Exchange Section */}
+          <div className="checkout-section">
+            <h2 className="section-title">Old Gold Exchange</h2>
+            <OldGoldExchange
+              pieces={oldGoldItems}
+              onAdd={handleAddOldGold}
+              onRemove={handleRemoveOldGold}
+            />
           </div>
 
           {/* Payment Method Section */}
           <div className="checkout-section">
-            <h2 className="section-title">Payment Method</h2>
+            <h2 className="section-title">Payment</h2>
 
-            <div className="payment-methods">
-              {['cash', 'card', 'upi', 'bank_transfer'].map((method) => (
-                <button
-                  key={method}
-                  className={`payment-method ${paymentMethod === method ? 'active' : ''}`}
-                  onClick={() => setPaymentMethod(method)}
-                >
-                  <CreditCard size={24} />
-                  <span>{method.replace('_', ' ').toUpperCase()}</span>
-                </button>
-              ))}
+            <div className="sale-mode-toggle">
+              <button
+                className={`sale-mode-option ${!isAdvanceOrder ? 'active' : ''}`}
+                onClick={() => setSaleMode('full')}
+              >
+                <Receipt size={16} />
+                Full payment
+              </button>
+              <button
+                className={`sale-mode-option ${isAdvanceOrder ? 'active' : ''}`}
+                onClick={() => setSaleMode('advance')}
+              >
+                <PackageCheck size={16} />
+                Advance order
+              </button>
             </div>
 
-            {/* Cash Payment Details */}
-            {paymentMethod === 'cash' && (
-              <div className="payment-details">
-                <label className="input-label">Cash Received</label>
-                <input
-                  type="number"
-                  className="input-field"
-                  placeholder="Enter amount"
-                  value={cashAmount}
-                  onChange={(e) => setCashAmount(e.target.value)}
-                />
-                {change > 0 && (
-                  <div className="change-display">
-                    Change to return: <strong>₹{change.toLocaleString()}</strong>
-                  </div>
-                )}
+            {isAdvanceOrder && (
+              <div className="advance-order-fields">
+                <div>
+                  <label className="input-label">Advance Amount</label>
+                  <input
+                    type="number"
+                    min="0"
+                    className="input-field"
+                    placeholder={`Min ${formatRupees(getMinimumAdvance(total))}`}
+                    value={advanceAmount}
+                    onChange={(e) => setAdvanceAmount(e.target.value)}
+                  />
+                </div>
+                <div>
+                  <label className="input-label">Balance Due By</label>
+                  <input
+                    type="date"
+                    className="input-field"
+                    value={dueDate}
+                    onChange={(e) => setDueDate(e.target.value)}
+                  />
+                </div>
+                <div className="advance-order-balance">
+                  Balance after advance: <strong>{formatRupees(Math.max(0, total - parseAmount(advanceAmount)))}</strong>
+                </div>
+                {advanceError && <div className="payment-warning">{advanceError}</div>}
+              </div>
+            )}
+
+            {(!isOnline || isOfflineCart) && (
+              <div className="payment-warning offline-warning">
+                Offline – this sale will be saved on this counter with a provisional invoice number and synced when the connection is back.
+              </div>
+            )}
+
+            {!hallmarkStatus.isComplete && (
+              <div className="payment-warning hallmark-warning">
+                {hallmarkStatus.missing.length > 0 && `HUID missing for: ${hallmarkStatus.missing.join(', ')}. `}
+                {hallmarkStatus.duplicates.length > 0 && `Duplicate HUID: ${hallmarkStatus.duplicates.join(', ')}. `}
+                <button className="btn-link" onClick={() => navigate('/cart')}>Capture in cart</button>
               </div>
             )}
 
+            {!currentShift && (
+              <div className="payment-warning shift-warning">
+                No shift is open – cash taken now won't be counted in a till. Open one from Shift & Cash Drawer.
+              </div>
+            )}
+
+            {selectedCustomer && (
+              <LoyaltyRedemption
+                balance={loyaltyBalance}
+                points={redeemPoints}
+                onChange={setRedeemPoints}
+                total={total}
+                pointsEarned={pointsEarned}
+                error={loyaltyError}
+                disabled={!!loyaltyUnavailableReason}
+                disabledReason={loyaltyUnavailableReason}
+              />
+            )}
+
+            <GiftCardRedemption
+              tenders={giftCardTenders}
+              onApply={(tender) => setGiftCardTenders((prev) => [...prev, tender])}
+              onRemove={(cardNumber) => setGiftCardTenders((prev) => prev.filter((tender) => tender.card_number !== cardNumber))}
+              amountDue={Math.max(0, amountDueNow - fixedTenderTotal)}
+              customerId={selectedCustomer?.id || selectedCustomer?.["Contact ID"] || null}
+              disabled={!!giftCardUnavailableReason}
+              disabledReason={giftCardUnavailableReason}
+            />
+
+            <PaymentLines
+              lines={paymentLines}
+              summary={tenderSummary}
+              onChange={handleUpdatePaymentLine}
+              onAdd={handleAddPaymentLine}
+              onRemove={handleRemovePaymentLine}
+              exchangeAmount={exchangeLine.amount}
+              exchangeRefund={exchangeRefund}
+              loyaltyAmount={loyaltyLine.amount}
+              giftCards={appliedGiftCards}
+            />
+
+            <ComplianceDeclaration
+              declaration={complianceDeclaration}
+              onChange={setComplianceDeclaration}
+              compliance={compliance}
+              customerPan={customerPan}
+            />
+
             {/* Card Payment Details */}
-            {paymentMethod === 'card' && (
+            {hasMethod('card') && (
               <div className="payment-details">
                 <div className="card-terminal">
                   <CreditCard size={48} />
@@ -253,16 +671,11 @@ export const CheckoutPage = () => {
             )}
 
             {/* UPI Payment Details */}
-            {paymentMethod === 'upi' && (
-              <div className="payment-details">
-                <label className="input-label">UPI ID</label>
-                <input
-                  type="text"
-                  className="input-field"
-                  placeholder="customer@upi"
-                />
-                <button className="btn-secondary">Generate QR Code</button>
-              </div>
+            {hasMethod('upi') && (
+              <UpiPaymentPanel
+                amount={upiAmount}
+                reference={cartId ? `CART${String(cartId).slice(-8)}` : null}
+              />
             )}
           </div>
         </div>
@@ -272,7 +685,10 @@ export const CheckoutPage = () => {
           <OrderSummary
             items={items}
             subtotal={totals.subtotal}
+            discount={totals.discount}
+            discountLabel={formatDiscountLabel(appliedDiscount)}
             tax={totals.tax}
+            taxBreakup={totals.taxBreakup}
             total={totals.total}
             itemCount={totals.itemCount}
             showItems={true}
@@ -280,16 +696,20 @@ export const CheckoutPage = () => {
 
           <button
             className="btn-primary btn-full btn-large"
-            onClick={handleCompleteSale}
+            onClick={isAdvanceOrder ? handleCreateOrder : handleCompleteSale}
             disabled={processing || !isValidPayment()}
           >
-            <Receipt size={20} />
-            {processing ? 'Processing...' : 'Complete Sale'}
+            {isAdvanceOrder ? <PackageCheck size={20} /> : <Receipt size={20} />}
+            {processing ? 'Processing...' : isAdvanceOrder ? 'Reserve & Take Advance' : 'Complete Sale'}
           </button>
 
-          <button className="btn-secondary btn-full">
-            Hold Transaction
-          </button>
+          <ParkSaleButton
+            customer={selectedCustomer}
+            onParked={() => {
+              clearSelection();
+              navigate('/catalog');
+            }}
+          />
         </div>
       </div>
 
@@ -308,6 +728,8 @@ export const CheckoutPage = () => {
         onViewInvoices={handleViewInvoices}
         invoiceData={checkoutResult}
         customerData={selectedCustomer}
+        exchangeItems={oldGoldItems}
+        receipt={receipt}
       />
     </div>
   );
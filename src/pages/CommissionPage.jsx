@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import { Percent, Plus, Edit, Trash2, Download, Users } from 'lucide-react';
+import { useCommission } from '../hooks';
+import { useAuth } from '../context/AuthContext';
+import { LoadingSpinner, ErrorMessage } from '../components';
+import { COMMISSION_BASES, ALL_CATEGORIES, formatCommissionRule, formatRupees } from '../utils';
+
+// Suggested categories for rules - any category name from the catalog works
+const CATEGORY_SUGGESTIONS = [
+  ALL_CATEGORIES, 'ring', 'necklace', 'earring', 'bracelet', 'bangle', 'pendant', 'chain',
+  'loose diamond', 'real_jewelry', 'zakya_product',
+];
+
+const EMPTY_RULE = { category: '', basis: 'making_charges', rate_percent: '', is_active: true };
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Download the commission report as CSV for payroll
+ */
+const downloadReportCsv = (rows, startDate, endDate) => {
+  const header = ['Salesperson', 'Email', 'Invoices', 'Sales Value', 'Making Charges', 'Commission'];
+  const lines = rows.map((row) => [
+    row.name, row.email, row.invoice_count, row.sales_value, row.making_charges, row.commission_amount,
+  ].map((value) => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','));
+
+  const blob = new Blob([[header.join(','), ...lines].join('\n')], { type: 'text/csv' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `commission_${startDate}_${endDate}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * CommissionPage Component
+ * Commission rules per category and the per-staff commission report
+ */
+export const CommissionPage = () => {
+  const { isManager } = useAuth();
+  const { rules, report, loading, error, loadRules, saveRule, deleteRule, loadReport, clearError } = useCommission();
+
+  const [activeTab, setActiveTab] = useState('report');
+  const [editingRule, setEditingRule] = useState(null);
+  const [startDate, setStartDate] = useState(() => {
+    const now = new Date();
+    return toDateInput(new Date(now.getFullYear(), now.getMonth(), 1));
+  });
+  const [endDate, setEndDate] = useState(() => toDateInput(new Date()));
+
+  const canEditRules = isManager();
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  useEffect(() => {
+    if (activeTab === 'report') {
+      loadReport({ start_date: startDate, end_date: endDate });
+    }
+  }, [activeTab, startDate, endDate, loadReport]);
+
+  const handleSaveRule = async (e) => {
+    e.preventDefault();
+    const rate = parseFloat(editingRule.rate_percent);
+    if (!editingRule.category.trim() || !(rate > 0) || rate > 100) {
+      alert('❌ Enter a category and a rate between 0 and 100');
+      return;
+    }
+
+    try {
+      await saveRule({ ...editingRule, category: editingRule.category.trim().toLowerCase(), rate_percent: rate });
+      setEditingRule(null);
+    } catch (err) {
+      // Error is shown by the hook
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the commission rule for "${rule.category}"?`)) return;
+    try {
+      await deleteRule(rule.id);
+    } catch (err) {
+      // Error is shown by the hook
+    }
+  };
+
+  const reportTotals = report.reduce((totals, row) => ({
+    invoices: totals.invoices + (parseInt(row.invoice_count) || 0),
+    sales: totals.sales + (parseFloat(row.sales_value) || 0),
+    making: totals.making + (parseFloat(row.making_charges) || 0),
+    commission: totals.commission + (parseFloat(row.commission_amount) || 0),
+  }), { invoices: 0, sales: 0, making: 0, commission: 0 });
+
+  return (
+    <div className="screen-container">
+      <div className="page-header">
+        <div className="page-title">
+          <Percent size={32} />
+          <div>
+            <h1>Commission</h1>
+            <p>Sales staff incentives by category</p>
+          </div>
+        </div>
+      </div>
+
+      {error && <ErrorMessage message={error} onRetry={clearError} />}
+
+      <div className="product-tabs">
+        <button
+          className={`tab-button ${activeTab === 'report' ? 'active' : ''}`}
+          onClick={() => setActiveTab('report')}
+        >
+          <Users size={18} />
+          Staff Report
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'rules' ? 'active' : ''}`}
+          onClick={() => setActiveTab('rules')}
+        >
+          <Percent size={18} />
+          Rules
+        </button>
+      </div>
+
+      {activeTab === 'report' && (
+        <div className="content-section">
+          <div className="filters-bar">
+            <label className="commission-date">
+              From
+              <input type="date" value={startDate} max={endDate} onChange={(e) => setStartDate(e.target.value)} />
+            </label>
+            <label className="commission-date">
+              To
+              <input type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)} />
+            </label>
+            <button
+              className="btn btn-secondary"
+              onClick={() => downloadReportCsv(report, startDate, endDate)}
+              disabled={report.length === 0}
+            >
+              <Download size={18} />
+              Export CSV
+            </button>
+          </div>
+
+          {loading && report.length === 0 ? (
+            <LoadingSpinner message="Loading commission report..." />
+          ) : (
+            <div className="table-container">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Salesperson</th>
+                    <th>Invoices</th>
+                    <th>Sales Value</th>
+                    <th>Making Charges</th>
+                    <th>Commission</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="empty-state">No attributed sales in this period</td>
+                    </tr>
+                  ) : (
+                    report.map((row) => (
+                      <tr key={row.user_id || row.email || row.name}>
+                        <td>
+                          <div>{row.name || row.email}</div>
+                          {row.name && row.email && <small>{row.email}</small>}
+                        </td>
+                        <td>{row.invoice_count}</td>
+                        <td>{formatRupees(row.sales_value)}</td>
+                        <td>{formatRupees(row.making_charges)}</td>
+                        <td><strong>{formatRupees(row.commission_amount)}</strong></td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+                {report.length > 0 && (
+                  <tfoot>
+                    <tr className="commission-total-row">
+                      <td>Total</td>
+                      <td>{reportTotals.invoices}</td>
+                      <td>{formatRupees(reportTotals.sales)}</td>
+                      <td>{formatRupees(reportTotals.making)}</td>
+                      <td>{formatRupees(reportTotals.commission)}</td>
+                    </tr>
+                  </tfoot>
+                )}
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'rules' && (
+        <div className="content-section">
+          {canEditRules && !editingRule && (
+            <button className="btn btn-primary" onClick={() => setEditingRule(EMPTY_RULE)}>
+              <Plus size={20} />
+              Add Rule
+            </button>
+          )}
+
+          {editingRule && (
+            <form className="commission-rule-form" onSubmit={handleSaveRule}>
+              <div className="form-group">
+                <label htmlFor="rule-category">
+                  Category <span className="required">*</span>
+                </label>
+                <input
+                  id="rule-category"
+                  list="commission-categories"
+                  value={editingRule.category}
+                  onChange={(e) => setEditingRule({ ...editingRule, category: e.target.value })}
+                  placeholder="e.g. ring, or all"
+                />
+                <datalist id="commission-categories">
+                  {CATEGORY_SUGGESTIONS.map((category) => (
+                    <option key={category} value={category} />
+                  ))}
+                </datalist>
+              </div>
+              <div className="form-group">
+                <label htmlFor="rule-basis">
+                  Percent Of <span className="required">*</span>
+                </label>
+                <select
+                  id="rule-basis"
+                  value={editingRule.basis}
+                  onChange={(e) => setEditingRule({ ...editingRule, basis: e.target.value })}
+                >
+                  {COMMISSION_BASES.map((basis) => (
+                    <option key={basis.value} value={basis.value}>{basis.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="rule-rate">
+                  Rate (%) <span className="required">*</span>
+                </label>
+                <input
+                  id="rule-rate"
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={editingRule.rate_percent}
+                  onChange={(e) => setEditingRule({ ...editingRule, rate_percent: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={editingRule.is_active !== false}
+                    onChange={(e) => setEditingRule({ ...editingRule, is_active: e.target.checked })}
+                  />
+                  <span>Active</span>
+                </label>
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setEditingRule(null)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary" disabled={loading}>
+                  {editingRule.id ? 'Update Rule' : 'Create Rule'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Category</th>
+                  <th>Commission</th>
+                  <th>Status</th>
+                  {canEditRules && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {rules.length === 0 ? (
+                  <tr>
+                    <td colSpan={canEditRules ? 4 : 3} className="empty-state">
+                      {loading ? 'Loading rules...' : 'No commission rules yet'}
+                    </td>
+                  </tr>
+                ) : (
+                  rules.map((rule) => (
+                    <tr key={rule.id}>
+                      <td>{rule.category === ALL_CATEGORIES ? 'All categories' : rule.category}</td>
+                      <td>{formatCommissionRule(rule)}</td>
+                      <td>
+                        <span className={`status-badge ${rule.is_active !== false ? 'status-active' : 'status-inactive'}`}>
+                          {rule.is_active !== false ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      {canEditRules && (
+                        <td>
+                          <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => setEditingRule({ ...rule })}
+                            title="Edit rule"
+                          >
+                            <Edit size={16} />
+                          </button>
+                          <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => handleDeleteRule(rule)}
+                            title="Delete rule"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { User } from 'lucide-react';
 import { useCustomers } from '../hooks';
-import { CustomerCard, SearchBar, LoadingSpinner, ErrorMessage, CustomerModal } from '../components';
+import { CustomerCard, SearchBar, LoadingSpinner, ErrorMessage, CustomerModal, LoyaltyLedgerModal, CustomerWalletModal } from '../components';
 
 /**
  * CustomersPage Component
@@ -10,6 +10,8 @@ import { CustomerCard, SearchBar, LoadingSpinner, ErrorMessage, CustomerModal }
 export const CustomersPage = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [isCustomerModalOpen, setIsCustomerModalOpen] = useState(false);
+  const [ledgerCustomer, setLedgerCustomer] = useState(null);
+  const [walletCustomer, setWalletCustomer] = useState(null);
   const { 
     customers, 
     loading, 
@@ -83,6 +85,8 @@ export const CustomersPage = () => {
             key={customer.id}
             customer={customer}
             onSelect={handleSelectCustomer}
+            onViewPoints={setLedgerCustomer}
+            onViewWallet={setWalletCustomer}
           />
         ))}
       </div>
@@ -104,6 +108,16 @@ export const CustomersPage = () => {
         onClose={() => setIsCustomerModalOpen(false)}
         onSelectCustomer={handleCustomerModalSelect}
       />
+
+      <LoyaltyLedgerModal
+        customer={ledgerCustomer}
+        onClose={() => setLedgerCustomer(null)}
+      />
+
+      <CustomerWalletModal
+        customer={walletCustomer}
+        onClose={() => setWalletCustomer(null)}
+      />
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ClipboardList, Eye, ShoppingCart, XCircle, AlertTriangle } from 'lucide-react';
+import { useEstimates } from '../hooks';
+import { useCart } from '../context/CartContext';
+import { LoadingSpinner, ErrorMessage, EstimateDocument, EstimateActions } from '../components';
+import { ESTIMATE_STATUS, isEstimateExpired, compareMetalRates, formatRupees } from '../utils';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '—');
+
+const formatRateChange = (change) =>
+  `${change.label}: ${formatRupees(change.quoted)} → ${formatRupees(change.current)} (${change.changePercent > 0 ? '+' : ''}${change.changePercent}%)`;
+
+/**
+ * EstimatesPage Component
+ * Lists saved estimates and loads one back into a fresh cart for billing
+ */
+export const EstimatesPage = () => {
+  const navigate = useNavigate();
+  const { estimates, loading, error, loadEstimates, getCurrentRates, updateStatus, clearError } = useEstimates();
+  const { items, startCartFromLines } = useCart();
+
+  const [status, setStatus] = useState(ESTIMATE_STATUS.OPEN);
+  const [currentRates, setCurrentRates] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    loadEstimates({ status }).catch(() => {});
+    setSelected(null);
+  }, [status, loadEstimates]);
+
+  useEffect(() => {
+    getCurrentRates().then(setCurrentRates);
+  }, [getCurrentRates]);
+
+  const getRateChanges = (estimate) => compareMetalRates(estimate.metal_rates, currentRates?.rates);
+
+  const handleConvert = async (estimate) => {
+    const warnings = [];
+    if (isEstimateExpired(estimate)) {
+      warnings.push(`⚠️ This estimate expired on ${formatDate(estimate.valid_until)}.`);
+    }
+    const changes = getRateChanges(estimate);
+    if (changes.length > 0) {
+      warnings.push(`⚠️ Metal rates have moved since this estimate:\n${changes.map(formatRateChange).join('\n')}\nPieces with a metal breakdown will be repriced at today's rates; other lines and agreed prices keep the estimate's price.`);
+    } else if (!currentRates && Object.keys(estimate.metal_rates).length > 0) {
+      warnings.push('⚠️ Today\'s metal rates couldn\'t be loaded to compare against this estimate.');
+    }
+    if (items.length > 0) {
+      warnings.push('The current cart will be set aside – park it first if the customer is coming back for it.');
+    }
+    if (!window.confirm([`Load estimate ${estimate.estimate_number} into a new cart?`, ...warnings].join('\n\n'))) {
+      return;
+    }
+
+    try {
+      setBusyId(estimate.id);
+      // The estimate stays open until the sale completes, so an abandoned cart doesn't lose it
+      await startCartFromLines(estimate.lines, estimate.discount, { estimateId: estimate.id });
+      navigate('/cart');
+    } catch (err) {
+      alert(`❌ Failed to load estimate: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = async (estimate) => {
+    if (!window.confirm(`Cancel estimate ${estimate.estimate_number}?`)) return;
+    try {
+      setBusyId(estimate.id);
+      await updateStatus(estimate.id, ESTIMATE_STATUS.CANCELLED);
+      if (selected?.id === estimate.id) setSelected(null);
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const selectedChanges = selected ? getRateChanges(selected) : [];
+
+  return (
+    <div className="screen-container">
+      <div className="page-header no-print">
+        <div className="page-title">
+          <ClipboardList size={32} />
+          <div>
+            <h1>Estimates</h1>
+            <p>Quotations given to customers, ready to turn into a sale</p>
+          </div>
+        </div>
+      </div>
+
+      {error && <ErrorMessage message={error} onRetry={clearError} />}
+
+      <div className="content-section no-print">
+        <div className="filters-bar">
+          <select className="input-field" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value={ESTIMATE_STATUS.OPEN}>Open</option>
+            <option value={ESTIMATE_STATUS.CONVERTED}>Converted</option>
+            <option value={ESTIMATE_STATUS.CANCELLED}>Cancelled</option>
+          </select>
+        </div>
+
+        {loading && estimates.length === 0 ? (
+          <LoadingSpinner message="Loading estimates..." />
+        ) : (
+          <div className="table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Estimate</th>
+                  <th>Customer</th>
+                  <th>Date</th>
+                  <th>Valid Until</th>
+                  <th>Total</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {estimates.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="empty-state">No {status} estimates</td>
+                  </tr>
+                ) : (
+                  estimates.map((estimate) => {
+                    const expired = isEstimateExpired(estimate);
+                    const ratesMoved = status === ESTIMATE_STATUS.OPEN && getRateChanges(estimate).length > 0;
+                    return (
+                      <tr key={estimate.id}>
+                        <td>
+                          <strong>{estimate.estimate_number}</strong>
+                          {ratesMoved && (
+                            <div className="estimate-rate-flag">
+                              <AlertTriangle size={12} /> Rates moved
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          <div>{estimate.customer_name || 'Walk-in Customer'}</div>
+                          {estimate.customer_phone && <small>{estimate.customer_phone}</small>}
+                        </td>
+                        <td>{formatDate(estimate.created_at)}</td>
+                        <td>
+                          {formatDate(estimate.valid_until)}
+                          {expired && status === ESTIMATE_STATUS.OPEN && <span className="status-badge pending estimate-expired">Expired</span>}
+                        </td>
+                        <td>{formatRupees(estimate.total_amount)}</td>
+                        <td className="estimate-row-actions">
+                          <button className="btn-icon" onClick={() => setSelected(estimate)} title="View / print">
+                            <Eye size={16} />
+                          </button>
+                          {status === ESTIMATE_STATUS.OPEN && (
+                            <>
+                              <button
+                                className="btn-icon"
+                                onClick={() => handleConvert(estimate)}
+                                disabled={busyId === estimate.id}
+                                title="Load into a new cart"
+                              >
+                                <ShoppingCart size={16} />
+                              </button>
+                              <button
+                                className="btn-icon"
+                                onClick={() => handleCancel(estimate)}
+                                disabled={busyId === estimate.id}
+                                title="Cancel estimate"
+                              >
+                                <XCircle size={16} />
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selected && (
+        <div className="content-section">
+          {selectedChanges.length > 0 && (
+            <div className="payment-warning estimate-rate-warning no-print">
+              Metal rates have moved since this estimate: {selectedChanges.map(formatRateChange).join(', ')}
+            </div>
+          )}
+          <EstimateDocument estimate={selected} />
+          <EstimateActions estimate={selected} />
+        </div>
+      )}
+    </div>
+  );
+};
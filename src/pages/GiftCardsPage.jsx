@@ -0,0 +1,447 @@
+import React, { useState } from 'react';
+import { Gift, Search, Plus, Wallet, User } from 'lucide-react';
+import { useGiftCards } from '../hooks';
+import { useAuth } from '../context/AuthContext';
+import { ErrorMessage, PaymentLines, CustomerModal } from '../components';
+import {
+  GIFT_CARD_TYPES,
+  formatGiftCardType,
+  getGiftCardError,
+  getDefaultCardExpiry,
+  isGiftCardExpired,
+  validateCardLoad,
+  createPaymentLine,
+  summarizeTenders,
+  toPaymentPayload,
+  parseAmount,
+  formatRupees,
+} from '../utils';
+
+const formatDate = (value) => (value ? new Date(`${value}T00:00:00`).toLocaleDateString('en-IN') : '—');
+
+const TRANSACTION_LABELS = {
+  issue: 'Issued',
+  top_up: 'Top-up',
+  redeem: 'Redeemed',
+  cancel: 'Cancelled',
+};
+
+const createIssueForm = () => ({
+  card_type: GIFT_CARD_TYPES.GIFT_CARD,
+  amount: '',
+  expires_on: getDefaultCardExpiry(),
+  source_reference: '',
+});
+
+/**
+ * GiftCardsPage Component
+ * Issue gift cards and store credit, check balances, top up and redeem cards
+ */
+export const GiftCardsPage = () => {
+  const { isManager } = useAuth();
+  const { transactions, loading, error, lookupCard, loadTransactions, issueCard, topUpCard, redeemCard, clearError } = useGiftCards();
+
+  const [cardNumber, setCardNumber] = useState('');
+  const [card, setCard] = useState(null);
+  const [action, setAction] = useState(null);
+  const [actionAmount, setActionAmount] = useState('');
+  const [reference, setReference] = useState('');
+  const [paymentLines, setPaymentLines] = useState(() => [createPaymentLine('cash')]);
+  const [issueForm, setIssueForm] = useState(createIssueForm);
+  const [issueCustomer, setIssueCustomer] = useState(null);
+  const [isCustomerModalOpen, setIsCustomerModalOpen] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isIssuing = action === 'issue';
+  const isSoldCard = isIssuing && issueForm.card_type === GIFT_CARD_TYPES.GIFT_CARD;
+  // Sold cards and top-ups are paid for; store credit and redemptions move no money
+  const amountToCollect = isSoldCard || action === 'top_up' ? parseAmount(isIssuing ? issueForm.amount : actionAmount) : 0;
+  const paymentSummary = summarizeTenders(paymentLines, amountToCollect);
+
+  const resetAction = () => {
+    setAction(null);
+    setActionAmount('');
+    setReference('');
+    setPaymentLines([createPaymentLine('cash')]);
+  };
+
+  const showCard = (found) => {
+    setCard(found);
+    setCardNumber(found.card_number);
+    loadTransactions(found.card_number);
+  };
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    if (!cardNumber.trim()) return;
+
+    try {
+      resetAction();
+      const found = await lookupCard(cardNumber);
+      if (!found) {
+        setCard(null);
+        alert(`❌ No card found with number ${cardNumber.trim()}`);
+        return;
+      }
+      showCard(found);
+    } catch (err) {
+      // Error is shown by the hook
+    }
+  };
+
+  const handleUpdatePaymentLine = (lineId, changes) => {
+    setPaymentLines((prev) => prev.map((line) => (line.id === lineId ? { ...line, ...changes } : line)));
+  };
+
+  const handleAddPaymentLine = () => {
+    setPaymentLines((prev) => [...prev, createPaymentLine('card', paymentSummary.remaining || '')]);
+  };
+
+  const handleRemovePaymentLine = (lineId) => {
+    setPaymentLines((prev) => (prev.length > 1 ? prev.filter((line) => line.id !== lineId) : prev));
+  };
+
+  const handleIssue = async (e) => {
+    e.preventDefault();
+    const loadError = validateCardLoad(issueForm.amount, issueForm.card_type);
+    if (loadError) {
+      alert(`❌ ${loadError}`);
+      return;
+    }
+    if (!isSoldCard && !issueForm.source_reference.trim()) {
+      alert('❌ Enter the credit note or approval reference the store credit is issued against');
+      return;
+    }
+    if (isSoldCard && !paymentSummary.isSettled) {
+      alert(`❌ Collect ${formatRupees(amountToCollect)} for the card before issuing it`);
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const issued = await issueCard({
+        card_type: issueForm.card_type,
+        amount: parseAmount(issueForm.amount),
+        customer_id: issueCustomer?.id || issueCustomer?.["Contact ID"] || null,
+        expires_on: issueForm.expires_on,
+        source: isSoldCard ? 'sale' : 'manual',
+        source_reference: issueForm.source_reference.trim() || null,
+      }, { payments: toPaymentPayload(paymentLines), changeGiven: paymentSummary.change });
+
+      alert(`✅ ${formatGiftCardType(issued.card_type)} ${issued.card_number} issued for ${formatRupees(issued.balance)}`);
+      setIssueForm(createIssueForm());
+      setIssueCustomer(null);
+      resetAction();
+      showCard(issued);
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleTopUp = async () => {
+    const loadError = validateCardLoad(actionAmount, GIFT_CARD_TYPES.GIFT_CARD, card.balance);
+    if (loadError) {
+      alert(`❌ ${loadError}`);
+      return;
+    }
+    if (!paymentSummary.isSettled) {
+      alert(`❌ Collect ${formatRupees(amountToCollect)} before topping up`);
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const updated = await topUpCard(card, {
+        amount: parseAmount(actionAmount),
+        payments: toPaymentPayload(paymentLines),
+        changeGiven: paymentSummary.change,
+      });
+      alert(`✅ Card topped up. New balance: ${formatRupees(updated.balance)}`);
+      resetAction();
+      showCard(updated);
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRedeem = async () => {
+    const amount = parseAmount(actionAmount);
+    if (amount <= 0 || amount > card.balance) {
+      alert(`❌ Enter an amount up to the card balance of ${formatRupees(card.balance)}`);
+      return;
+    }
+    if (!reference.trim()) {
+      alert('❌ Enter what the card is being redeemed against');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const updated = await redeemCard(card, amount, reference.trim());
+      alert(`✅ ${formatRupees(amount)} redeemed. Remaining balance: ${formatRupees(updated.balance)}`);
+      resetAction();
+      showCard(updated);
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cardError = card ? getGiftCardError(card) : null;
+
+  return (
+    <div className="screen-container">
+      <div className="page-header">
+        <div className="page-title">
+          <Gift size={32} />
+          <div>
+            <h1>Gift Cards & Store Credit</h1>
+            <p>Issue, check, top up and redeem numbered cards</p>
+          </div>
+        </div>
+        <button className="btn-primary" onClick={() => { resetAction(); setAction('issue'); }}>
+          <Plus size={18} />
+          Issue Card
+        </button>
+      </div>
+
+      {error && <ErrorMessage message={error} onRetry={clearError} />}
+
+      <div className="content-section">
+        <form className="filters-bar" onSubmit={handleLookup}>
+          <input
+            type="text"
+            className="input-field"
+            placeholder="Card number"
+            value={cardNumber}
+            onChange={(e) => setCardNumber(e.target.value)}
+          />
+          <button type="submit" className="btn-secondary" disabled={loading || !cardNumber.trim()}>
+            <Search size={18} />
+            Check Balance
+          </button>
+        </form>
+      </div>
+
+      <div className="order-detail-layout">
+        {card && (
+          <div className="checkout-section">
+            <h2 className="section-title">{formatGiftCardType(card.card_type)} {card.card_number}</h2>
+
+            <div className="gift-card-balance">{formatRupees(card.balance)}</div>
+            {cardError && <div className="payment-warning">{cardError}</div>}
+
+            <div className="summary-line">
+              <span>Customer</span>
+              <span>{card.customer_name || 'Not linked'}</span>
+            </div>
+            <div className="summary-line">
+              <span>Issued for</span>
+              <span>{formatRupees(card.initial_amount)}</span>
+            </div>
+            <div className="summary-line">
+              <span>Expires</span>
+              <span>
+                {formatDate(card.expires_on)}
+                {isGiftCardExpired(card) && <span className="status-badge pending gift-card-status">Expired</span>}
+              </span>
+            </div>
+            {card.source_reference && (
+              <div className="summary-line">
+                <span>Issued against</span>
+                <span>{card.source_reference}</span>
+              </div>
+            )}
+
+            <h3 className="order-subtitle">Transactions</h3>
+            {transactions.length === 0 && <p className="order-empty">No transactions recorded</p>}
+            {transactions.map((transaction, index) => (
+              <div key={transaction.id || index} className="summary-line">
+                <span>
+                  {transaction.created_at ? new Date(transaction.created_at).toLocaleDateString('en-IN') : '—'} – {TRANSACTION_LABELS[transaction.type] || transaction.type}
+                  {transaction.reference && ` (${transaction.reference})`}
+                </span>
+                <span className={transaction.amount < 0 ? 'gift-card-debit' : 'gift-card-credit'}>
+                  {transaction.amount > 0 ? '+' : '−'}{formatRupees(Math.abs(transaction.amount))}
+                </span>
+              </div>
+            ))}
+
+            {!cardError && !isIssuing && (
+              <div className="gift-card-actions">
+                {card.card_type === GIFT_CARD_TYPES.GIFT_CARD && (
+                  <button className="btn-outline" onClick={() => { resetAction(); setAction('top_up'); }}>
+                    <Wallet size={18} />
+                    Top Up
+                  </button>
+                )}
+                <button className="btn-outline" onClick={() => { resetAction(); setAction('redeem'); }}>
+                  Redeem
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {action === 'top_up' && card && (
+          <div className="checkout-section">
+            <h2 className="section-title">Top Up {card.card_number}</h2>
+            <div className="form-group">
+              <label>Amount <span className="required">*</span></label>
+              <input
+                type="number"
+                min="0"
+                className="input-field"
+                value={actionAmount}
+                onChange={(e) => setActionAmount(e.target.value)}
+              />
+            </div>
+            <PaymentLines
+              lines={paymentLines}
+              summary={paymentSummary}
+              onChange={handleUpdatePaymentLine}
+              onAdd={handleAddPaymentLine}
+              onRemove={handleRemovePaymentLine}
+            />
+            <button className="btn-primary btn-full" onClick={handleTopUp} disabled={submitting || !paymentSummary.isSettled}>
+              {submitting ? 'Saving...' : `Top Up ${formatRupees(amountToCollect)}`}
+            </button>
+            <button className="btn-link" onClick={resetAction}>Cancel</button>
+          </div>
+        )}
+
+        {action === 'redeem' && card && (
+          <div className="checkout-section">
+            <h2 className="section-title">Redeem from {card.card_number}</h2>
+            <p className="gift-card-hint">Use checkout to pay for a sale with this card. Redeem here only for repairs and other charges billed outside the POS.</p>
+            <div className="form-group">
+              <label>Amount <span className="required">*</span></label>
+              <input
+                type="number"
+                min="0"
+                max={card.balance}
+                className="input-field"
+                value={actionAmount}
+                onChange={(e) => setActionAmount(e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label>Redeemed Against <span className="required">*</span></label>
+              <input
+                type="text"
+                className="input-field"
+                placeholder="e.g. Repair job #1234"
+                value={reference}
+                onChange={(e) => setReference(e.target.value)}
+              />
+            </div>
+            <button className="btn-primary btn-full" onClick={handleRedeem} disabled={submitting}>
+              {submitting ? 'Saving...' : 'Redeem'}
+            </button>
+            <button className="btn-link" onClick={resetAction}>Cancel</button>
+          </div>
+        )}
+
+        {isIssuing && (
+          <form className="checkout-section" onSubmit={handleIssue}>
+            <h2 className="section-title">Issue Card</h2>
+
+            <div className="form-group">
+              <label>Type</label>
+              <select
+                className="input-field"
+                value={issueForm.card_type}
+                onChange={(e) => setIssueForm((prev) => ({ ...prev, card_type: e.target.value }))}
+              >
+                <option value={GIFT_CARD_TYPES.GIFT_CARD}>Gift Card (sold)</option>
+                {isManager() && <option value={GIFT_CARD_TYPES.STORE_CREDIT}>Store Credit</option>}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Amount <span className="required">*</span></label>
+              <input
+                type="number"
+                min="0"
+                className="input-field"
+                value={issueForm.amount}
+                onChange={(e) => setIssueForm((prev) => ({ ...prev, amount: e.target.value }))}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Valid Until</label>
+              <input
+                type="date"
+                className="input-field"
+                value={issueForm.expires_on}
+                onChange={(e) => setIssueForm((prev) => ({ ...prev, expires_on: e.target.value }))}
+              />
+            </div>
+
+            {!isSoldCard && (
+              <div className="form-group">
+                <label>Credit Note / Approval Reference <span className="required">*</span></label>
+                <input
+                  type="text"
+                  className="input-field"
+                  value={issueForm.source_reference}
+                  onChange={(e) => setIssueForm((prev) => ({ ...prev, source_reference: e.target.value }))}
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label>Customer {!isSoldCard && <span className="required">*</span>}</label>
+              {issueCustomer ? (
+                <div className="summary-line">
+                  <span>{issueCustomer.name || issueCustomer["Contact Name"] || issueCustomer["Display Name"]}</span>
+                  <button type="button" className="btn-link" onClick={() => setIssueCustomer(null)}>Change</button>
+                </div>
+              ) : (
+                <button type="button" className="btn-outline" onClick={() => setIsCustomerModalOpen(true)}>
+                  <User size={18} />
+                  {isSoldCard ? 'Link to Customer (optional)' : 'Select Customer'}
+                </button>
+              )}
+            </div>
+
+            {isSoldCard && (
+              <PaymentLines
+                lines={paymentLines}
+                summary={paymentSummary}
+                onChange={handleUpdatePaymentLine}
+                onAdd={handleAddPaymentLine}
+                onRemove={handleRemovePaymentLine}
+              />
+            )}
+
+            <button
+              type="submit"
+              className="btn-primary btn-full"
+              disabled={submitting || (isSoldCard && !paymentSummary.isSettled) || (!isSoldCard && !issueCustomer)}
+            >
+              <Gift size={18} />
+              {submitting ? 'Issuing...' : `Issue ${formatGiftCardType(issueForm.card_type)}`}
+            </button>
+            <button type="button" className="btn-link" onClick={resetAction}>Cancel</button>
+          </form>
+        )}
+      </div>
+
+      <CustomerModal
+        isOpen={isCustomerModalOpen}
+        onClose={() => setIsCustomerModalOpen(false)}
+        onSelectCustomer={(customer) => {
+          setIssueCustomer(customer);
+          setIsCustomerModalOpen(false);
+        }}
+      />
+    </div>
+  );
+};
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Search, FileText, Calendar, User, IndianRupee } from 'lucide-react';
 import { customersApi } from '../services/api';
 import { useInvoices } from '../hooks';
-import { LoadingSpinner, ErrorMessage, Pagination, InvoiceActions } from '../components';
+import { LoadingSpinner, ErrorMessage, Pagination, InvoiceActions, InvoiceDetailsModal } from '../components';
 import { formatRupees } from '../utils';
 
 /**
@@ -63,8 +63,11 @@ export const InvoicesPage = () => {
 
   const handleViewInvoice = (invoice) => {
     setSelectedInvoice(invoice);
-    // Could open a detailed modal here
-    console.log('View invoice details:', invoice);
+  };
+
+  // Refresh so invoice statuses pick up the new return
+  const handleReturned = () => {
+    loadInvoices().catch(() => {});
   };
 
   // Filter invoices based on search term
@@ -241,6 +244,7 @@ export const InvoicesPage = () => {
                             compact={true}
                             showViewButton={true}
                             onView={handleViewInvoice}
+                            onReturned={handleReturned}
                           />
                         </td>
                       </tr>
@@ -261,6 +265,13 @@ export const InvoicesPage = () => {
           </>
         )}
       </div>
+
+      {/* Invoice Details with linked returns */}
+      <InvoiceDetailsModal
+        invoice={selectedInvoice}
+        customerName={selectedInvoice && (customers[selectedInvoice.customer_id]?.name || customers[selectedInvoice.customer_id]?.full_name)}
+        onClose={() => setSelectedInvoice(null)}
+      />
     </div>
   );
 };
\ No newline at end of file
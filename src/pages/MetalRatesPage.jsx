@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { Coins, RefreshCw } from 'lucide-react';
+import { useMetalRates } from '../context/MetalRatesContext';
+import { useAuth } from '../context/AuthContext';
+import { ErrorMessage, LoadingSpinner } from '../components';
+import { validateRateBoard, formatRupees } from '../utils';
+import { METAL_RATE_TYPES, RATE_HISTORY_DAYS } from '../config/metalRates';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN') : '—');
+
+// datetime-local wants local time without a zone
+const toLocalInputValue = (date = new Date()) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const createRateForm = (rates = {}) => METAL_RATE_TYPES.reduce((form, { key }) => ({
+  ...form,
+  [key]: rates[key] ? String(rates[key]) : '',
+}), {});
+
+/**
+ * MetalRatesPage Component
+ * The day's gold, silver and platinum rates with their history.
+ * Managers publish new rates; real jewelry is priced from the rates in effect.
+ */
+export const MetalRatesPage = () => {
+  const { isManager } = useAuth();
+  const { board, history, loading, error, loadCurrent, loadHistory, publishRates, clearError } = useMetalRates();
+  const [historyDays, setHistoryDays] = useState(RATE_HISTORY_DAYS);
+  const [rateForm, setRateForm] = useState(() => createRateForm(board?.rates));
+  const [effectiveFrom, setEffectiveFrom] = useState(() => toLocalInputValue());
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadHistory(historyDays).catch(() => {});
+  }, [historyDays, loadHistory]);
+
+  // Start the form from the board once it has loaded
+  useEffect(() => {
+    if (board) setRateForm(createRateForm(board.rates));
+  }, [board]);
+
+  // Change against the entry before the one in effect
+  const previous = history.find((entry) => entry.effective_from !== board?.effective_from
+    && (!board?.effective_from || new Date(entry.effective_from) < new Date(board.effective_from)));
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    const { error: rateError, warnings } = validateRateBoard(rateForm, board?.rates);
+    if (rateError) {
+      alert(`❌ ${rateError}`);
+      return;
+    }
+    if (warnings.length > 0 && !window.confirm(`⚠️ Large rate moves:\n${warnings.join('\n')}\n\nPublish anyway?`)) {
+      return;
+    }
+
+    const rates = METAL_RATE_TYPES.reduce((result, { key }) => ({ ...result, [key]: parseFloat(rateForm[key]) }), {});
+
+    try {
+      setSubmitting(true);
+      const entry = await publishRates(rates, new Date(effectiveFrom).toISOString(), notes.trim() || null);
+      alert(`✅ Rates published, effective ${formatDateTime(entry.effective_from)}`);
+      setEffectiveFrom(toLocalInputValue());
+      setNotes('');
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="screen-container">
+      <div className="page-header">
+        <div className="page-title">
+          <Coins size={32} />
+          <div>
+            <h1>Metal Rate Board</h1>
+            <p>
+              {board?.effective_from
+                ? `Rates in effect since ${formatDateTime(board.effective_from)}`
+                : 'No rates published yet'}
+            </p>
+          </div>
+        </div>
+        <button className="btn-secondary" onClick={() => { loadCurrent(); loadHistory(historyDays).catch(() => {}); }} disabled={loading}>
+          <RefreshCw size={18} />
+          Refresh
+        </button>
+      </div>
+
+      {error && <ErrorMessage message={error} onRetry={clearError} />}
+
+      <div className="metal-rate-board">
+        {METAL_RATE_TYPES.map(({ key, label }) => {
+          const rate = board?.rates?.[key] || 0;
+          const change = previous?.rates?.[key] ? rate - previous.rates[key] : 0;
+          return (
+            <div key={key} className="metal-rate-card">
+              <span className="metal-rate-label">{label}</span>
+              <strong className="metal-rate-value">{rate ? formatRupees(rate) : '—'}</strong>
+              <span className="metal-rate-unit">per gram</span>
+              {change !== 0 && (
+                <span className={change > 0 ? 'metal-rate-up' : 'metal-rate-down'}>
+                  {change > 0 ? '▲' : '▼'} {formatRupees(Math.abs(change))}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="order-detail-layout">
+        {isManager() && (
+          <form className="checkout-section" onSubmit={handlePublish}>
+            <h2 className="section-title">Publish New Rates</h2>
+
+            <div className="metal-rate-form">
+              {METAL_RATE_TYPES.map(({ key, label }) => (
+                <div key={key} className="form-group">
+                  <label>{label} (₹/g) <span className="required">*</span></label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    className="input-field"
+                    value={rateForm[key]}
+                    onChange={(e) => setRateForm((prev) => ({ ...prev, [key]: e.target.value }))}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="form-group">
+              <label>Effective From <span className="required">*</span></label>
+              <input
+                type="datetime-local"
+                className="input-field"
+                value={effectiveFrom}
+                onChange={(e) => setEffectiveFrom(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Notes</label>
+              <input
+                type="text"
+                className="input-field"
+                placeholder="e.g. IBJA opening rate"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+            </div>
+
+            <p className="metal-rate-hint">Catalog prices and new cart lines use these rates from the effective time. Carts already open can be updated from the cart page.</p>
+
+            <button type="submit" className="btn-primary btn-full" disabled={submitting}>
+              {submitting ? 'Publishing...' : 'Publish Rates'}
+            </button>
+          </form>
+        )}
+
+        <div className="checkout-section">
+          <div className="metal-rate-history-header">
+            <h2 className="section-title">Rate History</h2>
+            <select className="input-field" value={historyDays} onChange={(e) => setHistoryDays(parseInt(e.target.value))}>
+              <option value={7}>Last 7 days</option>
+              <option value={30}>Last 30 days</option>
+              <option value={90}>Last 90 days</option>
+            </select>
+          </div>
+
+          {loading && history.length === 0 ? (
+            <LoadingSpinner message="Loading rate history..." />
+          ) : (
+            <div className="table-container">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Effective From</th>
+                    {METAL_RATE_TYPES.map(({ key, label }) => <th key={key}>{label}</th>)}
+                    <th>Entered By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {history.length === 0 ? (
+                    <tr>
+                      <td colSpan={METAL_RATE_TYPES.length + 2} className="empty-state">No rates published in this period</td>
+                    </tr>
+                  ) : (
+                    history.map((entry) => (
+                      <tr key={entry.id} className={entry.effective_from === board?.effective_from ? 'metal-rate-current' : ''}>
+                        <td>
+                          {formatDateTime(entry.effective_from)}
+                          {entry.notes && <div><small>{entry.notes}</small></div>}
+                        </td>
+                        {METAL_RATE_TYPES.map(({ key }) => <td key={key}>{formatRupees(entry.rates[key])}</td>)}
+                        <td>{entry.entered_by || '—'}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { PackageCheck, Wallet, XCircle, FileText } from 'lucide-react';
+import { useOrders } from '../hooks';
+import { LoadingSpinner, ErrorMessage, PaymentLines, InvoiceActions } from '../components';
+import {
+  ORDER_STATUS,
+  isOrderOverdue,
+  createPaymentLine,
+  summarizeTenders,
+  toPaymentPayload,
+  formatPaymentMethod,
+  formatRupees,
+} from '../utils';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '—');
+
+/**
+ * OrdersPage Component
+ * Advance-payment orders: take installments, invoice paid-off orders and cancel to release pieces
+ */
+export const OrdersPage = () => {
+  const { orders, loading, error, loadOrders, recordPayment, completeOrder, cancelOrder, clearError } = useOrders();
+
+  const [status, setStatus] = useState(ORDER_STATUS.OPEN);
+  const [selectedId, setSelectedId] = useState(null);
+  const [paymentLines, setPaymentLines] = useState(() => [createPaymentLine('cash')]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadOrders({ status }).catch(() => {});
+    setSelectedId(null);
+  }, [status, loadOrders]);
+
+  const selected = orders.find((order) => order.id === selectedId) || null;
+  const summary = summarizeTenders(paymentLines, selected?.balance_due || 0);
+
+  const selectOrder = (order) => {
+    setSelectedId(order.id);
+    setPaymentLines([createPaymentLine('cash')]);
+  };
+
+  const handleUpdatePaymentLine = (lineId, changes) => {
+    setPaymentLines((prev) => prev.map((line) => (line.id === lineId ? { ...line, ...changes } : line)));
+  };
+
+  const handleAddPaymentLine = () => {
+    setPaymentLines((prev) => [...prev, createPaymentLine('card', summary.remaining || '')]);
+  };
+
+  const handleRemovePaymentLine = (lineId) => {
+    setPaymentLines((prev) => (prev.length > 1 ? prev.filter((line) => line.id !== lineId) : prev));
+  };
+
+  const handleRecordPayment = async () => {
+    const payments = toPaymentPayload(paymentLines);
+    if (payments.length === 0) {
+      alert('❌ Enter the amount received');
+      return;
+    }
+    if (summary.isOverpaidNonCash) {
+      alert(`❌ Card, UPI and bank transfer can't exceed the balance of ${formatRupees(selected.balance_due)}`);
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const updated = await recordPayment(selected, { payments, changeGiven: summary.change });
+      setPaymentLines([createPaymentLine('cash')]);
+      if (updated.status === ORDER_STATUS.COMPLETED) {
+        alert(`✅ Order paid in full – invoice ${updated.invoice_number || updated.invoice_id} generated`);
+      } else {
+        alert(`✅ Payment recorded. Balance due: ${formatRupees(updated.balance_due)}`);
+      }
+    } catch (err) {
+      alert(`❌ Failed to record payment: ${err.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleComplete = async () => {
+    try {
+      setSubmitting(true);
+      const completed = await completeOrder(selected.id);
+      alert(`✅ Invoice ${completed.invoice_number || completed.invoice_id} generated`);
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    const reason = window.prompt(`Cancel order ${selected.order_number} and release its pieces?\n\nReason:`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('❌ A reason is required to cancel an order');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await cancelOrder(selected.id, reason.trim());
+      setSelectedId(null);
+      if (selected.amount_paid > 0) {
+        alert(`⚠️ Order cancelled. ${formatRupees(selected.amount_paid)} was paid in advance – refund or credit it to the customer.`);
+      }
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="screen-container">
+      <div className="page-header">
+        <div className="page-title">
+          <PackageCheck size={32} />
+          <div>
+            <h1>Advance Orders</h1>
+            <p>Pieces reserved against an advance, with the balance still to pay</p>
+          </div>
+        </div>
+      </div>
+
+      {error && <ErrorMessage message={error} onRetry={clearError} />}
+
+      <div className="content-section">
+        <div className="filters-bar">
+          <select className="input-field" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value={ORDER_STATUS.OPEN}>Open</option>
+            <option value={ORDER_STATUS.COMPLETED}>Completed</option>
+            <option value={ORDER_STATUS.CANCELLED}>Cancelled</option>
+          </select>
+        </div>
+
+        {loading && orders.length === 0 ? (
+          <LoadingSpinner message="Loading orders..." />
+        ) : (
+          <div className="table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Order</th>
+                  <th>Customer</th>
+                  <th>Date</th>
+                  <th>Due By</th>
+                  <th>Total</th>
+                  <th>Paid</th>
+                  <th>Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="empty-state">No {status} orders</td>
+                  </tr>
+                ) : (
+                  orders.map((order) => (
+                    <tr
+                      key={order.id}
+                      className={`order-row ${order.id === selectedId ? 'selected' : ''}`}
+                      onClick={() => selectOrder(order)}
+                    >
+                      <td><strong>{order.order_number}</strong></td>
+                      <td>{order.customer_name}</td>
+                      <td>{formatDate(order.created_at)}</td>
+                      <td>
+                        {formatDate(order.due_date)}
+                        {isOrderOverdue(order) && <span className="status-badge pending order-overdue">Overdue</span>}
+                      </td>
+                      <td>{formatRupees(order.total_amount)}</td>
+                      <td>{formatRupees(order.amount_paid)}</td>
+                      <td><strong>{formatRupees(order.balance_due)}</strong></td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selected && (
+        <div className="order-detail-layout">
+          <div className="checkout-section">
+            <h2 className="section-title">Order {selected.order_number}</h2>
+
+            {selected.lines.map((line, index) => (
+              <div key={index} className="summary-line">
+                <span>{line.name || line.item_name} × {line.quantity || 1}</span>
+                <span>{formatRupees(line.amount ?? line.price)}</span>
+              </div>
+            ))}
+
+            <h3 className="order-subtitle">Payments</h3>
+            {selected.payments.length === 0 && <p className="order-empty">No payments recorded</p>}
+            {selected.payments.map((payment, index) => (
+              <div key={payment.id || index} className="summary-line">
+                <span>
+                  {formatDate(payment.created_at || payment.paid_at)} – {payment.payment_type === 'advance' ? 'Advance' : 'Installment'}
+                  {payment.payment_method && ` (${formatPaymentMethod(payment.payment_method)})`}
+                </span>
+                <span>{formatRupees(payment.amount ?? payment.payment_amount)}</span>
+              </div>
+            ))}
+
+            <div className="return-totals">
+              <div className="summary-line">
+                <span>Order total</span>
+                <span>{formatRupees(selected.total_amount)}</span>
+              </div>
+              <div className="summary-line">
+                <span>Paid</span>
+                <span>{formatRupees(selected.amount_paid)}</span>
+              </div>
+              <div className="summary-line total">
+                <span>Balance due</span>
+                <span>{formatRupees(selected.balance_due)}</span>
+              </div>
+            </div>
+
+            {selected.status === ORDER_STATUS.COMPLETED && selected.invoice_id && (
+              <InvoiceActions
+                invoice={{ id: selected.invoice_id, invoice_number: selected.invoice_number }}
+                customer={selected.customer || {}}
+                compact={true}
+              />
+            )}
+          </div>
+
+          {selected.status === ORDER_STATUS.OPEN && (
+            <div className="checkout-section">
+              {selected.balance_due > 0 ? (
+                <>
+                  <h2 className="section-title">Record Installment</h2>
+                  <PaymentLines
+                    lines={paymentLines}
+                    summary={summary}
+                    onChange={handleUpdatePaymentLine}
+                    onAdd={handleAddPaymentLine}
+                    onRemove={handleRemovePaymentLine}
+                  />
+                  <button
+                    className="btn-primary btn-full"
+                    onClick={handleRecordPayment}
+                    disabled={submitting || summary.paid <= 0}
+                  >
+                    <Wallet size={18} />
+                    {submitting ? 'Recording...' : summary.remaining === 0 ? 'Receive Balance & Invoice' : 'Record Payment'}
+                  </button>
+                </>
+              ) : (
+                <button className="btn-primary btn-full" onClick={handleComplete} disabled={submitting}>
+                  <FileText size={18} />
+                  Generate Invoice
+                </button>
+              )}
+
+              <button className="btn-outline btn-full order-cancel" onClick={handleCancel} disabled={submitting}>
+                <XCircle size={18} />
+                Cancel Order & Release Pieces
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -15,11 +15,14 @@ import {
   ChevronDown,
   ChevronUp,
   Award,
-  Gem
+  Gem,
+  Tag
 } from 'lucide-react';
 import { useCart } from '../context/CartContext';
-import { LoadingSpinner, ErrorMessage } from '../components';
+import { useMetalRates } from '../context/MetalRatesContext';
+import { LoadingSpinner, ErrorMessage, LabelPrintModal, ProductImageGallery } from '../components';
 import { productsApi, demistifiedProductsApi, productFiltersApi } from '../services/api';
+import { repriceProduct } from '../utils';
 
 /**
  * ProductDetailPage Component
@@ -30,6 +33,7 @@ export const ProductDetailPage = () => {
   const { type, id } = useParams(); // type = 'real' | 'demistified', id = product ID/SKU
   const navigate = useNavigate();
   const { addItem } = useCart();
+  const { board: rateBoard } = useMetalRates();
 
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -39,6 +43,7 @@ export const ProductDetailPage = () => {
   const [saveLoading, setSaveLoading] = useState(false);
   const [filterOptions, setFilterOptions] = useState({});
   const [loadingFilters, setLoadingFilters] = useState(false);
+  const [isLabelModalOpen, setIsLabelModalOpen] = useState(false);
   const [expandedSections, setExpandedSections] = useState({
     basic: true,
     variant: true,
@@ -334,32 +339,36 @@ export const ProductDetailPage = () => {
         {/* Product Image and Basic Info */}
         <div className="product-detail-grid">
           <div className="product-detail-image">
-            <div className="image-container">
-              {(product.image && typeof product.image === 'string' && 
-               (product.image.startsWith('http') || product.image.startsWith('https'))) ||
-               (product.shopify_image && product.shopify_image.url) ? (
-                <img 
-                  src={product.image || product.shopify_image?.url} 
-                  alt={product.name || product.item_name}
-                  className="product-img"
-                  onError={(e) => {
-                    e.target.style.display = 'none';
-                    e.target.nextSibling.style.display = 'block';
+            {isReal ? (
+              <ProductImageGallery sku={product.sku} name={product.name} />
+            ) : (
+              <div className="image-container">
+                {(product.image && typeof product.image === 'string' && 
+                 (product.image.startsWith('http') || product.image.startsWith('https'))) ||
+                 (product.shopify_image && product.shopify_image.url) ? (
+                  <img 
+                    src={product.image || product.shopify_image?.url} 
+                    alt={product.name || product.item_name}
+                    className="product-img"
+                    onError={(e) => {
+                      e.target.style.display = 'none';
+                      e.target.nextSibling.style.display = 'block';
+                    }}
+                  />
+                ) : null}
+                <div 
+                  className="product-icon-large" 
+                  style={{ 
+                    display: ((product.image && typeof product.image === 'string' && 
+                      (product.image.startsWith('http') || product.image.startsWith('https'))) ||
+                      (product.shopify_image && product.shopify_image.url))
+                      ? 'none' : 'flex' 
                   }}
-                />
-              ) : null}
-              <div 
-                className="product-icon-large" 
-                style={{ 
-                  display: ((product.image && typeof product.image === 'string' && 
-                    (product.image.startsWith('http') || product.image.startsWith('https'))) ||
-                    (product.shopify_image && product.shopify_image.url))
-                    ? 'none' : 'flex' 
-                }}
-              >
-                💎
+                >
+                  💎
+                </div>
               </div>
-            </div>
+            )}
           </div>
 
           <div className="product-detail-info">
@@ -412,6 +421,13 @@ export const ProductDetailPage = () => {
                   <ShoppingCart size={16} />
                   {isOutOfStock ? 'Out of Stock' : 'Add to Cart'}
                 </button>
+                <button
+                  className="btn btn-outline btn-large"
+                  onClick={() => setIsLabelModalOpen(true)}
+                >
+                  <Tag size={16} />
+                  Print Tag
+                </button>
               </div>
             )}
           </div>
@@ -1303,6 +1319,13 @@ export const ProductDetailPage = () => {
           </div>
         )}
       </div>
+
+      {/* Price tag printing - real jewelry is tagged at today's rates, as in the catalog and cart */}
+      <LabelPrintModal
+        isOpen={isLabelModalOpen}
+        onClose={() => setIsLabelModalOpen(false)}
+        products={[product.isRealJewelry ? repriceProduct(product, rateBoard) : product]}
+      />
     </div>
   );
 };
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, PlayCircle, StopCircle, ArrowDownCircle, ArrowUpCircle, FileText } from 'lucide-react';
+import { useShift } from '../context/ShiftContext';
+import { locationsApi } from '../services/locationsApi';
+import { LoadingSpinner, ErrorMessage, DenominationCounter, ShiftReport } from '../components';
+import { CASH_MOVEMENT_TYPES, summarizeShift, sumDenominations, formatRupees } from '../utils';
+
+/**
+ * ShiftPage Component
+ * Open a till shift, record cash in/out, and close it with a counted Z report
+ */
+export const ShiftPage = () => {
+  const { currentShift, loading, error, counterLocationId, setCounterLocation, openShift, addMovement, closeShift, clearError } = useShift();
+
+  const [locations, setLocations] = useState([]);
+  const locationId = counterLocationId || '';
+  const [openingCounts, setOpeningCounts] = useState({});
+  const [closingCounts, setClosingCounts] = useState({});
+  const [closingNotes, setClosingNotes] = useState('');
+  const [movement, setMovement] = useState({ type: 'cash_in', amount: '', reason: '' });
+  const [showXReport, setShowXReport] = useState(false);
+  const [closedShift, setClosedShift] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    locationsApi.getAll(true)
+      .then((data) => setLocations(Array.isArray(data) ? data : data.items || []))
+      .catch((err) => console.warn('Failed to load store locations:', err));
+  }, []);
+
+  // Closing prints the Z report straight away
+  useEffect(() => {
+    if (closedShift) window.print();
+  }, [closedShift]);
+
+  const locationName = locations.find((loc) => String(loc.id) === String(currentShift?.location_id || closedShift?.location_id || locationId))?.location_name;
+  const summary = currentShift ? summarizeShift(currentShift) : null;
+  const countedCash = sumDenominations(closingCounts);
+
+  const handleLocationChange = (e) => {
+    // The hook reloads the open shift for the new location
+    setCounterLocation(e.target.value);
+  };
+
+  const handleOpenShift = async () => {
+    if (sumDenominations(openingCounts) <= 0 && !window.confirm('Open the shift with an empty drawer?')) {
+      return;
+    }
+    try {
+      setSubmitting(true);
+      await openShift(openingCounts);
+      setOpeningCounts({});
+      setClosedShift(null);
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAddMovement = async (e) => {
+    e.preventDefault();
+    const amount = parseFloat(movement.amount);
+    if (!(amount > 0)) {
+      alert('❌ Enter an amount greater than zero');
+      return;
+    }
+    if (!movement.reason.trim()) {
+      alert('❌ Enter a reason for the cash movement');
+      return;
+    }
+    if (movement.type === 'cash_out' && amount > summary.expectedCash) {
+      alert(`❌ Only ${formatRupees(summary.expectedCash)} is expected in the drawer`);
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await addMovement({ type: movement.type, amount, reason: movement.reason.trim() });
+      setMovement({ type: movement.type, amount: '', reason: '' });
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCloseShift = async () => {
+    const variance = Math.round((countedCash - summary.expectedCash) * 100) / 100;
+    if (variance !== 0 && !closingNotes.trim()) {
+      alert(`❌ The drawer is ${variance > 0 ? 'over' : 'short'} by ${formatRupees(Math.abs(variance))}. Add a note explaining the variance.`);
+      return;
+    }
+    if (!window.confirm(`Close the shift with ${formatRupees(countedCash)} counted?`)) return;
+
+    try {
+      setSubmitting(true);
+      const closed = await closeShift({
+        counted_denominations: closingCounts,
+        counted_cash: countedCash,
+        expected_cash: summary.expectedCash,
+        variance,
+        notes: closingNotes.trim() || null,
+      });
+      setClosedShift(closed);
+      setClosingCounts({});
+      setClosingNotes('');
+      setShowXReport(false);
+    } catch (err) {
+      // Error is shown by the hook
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading && !currentShift && !closedShift) {
+    return <LoadingSpinner message="Loading shift..." />;
+  }
+
+  return (
+    <div className="screen-container">
+      <div className="page-header">
+        <div className="page-title">
+          <Clock size={32} />
+          <div>
+            <h1>Shift & Cash Drawer</h1>
+            <p>
+              {currentShift
+                ? `Open since ${new Date(currentShift.opened_at || currentShift.created_at).toLocaleTimeString()}`
+                : 'No shift open'}
+            </p>
+          </div>
+        </div>
+        {currentShift && (
+          <button className="btn btn-secondary" onClick={() => setShowXReport(!showXReport)}>
+            <FileText size={20} />
+            {showXReport ? 'Hide X Report' : 'X Report'}
+          </button>
+        )}
+      </div>
+
+      {error && <ErrorMessage message={error} onRetry={clearError} />}
+
+      {closedShift && (
+        <div className="content-section">
+          <ShiftReport shift={closedShift} type="Z" locationName={locationName} />
+        </div>
+      )}
+
+      {!currentShift && (
+        <div className="checkout-section shift-section">
+          <h2 className="section-title">Open Shift</h2>
+          <label className="input-label">Store Location</label>
+          <select className="input-field" value={locationId} onChange={handleLocationChange}>
+            <option value="">Select location</option>
+            {locations.map((loc) => (
+              <option key={loc.id} value={loc.id}>{loc.location_name}</option>
+            ))}
+          </select>
+
+          <label className="input-label">Opening Float</label>
+          <DenominationCounter counts={openingCounts} onChange={setOpeningCounts} disabled={submitting} />
+
+          <button className="btn-primary btn-full" onClick={handleOpenShift} disabled={submitting}>
+            <PlayCircle size={20} />
+            {submitting ? 'Opening...' : 'Open Shift'}
+          </button>
+        </div>
+      )}
+
+      {currentShift && (
+        <div className="shift-layout">
+          <div className="shift-main">
+            {showXReport && (
+              <div className="content-section">
+                <ShiftReport shift={currentShift} type="X" locationName={locationName} />
+              </div>
+            )}
+
+            <div className="checkout-section shift-section">
+              <h2 className="section-title">Cash In / Cash Out</h2>
+              <form className="shift-movement-form" onSubmit={handleAddMovement}>
+                <select
+                  className="input-field"
+                  value={movement.type}
+                  onChange={(e) => setMovement({ ...movement, type: e.target.value })}
+                >
+                  {CASH_MOVEMENT_TYPES.map((type) => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  className="input-field"
+                  placeholder="Amount"
+                  value={movement.amount}
+                  onChange={(e) => setMovement({ ...movement, amount: e.target.value })}
+                />
+                <input
+                  type="text"
+                  className="input-field"
+                  placeholder="Reason (e.g. bank deposit, petty cash)"
+                  value={movement.reason}
+                  onChange={(e) => setMovement({ ...movement, reason: e.target.value })}
+                />
+                <button type="submit" className="btn-outline" disabled={submitting}>
+                  {movement.type === 'cash_in' ? <ArrowDownCircle size={18} /> : <ArrowUpCircle size={18} />}
+                  Record
+                </button>
+              </form>
+
+              {(currentShift.movements || []).length > 0 && (
+                <div className="shift-movements">
+                  {currentShift.movements.map((entry, index) => (
+                    <div key={entry.id || index} className="summary-line">
+                      <span>
+                        {entry.type === 'cash_in' ? 'In' : 'Out'} – {entry.reason}
+                        {entry.created_at && ` (${new Date(entry.created_at).toLocaleTimeString()})`}
+                      </span>
+                      <span>{entry.type === 'cash_in' ? '+' : '−'}{formatRupees(entry.amount)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="checkout-section shift-section">
+              <h2 className="section-title">Close Shift</h2>
+              <label className="input-label">Counted Cash</label>
+              <DenominationCounter counts={closingCounts} onChange={setClosingCounts} disabled={submitting} />
+
+              <div className="return-totals">
+                <div className="summary-line">
+                  <span>Expected in drawer</span>
+                  <span>{formatRupees(summary.expectedCash)}</span>
+                </div>
+                <div className="summary-line">
+                  <span>Counted</span>
+                  <span>{formatRupees(countedCash)}</span>
+                </div>
+                <div className={`summary-line total ${countedCash !== summary.expectedCash ? 'shift-variance' : ''}`}>
+                  <span>Variance</span>
+                  <span>{formatRupees(countedCash - summary.expectedCash)}</span>
+                </div>
+              </div>
+
+              <label className="input-label">Notes</label>
+              <textarea
+                className="input-field"
+                rows="2"
+                value={closingNotes}
+                onChange={(e) => setClosingNotes(e.target.value)}
+                placeholder="Explain any variance"
+              />
+
+              <button className="btn-primary btn-full" onClick={handleCloseShift} disabled={submitting}>
+                <StopCircle size={20} />
+                {submitting ? 'Closing...' : 'Close Shift & Print Z Report'}
+              </button>
+            </div>
+          </div>
+
+          <div className="checkout-summary">
+            <h2>This Shift</h2>
+            <div className="summary-line">
+              <span>Invoices</span>
+              <span>{summary.salesCount}</span>
+            </div>
+            <div className="summary-line">
+              <span>Gross sales</span>
+              <span>{formatRupees(summary.grossSales)}</span>
+            </div>
+            <div className="summary-line">
+              <span>Opening float</span>
+              <span>{formatRupees(currentShift.opening_float)}</span>
+            </div>
+            <div className="summary-line">
+              <span>Returns</span>
+              <span>{formatRupees(summary.returnsTotal)}</span>
+            </div>
+            <div className="summary-line total">
+              <span>Expected cash</span>
+              <span>{formatRupees(summary.expectedCash)}</span>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
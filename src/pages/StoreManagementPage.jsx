@@ -10,6 +10,7 @@ import CreateBoxModal from '../components/CreateBoxModal';
 import AddProductToBoxModal from '../components/AddProductToBoxModal';
 import ShopFloorMap from '../components/ShopFloorMap';
 import { LoadingSpinner } from '../components/LoadingSpinner';
+import { isValidVpa } from '../utils';
 import { ErrorMessage } from '../components/ErrorMessage';
 import '../styles/StoreManagement.css';
 
@@ -280,6 +281,23 @@ const StoreManagementPage = () => {
     }
   };
 
+  const handleEditUpi = async (store) => {
+    const vpa = window.prompt('UPI ID (VPA) for checkout QR codes at this store:', store.upi_vpa || '');
+    if (vpa === null) return;
+    if (vpa.trim() && !isValidVpa(vpa)) {
+      alert('❌ Enter a valid UPI ID, e.g. minaki@okhdfcbank');
+      return;
+    }
+    const payeeName = window.prompt('Payee name shown in the customer\'s UPI app:', store.upi_payee_name || store.location_name || '');
+    if (payeeName === null) return;
+
+    try {
+      await updateStore(store.id, { upi_vpa: vpa, upi_payee_name: payeeName });
+    } catch (err) {
+      console.error('Error updating store UPI ID:', err);
+    }
+  };
+
   const handleDeleteShelf = async (shelfId) => {
     if (window.confirm('Are you sure you want to delete this storage type? This action cannot be undone.')) {
       try {
@@ -414,6 +432,16 @@ const StoreManagementPage = () => {
                       <span className={`status-badge ${store.is_active ? 'active' : 'inactive'}`}>
                         {store.is_active ? 'Active' : 'Inactive'}
                       </span>
+                      <button
+                        className="btn btn-icon"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleEditUpi(store);
+                        }}
+                        title={store.upi_vpa ? `UPI: ${store.upi_vpa}` : 'Set UPI ID'}
+                      >
+                        UPI
+                      </button>
                       <button
                         className="btn btn-icon"
                         onClick={(e) => {
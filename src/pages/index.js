@@ -10,4 +10,10 @@ export { default as StoreLocatorPage } from './StoreLocatorPage';
 export { default as StoreManagementPage } from './StoreManagementPage';
 export { default as ShelfDetailPage } from './ShelfDetailPage';
 export { UserManagementPage } from './UserManagementPage';
-export { PermissionManagementPage } from './PermissionManagementPage';
\ No newline at end of file
+export { PermissionManagementPage } from './PermissionManagementPage';
+export { CommissionPage } from './CommissionPage';
+export { ShiftPage } from './ShiftPage';
+export { EstimatesPage } from './EstimatesPage';
+export { OrdersPage } from './OrdersPage';
+export { GiftCardsPage } from './GiftCardsPage';
+export { MetalRatesPage } from './MetalRatesPage';
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { getAuthToken } from './apiClient';
+
 // API Base URL - update this to your backend URL
 // In development, use proxy. In production, use full URL
 let VITE_API_URL = import.meta.env.VITE_API_URL;
@@ -23,6 +25,80 @@ console.log('🌐 Environment variables:', {
  * Handles all HTTP requests to the FastAPI backend
  */
 
+/**
+ * Transform a single product response to match our product structure
+ * Pricing and components are kept whole for the detail page and cart. They come
+ * from the variant the response names (e.g. a barcode match), otherwise the first variant.
+ */
+const transformProductDetail = (data) => {
+  const product = data.product || data;
+  const variant = data.variant || product.variants?.[0];
+  const pricingBreakdown = variant?.pricing_breakdown;
+  
+  return {
+    id: product.id,
+    variant_id: variant?.id,
+    name: product.title,
+    description: product.description,
+    vendor: product.vendor,
+    category: product.product_type,
+    price: parseFloat(pricingBreakdown?.final_price || variant?.price || 0),
+    base_price: parseFloat(variant?.base_cost || variant?.price || 0),
+    sku: variant?.sku,
+    sku_name: variant?.sku_name,
+    handle: product.handle,
+    
+    // Weight and purity information
+    weight: parseFloat(variant?.weight_g || 0),
+    net_weight: parseFloat(variant?.net_weight_g || 0),
+    purity: `${variant?.purity_k}K`,
+    purity_k: parseFloat(variant?.purity_k || 0),
+    
+    // Pricing breakdown - preserve full structure
+    pricing_breakdown: pricingBreakdown,
+    metal_cost: parseFloat(pricingBreakdown?.metal_cost || 0),
+    stone_cost: parseFloat(pricingBreakdown?.stone_cost || 0),
+    making_charges: parseFloat(pricingBreakdown?.making_charges || 0),
+    wastage_charges: parseFloat(pricingBreakdown?.wastage_charges || 0),
+    other_charges: parseFloat(pricingBreakdown?.other_charges || 0),
+    gst_rate_percent: parseFloat(pricingBreakdown?.gst_rate_percent || 0),
+    gst_amount: parseFloat(pricingBreakdown?.gst_amount || 0),
+    final_price: parseFloat(pricingBreakdown?.final_price || variant?.price || 0),
+    
+    // Metal and diamond components - preserve full structure
+    metal_components: variant?.metal_components || [],
+    diamond_components: variant?.diamond_components || [],
+    
+    // Variant details
+    barcode: variant?.barcode,
+    variant_status: variant?.status,
+    track_serials: variant?.track_serials || false,
+    // Serial numbers with their BIS hallmark HUIDs
+    serials: variant?.serials || [],
+    
+    // Status and metadata
+    status: variant?.status,
+    tags: product.tags || [],
+    is_active: product.is_active,
+    created_at: product.created_at,
+    updated_at: product.updated_at,
+    
+    // Stock information
+    stock: 1, // Jewelry items are typically unique pieces
+    
+    // Display image (placeholder for now)
+    image: '💍',
+    
+    // Flag to identify as real jewelry
+    isRealJewelry: true,
+    isDemistified: false,
+    
+    // Full product and variant data for cart operations
+    productData: product,
+    variantData: variant
+  };
+};
+
 // Products API
 export const productsApi = {
   /**
@@ -81,7 +157,8 @@ export const productsApi = {
           net_weight: parseFloat(variant?.net_weight_g || 0),
           purity: `${variant?.purity_k}K`,
           
-          // Pricing breakdown
+          // Pricing breakdown - kept whole so the rate board can re-price the piece
+          pricing_breakdown: pricingBreakdown,
           metal_cost: parseFloat(pricingBreakdown?.metal_cost || 0),
           stone_cost: parseFloat(pricingBreakdown?.stone_cost || 0),
           making_charges: parseFloat(pricingBreakdown?.making_charges || 0),
@@ -91,6 +168,9 @@ export const productsApi = {
           metal_components: variant?.metal_components || [],
           diamond_components: variant?.diamond_components || [],
           
+          // Variant details
+          barcode: variant?.barcode,
+
           // Status and metadata
           status: variant?.status,
           tags: product.tags || [],
@@ -101,6 +181,8 @@ export const productsApi = {
           // Stock information
           stock: 1, // Jewelry items are typically unique pieces
           track_serials: variant?.track_serials || false,
+          // Serial numbers with their BIS hallmark HUIDs
+          serials: variant?.serials || [],
           
           // Display image (placeholder for now)
           image: '💍',
@@ -160,73 +242,20 @@ export const productsApi = {
   getById: async (id) => {
     const response = await fetch(`${API_BASE_URL}/products/${id}`);
     if (!response.ok) throw new Error('Failed to fetch product');
-    const data = await response.json();
-    
-    // Transform the API response to match our product structure
-    const product = data.product || data;
-    const variant = product.variants?.[0];
-    const pricingBreakdown = variant?.pricing_breakdown;
-    
-    return {
-      id: product.id,
-      variant_id: variant?.id,
-      name: product.title,
-      description: product.description,
-      vendor: product.vendor,
-      category: product.product_type,
-      price: parseFloat(pricingBreakdown?.final_price || variant?.price || 0),
-      base_price: parseFloat(variant?.base_cost || variant?.price || 0),
-      sku: variant?.sku,
-      sku_name: variant?.sku_name,
-      handle: product.handle,
-      
-      // Weight and purity information
-      weight: parseFloat(variant?.weight_g || 0),
-      net_weight: parseFloat(variant?.net_weight_g || 0),
-      purity: `${variant?.purity_k}K`,
-      purity_k: parseFloat(variant?.purity_k || 0),
-      
-      // Pricing breakdown - preserve full structure
-      pricing_breakdown: pricingBreakdown,
-      metal_cost: parseFloat(pricingBreakdown?.metal_cost || 0),
-      stone_cost: parseFloat(pricingBreakdown?.stone_cost || 0),
-      making_charges: parseFloat(pricingBreakdown?.making_charges || 0),
-      wastage_charges: parseFloat(pricingBreakdown?.wastage_charges || 0),
-      other_charges: parseFloat(pricingBreakdown?.other_charges || 0),
-      gst_rate_percent: parseFloat(pricingBreakdown?.gst_rate_percent || 0),
-      gst_amount: parseFloat(pricingBreakdown?.gst_amount || 0),
-      final_price: parseFloat(pricingBreakdown?.final_price || variant?.price || 0),
-      
-      // Metal and diamond components - preserve full structure
-      metal_components: variant?.metal_components || [],
-      diamond_components: variant?.diamond_components || [],
-      
-      // Variant details
-      barcode: variant?.barcode,
-      variant_status: variant?.status,
-      track_serials: variant?.track_serials || false,
-      
-      // Status and metadata
-      status: variant?.status,
-      tags: product.tags || [],
-      is_active: product.is_active,
-      created_at: product.created_at,
-      updated_at: product.updated_at,
-      
-      // Stock information
-      stock: 1, // Jewelry items are typically unique pieces
-      
-      // Display image (placeholder for now)
-      image: '💍',
-      
-      // Flag to identify as real jewelry
-      isRealJewelry: true,
-          isDemistified: false,
-      
-      // Full product and variant data for cart operations
-      productData: product,
-      variantData: variant
-    };
+    return transformProductDetail(await response.json());
+  },
+
+  /**
+   * Find the product whose variant carries a barcode
+   * GET /api/products/by-barcode/{barcode}
+   * Response: { product, variant } - the matching variant is the one priced
+   * @returns {Promise<Object|null>} Product in the same shape as getById, or null if no variant has the barcode
+   */
+  getByBarcode: async (barcode) => {
+    const response = await fetch(`${API_BASE_URL}/products/by-barcode/${encodeURIComponent(barcode)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error('Failed to look up barcode');
+    return transformProductDetail(await response.json());
   },
 
   /**
@@ -349,6 +378,64 @@ export const productsApi = {
     return response.json();
   },
 
+  /**
+   * Get the primary image of several SKUs in one request
+   * POST /api/gcs/skus/primary-images
+   * Used by catalog cards and cart lines, which only show the first image.
+   */
+  getPrimaryImagesForSkus: async (skus, options = {}) => {
+    const response = await fetch(`${API_BASE_URL}/gcs/skus/primary-images`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        skus,
+        signed: options.signed !== false,
+        ...(options.expiration && { expiration: options.expiration }),
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to get primary images: ${errorText}`);
+    }
+    return response.json();
+  },
+
+  /**
+   * Delete one image of a SKU
+   * DELETE /api/gcs/sku/{sku}/images/{image_name}
+   */
+  deleteImageForSku: async (sku, imageName) => {
+    const response = await fetch(
+      `${API_BASE_URL}/gcs/sku/${encodeURIComponent(sku)}/images/${encodeURIComponent(imageName)}`,
+      { method: 'DELETE' }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to delete image: ${errorText}`);
+    }
+    return response.json();
+  },
+
+  /**
+   * Save the display order of a SKU's images - the first is the primary image
+   * PUT /api/gcs/sku/{sku}/images/order
+   */
+  reorderImagesForSku: async (sku, imageNames) => {
+    const response = await fetch(`${API_BASE_URL}/gcs/sku/${encodeURIComponent(sku)}/images/order`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ image_names: imageNames }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to save image order: ${errorText}`);
+    }
+    return response.json();
+  },
+
   /**
    * Create new product (legacy method - kept for backward compatibility)
    * POST /api/products
@@ -429,6 +516,48 @@ export const productsApi = {
     if (!response.ok) throw new Error('Failed to search products');
     return response.json();
   },
+
+  /**
+   * Get a variant's serial numbers and their HUIDs
+   * GET /api/products/variants/{variantId}/serials
+   */
+  getVariantSerials: async (variantId) => {
+    const response = await fetch(`${API_BASE_URL}/products/variants/${variantId}/serials`);
+    if (!response.ok) throw new Error('Failed to fetch serials');
+    const data = await response.json();
+    return Array.isArray(data) ? data : data.serials || [];
+  },
+
+  /**
+   * Record the hallmark HUID on a serial
+   * PATCH /api/products/variants/{variantId}/serials/{serialNumber}
+   */
+  updateSerialHuid: async (variantId, serialNumber, huid) => {
+    const response = await fetch(`${API_BASE_URL}/products/variants/${variantId}/serials/${encodeURIComponent(serialNumber)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ huid }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      const error = new Error(errorData?.detail || 'Failed to save HUID');
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  },
+
+  /**
+   * Find the serial a HUID is recorded against
+   * GET /api/products/serials/by-huid/{huid}
+   * @returns {Promise<Object|null>} { variant_id, serial_number, huid, status, invoice_number } or null if unused
+   */
+  findSerialByHuid: async (huid) => {
+    const response = await fetch(`${API_BASE_URL}/products/serials/by-huid/${encodeURIComponent(huid)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error('Failed to look up HUID');
+    return response.json();
+  },
 };
 
 // Demistified Products API
@@ -962,6 +1091,12 @@ export const cartApi = {
       };
     }
     
+    // Real jewelry priced from the rate board carries the rates it was priced at
+    if (productData.metal_rates_applied?.length) {
+      body.metal_rates_applied = productData.metal_rates_applied;
+      body.rates_effective_from = productData.rates_effective_from || null;
+    }
+    
     console.log('🛒 Cart API - Add item request:', {
       url,
       method: 'POST',
@@ -983,7 +1118,9 @@ export const cartApi = {
     if (!response.ok) {
       const errorText = await response.text();
       console.error('🛒 Cart API - Add item error response:', errorText);
-      throw new Error(`Failed to add item to cart: ${response.status} ${response.statusText} - ${errorText}`);
+      const error = new Error(`Failed to add item to cart: ${response.status} ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
     }
     
     const result = await response.json();
@@ -1001,7 +1138,60 @@ export const cartApi = {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ quantity }),
     });
-    if (!response.ok) throw new Error('Failed to update cart item');
+    if (!response.ok) {
+      const error = new Error(`Failed to update cart item: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  },
+
+  /**
+   * Override a cart line's unit price
+   * PUT /api/carts/{cartId}/items/{itemId}/price
+   * The override, its reason and approver are kept on the line and carried to the invoice.
+   * Who asked and who approved are worked out by the server - from the signed-in user, or from
+   * the approval token a manager's PIN was exchanged for - and it applies the approval threshold.
+   *
+   * @param {Object} override - { unit_price, original_price, reason, approval_token }
+   */
+  overrideItemPrice: async (cartId, itemId, override) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/carts/${cartId}/items/${itemId}/price`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: JSON.stringify({
+        unit_price: override.unit_price,
+        original_price: override.original_price,
+        reason: override.reason,
+        approval_token: override.approval_token || null,
+      }),
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Failed to override price: ${response.status} ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  },
+
+  /**
+   * Put a cart line back on its catalog price
+   * DELETE /api/carts/{cartId}/items/{itemId}/price
+   */
+  removePriceOverride: async (cartId, itemId) => {
+    const response = await fetch(`${API_BASE_URL}/carts/${cartId}/items/${itemId}/price`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = new Error(`Failed to remove price override: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
     return response.json();
   },
 
@@ -1028,7 +1218,9 @@ export const cartApi = {
     if (!response.ok) {
       const errorText = await response.text();
       console.error('🛒 Cart API - Remove item error response:', errorText);
-      throw new Error(`Failed to remove item from cart: ${response.status} ${response.statusText} - ${errorText}`);
+      const error = new Error(`Failed to remove item from cart: ${response.status} ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
     }
     
     const result = await response.json();
@@ -1036,6 +1228,43 @@ export const cartApi = {
     return result;
   },
 
+  /**
+   * Set new unit prices on several lines at once, e.g. after the day's metal rates change
+   * PUT /api/carts/{cartId}/items/prices
+   *
+   * @param {Array} lines - [{ cart_item_id, unit_price, metal_rates_applied, rates_effective_from }]
+   */
+  updatePrices: async (cartId, lines) => {
+    const response = await fetch(`${API_BASE_URL}/carts/${cartId}/items/prices`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ lines }),
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Failed to update prices: ${response.status} ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  },
+
+  /**
+   * Remove every line and any applied discount in one go, keeping the cart
+   * DELETE /api/carts/{id}/items
+   */
+  clearItems: async (cartId) => {
+    const response = await fetch(`${API_BASE_URL}/carts/${cartId}/items`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = new Error(`Failed to clear cart: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  },
+
   /**
    * Hold/pause cart transaction
    * POST /api/carts/{id}/hold
@@ -1404,14 +1633,25 @@ export const checkoutApi = {
   /**
    * Complete sale transaction
    * POST /api/checkout/process
+   * client_sale_id doubles as the idempotency key, so a resent sale isn't invoiced twice
    */
   completeSale: async (checkoutData) => {
     const response = await fetch(`${API_BASE_URL}/checkout/process`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(checkoutData.client_sale_id && { 'Idempotency-Key': checkoutData.client_sale_id }),
+      },
       body: JSON.stringify(checkoutData),
     });
-    if (!response.ok) throw new Error('Failed to complete sale');
+    if (!response.ok) {
+      // Keep the status and server message - offline replay tells conflicts from outages by them
+      const errorData = await response.json().catch(() => null);
+      const error = new Error(errorData?.detail || errorData?.message || 'Failed to complete sale');
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
+    }
     return response.json();
   },
 
@@ -22,7 +22,7 @@ console.log('🌐 API_BASE_URL (apiClient):', API_BASE_URL);
  * Get Firebase ID token for authenticated requests
  * @returns {Promise<string|null>} - Firebase ID token or null if not authenticated
  */
-const getAuthToken = async () => {
+export const getAuthToken = async () => {
   try {
     const user = auth.currentUser;
     if (!user) {
@@ -0,0 +1,84 @@
+/**
+ * Commission API Service
+ * Commission rules and per-staff commission reports
+ *
+ * API Prefix: /commission
+ */
+
+import { apiRequest } from './apiClient';
+
+const BASE_PATH = '/commission';
+
+export const commissionApi = {
+  /**
+   * Get all commission rules
+   * GET /commission/rules
+   *
+   * @returns {Promise<Array>} Rules { id, category, basis, rate_percent, is_active }
+   */
+  getRules: async () => {
+    const data = await apiRequest('GET', `${BASE_PATH}/rules`);
+    return data.rules || data;
+  },
+
+  /**
+   * Create a commission rule
+   * POST /commission/rules
+   *
+   * @param {Object} ruleData
+   *   {
+   *     category: string (required, "all" for every category),
+   *     basis: "making_charges" | "sale_value" (required),
+   *     rate_percent: number (required),
+   *     is_active: boolean
+   *   }
+   * @returns {Promise<Object>} Created rule
+   */
+  createRule: async (ruleData) => {
+    return await apiRequest('POST', `${BASE_PATH}/rules`, ruleData);
+  },
+
+  /**
+   * Update a commission rule
+   * PATCH /commission/rules/{rule_id}
+   *
+   * @param {number} ruleId - Rule ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated rule
+   */
+  updateRule: async (ruleId, updateData) => {
+    return await apiRequest('PATCH', `${BASE_PATH}/rules/${ruleId}`, updateData);
+  },
+
+  /**
+   * Delete a commission rule
+   * DELETE /commission/rules/{rule_id}
+   *
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<Object>} Success message
+   */
+  deleteRule: async (ruleId) => {
+    return await apiRequest('DELETE', `${BASE_PATH}/rules/${ruleId}`);
+  },
+
+  /**
+   * Per-staff commission report
+   * GET /commission/report
+   *
+   * @param {Object} filters
+   *   {
+   *     start_date: string (YYYY-MM-DD),
+   *     end_date: string (YYYY-MM-DD),
+   *     user_id: string (optional)
+   *   }
+   * @returns {Promise<Array>} Rows {
+   *   user_id, name, email, invoice_count, sales_value, making_charges, commission_amount
+   * }
+   */
+  getReport: async (filters = {}) => {
+    const data = await apiRequest('GET', `${BASE_PATH}/report`, null, { params: filters });
+    return data.report || data;
+  },
+};
+
+export default commissionApi;
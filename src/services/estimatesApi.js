@@ -0,0 +1,108 @@
+/**
+ * Estimates API Service
+ * Numbered quotations snapshotting a cart, which can later be turned back into a sale
+ *
+ * API Prefix: /estimates
+ */
+
+import { apiRequest } from './apiClient';
+
+const BASE_PATH = '/estimates';
+
+export const estimatesApi = {
+  /**
+   * Save an estimate
+   * POST /estimates/
+   *
+   * @param {Object} estimateData
+   *   {
+   *     customer_id: string,
+   *     customer_name: string,
+   *     customer_phone: string,
+   *     valid_until: string (YYYY-MM-DD, required),
+   *     lines: [{ product_id, quantity, product_data, name, rate, amount, purity, weight, hsn_code, item_type }] (required),
+   *     metal_rates: { [rate_key]: number },
+   *     rates_effective_from: string,
+   *     discount: { id, name, type, value },
+   *     place_of_supply: string,
+   *     subtotal, discount_amount, tax_amount, total_amount: number,
+   *     notes: string,
+   *     created_by: string
+   *   }
+   * @returns {Promise<Object>} Created estimate with estimate_number
+   */
+  create: async (estimateData) => {
+    return await apiRequest('POST', `${BASE_PATH}/`, estimateData);
+  },
+
+  /**
+   * List estimates
+   * GET /estimates/
+   *
+   * @param {Object} filters - { status: "open" | "converted" | "cancelled", customer_id }
+   * @returns {Promise<Array>} Estimates, newest first
+   */
+  getAll: async (filters = {}) => {
+    const data = await apiRequest('GET', `${BASE_PATH}/`, null, { params: filters });
+    return data.estimates || data;
+  },
+
+  /**
+   * Get an estimate by ID
+   * GET /estimates/{estimate_id}
+   *
+   * @param {string} estimateId - Estimate ID
+   * @returns {Promise<Object>} Estimate with lines
+   */
+  getById: async (estimateId) => {
+    return await apiRequest('GET', `${BASE_PATH}/${estimateId}`);
+  },
+
+  /**
+   * Change an estimate's status
+   * PATCH /estimates/{estimate_id}
+   *
+   * @param {string} estimateId - Estimate ID
+   * @param {Object} changes - { status, cart_id }
+   * @returns {Promise<Object>} Updated estimate
+   */
+  update: async (estimateId, changes) => {
+    return await apiRequest('PATCH', `${BASE_PATH}/${estimateId}`, changes);
+  },
+
+  /**
+   * Send an estimate via WhatsApp
+   * POST /estimates/{estimate_id}/send/whatsapp
+   *
+   * @param {string} estimateId - Estimate ID
+   * @param {string} phoneNumber - With country code
+   * @param {string} message - Optional custom message
+   * @returns {Promise<Object>} { success, error }
+   */
+  sendWhatsApp: async (estimateId, phoneNumber, message = null) => {
+    return await apiRequest('POST', `${BASE_PATH}/${estimateId}/send/whatsapp`, {
+      phone_number: phoneNumber,
+      ...(message ? { message } : {}),
+    });
+  },
+
+  /**
+   * Send an estimate via email
+   * POST /estimates/{estimate_id}/send/email
+   *
+   * @param {string} estimateId - Estimate ID
+   * @param {string} email - Recipient address
+   * @param {string} subject - Optional subject
+   * @param {string} message - Optional custom message
+   * @returns {Promise<Object>} { success, error }
+   */
+  sendEmail: async (estimateId, email, subject = null, message = null) => {
+    return await apiRequest('POST', `${BASE_PATH}/${estimateId}/send/email`, {
+      email,
+      ...(subject ? { subject } : {}),
+      ...(message ? { message } : {}),
+    });
+  },
+};
+
+export default estimatesApi;
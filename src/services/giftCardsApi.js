@@ -0,0 +1,103 @@
+/**
+ * Gift Cards API Service
+ * Numbered gift cards and store-credit wallet cards with running balances.
+ * Redemptions at checkout are debited by the checkout API from
+ * `gift_card_redemptions`; the endpoints here cover everything else.
+ *
+ * API Prefix: /gift-cards
+ */
+
+import { apiRequest } from './apiClient';
+
+const BASE_PATH = '/gift-cards';
+
+export const giftCardsApi = {
+  /**
+   * Issue a new card
+   * POST /gift-cards/
+   *
+   * @param {Object} cardData
+   *   {
+   *     card_type: "gift_card" | "store_credit" (required),
+   *     amount: number (required),
+   *     customer_id: string,
+   *     expires_on: string (YYYY-MM-DD),
+   *     source: "sale" | "credit_note" | "manual",
+   *     source_reference: string (credit note number for store credit),
+   *     payments: [{ payment_method, payment_amount }] (required for gift_card),
+   *     change_given: number,
+   *     shift_id: string,
+   *     issued_by: string
+   *   }
+   * @returns {Promise<Object>} Created card with card_number
+   */
+  issue: async (cardData) => {
+    return await apiRequest('POST', `${BASE_PATH}/`, cardData);
+  },
+
+  /**
+   * Look up a card by its number
+   * GET /gift-cards/{card_number}
+   *
+   * @param {string} cardNumber - Card number
+   * @returns {Promise<Object|null>} Card, or null if there is no such card
+   */
+  getByNumber: async (cardNumber) => {
+    try {
+      return await apiRequest('GET', `${BASE_PATH}/${encodeURIComponent(cardNumber)}`);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  },
+
+  /**
+   * Get the cards in a customer's wallet
+   * GET /gift-cards/customer/{customer_id}
+   *
+   * @param {string} customerId - Customer / contact ID
+   * @returns {Promise<Array>} Cards, including used-up ones
+   */
+  getByCustomer: async (customerId) => {
+    const data = await apiRequest('GET', `${BASE_PATH}/customer/${customerId}`);
+    return data.cards || data;
+  },
+
+  /**
+   * Add value to a card against a payment
+   * POST /gift-cards/{card_number}/top-up
+   *
+   * @param {string} cardNumber - Card number
+   * @param {Object} topUpData - { amount, payments, change_given, shift_id, performed_by }
+   * @returns {Promise<Object>} Updated card
+   */
+  topUp: async (cardNumber, topUpData) => {
+    return await apiRequest('POST', `${BASE_PATH}/${encodeURIComponent(cardNumber)}/top-up`, topUpData);
+  },
+
+  /**
+   * Redeem value from a card outside checkout
+   * POST /gift-cards/{card_number}/redeem
+   *
+   * @param {string} cardNumber - Card number
+   * @param {Object} redeemData - { amount, reference, performed_by }
+   * @returns {Promise<Object>} Updated card
+   */
+  redeem: async (cardNumber, redeemData) => {
+    return await apiRequest('POST', `${BASE_PATH}/${encodeURIComponent(cardNumber)}/redeem`, redeemData);
+  },
+
+  /**
+   * Get a card's transactions, newest first
+   * GET /gift-cards/{card_number}/transactions
+   *
+   * @param {string} cardNumber - Card number
+   * @returns {Promise<Array>} [{ id, type, amount, balance_after, reference, performed_by, created_at }]
+   */
+  getTransactions: async (cardNumber) => {
+    const data = await apiRequest('GET', `${BASE_PATH}/${encodeURIComponent(cardNumber)}/transactions`);
+    return data.transactions || data;
+  },
+};
+
+export default giftCardsApi;
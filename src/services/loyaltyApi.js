@@ -0,0 +1,27 @@
+/**
+ * Loyalty API Service
+ * Customer points history. Points are earned and redeemed through the
+ * checkout payload; the balance itself is on the customer record.
+ *
+ * API Prefix: /loyalty
+ */
+
+import { apiRequest } from './apiClient';
+
+const BASE_PATH = '/loyalty';
+
+export const loyaltyApi = {
+  /**
+   * Get a customer's points ledger
+   * GET /loyalty/customers/{customer_id}/ledger
+   *
+   * @param {string} customerId - Customer / contact ID
+   * @param {Object} params - { limit, offset }
+   * @returns {Promise<Object>} { balance, entries: [{ id, type, points, balance_after, invoice_number, description, created_at }] }
+   */
+  getLedger: async (customerId, params = {}) => {
+    return await apiRequest('GET', `${BASE_PATH}/customers/${customerId}/ledger`, null, { params });
+  },
+};
+
+export default loyaltyApi;
@@ -0,0 +1,47 @@
+/**
+ * Metal Rates API Service
+ * The day's gold, silver and platinum rates used to price real jewelry
+ *
+ * API Prefix: /metal-rates
+ */
+
+import { apiRequest } from './apiClient';
+
+const BASE_PATH = '/metal-rates';
+
+export const metalRatesApi = {
+  /**
+   * Get the rates in effect now
+   * GET /metal-rates/current
+   *
+   * @returns {Promise<Object>} { rates: { gold_24k, gold_22k, gold_18k, silver, platinum }, effective_from }
+   *   Rates are per gram.
+   */
+  getCurrent: async () => {
+    return await apiRequest('GET', `${BASE_PATH}/current`);
+  },
+
+  /**
+   * Get earlier rate board entries, newest first
+   * GET /metal-rates/history
+   *
+   * @param {Object} params - { from, to } ISO dates
+   * @returns {Promise<Array>} [{ id, rates, effective_from, entered_by, notes }]
+   */
+  getHistory: async (params = {}) => {
+    return await apiRequest('GET', `${BASE_PATH}/history`, null, { params });
+  },
+
+  /**
+   * Publish a new set of rates
+   * POST /metal-rates
+   *
+   * @param {Object} entry - { rates, effective_from, entered_by, notes }
+   * @returns {Promise<Object>} Created rate board entry
+   */
+  publish: async (entry) => {
+    return await apiRequest('POST', BASE_PATH, entry);
+  },
+};
+
+export default metalRatesApi;
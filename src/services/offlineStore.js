@@ -0,0 +1,137 @@
+/**
+ * Offline Store
+ * IndexedDB persistence for carts, catalog snapshots and sales taken while
+ * the server is unreachable
+ */
+
+import { OFFLINE_DB_NAME, OFFLINE_DB_VERSION } from '../config/offline';
+
+const STORES = {
+  CARTS: 'carts',
+  CATALOG: 'catalog',
+  SALES: 'pending_sales',
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use, create) the offline database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.CARTS)) {
+        db.createObjectStore(STORES.CARTS, { keyPath: 'cart_id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.CATALOG)) {
+        db.createObjectStore(STORES.CATALOG, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORES.SALES)) {
+        // Auto-increment keys keep sales in the order they were rung up
+        db.createObjectStore(STORES.SALES, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store and resolve when the transaction completes
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<any>} The request's result
+ */
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const offlineStore = {
+  /**
+   * Save the latest state of a cart
+   * @param {string} cartId
+   * @param {Object} snapshot - { items, appliedDiscount, placeOfSupply }
+   */
+  saveCart: (cartId, snapshot) =>
+    runRequest(STORES.CARTS, 'readwrite', (store) =>
+      store.put({ ...snapshot, cart_id: cartId, saved_at: new Date().toISOString() })
+    ),
+
+  /**
+   * @param {string} cartId
+   * @returns {Promise<Object|undefined>} Saved cart snapshot
+   */
+  getCart: (cartId) => runRequest(STORES.CARTS, 'readonly', (store) => store.get(cartId)),
+
+  /**
+   * @param {string} cartId
+   */
+  deleteCart: (cartId) => runRequest(STORES.CARTS, 'readwrite', (store) => store.delete(cartId)),
+
+  /**
+   * Save a page of catalog results
+   * @param {string} key - Catalog and query the page belongs to
+   * @param {Object} data - Page data as held in the hook's cache
+   */
+  saveCatalog: (key, data) =>
+    runRequest(STORES.CATALOG, 'readwrite', (store) =>
+      store.put({ key, data, saved_at: new Date().toISOString() })
+    ),
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Object|undefined>} { key, data, saved_at }
+   */
+  getCatalog: (key) => runRequest(STORES.CATALOG, 'readonly', (store) => store.get(key)),
+
+  /**
+   * Append a sale to the replay queue
+   * @param {Object} sale
+   * @returns {Promise<number>} Queue ID
+   */
+  addSale: (sale) => runRequest(STORES.SALES, 'readwrite', (store) => store.add(sale)),
+
+  /**
+   * @returns {Promise<Array>} Queued sales, oldest first
+   */
+  getSales: () => runRequest(STORES.SALES, 'readonly', (store) => store.getAll()),
+
+  /**
+   * @param {Object} sale - Queued sale including its id
+   */
+  updateSale: (sale) => runRequest(STORES.SALES, 'readwrite', (store) => store.put(sale)),
+
+  /**
+   * @param {number} saleId
+   */
+  removeSale: (saleId) => runRequest(STORES.SALES, 'readwrite', (store) => store.delete(saleId)),
+};
+
+export default offlineStore;
@@ -0,0 +1,86 @@
+/**
+ * Orders API Service
+ * Layaway / advance-payment orders - reserved pieces with a balance due
+ * Payments against an order go through paymentsApi.process with its order_id.
+ *
+ * API Prefix: /orders
+ */
+
+import { apiRequest } from './apiClient';
+
+const BASE_PATH = '/orders';
+
+export const ordersApi = {
+  /**
+   * Create an order from a cart and reserve its items
+   * POST /orders/
+   *
+   * @param {Object} orderData
+   *   {
+   *     cart_id: string (required),
+   *     customer_id: string (required),
+   *     shift_id: number,
+   *     total_amount: number (required),
+   *     due_date: string (YYYY-MM-DD),
+   *     discount_id, discount_amount, tax_amount, ...tax breakup,
+   *     sales_persons: [...],
+   *     hallmark_items: [...],
+   *     pan_number, id_proof_type, id_proof_number, compliance_declaration,
+   *     notes: string,
+   *     created_by: string
+   *   }
+   * @returns {Promise<Object>} Created order with order_number, lines and balance_due
+   */
+  create: async (orderData) => {
+    return await apiRequest('POST', `${BASE_PATH}/`, orderData);
+  },
+
+  /**
+   * List orders
+   * GET /orders/
+   *
+   * @param {Object} filters - { status: "open" | "completed" | "cancelled", customer_id }
+   * @returns {Promise<Array>} Orders, newest first
+   */
+  getAll: async (filters = {}) => {
+    const data = await apiRequest('GET', `${BASE_PATH}/`, null, { params: filters });
+    return data.orders || data;
+  },
+
+  /**
+   * Get an order with its lines and payments
+   * GET /orders/{order_id}
+   *
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Order
+   */
+  getById: async (orderId) => {
+    return await apiRequest('GET', `${BASE_PATH}/${orderId}`);
+  },
+
+  /**
+   * Generate the final invoice for a fully paid order
+   * POST /orders/{order_id}/complete
+   *
+   * @param {string} orderId - Order ID
+   * @param {Object} completeData - { shift_id, completed_by }
+   * @returns {Promise<Object>} Completed order with invoice_id and invoice_number
+   */
+  complete: async (orderId, completeData = {}) => {
+    return await apiRequest('POST', `${BASE_PATH}/${orderId}/complete`, completeData);
+  },
+
+  /**
+   * Cancel an order and release its reserved items
+   * POST /orders/{order_id}/cancel
+   *
+   * @param {string} orderId - Order ID
+   * @param {Object} cancelData - { reason, cancelled_by }
+   * @returns {Promise<Object>} Cancelled order
+   */
+  cancel: async (orderId, cancelData) => {
+    return await apiRequest('POST', `${BASE_PATH}/${orderId}/cancel`, cancelData);
+  },
+};
+
+export default ordersApi;
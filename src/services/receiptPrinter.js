@@ -0,0 +1,190 @@
+/**
+ * Receipt Printer Service
+ * Sends ESC/POS bytes to a thermal printer over WebUSB or Web Serial.
+ * Both need a user gesture the first time; after that the browser remembers
+ * the permission and reconnect() picks the printer up without prompting.
+ */
+
+import { toMonochromeRaster } from '../utils/escpos';
+import { SERIAL_PRINTER_BAUD_RATE } from '../config/receipt';
+
+// Keep USB transfers small - some printers drop larger bulk packets
+const USB_CHUNK_SIZE = 512;
+
+let activeConnection = null;
+
+export const isWebUsbSupported = () => typeof navigator !== 'undefined' && !!navigator.usb;
+export const isWebSerialSupported = () => typeof navigator !== 'undefined' && !!navigator.serial;
+
+/**
+ * Open a USB printer and find its bulk OUT endpoint
+ */
+const openUsbDevice = async (device) => {
+  await device.open();
+  if (device.configuration === null) {
+    await device.selectConfiguration(1);
+  }
+
+  const printerInterface = device.configuration.interfaces.find((iface) =>
+    iface.alternates.some((alt) => alt.endpoints.some((endpoint) => endpoint.direction === 'out'))
+  );
+  if (!printerInterface) {
+    await device.close();
+    throw new Error('This USB device has no output endpoint - is it a receipt printer?');
+  }
+
+  await device.claimInterface(printerInterface.interfaceNumber);
+  const endpoint = printerInterface.alternates
+    .flatMap((alt) => alt.endpoints)
+    .find((candidate) => candidate.direction === 'out');
+
+  return {
+    type: 'usb',
+    name: device.productName || 'USB printer',
+    write: async (bytes) => {
+      for (let offset = 0; offset < bytes.length; offset += USB_CHUNK_SIZE) {
+        await device.transferOut(endpoint.endpointNumber, bytes.slice(offset, offset + USB_CHUNK_SIZE));
+      }
+    },
+    close: () => device.close(),
+  };
+};
+
+/**
+ * Open a serial (or USB-serial / Bluetooth SPP) printer
+ */
+const openSerialPort = async (port) => {
+  if (!port.writable) {
+    await port.open({ baudRate: SERIAL_PRINTER_BAUD_RATE });
+  }
+
+  return {
+    type: 'serial',
+    name: 'Serial printer',
+    write: async (bytes) => {
+      const writer = port.writable.getWriter();
+      try {
+        await writer.write(bytes);
+      } finally {
+        writer.releaseLock();
+      }
+    },
+    close: () => port.close(),
+  };
+};
+
+/**
+ * Load an image and convert it to a printable 1-bit raster
+ * @param {string} url - Image URL (same origin or CORS-enabled)
+ * @param {number} maxWidth - Width in printer dots
+ * @returns {Promise<Object|null>} Raster, or null if the image can't be loaded
+ */
+export const loadLogoRaster = async (url, maxWidth) => {
+  if (!url) return null;
+
+  try {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error(`Failed to load ${url}`));
+      image.src = url;
+    });
+
+    const scale = Math.min(1, maxWidth / image.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return toMonochromeRaster(context.getImageData(0, 0, canvas.width, canvas.height));
+  } catch (err) {
+    console.warn('🖨️ Receipt logo skipped:', err);
+    return null;
+  }
+};
+
+export const receiptPrinter = {
+  isSupported: () => isWebUsbSupported() || isWebSerialSupported(),
+
+  /**
+   * @returns {Object|null} { type, name } of the connected printer
+   */
+  getConnection: () => (activeConnection ? { type: activeConnection.type, name: activeConnection.name } : null),
+
+  /**
+   * Reconnect to a printer this browser already has permission for
+   * @returns {Promise<Object|null>} Connection, or null if none was paired
+   */
+  reconnect: async () => {
+    if (activeConnection) return activeConnection;
+
+    if (isWebUsbSupported()) {
+      const [device] = await navigator.usb.getDevices();
+      if (device) {
+        activeConnection = await openUsbDevice(device);
+        return activeConnection;
+      }
+    }
+
+    if (isWebSerialSupported()) {
+      const [port] = await navigator.serial.getPorts();
+      if (port) {
+        activeConnection = await openSerialPort(port);
+        return activeConnection;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Ask the user to pick a printer - must be called from a click handler
+   * @param {string} type - 'usb' or 'serial'
+   */
+  connect: async (type) => {
+    await receiptPrinter.disconnect();
+
+    if (type === 'usb') {
+      // Most thermal printers report a vendor-specific class, so don't filter on the printer class
+      const device = await navigator.usb.requestDevice({ filters: [] });
+      activeConnection = await openUsbDevice(device);
+    } else {
+      const port = await navigator.serial.requestPort();
+      activeConnection = await openSerialPort(port);
+    }
+
+    console.log('🖨️ Receipt printer connected:', activeConnection.name);
+    return activeConnection;
+  },
+
+  disconnect: async () => {
+    if (!activeConnection) return;
+    try {
+      await activeConnection.close();
+    } catch (err) {
+      console.warn('🖨️ Failed to close printer connection:', err);
+    }
+    activeConnection = null;
+  },
+
+  /**
+   * Send raw ESC/POS bytes
+   * @param {Uint8Array} bytes
+   */
+  print: async (bytes) => {
+    const connection = activeConnection || await receiptPrinter.reconnect();
+    if (!connection) throw new Error('No receipt printer connected');
+
+    try {
+      await connection.write(bytes);
+    } catch (err) {
+      // The printer was unplugged or switched off - drop it so the next print reconnects
+      activeConnection = null;
+      throw err;
+    }
+  },
+};
+
+export default receiptPrinter;
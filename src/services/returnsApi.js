@@ -0,0 +1,58 @@
+/**
+ * Returns API Service
+ * Sales returns against an invoice, with credit notes / refunds
+ *
+ * API Prefix: /returns
+ */
+
+import { apiRequest } from './apiClient';
+
+const BASE_PATH = '/returns';
+
+export const returnsApi = {
+  /**
+   * Record a return against an invoice
+   * POST /returns/
+   *
+   * @param {Object} returnData
+   *   {
+   *     invoice_id: string (required),
+   *     items: [{ line_id, product_id, product_type, sku, quantity, amount }] (required),
+   *     reason: string (required),
+   *     notes: string,
+   *     refund_method: "cash" | "original_tender" | "store_credit" (required),
+   *     refund_amount: number,
+   *     restock_box_id: number,
+   *     processed_by: string
+   *   }
+   * @returns {Promise<Object>} Created return with credit_note_number
+   */
+  create: async (returnData) => {
+    return await apiRequest('POST', `${BASE_PATH}/`, returnData);
+  },
+
+  /**
+   * Get all returns linked to an invoice
+   * GET /returns/invoice/{invoice_id}
+   *
+   * @param {string} invoiceId - Original invoice ID
+   * @returns {Promise<Array>} Returns, oldest first
+   */
+  getByInvoice: async (invoiceId) => {
+    const data = await apiRequest('GET', `${BASE_PATH}/invoice/${invoiceId}`);
+    return data.returns || data;
+  },
+
+  /**
+   * Get a return by ID
+   * GET /returns/{return_id}
+   *
+   * @param {string} returnId - Return ID
+   * @returns {Promise<Object>} Return details
+   */
+  getById: async (returnId) => {
+    return await apiRequest('GET', `${BASE_PATH}/${returnId}`);
+  },
+};
+
+export default returnsApi;
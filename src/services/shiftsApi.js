@@ -0,0 +1,99 @@
+/**
+ * Shifts API Service
+ * Till / cash drawer shifts - opening float, sales, cash movements and close
+ *
+ * API Prefix: /shifts
+ */
+
+import { apiRequest } from './apiClient';
+
+const BASE_PATH = '/shifts';
+
+export const shiftsApi = {
+  /**
+   * Get the open shift for a user at a store location
+   * GET /shifts/current
+   *
+   * @param {Object} filters - { user_id, location_id }
+   * @returns {Promise<Object|null>} Open shift with sales, returns and movements, or null
+   */
+  getCurrent: async (filters = {}) => {
+    const data = await apiRequest('GET', `${BASE_PATH}/current`, null, { params: filters });
+    return data?.shift !== undefined ? data.shift : data;
+  },
+
+  /**
+   * Open a shift
+   * POST /shifts/
+   *
+   * @param {Object} shiftData
+   *   {
+   *     user_id: string (required),
+   *     user_name: string,
+   *     location_id: number,
+   *     opening_float: number (required),
+   *     opening_denominations: { [denomination]: count }
+   *   }
+   * @returns {Promise<Object>} Created shift
+   */
+  open: async (shiftData) => {
+    return await apiRequest('POST', `${BASE_PATH}/`, shiftData);
+  },
+
+  /**
+   * Record a completed sale against a shift
+   * POST /shifts/{shift_id}/sales
+   *
+   * @param {number} shiftId - Shift ID
+   * @param {Object} sale - { invoice_id, total_amount, discount_amount, payments, change_given }
+   * @returns {Promise<Object>} Recorded sale
+   */
+  recordSale: async (shiftId, sale) => {
+    return await apiRequest('POST', `${BASE_PATH}/${shiftId}/sales`, sale);
+  },
+
+  /**
+   * Record a return / refund against a shift
+   * POST /shifts/{shift_id}/returns
+   *
+   * @param {number} shiftId - Shift ID
+   * @param {Object} ret - { return_id, invoice_id, refund_method, refund_amount }
+   * @returns {Promise<Object>} Recorded return
+   */
+  recordReturn: async (shiftId, ret) => {
+    return await apiRequest('POST', `${BASE_PATH}/${shiftId}/returns`, ret);
+  },
+
+  /**
+   * Add a cash-in / cash-out entry
+   * POST /shifts/{shift_id}/movements
+   *
+   * @param {number} shiftId - Shift ID
+   * @param {Object} movement - { type: "cash_in" | "cash_out", amount, reason, recorded_by }
+   * @returns {Promise<Object>} Recorded movement
+   */
+  addMovement: async (shiftId, movement) => {
+    return await apiRequest('POST', `${BASE_PATH}/${shiftId}/movements`, movement);
+  },
+
+  /**
+   * Close a shift
+   * POST /shifts/{shift_id}/close
+   *
+   * @param {number} shiftId - Shift ID
+   * @param {Object} closeData
+   *   {
+   *     counted_denominations: { [denomination]: count },
+   *     counted_cash: number,
+   *     expected_cash: number,
+   *     variance: number,
+   *     notes: string
+   *   }
+   * @returns {Promise<Object>} Closed shift
+   */
+  close: async (shiftId, closeData) => {
+    return await apiRequest('POST', `${BASE_PATH}/${shiftId}/close`, closeData);
+  },
+};
+
+export default shiftsApi;
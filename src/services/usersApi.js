@@ -105,5 +105,24 @@ export const usersApi = {
       throw error;
     }
   },
+
+  /**
+   * Verify a manager's approval PIN
+   * POST /auth/users/verify-manager-pin
+   * Used to approve actions at the counter without the manager logging in
+   *
+   * @param {string} pin - PIN entered by the approving manager
+   * @returns {Promise<Object>} The approving manager { id, name, email, role, approval_token }.
+   *   approval_token is short-lived and is what the server checks when the approved action is sent.
+   */
+  verifyManagerPin: async (pin) => {
+    try {
+      const data = await apiRequest('POST', '/auth/users/verify-manager-pin', { pin });
+      return { ...(data.user || data), approval_token: data.approval_token || null };
+    } catch (error) {
+      console.error('Users API - Verify manager PIN error:', error);
+      throw error;
+    }
+  },
 };
 
@@ -0,0 +1,94 @@
+/**
+ * Salesperson attribution and commission utility functions
+ */
+
+import { parseAmount } from './currency';
+
+/**
+ * What a commission rule's percentage is applied to
+ */
+export const COMMISSION_BASES = [
+  { value: 'making_charges', label: 'Making charges' },
+  { value: 'sale_value', label: 'Sale value' },
+];
+
+/**
+ * Category value used by rules that apply to every category
+ */
+export const ALL_CATEGORIES = 'all';
+
+/**
+ * Build a sales split entry for a staff member
+ * @param {Object} staff - User record { id, name, email }
+ * @param {number} sharePercent - Share of the sale credited to this person
+ * @returns {Object} { user_id, name, email, share_percent }
+ */
+export const createSalesSplit = (staff = {}, sharePercent = 100) => ({
+  user_id: staff.id || staff.uid || staff.user_id || null,
+  name: staff.name || staff.email || '',
+  email: staff.email || '',
+  share_percent: sharePercent,
+});
+
+/**
+ * Share the sale evenly across the given splits
+ * Any rounding remainder goes to the first person so shares total 100.
+ *
+ * @param {Array} splits - Sales splits
+ * @returns {Array} Splits with share_percent rebalanced
+ */
+export const balanceSalesSplits = (splits = []) => {
+  if (splits.length === 0) return splits;
+  const even = Math.floor((100 / splits.length) * 100) / 100;
+  const remainder = parseAmount(100 - even * splits.length);
+  return splits.map((split, index) => ({
+    ...split,
+    share_percent: index === 0 ? parseAmount(even + remainder) : even,
+  }));
+};
+
+/**
+ * Validate sales splits before checkout
+ * @param {Array} splits - Sales splits
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSalesSplits = (splits = []) => {
+  if (splits.length === 0) return 'Attribute the sale to at least one salesperson';
+  if (splits.some((split) => !split.name && !split.email)) return 'Every salesperson line needs a name';
+
+  const keys = splits.map((split) => split.user_id || split.email || split.name);
+  if (new Set(keys).size !== keys.length) return 'The same salesperson is listed twice';
+
+  const total = parseAmount(splits.reduce((sum, split) => sum + parseAmount(split.share_percent), 0));
+  if (splits.some((split) => parseAmount(split.share_percent) <= 0)) return 'Each share must be more than 0%';
+  if (total !== 100) return `Sales shares must add up to 100% (currently ${total}%)`;
+  return null;
+};
+
+/**
+ * Convert sales splits into the checkout API payload
+ * `sales_person` keeps the primary person for older reports.
+ *
+ * @param {Array} splits - Sales splits
+ * @returns {Object} { sales_person, sales_persons }
+ */
+export const toSalesPersonPayload = (splits = []) => ({
+  sales_person: splits[0]?.email || splits[0]?.name || null,
+  sales_persons: splits.map((split) => ({
+    user_id: split.user_id,
+    name: split.name,
+    email: split.email,
+    share_percent: parseAmount(split.share_percent),
+  })),
+});
+
+/**
+ * Describe a commission rule for display
+ * @param {Object} rule - Commission rule
+ * @returns {string} e.g. "2% of making charges"
+ */
+export const formatCommissionRule = (rule) => {
+  if (!rule) return '';
+  const basis = COMMISSION_BASES.find((option) => option.value === rule.basis)?.label || rule.basis;
+  return `${parseAmount(rule.rate_percent)}% of ${basis.toLowerCase()}`;
+};
@@ -0,0 +1,149 @@
+/**
+ * Checkout compliance utility functions - PAN capture and cash limits
+ */
+
+import { parseAmount, formatRupees } from './currency';
+import { PAN_REQUIRED_ABOVE, CASH_RECEIPT_LIMIT, CASH_WARNING_THRESHOLD } from '../config/compliance';
+
+// Five letters, four digits, one letter - e.g. ABCDE1234F
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+/**
+ * Identity documents accepted when PAN is required
+ * Customers without a PAN sign Form 60 and show one of the other documents.
+ */
+export const ID_PROOF_TYPES = [
+  { value: 'pan', label: 'PAN' },
+  { value: 'aadhaar', label: 'Aadhaar (with Form 60)' },
+  { value: 'passport', label: 'Passport (with Form 60)' },
+  { value: 'voter_id', label: 'Voter ID (with Form 60)' },
+  { value: 'driving_licence', label: 'Driving Licence (with Form 60)' },
+];
+
+/**
+ * @param {string} pan
+ * @returns {string} PAN uppercased with spaces removed
+ */
+export const normalizePan = (pan) => (pan || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * @param {string} pan
+ * @returns {boolean} True if the PAN is well-formed
+ */
+export const isValidPan = (pan) => PAN_PATTERN.test(normalizePan(pan));
+
+/**
+ * Read the PAN from the different customer record formats
+ * @param {Object} customer
+ * @returns {string|null}
+ */
+export const getCustomerPan = (customer) => {
+  if (!customer) return null;
+  const pan = customer.pan || customer.pan_number || customer.pan_no || customer["PAN"] || customer["PAN Number"];
+  return pan ? normalizePan(pan) : null;
+};
+
+/**
+ * Empty declaration, pre-filled with the customer's PAN when the record has one
+ * @param {Object} customer
+ * @returns {Object} { id_type, id_number, confirmed }
+ */
+export const createComplianceDeclaration = (customer = null) => ({
+  id_type: 'pan',
+  id_number: getCustomerPan(customer) || '',
+  confirmed: false,
+});
+
+/**
+ * Check a sale against the PAN and cash rules
+ * Blocking issues stop the sale; warnings are shown but don't.
+ *
+ * @param {Object} sale
+ * @param {number} sale.total - Invoice value
+ * @param {number} sale.cashReceived - Cash kept for the sale, i.e. cash tendered less change
+ * @param {Object} sale.customer - Selected customer
+ * @param {Object} sale.declaration - From createComplianceDeclaration
+ * @returns {Object} { panRequired, issues: [{ level, message }], isCompliant }
+ */
+export const evaluateCompliance = ({ total = 0, cashReceived = 0, customer = null, declaration = null }) => {
+  const issues = [];
+  const block = (message) => issues.push({ level: 'block', message });
+  const warn = (message) => issues.push({ level: 'warn', message });
+
+  const amount = parseAmount(total);
+  const cash = parseAmount(cashReceived);
+
+  if (cash >= CASH_RECEIPT_LIMIT) {
+    block(`Cash of ${formatRupees(CASH_RECEIPT_LIMIT)} or more can't be accepted for one sale (Section 269ST). Move ${formatRupees(cash - CASH_RECEIPT_LIMIT + 1)} or more to card, UPI or bank transfer.`);
+  } else if (cash > CASH_WARNING_THRESHOLD) {
+    warn(`Large cash receipt of ${formatRupees(cash)} – check the notes and keep the customer's ID on file.`);
+  }
+
+  const panRequired = amount > PAN_REQUIRED_ABOVE;
+  const customerPan = getCustomerPan(customer);
+
+  if (panRequired) {
+    const idNumber = (declaration?.id_number || '').trim();
+
+    if (!declaration || !idNumber) {
+      block(`Sales above ${formatRupees(PAN_REQUIRED_ABOVE)} need the customer's PAN, or Form 60 with an ID proof.`);
+    } else if (declaration.id_type === 'pan') {
+      if (!isValidPan(idNumber)) {
+        block(`"${idNumber}" is not a valid PAN (format ABCDE1234F).`);
+      } else if (customerPan && normalizePan(idNumber) !== customerPan) {
+        block(`PAN entered doesn't match the customer record (${customerPan}).`);
+      }
+    } else if (idNumber.length < 6) {
+      block('Enter the full ID proof number.');
+    }
+
+    if (declaration && !declaration.confirmed) {
+      block(declaration.id_type === 'pan'
+        ? 'Confirm the PAN card was checked.'
+        : 'Confirm the customer has signed Form 60 and the ID proof was checked.');
+    }
+  } else if (declaration?.id_type === 'pan' && declaration.id_number && !isValidPan(declaration.id_number)) {
+    warn(`"${declaration.id_number}" is not a valid PAN and won't be recorded.`);
+  }
+
+  if (customerPan && !isValidPan(customerPan)) {
+    warn(`The customer record has an invalid PAN (${customerPan}).`);
+  }
+
+  return {
+    panRequired,
+    issues,
+    isCompliant: !issues.some((issue) => issue.level === 'block'),
+  };
+};
+
+/**
+ * Fields recorded on the checkout payload
+ * @param {Object} declaration - From createComplianceDeclaration
+ * @param {Object} compliance - Result of evaluateCompliance
+ * @param {string} recordedBy - Who checked the ID
+ * @returns {Object} { pan_number, id_proof_type, id_proof_number, compliance_declaration }
+ */
+export const toCompliancePayload = (declaration, compliance, recordedBy = null) => {
+  const idNumber = (declaration?.id_number || '').trim();
+  const isPan = declaration?.id_type === 'pan';
+  const pan = isPan && isValidPan(idNumber) ? normalizePan(idNumber) : null;
+
+  if (!compliance.panRequired && !pan) {
+    return { pan_number: null, id_proof_type: null, id_proof_number: null, compliance_declaration: null };
+  }
+
+  return {
+    pan_number: pan,
+    id_proof_type: declaration.id_type,
+    id_proof_number: isPan ? pan : idNumber || null,
+    compliance_declaration: {
+      pan_required: compliance.panRequired,
+      form_60: !isPan,
+      confirmed: !!declaration.confirmed,
+      recorded_by: recordedBy,
+      recorded_at: new Date().toISOString(),
+      warnings: compliance.issues.filter((issue) => issue.level === 'warn').map((issue) => issue.message),
+    },
+  };
+};
@@ -0,0 +1,60 @@
+/**
+ * Discount utility functions shared by the cart, order summary and checkout
+ */
+
+import { parseAmount } from './currency';
+
+/**
+ * Normalize a discount from the API to a consistent structure
+ * The backend has returned both `discount_type`/`discount_value` and
+ * `type`/`value` field names, so accept either.
+ *
+ * @param {Object} discount - Raw discount from the API
+ * @returns {Object|null} { id, name, type: 'percentage'|'flat', value, reason, created_by }
+ */
+export const normalizeDiscount = (discount) => {
+  if (!discount) return null;
+
+  const rawType = (discount.discount_type || discount.type || 'percentage').toString().toLowerCase();
+  const type = ['flat', 'fixed', 'amount', 'fixed_amount'].includes(rawType) ? 'flat' : 'percentage';
+
+  return {
+    id: discount.id || discount.discount_id,
+    name: discount.name || discount.code || discount.description || 'Discount',
+    type,
+    value: parseFloat(discount.discount_value ?? discount.value ?? discount.percentage ?? discount.amount) || 0,
+    reason: discount.reason || discount.notes || null,
+    created_by: discount.created_by || null,
+  };
+};
+
+/**
+ * Calculate the discount amount for a subtotal
+ * A flat discount is capped at the subtotal so totals never go negative.
+ *
+ * @param {Object} discount - Normalized discount
+ * @param {number} subtotal - Cart subtotal before tax
+ * @returns {number} Discount amount rounded to 2 decimal places
+ */
+export const calculateDiscountAmount = (discount, subtotal) => {
+  if (!discount || !subtotal) return 0;
+
+  const amount = discount.type === 'flat'
+    ? discount.value
+    : (subtotal * discount.value) / 100;
+
+  return parseAmount(Math.min(Math.max(amount, 0), subtotal));
+};
+
+/**
+ * Label a discount for summaries and invoices
+ * @param {Object} discount - Normalized discount
+ * @returns {string} e.g. "Festive Offer (10%)" or "Manager discount (₹500 off)"
+ */
+export const formatDiscountLabel = (discount) => {
+  if (!discount) return '';
+  const detail = discount.type === 'flat'
+    ? `₹${discount.value.toLocaleString('en-IN')} off`
+    : `${discount.value}%`;
+  return `${discount.name} (${detail})`;
+};
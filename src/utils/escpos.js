@@ -0,0 +1,203 @@
+/**
+ * ESC/POS command encoding for thermal receipt printers
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+const QR_ERROR_CORRECTION = { L: 48, M: 49, Q: 50, H: 51 };
+
+/**
+ * Printers only get the basic code page, so strip anything outside ASCII
+ * @param {string} text
+ * @returns {string}
+ */
+export const toPrinterText = (text) => String(text ?? '')
+  .replace(/₹/g, 'Rs.')
+  .replace(/[–—]/g, '-')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[^\x20-\x7e\n]/g, '?');
+
+/**
+ * Left and right text on one line, padded to the paper width
+ * The left side is truncated if both don't fit, and a right side wider than the
+ * paper is cut to the width.
+ * @param {string} left
+ * @param {string} right
+ * @param {number} width - Characters per line
+ * @returns {string}
+ */
+export const padColumns = (left, right, width) => {
+  const rightText = String(right ?? '').slice(0, Math.max(0, width));
+  const room = Math.max(0, width - rightText.length - 1);
+  const leftText = String(left ?? '').slice(0, room);
+  return `${leftText}${' '.repeat(Math.max(0, width - leftText.length - rightText.length))}${rightText}`;
+};
+
+/**
+ * Word-wrap text to the paper width
+ * @param {string} text
+ * @param {number} width - Characters per line
+ * @returns {string[]} Lines
+ */
+export const wrapText = (text, width) => {
+  const lines = [];
+  let current = '';
+  String(text ?? '').split(/\s+/).filter(Boolean).forEach((word) => {
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+    while (current.length > width) {
+      lines.push(current.slice(0, width));
+      current = current.slice(width);
+    }
+  });
+  if (current) lines.push(current);
+  return lines;
+};
+
+/**
+ * Convert RGBA pixels to the 1-bit packed raster used by GS v 0
+ * @param {Object} imageData - { width, height, data } as returned by canvas getImageData
+ * @param {number} threshold - Luminance below which a pixel prints black (0-255)
+ * @returns {Object} { width, height, data } with width rounded up to a whole byte
+ */
+export const toMonochromeRaster = ({ width, height, data }, threshold = 160) => {
+  const bytesPerRow = Math.ceil(width / 8);
+  const raster = new Uint8Array(bytesPerRow * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const alpha = data[offset + 3] / 255;
+      // Transparent pixels count as white paper
+      const luminance = 255 - alpha * (255 - (0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]));
+      if (luminance < threshold) {
+        raster[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return { width: bytesPerRow * 8, height, data: raster };
+};
+
+/**
+ * Create an ESC/POS command builder
+ * Methods chain; call encode() for the bytes to send to the printer.
+ *
+ * @param {Object} options
+ * @param {number} options.width - Characters per line
+ * @returns {Object} Encoder
+ */
+export const createEscPosEncoder = ({ width = 48 } = {}) => {
+  const bytes = [];
+  const textEncoder = new TextEncoder();
+
+  const push = (...values) => {
+    values.forEach((value) => bytes.push(value));
+  };
+
+  const pushText = (text) => {
+    textEncoder.encode(toPrinterText(text)).forEach((byte) => bytes.push(byte));
+  };
+
+  const encoder = {
+    width,
+
+    initialize() {
+      push(ESC, 0x40);
+      return encoder;
+    },
+
+    align(position = 'left') {
+      push(ESC, 0x61, ALIGNMENTS[position] ?? 0);
+      return encoder;
+    },
+
+    bold(enabled = true) {
+      push(ESC, 0x45, enabled ? 1 : 0);
+      return encoder;
+    },
+
+    /**
+     * Character size multiplier, 1-8 in each direction
+     */
+    size(widthScale = 1, heightScale = 1) {
+      push(GS, 0x21, ((widthScale - 1) << 4) | (heightScale - 1));
+      return encoder;
+    },
+
+    text(text) {
+      pushText(text);
+      return encoder;
+    },
+
+    line(text = '') {
+      pushText(text);
+      push(LF);
+      return encoder;
+    },
+
+    columns(left, right) {
+      return encoder.line(padColumns(toPrinterText(left), toPrinterText(right), width));
+    },
+
+    rule(character = '-') {
+      return encoder.line(character.repeat(width));
+    },
+
+    feed(lines = 1) {
+      push(ESC, 0x64, lines);
+      return encoder;
+    },
+
+    /**
+     * Native QR code (GS ( k) - printed by the printer itself
+     */
+    qrCode(data, { moduleSize = 6, errorCorrection = 'M' } = {}) {
+      const payload = textEncoder.encode(toPrinterText(data));
+      const storeLength = payload.length + 3;
+
+      push(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00); // Model 2
+      push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize);
+      push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, QR_ERROR_CORRECTION[errorCorrection] || QR_ERROR_CORRECTION.M);
+      push(GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30);
+      payload.forEach((byte) => bytes.push(byte));
+      push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30); // Print
+      return encoder;
+    },
+
+    /**
+     * Raster image (GS v 0) from toMonochromeRaster output
+     */
+    image({ width: imageWidth, height, data }) {
+      const bytesPerRow = imageWidth / 8;
+      push(GS, 0x76, 0x30, 0, bytesPerRow & 0xff, bytesPerRow >> 8, height & 0xff, height >> 8);
+      data.forEach((byte) => bytes.push(byte));
+      push(LF);
+      return encoder;
+    },
+
+    /**
+     * Feed past the tear bar and partial cut
+     */
+    cut() {
+      push(GS, 0x56, 0x42, 3);
+      return encoder;
+    },
+
+    encode() {
+      return new Uint8Array(bytes);
+    },
+  };
+
+  return encoder;
+};
@@ -0,0 +1,128 @@
+/**
+ * Estimate utility functions - quotations that turn into sales
+ */
+
+import { parseAmount } from './currency';
+import { toReplayItem } from './offline';
+import { toTaxPayload } from './tax';
+import { METAL_RATE_TYPES, RATE_CHANGE_TOLERANCE_PERCENT } from '../config/metalRates';
+import { ESTIMATE_VALIDITY_DAYS } from '../config/estimates';
+
+export const ESTIMATE_STATUS = {
+  OPEN: 'open',
+  CONVERTED: 'converted',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Default validity date for a new estimate
+ * @param {Date} from - Date the estimate is given
+ * @param {number} days - Days it is honoured for
+ * @returns {string} YYYY-MM-DD
+ */
+export const getDefaultValidUntil = (from = new Date(), days = ESTIMATE_VALIDITY_DAYS) => {
+  const date = new Date(from);
+  date.setDate(date.getDate() + days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Whether an estimate is past its validity date
+ * The validity date itself still counts as valid.
+ * @param {Object} estimate - Normalized estimate
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isEstimateExpired = (estimate, now = new Date()) => {
+  if (!estimate?.valid_until) return false;
+  const endOfDay = new Date(`${estimate.valid_until}T23:59:59`);
+  return now > endOfDay;
+};
+
+/**
+ * Transform an estimate from the API to a consistent format
+ */
+export const normalizeEstimate = (estimate) => ({
+  ...estimate,
+  id: estimate.id || estimate.estimate_id,
+  estimate_number: estimate.estimate_number || estimate.number || estimate.id,
+  status: estimate.status || ESTIMATE_STATUS.OPEN,
+  customer_name: estimate.customer_name || estimate.customer?.name || null,
+  customer_phone: estimate.customer_phone || estimate.customer?.phone || null,
+  lines: estimate.lines || estimate.items || [],
+  metal_rates: estimate.metal_rates || {},
+  subtotal: parseAmount(estimate.subtotal),
+  discount_amount: parseAmount(estimate.discount_amount),
+  tax_amount: parseAmount(estimate.tax_amount),
+  total_amount: parseAmount(estimate.total_amount ?? estimate.total),
+  created_at: estimate.created_at || null,
+});
+
+/**
+ * Snapshot the active cart as an estimate payload
+ * Each line keeps the catalog product it came from so the estimate can be
+ * loaded back into a cart later.
+ *
+ * @param {Object} quote
+ * @param {Array} quote.items - Normalized cart items
+ * @param {Object} quote.totals - Cart totals including taxBreakup
+ * @param {Object} quote.appliedDiscount - Normalized discount, if any
+ * @param {Object} quote.rates - Current metal rates { rates, effective_from }
+ * @param {Object} quote.customer - { id, name, phone }
+ * @param {string} quote.validUntil - YYYY-MM-DD
+ * @param {string} quote.notes
+ * @param {string} quote.createdBy
+ * @returns {Object} Payload for estimatesApi.create
+ */
+export const buildEstimatePayload = ({
+  items = [],
+  totals = {},
+  appliedDiscount = null,
+  rates = null,
+  customer = {},
+  validUntil,
+  notes = null,
+  createdBy = null,
+}) => ({
+  customer_id: customer.id || null,
+  customer_name: customer.name || null,
+  customer_phone: customer.phone || null,
+  valid_until: validUntil,
+  lines: items.map((item) => ({
+    ...toReplayItem(item),
+    name: item.name,
+    rate: parseAmount(item.price),
+    amount: parseAmount(item.price * item.quantity),
+    purity: item.purity || null,
+    weight: item.weight || null,
+    hsn_code: item.hsn_code || null,
+    item_type: item.item_type || null,
+  })),
+  metal_rates: rates?.rates || {},
+  rates_effective_from: rates?.effective_from || null,
+  discount: appliedDiscount,
+  place_of_supply: totals.taxBreakup?.placeOfSupply || null,
+  subtotal: parseAmount(totals.subtotal),
+  discount_amount: parseAmount(totals.discount),
+  tax_amount: parseAmount(totals.tax),
+  ...(totals.taxBreakup ? toTaxPayload(totals.taxBreakup) : {}),
+  total_amount: parseAmount(totals.total),
+  notes,
+  created_by: createdBy,
+});
+
+/**
+ * Metal rates that have moved since an estimate was given
+ * @param {Object} quotedRates - { [rate_key]: number } stored on the estimate
+ * @param {Object} currentRates - { [rate_key]: number } in effect now
+ * @param {number} tolerance - Percent change to ignore
+ * @returns {Array} [{ key, label, quoted, current, changePercent }]
+ */
+export const compareMetalRates = (quotedRates = {}, currentRates = {}, tolerance = RATE_CHANGE_TOLERANCE_PERCENT) => METAL_RATE_TYPES
+  .filter(({ key }) => parseAmount(quotedRates[key]) > 0 && parseAmount(currentRates[key]) > 0)
+  .map(({ key, label }) => {
+    const quoted = parseAmount(quotedRates[key]);
+    const current = parseAmount(currentRates[key]);
+    return { key, label, quoted, current, changePercent: Math.round(((current - quoted) / quoted) * 10000) / 100 };
+  })
+  .filter((change) => Math.abs(change.changePercent) > tolerance);
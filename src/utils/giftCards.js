@@ -0,0 +1,158 @@
+/**
+ * Gift card and store credit utility functions
+ */
+
+import { parseAmount, formatRupees } from './currency';
+import { getDefaultValidUntil } from './estimates';
+import { GIFT_CARD_VALIDITY_DAYS, GIFT_CARD_MIN_AMOUNT, GIFT_CARD_MAX_BALANCE } from '../config/giftCards';
+
+/**
+ * Payment method key used for gift card tender lines
+ */
+export const GIFT_CARD_PAYMENT_METHOD = 'gift_card';
+
+/**
+ * Sold gift cards are paid for; store credit is issued against returns and goodwill
+ */
+export const GIFT_CARD_TYPES = {
+  GIFT_CARD: 'gift_card',
+  STORE_CREDIT: 'store_credit',
+};
+
+export const GIFT_CARD_STATUS = {
+  ACTIVE: 'active',
+  BLOCKED: 'blocked',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * @param {string} type - Card type key
+ * @returns {string} Label for the card type
+ */
+export const formatGiftCardType = (type) => (type === GIFT_CARD_TYPES.STORE_CREDIT ? 'Store Credit' : 'Gift Card');
+
+/**
+ * @param {string} cardNumber
+ * @returns {string} Card number uppercased with spaces and dashes removed
+ */
+export const normalizeGiftCardNumber = (cardNumber) => (cardNumber || '').replace(/[\s-]+/g, '').toUpperCase();
+
+/**
+ * @param {string} cardNumber
+ * @returns {string} Card number with all but the last four characters masked
+ */
+export const maskGiftCardNumber = (cardNumber) => {
+  const value = normalizeGiftCardNumber(cardNumber);
+  return value.length > 4 ? `•••• ${value.slice(-4)}` : value;
+};
+
+/**
+ * Default expiry date for a new card
+ * @returns {string} YYYY-MM-DD
+ */
+export const getDefaultCardExpiry = (from = new Date()) => getDefaultValidUntil(from, GIFT_CARD_VALIDITY_DAYS);
+
+/**
+ * Transform a gift card from the API to a consistent format
+ */
+export const normalizeGiftCard = (card) => ({
+  ...card,
+  id: card.id || card.card_id,
+  card_number: normalizeGiftCardNumber(card.card_number || card.number),
+  card_type: card.card_type || card.type || GIFT_CARD_TYPES.GIFT_CARD,
+  status: card.status || GIFT_CARD_STATUS.ACTIVE,
+  balance: parseAmount(card.balance),
+  initial_amount: parseAmount(card.initial_amount ?? card.amount),
+  customer_id: card.customer_id || card.customer?.id || null,
+  customer_name: card.customer_name || card.customer?.name || null,
+  expires_on: card.expires_on || card.expiry_date || null,
+  source_reference: card.source_reference || card.credit_note_number || null,
+  created_at: card.created_at || null,
+});
+
+/**
+ * Whether a card is past its expiry date (the expiry date itself is still valid)
+ */
+export const isGiftCardExpired = (card, now = new Date()) => {
+  if (!card?.expires_on) return false;
+  return now > new Date(`${card.expires_on}T23:59:59`);
+};
+
+/**
+ * Why a card can't be redeemed
+ * @param {Object} card - Normalized gift card
+ * @returns {string|null} Error message or null if the card can be used
+ */
+export const getGiftCardError = (card) => {
+  if (!card) return 'Card not found';
+  if (card.status !== GIFT_CARD_STATUS.ACTIVE) return `Card ${card.card_number} is ${card.status}`;
+  if (isGiftCardExpired(card)) return `Card ${card.card_number} expired on ${new Date(`${card.expires_on}T00:00:00`).toLocaleDateString('en-IN')}`;
+  if (card.balance <= 0) return `Card ${card.card_number} has no balance left`;
+  return null;
+};
+
+/**
+ * Validate an amount to redeem from a card
+ * @param {number|string} amount - Amount to redeem
+ * @param {Object} card - Normalized gift card
+ * @param {number} amountDue - Most the card can pay for
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateGiftCardRedemption = (amount, card, amountDue) => {
+  const cardError = getGiftCardError(card);
+  if (cardError) return cardError;
+
+  const value = parseAmount(amount);
+  if (value <= 0) return 'Enter the amount to redeem';
+  if (value > card.balance) return `Card balance is only ${formatRupees(card.balance)}`;
+  if (value > parseAmount(amountDue)) return `Only ${formatRupees(amountDue)} is left to pay`;
+  return null;
+};
+
+/**
+ * Validate an amount to load onto a card when issuing or topping up
+ * Store credit carries whatever the credit note was for, so the minimum only applies to sold cards.
+ *
+ * @param {number|string} amount - Amount to load
+ * @param {string} cardType - GIFT_CARD_TYPES value
+ * @param {number} currentBalance - Balance already on the card
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateCardLoad = (amount, cardType = GIFT_CARD_TYPES.GIFT_CARD, currentBalance = 0) => {
+  const value = parseAmount(amount);
+  if (value <= 0) return 'Enter an amount';
+  if (cardType === GIFT_CARD_TYPES.GIFT_CARD && value < GIFT_CARD_MIN_AMOUNT) {
+    return `Gift cards are loaded with at least ${formatRupees(GIFT_CARD_MIN_AMOUNT)}`;
+  }
+  if (parseAmount(currentBalance) + value > GIFT_CARD_MAX_BALANCE) {
+    return `A card can hold at most ${formatRupees(GIFT_CARD_MAX_BALANCE)}`;
+  }
+  return null;
+};
+
+/**
+ * Transform a card transaction from the API to a consistent format
+ * Amounts are signed - redemptions are negative.
+ */
+export const normalizeGiftCardTransaction = (transaction) => {
+  const type = transaction.type || transaction.transaction_type || 'redeem';
+  const amount = parseAmount(transaction.amount);
+  return {
+    id: transaction.id || transaction.transaction_id,
+    type,
+    amount: ['redeem', 'cancel'].includes(type) ? -Math.abs(amount) : Math.abs(amount),
+    balance_after: transaction.balance_after ?? null,
+    reference: transaction.reference || transaction.invoice_number || null,
+    performed_by: transaction.performed_by || null,
+    created_at: transaction.created_at || null,
+  };
+};
+
+/**
+ * Convert cards applied at checkout into the checkout API payload
+ * @param {Array} tenders - [{ card_number, amount }]
+ * @returns {Array} [{ card_number, amount }]
+ */
+export const toGiftCardPayload = (tenders = []) => tenders
+  .filter((tender) => parseAmount(tender.amount) > 0)
+  .map((tender) => ({ card_number: tender.card_number, amount: parseAmount(tender.amount) }));
@@ -0,0 +1,103 @@
+/**
+ * BIS hallmarking utility functions - HUID capture for gold pieces
+ */
+
+// Hallmark Unique ID: six alphanumeric characters
+const HUID_PATTERN = /^[A-Z0-9]{6}$/;
+
+/**
+ * @param {string} huid
+ * @returns {string} HUID uppercased with spaces removed
+ */
+export const normalizeHuid = (huid) => (huid || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * @param {string} huid
+ * @returns {boolean} True if the HUID is well-formed
+ */
+export const isValidHuid = (huid) => HUID_PATTERN.test(normalizeHuid(huid));
+
+/**
+ * Catalog data the line was added from, when the cart kept it
+ */
+const getLineProduct = (item) => item._originalData?.replay_product_data || item._originalData || {};
+
+/**
+ * Whether a cart line is a hallmarked gold piece that needs a HUID per unit
+ * Real jewelry in a karat purity is hallmarked; silver, platinum and
+ * lab-grown catalog items are not.
+ * @param {Object} item - Normalized cart item
+ * @returns {boolean}
+ */
+export const requiresHuid = (item) => {
+  const product = getLineProduct(item);
+  const isRealJewelry = item.item_type === 'real_jewelry' || product.item_type === 'real_jewelry' || !!product.isRealJewelry;
+  const purity = String(item.purity || product.purity || '');
+  return isRealJewelry && /\b(14|18|20|22|23|24)\s*K/i.test(purity);
+};
+
+/**
+ * Variant ID of a real jewelry cart line, used to look up its serials
+ * @param {Object} item - Normalized cart item
+ * @returns {string|null}
+ */
+export const getLineVariantId = (item) => {
+  const product = getLineProduct(item);
+  return product.variant_id || product.item_id || null;
+};
+
+/**
+ * Check the HUIDs captured for the cart
+ * @param {Array} items - Normalized cart items
+ * @param {Object} hallmarks - Map of cart_item_id -> [{ huid, serial_number }]
+ * @returns {Object} { missing: [item names], duplicates: [huids], isComplete }
+ */
+export const checkHallmarks = (items = [], hallmarks = {}) => {
+  const missing = [];
+  const seen = new Set();
+  const duplicates = new Set();
+
+  items.filter(requiresHuid).forEach((item) => {
+    const entries = hallmarks[item.cart_item_id || item.id] || [];
+    if (entries.length < item.quantity) {
+      missing.push(item.name);
+    }
+    entries.forEach((entry) => {
+      if (seen.has(entry.huid)) duplicates.add(entry.huid);
+      seen.add(entry.huid);
+    });
+  });
+
+  return {
+    missing,
+    duplicates: [...duplicates],
+    isComplete: missing.length === 0 && duplicates.size === 0,
+  };
+};
+
+/**
+ * All HUIDs captured in the cart, optionally leaving one line out
+ * @param {Object} hallmarks - Map of cart_item_id -> [{ huid, serial_number }]
+ * @param {string} exceptLineId - Line whose HUIDs to skip
+ * @returns {string[]}
+ */
+export const getCapturedHuids = (hallmarks = {}, exceptLineId = null) => Object.entries(hallmarks)
+  .filter(([lineId]) => lineId !== String(exceptLineId))
+  .flatMap(([, entries]) => entries.map((entry) => entry.huid));
+
+/**
+ * Convert captured HUIDs into the checkout API payload
+ * @param {Array} items - Normalized cart items
+ * @param {Object} hallmarks - Map of cart_item_id -> [{ huid, serial_number }]
+ * @returns {Array} [{ cart_item_id, item_id, item_name, serial_number, huid }]
+ */
+export const toHallmarkPayload = (items = [], hallmarks = {}) => items.flatMap((item) => {
+  const entries = hallmarks[item.cart_item_id || item.id] || [];
+  return entries.map((entry) => ({
+    cart_item_id: item.cart_item_id,
+    item_id: getLineVariantId(item) || item.id,
+    item_name: item.name,
+    serial_number: entry.serial_number || null,
+    huid: entry.huid,
+  }));
+});
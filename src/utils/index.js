@@ -1 +1,26 @@
-export * from './currency';
\ No newline at end of file
+export * from './currency';
+export * from './payments';
+export * from './discounts';
+export * from './tax';
+export * from './oldGold';
+export * from './returns';
+export * from './commission';
+export * from './upi';
+export * from './shift';
+export * from './offline';
+export * from './escpos';
+export * from './receipt';
+export * from './compliance';
+export * from './hallmark';
+export * from './estimates';
+export * from './orders';
+export * from './loyalty';
+export * from './giftCards';
+export * from './priceOverride';
+export * from './scanner';
+export * from './metalRates';
+export * from './pricingPreview';
+export * from './labProduct';
+export * from './productImport';
+export * from './labels';
+export * from './productImages';
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Lab-grown product utilities - validation and request payload shared by the
+ * create form and the spreadsheet import
+ */
+
+/**
+ * Check a lab-grown product before it's sent for creation
+ * Error keys name the field (e.g. variant_0_metal_1_gross_weight) so the form can show them inline.
+ *
+ * @param {Object} formData - { category, jewelry_type, variants: [{ net_weight_g, metal_components, diamond_components }] }
+ * @returns {Object} { [field]: message } - empty when the product is valid
+ */
+export const getLabProductErrors = (formData) => {
+  const errors = {};
+
+  // Required base fields
+  if (!String(formData.category || '').trim()) {
+    errors.category = 'Category is required';
+  }
+
+  if (!String(formData.jewelry_type || '').trim()) {
+    errors.jewelry_type = 'Jewelry type is required';
+  }
+
+  // Validate variants
+  (formData.variants || []).forEach((variant, vIndex) => {
+    // Price is calculated by backend - no validation needed
+    if (!variant.net_weight_g || parseFloat(variant.net_weight_g) <= 0) {
+      errors[`variant_${vIndex}_net_weight`] = 'Net weight is required and must be greater than 0';
+    }
+
+    // At least one metal component required
+    if (!variant.metal_components || variant.metal_components.length === 0) {
+      errors[`variant_${vIndex}_metal`] = 'At least one metal component is required';
+    }
+
+    variant.metal_components?.forEach((metal, mIndex) => {
+      if (!metal.metal_type) {
+        errors[`variant_${vIndex}_metal_${mIndex}_type`] = 'Metal type is required';
+      }
+      if (!metal.purity_k) {
+        errors[`variant_${vIndex}_metal_${mIndex}_purity`] = 'Purity is required';
+      }
+      if (!metal.gross_weight_g || parseFloat(metal.gross_weight_g) <= 0) {
+        errors[`variant_${vIndex}_metal_${mIndex}_gross_weight`] = 'Gross weight must be greater than 0';
+      }
+      if (!metal.net_weight_g || parseFloat(metal.net_weight_g) <= 0) {
+        errors[`variant_${vIndex}_metal_${mIndex}_net_weight`] = 'Net weight must be greater than 0';
+      }
+      // Metal rate per gram is calculated by backend - no validation needed
+    });
+
+    // Diamond components are optional but if present, must be complete
+    variant.diamond_components?.forEach((diamond, dIndex) => {
+      if (!diamond.carat || parseFloat(diamond.carat) <= 0) {
+        errors[`variant_${vIndex}_diamond_${dIndex}_carat`] = 'Carat must be greater than 0';
+      }
+      if (!diamond.shape) {
+        errors[`variant_${vIndex}_diamond_${dIndex}_shape`] = 'Shape is required';
+      }
+      if (!diamond.stone_price_per_carat || parseFloat(diamond.stone_price_per_carat) <= 0) {
+        errors[`variant_${vIndex}_diamond_${dIndex}_rate`] = 'Price per carat is required';
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Build the create request for productsApi.createLabGrownProduct
+ * Price and metal rates are calculated by the backend and not sent.
+ *
+ * @param {Object} formData - Product as entered in the form or read from a spreadsheet
+ * @returns {Object} Product data with variants_json
+ */
+export const toLabProductPayload = (formData) => {
+  // Process tags: split by comma and trim
+  const tagsArray = String(formData.tags || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => tag.length > 0);
+
+  const variantsJson = formData.variants.map(variant => ({
+    ...(variant.sku && { sku: variant.sku }),
+    ...(variant.weight_g && { weight_g: parseFloat(variant.weight_g) }),
+    net_weight_g: parseFloat(variant.net_weight_g),
+    ...(variant.purity_k && { purity_k: parseFloat(variant.purity_k) }),
+    metal_components: variant.metal_components.map(metal => ({
+      metal_type: metal.metal_type,
+      purity_k: parseFloat(metal.purity_k),
+      gross_weight_g: parseFloat(metal.gross_weight_g),
+      net_weight_g: parseFloat(metal.net_weight_g),
+      ...(metal.wastage_percent && { wastage_percent: parseFloat(metal.wastage_percent) }),
+      ...(metal.making_charge_per_g && { making_charge_per_g: parseFloat(metal.making_charge_per_g) }),
+      ...(metal.making_charge_flat && { making_charge_flat: parseFloat(metal.making_charge_flat) }),
+      ...(metal.notes && { notes: metal.notes })
+    })),
+    diamond_components: variant.diamond_components.map(diamond => ({
+      carat: parseFloat(diamond.carat),
+      shape: diamond.shape,
+      ...(diamond.cut && { cut: diamond.cut }),
+      ...(diamond.clarity && { clarity: diamond.clarity }),
+      ...(diamond.color_grade && { color_grade: diamond.color_grade }),
+      ...(diamond.cert_no && { cert_no: diamond.cert_no }),
+      stone_price_per_carat: parseFloat(diamond.stone_price_per_carat),
+      ...(diamond.origin && { origin: diamond.origin }),
+      ...(diamond.notes && { notes: diamond.notes })
+    }))
+  }));
+
+  return {
+    category: formData.category,
+    jewelry_type: formData.jewelry_type,
+    ...(formData.vendor && { vendor: formData.vendor }),
+    ...(formData.product_type && { product_type: formData.product_type }),
+    ...(formData.finish && { finish: formData.finish }),
+    ...(tagsArray.length > 0 && { tags: tagsArray }),
+    ...(formData.occasions && { occasions: formData.occasions }),
+    ...(formData.primary_color && { primary_color: formData.primary_color }),
+    ...(formData.secondary_color && { secondary_color: formData.secondary_color }),
+    variants_json: variantsJson
+  };
+};
@@ -0,0 +1,78 @@
+/**
+ * Label utility functions - price tag values and Code128 barcodes, generated in the browser
+ */
+
+import { formatRupees } from './currency';
+
+// Bar/space widths for Code128 symbols 0-106; 103-105 are the start codes, 106 is stop
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+/**
+ * Encode a value as Code128
+ * All-digit values of even length use code set C (two digits per symbol) for a shorter
+ * barcode; anything else uses code set B.
+ *
+ * @param {string} value - Printable ASCII
+ * @returns {Array<number>|null} Module widths, alternating bar and space starting with a bar; null if the value can't be encoded
+ */
+export const encodeCode128 = (value) => {
+  const text = String(value ?? '');
+  if (!text || /[^\x20-\x7E]/.test(text)) return null;
+
+  const useCodeC = /^\d+$/.test(text) && text.length % 2 === 0;
+  const symbols = useCodeC
+    ? [START_C, ...text.match(/\d{2}/g).map((pair) => parseInt(pair, 10))]
+    : [START_B, ...[...text].map((char) => char.charCodeAt(0) - 32)];
+
+  const checksum = symbols.reduce((sum, symbol, index) => sum + symbol * Math.max(index, 1), 0) % 103;
+
+  return [...symbols, checksum, STOP]
+    .flatMap((symbol) => [...CODE128_PATTERNS[symbol]].map(Number));
+};
+
+const formatWeight = (grams) => {
+  const weight = parseFloat(grams);
+  return weight > 0 ? `${weight.toFixed(3)} g` : '';
+};
+
+/**
+ * Values printed on a product's label
+ * Real jewelry carries weights, purity and stone weight; demistified products only have
+ * what Zoho provides. Empty strings mean the product has nothing for that field.
+ *
+ * @param {Object} product - Product from the api.js transforms
+ * @returns {Object} { barcode, name, sku, gross_weight, net_weight, purity, stone_weight, price }
+ */
+export const getLabelValues = (product) => {
+  const stoneCarats = (product.diamond_components || [])
+    .reduce((total, diamond) => total + (parseFloat(diamond.carat) || 0), 0);
+  const purityK = parseFloat(product.purity_k) || parseFloat(product.purity);
+  const price = product.final_price || product.price || product.rate || 0;
+
+  return {
+    barcode: String(product.barcode || product.sku || product.item_id || product.id || ''),
+    name: product.name || product.item_name || '',
+    sku: product.sku || '',
+    gross_weight: product.isDemistified ? '' : formatWeight(product.weight),
+    net_weight: product.isDemistified ? '' : formatWeight(product.net_weight),
+    purity: !product.isDemistified && purityK > 0 ? `${purityK}K` : '',
+    stone_weight: stoneCarats > 0 ? `${stoneCarats.toFixed(2)} ct` : '',
+    price: price > 0 ? formatRupees(price, 0) : '',
+  };
+};
@@ -0,0 +1,77 @@
+/**
+ * Loyalty points utility functions - earning and redemption at checkout
+ */
+
+import { parseAmount } from './currency';
+import {
+  LOYALTY_POINTS_PER_100,
+  LOYALTY_POINT_VALUE,
+  LOYALTY_MAX_REDEEM_PERCENT,
+  LOYALTY_MIN_REDEEM_POINTS,
+} from '../config/loyalty';
+
+/**
+ * Payment method key used for the points tender line
+ */
+export const LOYALTY_PAYMENT_METHOD = 'loyalty_points';
+
+/**
+ * @param {number} points
+ * @returns {number} Rupee value of the points
+ */
+export const pointsToValue = (points) => parseAmount((parseInt(points, 10) || 0) * LOYALTY_POINT_VALUE);
+
+/**
+ * Most points that can be put towards a bill
+ * @param {number} balance - Customer's points balance
+ * @param {number} total - Bill value
+ * @returns {number}
+ */
+export const getMaxRedeemablePoints = (balance, total) => {
+  const capValue = (parseAmount(total) * LOYALTY_MAX_REDEEM_PERCENT) / 100;
+  return Math.max(0, Math.min(parseInt(balance, 10) || 0, Math.floor(capValue / LOYALTY_POINT_VALUE)));
+};
+
+/**
+ * Validate points entered for redemption
+ * @param {number|string} points - Points to redeem
+ * @param {number} balance - Customer's points balance
+ * @param {number} total - Bill value
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateRedemption = (points, balance, total) => {
+  const value = parseInt(points, 10) || 0;
+  if (value === 0) return null;
+  if (value < 0 || String(points).includes('.')) return 'Enter a whole number of points';
+  if (value < LOYALTY_MIN_REDEEM_POINTS) return `At least ${LOYALTY_MIN_REDEEM_POINTS} points must be redeemed at a time`;
+  if (value > balance) return `Customer only has ${balance} points`;
+
+  const max = getMaxRedeemablePoints(balance, total);
+  if (value > max) return `Points can pay for up to ${LOYALTY_MAX_REDEEM_PERCENT}% of the bill – ${max} points at most`;
+  return null;
+};
+
+/**
+ * Points a customer earns on the amount they actually pay
+ * @param {number} amount - Bill value less points redeemed
+ * @returns {number}
+ */
+export const calculatePointsEarned = (amount) => Math.max(0, Math.floor((parseAmount(amount) / 100) * LOYALTY_POINTS_PER_100));
+
+/**
+ * Transform a ledger entry from the API to a consistent format
+ * Points are signed - redemptions and expiries are negative.
+ */
+export const normalizeLedgerEntry = (entry) => {
+  const type = entry.type || entry.entry_type || (entry.points < 0 ? 'redeem' : 'earn');
+  const points = parseInt(entry.points ?? entry.points_change, 10) || 0;
+  return {
+    id: entry.id || entry.entry_id,
+    type,
+    points: ['redeem', 'expire'].includes(type) ? -Math.abs(points) : points,
+    balance_after: entry.balance_after ?? entry.balance ?? null,
+    invoice_number: entry.invoice_number || null,
+    description: entry.description || entry.notes || null,
+    created_at: entry.created_at || entry.date || null,
+  };
+};
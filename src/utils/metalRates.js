@@ -0,0 +1,192 @@
+/**
+ * Metal rate utility functions - pricing real jewelry from the day's rate board
+ */
+
+import { parseAmount } from './currency';
+import { METAL_RATE_TYPES, RATE_MOVE_WARNING_PERCENT } from '../config/metalRates';
+
+// White and yellow gold are priced at the gold rate for their purity
+const getBaseMetal = (metalType) => {
+  const metal = String(metalType || '').toLowerCase();
+  return metal.endsWith('gold') ? 'gold' : metal;
+};
+
+/**
+ * Rate board key for a metal and purity, e.g. ('gold', 22) -> 'gold_22k'
+ * @returns {string|null} Null when the board has no rate for that purity
+ */
+export const getRateKey = (metalType, purityK) => {
+  const metal = getBaseMetal(metalType);
+  const purity = parseFloat(purityK) || null;
+  const type = METAL_RATE_TYPES.find((rateType) => rateType.metal === metal
+    && (rateType.purity === undefined || rateType.purity === purity));
+  return type?.key || null;
+};
+
+/**
+ * Per-gram rate for a metal component
+ * Gold purities without their own rate (14K, 9K) are priced off the 24K rate.
+ *
+ * @param {Object} component - { metal_type, purity_k }
+ * @param {Object} rates - { [rate_key]: number }
+ * @returns {Object|null} { rate_key, rate_per_g }, or null when there's no rate to use
+ */
+export const getComponentRate = (component, rates = {}) => {
+  const metal = getBaseMetal(component?.metal_type);
+  const purity = parseFloat(component?.purity_k) || 0;
+  const rateKey = getRateKey(metal, purity);
+
+  if (rateKey && parseAmount(rates[rateKey]) > 0) {
+    return { rate_key: rateKey, rate_per_g: parseAmount(rates[rateKey]) };
+  }
+  if (metal === 'gold' && purity > 0 && parseAmount(rates.gold_24k) > 0) {
+    return { rate_key: 'gold_24k', rate_per_g: parseAmount((rates.gold_24k * purity) / 24) };
+  }
+  return null;
+};
+
+/**
+ * Price one metal component: weight × rate, plus wastage on the metal and making charges
+ * @param {Object} component - { metal_type, purity_k, net_weight_g, wastage_percent, making_charge_per_g, making_charge_flat }
+ * @param {Object} rates - { [rate_key]: number }
+ * @returns {Object|null} Priced component, or null when there's no rate for it
+ */
+export const priceMetalComponent = (component, rates = {}) => {
+  const rate = getComponentRate(component, rates);
+  if (!rate) return null;
+
+  const weight = parseFloat(component.net_weight_g ?? component.weight_g ?? component.gross_weight_g) || 0;
+  const metalCost = parseAmount(weight * rate.rate_per_g);
+  const wastage = parseAmount((metalCost * (parseFloat(component.wastage_percent) || 0)) / 100);
+  const making = parseAmount(weight * (parseFloat(component.making_charge_per_g) || 0) + (parseFloat(component.making_charge_flat) || 0));
+
+  return {
+    metal_type: component.metal_type,
+    purity_k: parseFloat(component.purity_k) || null,
+    weight_g: weight,
+    ...rate,
+    metal_cost: metalCost,
+    wastage_charges: wastage,
+    making_charges: making,
+  };
+};
+
+/**
+ * Re-price a real jewelry product or cart line from its metal components
+ * Stones and other charges are kept from the backend breakdown and GST is
+ * recalculated at its rate. Anything that can't be fully priced from the board
+ * (no breakdown, no components, or a metal with no rate) is returned unchanged.
+ *
+ * @param {Object} product - Product with metal_components and pricing_breakdown
+ * @param {Object} board - { rates, effective_from } as returned by metalRatesApi.getCurrent
+ * @returns {Object} Product with price, breakdown and the rates used updated
+ */
+export const repriceProduct = (product, board) => {
+  const components = product?.metal_components || [];
+  const breakdown = product?.pricing_breakdown;
+  if (!board?.rates || !breakdown || components.length === 0) return product;
+
+  const priced = components.map((component) => priceMetalComponent(component, board.rates));
+  if (priced.some((component) => !component)) return product;
+
+  const sum = (field) => parseAmount(priced.reduce((total, component) => total + component[field], 0));
+  const metalCost = sum('metal_cost');
+  const wastage = sum('wastage_charges');
+  const making = sum('making_charges');
+  const stoneCost = parseAmount(breakdown.stone_cost);
+  const otherCharges = parseAmount(breakdown.other_charges);
+  const gstRate = parseFloat(breakdown.gst_rate_percent) || 0;
+  const preTax = metalCost + wastage + making + stoneCost + otherCharges;
+  const gstAmount = parseAmount((preTax * gstRate) / 100);
+  const finalPrice = parseAmount(preTax + gstAmount);
+
+  return {
+    ...product,
+    price: finalPrice,
+    final_price: finalPrice,
+    metal_cost: metalCost,
+    wastage_charges: wastage,
+    making_charges: making,
+    gst_amount: gstAmount,
+    pricing_breakdown: {
+      ...breakdown,
+      metal_cost: metalCost,
+      wastage_charges: wastage,
+      making_charges: making,
+      gst_amount: gstAmount,
+      final_price: finalPrice,
+    },
+    metal_rates_applied: priced.map(({ metal_type, purity_k, weight_g, rate_key, rate_per_g }) => ({
+      metal_type, purity_k, weight_g, rate_key, rate_per_g,
+    })),
+    rates_effective_from: board.effective_from || null,
+  };
+};
+
+/**
+ * Whether a cart line was priced at rates other than the board in effect
+ * Lines with a manual price override keep their agreed price.
+ */
+export const isPricedAtOldRates = (item, board) => {
+  if (!board?.effective_from || item.price_override || !item.pricing_breakdown) return false;
+  if (!(item.metal_components || []).length) return false;
+  return item.rates_effective_from !== board.effective_from;
+};
+
+/**
+ * Transform a rate board entry from the API to a consistent format
+ */
+export const normalizeRateEntry = (entry) => ({
+  ...entry,
+  id: entry.id || entry.rate_id || entry.effective_from,
+  rates: METAL_RATE_TYPES.reduce((rates, { key }) => ({
+    ...rates,
+    [key]: parseAmount(entry.rates?.[key] ?? entry[key]),
+  }), {}),
+  effective_from: entry.effective_from || entry.created_at || null,
+  entered_by: entry.entered_by || entry.created_by || null,
+  notes: entry.notes || null,
+});
+
+/**
+ * Check a new set of rates before it's published
+ * @param {Object} rates - { [rate_key]: number|string }
+ * @param {Object} currentRates - Rates in effect now
+ * @returns {Object} { error, warnings } - error blocks publishing, warnings need confirming
+ */
+export const validateRateBoard = (rates = {}, currentRates = {}) => {
+  const missing = METAL_RATE_TYPES.filter(({ key }) => !(parseFloat(rates[key]) > 0));
+  if (missing.length > 0) {
+    return { error: `Enter a rate for ${missing.map(({ label }) => label).join(', ')}`, warnings: [] };
+  }
+
+  const gold24 = parseFloat(rates.gold_24k);
+  const gold22 = parseFloat(rates.gold_22k);
+  const gold18 = parseFloat(rates.gold_18k);
+  if (!(gold24 > gold22 && gold22 > gold18)) {
+    return { error: 'Gold rates should fall with purity: 24K above 22K above 18K', warnings: [] };
+  }
+
+  const warnings = METAL_RATE_TYPES
+    .filter(({ key }) => parseAmount(currentRates[key]) > 0)
+    .map(({ key, label }) => {
+      const current = parseAmount(currentRates[key]);
+      const changePercent = Math.round(((parseFloat(rates[key]) - current) / current) * 10000) / 100;
+      return { label, changePercent };
+    })
+    .filter(({ changePercent }) => Math.abs(changePercent) > RATE_MOVE_WARNING_PERCENT)
+    .map(({ label, changePercent }) => `${label} moves ${changePercent > 0 ? '+' : ''}${changePercent}%`);
+
+  return { error: null, warnings };
+};
+
+/**
+ * Metal rates used on each cart line, for stamping on the invoice lines
+ * Every line is listed; lines not priced by weight carry no rates.
+ */
+export const toLineMetalRatePayload = (items = []) => items.map((item) => ({
+  cart_item_id: item.cart_item_id,
+  item_name: item.name,
+  metal_rates: item.metal_rates_applied || [],
+  rates_effective_from: item.rates_effective_from || null,
+}));
@@ -0,0 +1,118 @@
+/**
+ * Offline billing utility functions
+ */
+
+const OFFLINE_CART_PREFIX = 'offline-';
+
+/**
+ * Sync status of a queued offline sale
+ */
+export const QUEUED_SALE_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+};
+
+/**
+ * Whether an error means the server could not be reached at all
+ * fetch rejects with a TypeError on network failure; HTTP errors resolve.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return error instanceof TypeError || /failed to fetch|network ?error|load failed/i.test(error?.message || '');
+};
+
+/**
+ * Whether a replay failure needs someone to look at it rather than a retry
+ * Client errors (item already sold, stock gone, invalid cart) won't fix themselves;
+ * server errors and timeouts are retried on the next sync.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isConflictError = (error) => {
+  if (isNetworkError(error) || isDuplicateSaleError(error)) return false;
+  const status = error?.status;
+  if (!status) return false;
+  return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+};
+
+/**
+ * Whether a replayed sale was already taken by the server
+ * The server answers a repeated client_sale_id with 409 and the invoice it made the first time,
+ * e.g. when the original response was lost on the way back.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isDuplicateSaleError = (error) => error?.status === 409 && !!error?.data?.invoice_id;
+
+/**
+ * Client-generated ID that lets the server recognise a sale it has already taken
+ * @returns {string}
+ */
+export const createClientSaleId = () => `sale_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Local-only cart ID for carts built while the server is unreachable
+ * @returns {string}
+ */
+export const createOfflineCartId = () => `${OFFLINE_CART_PREFIX}${Date.now()}`;
+
+/**
+ * @param {string} cartId
+ * @returns {boolean} True if the cart only exists on this counter
+ */
+export const isOfflineCartId = (cartId) => typeof cartId === 'string' && cartId.startsWith(OFFLINE_CART_PREFIX);
+
+/**
+ * Format a provisional invoice number
+ * @param {string} prefix - e.g. OFF
+ * @param {number} sequence - Counter-local running number
+ * @param {Date} date
+ * @returns {string} e.g. OFF-20250114-0003
+ */
+export const formatProvisionalInvoiceNumber = (prefix, sequence, date = new Date()) => {
+  const day = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+  return `${prefix}-${day}-${String(sequence).padStart(4, '0')}`;
+};
+
+/**
+ * Describe a cart line so it can be re-added to a server cart on replay
+ * Lines added offline carry the catalog product they came from; lines that
+ * came from a server cart are rebuilt from the cart item's own fields.
+ * @param {Object} item - Normalized cart item
+ * @returns {Object} { product_id, quantity, product_data, price_override }
+ */
+export const toReplayItem = (item) => {
+  const source = item._originalData || {};
+  // Re-applied after the line is added, so the server cart ends up on the same price
+  const priceOverride = item.price_override || null;
+  if (source.replay_product_id) {
+    return {
+      product_id: source.replay_product_id,
+      quantity: item.quantity,
+      product_data: source.replay_product_data || {},
+      price_override: priceOverride,
+    };
+  }
+
+  const isRealJewelry = source.item_type === 'real_jewelry';
+  return {
+    product_id: source.item_id || item.id,
+    quantity: item.quantity,
+    price_override: priceOverride,
+    product_data: {
+      name: item.name,
+      price: priceOverride ? priceOverride.original_price : item.price,
+      sku: source.sku,
+      isRealJewelry,
+      variant_id: isRealJewelry ? source.item_id : undefined,
+      isDemistified: source.item_type === 'zakya_product',
+      // Kept so the piece can be repriced at the rates of the day it's re-added
+      ...(item.pricing_breakdown && (item.metal_components || []).length > 0 && {
+        metal_components: item.metal_components,
+        pricing_breakdown: item.pricing_breakdown,
+      }),
+    },
+  };
+};
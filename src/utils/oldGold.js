@@ -0,0 +1,80 @@
+/**
+ * Old gold exchange (trade-in) calculations
+ */
+
+import { parseAmount } from './currency';
+
+/**
+ * Payment method key used for the exchange tender line
+ */
+export const OLD_GOLD_PAYMENT_METHOD = 'old_gold_exchange';
+
+/**
+ * Karat options offered when purity is tested by karat
+ */
+export const OLD_GOLD_KARATS = [24, 22, 20, 18, 14];
+
+/**
+ * Convert karat to purity percentage
+ * @param {number|string} karat - Karat value (e.g. 22)
+ * @returns {number} Purity percentage (e.g. 91.67)
+ */
+export const karatToPurityPercent = (karat) => {
+  const value = parseFloat(karat) || 0;
+  return parseAmount((value / 24) * 100);
+};
+
+/**
+ * Calculate the exchange value of an old gold piece
+ * Fine weight = (gross weight − stone deduction) × purity, valued at the
+ * day's buy rate for fine (24K) gold.
+ *
+ * @param {Object} piece
+ * @param {number|string} piece.gross_weight_g - Gross weight in grams
+ * @param {number|string} piece.stone_weight_g - Stone/other deduction in grams
+ * @param {string} piece.purity_type - 'karat' or 'touch'
+ * @param {number|string} piece.karat - Tested karat (when purity_type is 'karat')
+ * @param {number|string} piece.touch_percent - Tested touch % (when purity_type is 'touch')
+ * @param {number|string} piece.buy_rate_per_g - Day's buy rate per gram of 24K gold
+ * @returns {Object} { net_weight_g, purity_percent, fine_weight_g, exchange_value }
+ */
+export const calculateExchangeValue = (piece = {}) => {
+  const gross = parseFloat(piece.gross_weight_g) || 0;
+  const stone = parseFloat(piece.stone_weight_g) || 0;
+  const netWeight = Math.max(0, gross - stone);
+
+  const purityPercent = piece.purity_type === 'touch'
+    ? Math.min(100, parseFloat(piece.touch_percent) || 0)
+    : karatToPurityPercent(piece.karat);
+
+  const fineWeight = (netWeight * purityPercent) / 100;
+  const rate = parseFloat(piece.buy_rate_per_g) || 0;
+
+  return {
+    net_weight_g: Math.round(netWeight * 1000) / 1000,
+    purity_percent: purityPercent,
+    fine_weight_g: Math.round(fineWeight * 1000) / 1000,
+    exchange_value: parseAmount(fineWeight * rate),
+  };
+};
+
+/**
+ * Validate an old gold piece before it is added to the sale
+ * @param {Object} piece - Same shape as calculateExchangeValue input
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateOldGoldPiece = (piece = {}) => {
+  const gross = parseFloat(piece.gross_weight_g) || 0;
+  const stone = parseFloat(piece.stone_weight_g) || 0;
+
+  if (gross <= 0) return 'Gross weight must be greater than zero';
+  if (stone < 0 || stone >= gross) return 'Stone deduction must be less than the gross weight';
+  if (piece.purity_type === 'touch') {
+    const touch = parseFloat(piece.touch_percent) || 0;
+    if (touch <= 0 || touch > 100) return 'Touch % must be between 0 and 100';
+  } else if (!(parseFloat(piece.karat) > 0)) {
+    return 'Select the tested karat';
+  }
+  if (!(parseFloat(piece.buy_rate_per_g) > 0)) return "Enter today's buy rate";
+  return null;
+};
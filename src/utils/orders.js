@@ -0,0 +1,78 @@
+/**
+ * Advance order utility functions - layaway with a balance due
+ */
+
+import { parseAmount, formatRupees } from './currency';
+import { getDefaultValidUntil } from './estimates';
+import { MIN_ADVANCE_PERCENT, ORDER_BALANCE_DUE_DAYS } from '../config/orders';
+
+export const ORDER_STATUS = {
+  OPEN: 'open',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Smallest advance that reserves an order of this value
+ * @param {number} total - Order value
+ * @returns {number}
+ */
+export const getMinimumAdvance = (total) => parseAmount((parseAmount(total) * MIN_ADVANCE_PERCENT) / 100);
+
+/**
+ * Default date the balance is due by
+ * @param {Date} from - Order date
+ * @returns {string} YYYY-MM-DD
+ */
+export const getDefaultDueDate = (from = new Date()) => getDefaultValidUntil(from, ORDER_BALANCE_DUE_DAYS);
+
+/**
+ * Validate the advance taken on a new order
+ * @param {number} advance - Amount being paid now
+ * @param {number} total - Order value
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateAdvance = (advance, total) => {
+  const amount = parseAmount(advance);
+  const minimum = getMinimumAdvance(total);
+
+  if (amount <= 0) return 'Enter the advance amount';
+  if (amount < minimum) return `Advance must be at least ${formatRupees(minimum)} (${MIN_ADVANCE_PERCENT}% of the order)`;
+  if (amount >= parseAmount(total)) return 'Advance covers the full amount – complete it as a regular sale';
+  return null;
+};
+
+/**
+ * Transform an order from the API to a consistent format
+ * Paid and balance amounts are worked out from the payments when the API leaves them out.
+ */
+export const normalizeOrder = (order) => {
+  const payments = order.payments || [];
+  const total = parseAmount(order.total_amount ?? order.total);
+  const paid = parseAmount(order.amount_paid ?? payments.reduce((sum, payment) => sum + parseAmount(payment.amount ?? payment.payment_amount), 0));
+
+  return {
+    ...order,
+    id: order.id || order.order_id,
+    order_number: order.order_number || order.number || order.id,
+    status: order.status || ORDER_STATUS.OPEN,
+    customer_name: order.customer_name || order.customer?.name || 'Walk-in Customer',
+    lines: order.lines || order.items || [],
+    payments,
+    total_amount: total,
+    amount_paid: paid,
+    balance_due: parseAmount(order.balance_due ?? Math.max(0, total - paid)),
+    due_date: order.due_date || null,
+    created_at: order.created_at || null,
+  };
+};
+
+/**
+ * Whether an open order is past the date its balance was due
+ * @param {Object} order - Normalized order
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isOrderOverdue = (order, now = new Date()) => order.status === ORDER_STATUS.OPEN
+  && !!order.due_date
+  && now > new Date(`${order.due_date}T23:59:59`);
@@ -0,0 +1,86 @@
+/**
+ * Payment / tender utility functions for split-tender checkout
+ */
+
+import { parseAmount } from './currency';
+
+/**
+ * Tender types offered at the counter
+ */
+export const PAYMENT_METHODS = ['cash', 'card', 'upi', 'bank_transfer'];
+
+/**
+ * Human readable label for a payment method
+ * @param {string} method - Payment method key (e.g. 'bank_transfer')
+ * @returns {string} Label (e.g. 'BANK TRANSFER')
+ */
+export const formatPaymentMethod = (method) => {
+  return (method || '').replace(/_/g, ' ').toUpperCase();
+};
+
+/**
+ * Create a new payment line
+ * @param {string} method - Payment method key
+ * @param {number|string} amount - Amount for this line
+ * @returns {Object} Payment line { id, method, amount }
+ */
+export const createPaymentLine = (method = 'cash', amount = '') => ({
+  id: `pay_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+  method,
+  amount: amount === '' ? '' : String(amount),
+});
+
+/**
+ * Summarise payment lines against the amount due
+ * Change is only ever given back from the cash portion - card, UPI and
+ * bank transfer lines can never be over-tendered.
+ *
+ * @param {Array} lines - Payment lines { method, amount }
+ * @param {number} total - Amount due
+ * @returns {Object} { cashTotal, nonCashTotal, paid, remaining, change, isOverpaidNonCash, isSettled }
+ */
+export const summarizeTenders = (lines = [], total = 0) => {
+  const amountDue = parseAmount(total);
+
+  const cashTotal = parseAmount(lines
+    .filter((line) => line.method === 'cash')
+    .reduce((sum, line) => sum + parseAmount(line.amount), 0));
+
+  const nonCashTotal = parseAmount(lines
+    .filter((line) => line.method !== 'cash')
+    .reduce((sum, line) => sum + parseAmount(line.amount), 0));
+
+  const paid = parseAmount(cashTotal + nonCashTotal);
+  const isOverpaidNonCash = nonCashTotal > amountDue;
+
+  // Cash only needs to cover what the other tenders leave outstanding
+  const cashDue = Math.max(0, amountDue - nonCashTotal);
+  const change = isOverpaidNonCash ? 0 : parseAmount(Math.max(0, cashTotal - cashDue));
+  const remaining = parseAmount(Math.max(0, amountDue - paid));
+
+  return {
+    cashTotal,
+    nonCashTotal,
+    paid,
+    remaining,
+    change,
+    isOverpaidNonCash,
+    isSettled: amountDue > 0 && remaining === 0 && !isOverpaidNonCash,
+  };
+};
+
+/**
+ * Convert payment lines into the checkout API `payments` payload
+ * Empty and zero-amount lines are dropped.
+ *
+ * @param {Array} lines - Payment lines { method, amount }
+ * @returns {Array} [{ payment_method, payment_amount }]
+ */
+export const toPaymentPayload = (lines = []) => {
+  return lines
+    .filter((line) => parseAmount(line.amount) > 0)
+    .map((line) => ({
+      payment_method: line.method,
+      payment_amount: parseAmount(line.amount),
+    }));
+};
@@ -0,0 +1,81 @@
+/**
+ * Cart line price override utility functions
+ */
+
+import { parseAmount } from './currency';
+import { PRICE_OVERRIDE_APPROVAL_PERCENT } from '../config/priceOverride';
+
+/**
+ * Reasons offered when overriding a line price
+ */
+export const PRICE_OVERRIDE_REASONS = [
+  'Match earlier quoted rate',
+  'Waive making charges',
+  'Price correction',
+  'Damaged / display piece',
+  'Other',
+];
+
+/**
+ * Transform a line's price override from the API to a consistent format
+ * @param {Object} override - Raw override record
+ * @returns {Object|null} { original_price, unit_price, reason, requested_by, approved_by, approval_method, overridden_at }
+ */
+export const normalizePriceOverride = (override) => {
+  if (!override) return null;
+  return {
+    original_price: parseAmount(override.original_price),
+    unit_price: parseAmount(override.unit_price ?? override.override_price),
+    reason: override.reason || null,
+    requested_by: override.requested_by || null,
+    approved_by: override.approved_by || null,
+    approval_method: override.approval_method || null,
+    overridden_at: override.overridden_at || override.created_at || null,
+  };
+};
+
+/**
+ * Percent the new price is below the original (negative for a price increase)
+ */
+export const getOverrideReductionPercent = (originalPrice, unitPrice) => {
+  const original = parseAmount(originalPrice);
+  if (original <= 0) return 0;
+  return Math.round(((original - parseAmount(unitPrice)) / original) * 10000) / 100;
+};
+
+/**
+ * Whether a price change needs a manager's approval
+ * @param {number} originalPrice - Line's catalog price
+ * @param {number} unitPrice - Price being set
+ * @returns {boolean}
+ */
+export const requiresOverrideApproval = (originalPrice, unitPrice) => (
+  getOverrideReductionPercent(originalPrice, unitPrice) > PRICE_OVERRIDE_APPROVAL_PERCENT
+);
+
+/**
+ * Validate a price override before it's applied
+ * @param {Object} override - { unitPrice, originalPrice, reason }
+ * @returns {string|null} Error message or null if valid
+ */
+export const validatePriceOverride = ({ unitPrice, originalPrice, reason }) => {
+  const value = parseFloat(unitPrice);
+  if (Number.isNaN(value) || value <= 0) return 'Enter a price greater than zero';
+  if (parseAmount(value) === parseAmount(originalPrice)) return 'The new price is the same as the current price';
+  if (!reason || !reason.trim()) return 'A reason is required to change a price';
+  return null;
+};
+
+/**
+ * Price overrides in the cart, for the invoice audit trail
+ * @param {Array} items - Normalized cart items
+ * @returns {Array} [{ cart_item_id, item_name, quantity, original_price, unit_price, reason, requested_by, approved_by, approval_method }]
+ */
+export const toPriceOverridePayload = (items = []) => items
+  .filter((item) => item.price_override)
+  .map((item) => ({
+    cart_item_id: item.cart_item_id,
+    item_name: item.name,
+    quantity: item.quantity,
+    ...item.price_override,
+  }));
@@ -0,0 +1,73 @@
+/**
+ * Price preview utilities - the backend's lab-grown pricing formula, run while a product is being entered
+ */
+
+import { parseAmount } from './currency';
+import { priceMetalComponent } from './metalRates';
+import { PRICE_PREVIEW_TOLERANCE } from '../config/metalRates';
+
+// Breakdown lines in the order they're shown and compared
+export const PRICE_BREAKDOWN_FIELDS = [
+  { key: 'metal_cost', label: 'Metal' },
+  { key: 'wastage_charges', label: 'Wastage' },
+  { key: 'making_charges', label: 'Making' },
+  { key: 'stone_cost', label: 'Stones' },
+  { key: 'gst_amount', label: 'GST' },
+  { key: 'final_price', label: 'Final Price' },
+];
+
+/**
+ * Price a variant as entered in the create form
+ * Metal components follow the rate board formula (net weight × rate + wastage + making);
+ * diamonds are carat × price per carat; GST is charged on the total.
+ *
+ * @param {Object} variant - Form variant with metal_components and diamond_components
+ * @param {Object} rates - { [rate_key]: number } from the rate board
+ * @param {number} gstRatePercent
+ * @returns {Object} Breakdown keyed as PRICE_BREAKDOWN_FIELDS, plus missingRates listing metals with no rate
+ */
+export const previewVariantPricing = (variant, rates = {}, gstRatePercent = 0) => {
+  const missingRates = [];
+  const metals = (variant.metal_components || []).map((component) => {
+    const priced = priceMetalComponent(component, rates);
+    if (!priced) missingRates.push(`${component.metal_type} ${component.purity_k}K`);
+    return priced;
+  }).filter(Boolean);
+
+  const sum = (list, getValue) => parseAmount(list.reduce((total, entry) => total + getValue(entry), 0));
+  const metalCost = sum(metals, (metal) => metal.metal_cost);
+  const wastage = sum(metals, (metal) => metal.wastage_charges);
+  const making = sum(metals, (metal) => metal.making_charges);
+  const stoneCost = sum(variant.diamond_components || [], (diamond) => (parseFloat(diamond.carat) || 0) * (parseFloat(diamond.stone_price_per_carat) || 0));
+  const preTax = metalCost + wastage + making + stoneCost;
+  const gstAmount = parseAmount((preTax * gstRatePercent) / 100);
+
+  return {
+    metal_cost: metalCost,
+    wastage_charges: wastage,
+    making_charges: making,
+    stone_cost: stoneCost,
+    gst_rate_percent: gstRatePercent,
+    gst_amount: gstAmount,
+    final_price: parseAmount(preTax + gstAmount),
+    missingRates,
+  };
+};
+
+/**
+ * Breakdown lines where the backend's price differs from the preview
+ * @param {Object} preview - From previewVariantPricing
+ * @param {Object} breakdown - pricing_breakdown returned by the backend
+ * @param {number} tolerance - Rupee difference to ignore
+ * @returns {Array} [{ key, label, preview, actual, difference }]
+ */
+export const comparePricingBreakdown = (preview, breakdown, tolerance = PRICE_PREVIEW_TOLERANCE) => {
+  if (!preview || !breakdown) return [];
+  return PRICE_BREAKDOWN_FIELDS
+    .filter(({ key }) => breakdown[key] !== undefined && breakdown[key] !== null)
+    .map(({ key, label }) => {
+      const actual = parseAmount(breakdown[key]);
+      return { key, label, preview: preview[key], actual, difference: parseAmount(actual - preview[key]) };
+    })
+    .filter(({ difference }) => Math.abs(difference) > tolerance);
+};
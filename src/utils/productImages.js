@@ -0,0 +1,120 @@
+/**
+ * Product image utility functions - SKU image lists and in-browser compression before upload
+ */
+
+import { IMAGE_MAX_DIMENSION, IMAGE_JPEG_QUALITY } from '../config/productImages';
+
+/**
+ * Normalize the GCS image list for a SKU
+ * The first image is the primary one shown on product cards and cart lines.
+ * An image flagged is_primary is moved to the front.
+ *
+ * @param {Object|Array} response - From productsApi.getImagesForSku
+ * @returns {Array} [{ name, url, size, content_type }]
+ */
+export const normalizeSkuImages = (response) => {
+  const list = Array.isArray(response) ? response : (response?.images || response?.files || []);
+  const images = list
+    .map((image) => (typeof image === 'string'
+      ? { name: image, url: image }
+      : {
+        name: image.name || image.blob_name || image.filename || image.path,
+        url: image.signed_url || image.public_url || image.url,
+        size: image.size || null,
+        content_type: image.content_type || null,
+        is_primary: Boolean(image.is_primary),
+      }))
+    .filter((image) => image.name && image.url);
+
+  const primaryIndex = images.findIndex((image) => image.is_primary);
+  return primaryIndex > 0
+    ? [images[primaryIndex], ...images.filter((_, index) => index !== primaryIndex)]
+    : images;
+};
+
+/**
+ * Primary image URL per SKU from a batch lookup
+ * Accepts { images: { [sku]: image } } or a list of { sku, ...image }.
+ * @param {Object|Array} response
+ * @returns {Object} { [sku]: url }; SKUs without images are left out
+ */
+export const normalizePrimaryImages = (response) => {
+  const entries = Array.isArray(response)
+    ? response.map((entry) => [entry.sku, entry])
+    : Object.entries(response?.images || response || {});
+  return entries.reduce((urls, [sku, image]) => {
+    const url = typeof image === 'string' ? image : image?.signed_url || image?.public_url || image?.url;
+    return sku && url ? { ...urls, [sku]: url } : urls;
+  }, {});
+};
+
+/**
+ * Move an entry to a new position in a list
+ * @returns {Array} New list
+ */
+export const moveListItem = (list, fromIndex, toIndex) => {
+  const next = [...list];
+  const [item] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, item);
+  return next;
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string} e.g. "1.4 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name} is not a readable image`));
+  };
+  image.src = url;
+});
+
+/**
+ * Shrink a photo to IMAGE_MAX_DIMENSION and re-encode it as JPEG
+ * Transparent areas are filled white. GIFs and SVGs, and photos that would come
+ * out larger, are kept as they are.
+ *
+ * @param {File} file - Image chosen by the user
+ * @returns {Promise<Object>} { file, originalSize, compressedSize, compressed }
+ */
+export const compressImage = async (file) => {
+  const original = { file, originalSize: file.size, compressedSize: file.size, compressed: false };
+  if (['image/gif', 'image/svg+xml'].includes(file.type)) return original;
+
+  const image = await loadImage(file);
+  const scale = Math.min(1, IMAGE_MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.naturalWidth * scale);
+  canvas.height = Math.round(image.naturalHeight * scale);
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', IMAGE_JPEG_QUALITY));
+  if (!blob || blob.size >= file.size) return original;
+
+  const name = file.name.replace(/\.[^.]+$/, '') || 'image';
+  return {
+    file: new File([blob], `${name}.jpg`, { type: 'image/jpeg', lastModified: Date.now() }),
+    originalSize: file.size,
+    compressedSize: blob.size,
+    compressed: true,
+  };
+};
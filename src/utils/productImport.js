@@ -0,0 +1,291 @@
+/**
+ * Product import utility functions - reading a vendor spreadsheet into lab-grown products
+ * Each row is one variant. Rows sharing a Product Ref become variants of one product;
+ * rows without one become a product each.
+ */
+
+import { getLabProductErrors, toLabProductPayload } from './labProduct';
+import {
+  IMPORT_MAX_METAL_COMPONENTS,
+  IMPORT_MAX_DIAMOND_COMPONENTS,
+  IMPORT_DEFAULT_VENDOR,
+} from '../config/productImport';
+
+const PRODUCT_FIELDS = [
+  { key: 'product_ref', label: 'Product Ref', aliases: ['product', 'design', 'design_code', 'style', 'group'] },
+  { key: 'category', label: 'Category', required: true },
+  { key: 'jewelry_type', label: 'Jewelry Type', required: true, aliases: ['sub_category', 'subcategory'] },
+  { key: 'vendor', label: 'Vendor' },
+  { key: 'product_type', label: 'Product Type' },
+  { key: 'finish', label: 'Finish' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'occasions', label: 'Occasions' },
+  { key: 'primary_color', label: 'Primary Color' },
+  { key: 'secondary_color', label: 'Secondary Color' },
+];
+
+const VARIANT_FIELDS = [
+  { key: 'sku', label: 'SKU' },
+  { key: 'weight_g', label: 'Gross Weight (g)', aliases: ['weight', 'gross_weight', 'gross_weight_g'] },
+  { key: 'net_weight_g', label: 'Net Weight (g)', required: true, aliases: ['net_weight'] },
+  { key: 'purity_k', label: 'Purity (K)', aliases: ['purity', 'karat'] },
+];
+
+const METAL_COLUMNS = [
+  { field: 'metal_type', suffix: 'type', label: 'Type' },
+  { field: 'purity_k', suffix: 'purity_k', label: 'Purity (K)', aliases: ['purity'] },
+  { field: 'gross_weight_g', suffix: 'gross_weight_g', label: 'Gross Weight (g)', aliases: ['gross_weight'] },
+  { field: 'net_weight_g', suffix: 'net_weight_g', label: 'Net Weight (g)', aliases: ['net_weight'] },
+  { field: 'wastage_percent', suffix: 'wastage_percent', label: 'Wastage %', aliases: ['wastage'] },
+  { field: 'making_charge_per_g', suffix: 'making_charge_per_g', label: 'Making / g', aliases: ['making_per_g', 'making'] },
+  { field: 'making_charge_flat', suffix: 'making_charge_flat', label: 'Making Flat', aliases: ['making_flat'] },
+];
+
+const DIAMOND_COLUMNS = [
+  { field: 'carat', suffix: 'carat', label: 'Carat', aliases: ['ct', 'carats'] },
+  { field: 'shape', suffix: 'shape', label: 'Shape' },
+  { field: 'cut', suffix: 'cut', label: 'Cut' },
+  { field: 'clarity', suffix: 'clarity', label: 'Clarity' },
+  { field: 'color_grade', suffix: 'color_grade', label: 'Color', aliases: ['color', 'colour'] },
+  { field: 'cert_no', suffix: 'cert_no', label: 'Certificate No', aliases: ['cert', 'certificate'] },
+  { field: 'stone_price_per_carat', suffix: 'price_per_carat', label: 'Price / Carat', aliases: ['rate', 'price'] },
+  { field: 'origin', suffix: 'origin', label: 'Origin' },
+];
+
+const range = (count) => Array.from({ length: count }, (_, index) => index + 1);
+
+/**
+ * Every column the importer understands, in template order
+ * @returns {Array} [{ key, label, required, aliases }]
+ */
+export const getImportFields = () => [
+  ...PRODUCT_FIELDS,
+  ...VARIANT_FIELDS,
+  ...range(IMPORT_MAX_METAL_COMPONENTS).flatMap((n) => METAL_COLUMNS.map((column) => ({
+    key: `metal_${n}_${column.suffix}`,
+    label: `Metal ${n} ${column.label}`,
+    required: n === 1 && column.field === 'metal_type',
+    aliases: (column.aliases || []).map((alias) => `metal_${n}_${alias}`),
+  }))),
+  ...range(IMPORT_MAX_DIAMOND_COMPONENTS).flatMap((n) => DIAMOND_COLUMNS.map((column) => ({
+    key: `diamond_${n}_${column.suffix}`,
+    label: `Diamond ${n} ${column.label}`,
+    aliases: [`stone_${n}_${column.suffix}`, ...(column.aliases || []).map((alias) => `diamond_${n}_${alias}`)],
+  }))),
+];
+
+const normalizeHeader = (header) => String(header ?? '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with commas, escaped quotes and line breaks.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Quote cells for a CSV file
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows
+  .map((row) => row.map((value) => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+  .join('\n');
+
+/**
+ * Match spreadsheet headers to import fields by name, label or a common alias
+ * @param {Array<string>} headers - First row of the sheet
+ * @returns {Object} { [field_key]: column index }
+ */
+export const suggestColumnMapping = (headers = []) => {
+  const normalized = headers.map(normalizeHeader);
+  return getImportFields().reduce((mapping, field) => {
+    const names = [field.key, normalizeHeader(field.label), ...(field.aliases || [])];
+    const index = normalized.findIndex((header) => header && names.includes(header));
+    return index >= 0 ? { ...mapping, [field.key]: index } : mapping;
+  }, {});
+};
+
+/**
+ * Required fields the mapping doesn't cover yet
+ * @returns {Array} Fields from getImportFields
+ */
+export const getUnmappedRequiredFields = (mapping = {}) => getImportFields()
+  .filter((field) => field.required && mapping[field.key] === undefined);
+
+const readCell = (cells, mapping, key) => {
+  const index = mapping[key];
+  if (index === undefined || index === null || index === '') return '';
+  const value = cells[index];
+  return value === null || value === undefined ? '' : String(value).trim();
+};
+
+/**
+ * Read one spreadsheet row into product fields and a variant
+ * A single metal component with no weights of its own takes the variant's weights and purity.
+ *
+ * @param {Array} cells - Row values
+ * @param {Object} mapping - From suggestColumnMapping, adjusted by the user
+ * @param {number} rowNumber - Row number in the sheet, for reporting
+ * @returns {Object} { rowNumber, cells, groupKey, product, variant }
+ */
+export const readImportRow = (cells, mapping, rowNumber) => {
+  const cell = (key) => readCell(cells, mapping, key);
+
+  const product = PRODUCT_FIELDS
+    .filter(({ key }) => key !== 'product_ref')
+    .reduce((fields, { key }) => ({ ...fields, [key]: cell(key) }), {});
+  if (!product.vendor) product.vendor = IMPORT_DEFAULT_VENDOR;
+
+  const metalComponents = range(IMPORT_MAX_METAL_COMPONENTS)
+    .map((n) => METAL_COLUMNS.reduce((metal, column) => ({ ...metal, [column.field]: cell(`metal_${n}_${column.suffix}`) }), {}))
+    .filter((metal) => Object.values(metal).some(Boolean))
+    .map((metal) => ({ ...metal, metal_type: metal.metal_type.toLowerCase().replace(/\s+/g, '_') }));
+
+  if (metalComponents.length === 1) {
+    const [metal] = metalComponents;
+    metal.purity_k = metal.purity_k || cell('purity_k');
+    metal.gross_weight_g = metal.gross_weight_g || cell('weight_g') || cell('net_weight_g');
+    metal.net_weight_g = metal.net_weight_g || cell('net_weight_g');
+  }
+
+  const diamondComponents = range(IMPORT_MAX_DIAMOND_COMPONENTS)
+    .map((n) => DIAMOND_COLUMNS.reduce((diamond, column) => ({ ...diamond, [column.field]: cell(`diamond_${n}_${column.suffix}`) }), {}))
+    .filter((diamond) => Object.values(diamond).some(Boolean))
+    .map((diamond) => ({ ...diamond, shape: diamond.shape.toLowerCase(), origin: diamond.origin || 'lab_grown' }));
+
+  return {
+    rowNumber,
+    cells,
+    groupKey: cell('product_ref') || `row-${rowNumber}`,
+    product,
+    variant: {
+      sku: cell('sku'),
+      weight_g: cell('weight_g'),
+      net_weight_g: cell('net_weight_g'),
+      purity_k: cell('purity_k'),
+      metal_components: metalComponents,
+      diamond_components: diamondComponents,
+    },
+  };
+};
+
+// "variant_0_metal_1_gross_weight" -> "Metal 2: ..."
+const describeError = (key, message) => {
+  const component = key.match(/_(metal|diamond)_(\d+)_/);
+  if (!component) return message;
+  return `${component[1] === 'metal' ? 'Metal' : 'Diamond'} ${parseInt(component[2]) + 1}: ${message}`;
+};
+
+/**
+ * Group sheet rows into products and validate them with the create form's rules
+ * Nothing is sent - this is the dry run shown before importing.
+ *
+ * @param {Array<Array>} dataRows - Sheet rows after the header
+ * @param {Object} mapping - { [field_key]: column index }
+ * @returns {Array} [{ key, rows: [{ ...row, errors }], formData, payload, isValid }]
+ */
+export const planProductImport = (dataRows, mapping) => {
+  const rows = dataRows
+    .map((cells, index) => ({ cells, rowNumber: index + 2 }))
+    .filter(({ cells }) => cells.some((value) => String(value ?? '').trim() !== ''))
+    .map(({ cells, rowNumber }) => readImportRow(cells, mapping, rowNumber));
+
+  const skuRows = rows.reduce((seen, row) => {
+    if (row.variant.sku) seen[row.variant.sku] = [...(seen[row.variant.sku] || []), row.rowNumber];
+    return seen;
+  }, {});
+
+  const groups = rows.reduce((result, row) => {
+    const group = result.find((entry) => entry.key === row.groupKey);
+    if (group) group.rows.push(row);
+    else result.push({ key: row.groupKey, rows: [row] });
+    return result;
+  }, []);
+
+  return groups.map(({ key, rows: groupRows }) => {
+    const formData = { ...groupRows[0].product, variants: groupRows.map((row) => row.variant) };
+    const errors = getLabProductErrors(formData);
+
+    const checkedRows = groupRows.map((row, vIndex) => {
+      const rowErrors = Object.entries(errors)
+        .filter(([field]) => !field.startsWith('variant_') || field.startsWith(`variant_${vIndex}_`))
+        .map(([field, message]) => describeError(field, message));
+      const duplicates = (skuRows[row.variant.sku] || []).filter((rowNumber) => rowNumber !== row.rowNumber);
+      if (duplicates.length > 0) {
+        rowErrors.push(`SKU ${row.variant.sku} is repeated on row ${duplicates.join(', ')}`);
+      }
+      return { ...row, errors: rowErrors };
+    });
+
+    const isValid = checkedRows.every((row) => row.errors.length === 0);
+    return {
+      key,
+      rows: checkedRows,
+      formData,
+      payload: isValid ? toLabProductPayload(formData) : null,
+      isValid,
+    };
+  });
+};
+
+/**
+ * Build the error file: the original columns of every failed row plus the reason
+ * @param {Array<string>} headers - Sheet header row
+ * @param {Array} failedRows - [{ cells, rowNumber, errors }]
+ * @returns {string} CSV text
+ */
+export const toImportErrorCsv = (headers, failedRows) => toCsv([
+  ['Row', ...headers, 'Error'],
+  ...failedRows.map((row) => [row.rowNumber, ...headers.map((_, index) => row.cells[index] ?? ''), row.errors.join('; ')]),
+]);
+
+/**
+ * Blank spreadsheet template with every column the importer reads
+ * @returns {string} CSV text
+ */
+export const getImportTemplateCsv = () => toCsv([getImportFields().map((field) => field.label)]);
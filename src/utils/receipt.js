@@ -0,0 +1,194 @@
+/**
+ * Counter receipt utility functions
+ */
+
+import { parseAmount, formatCurrency } from './currency';
+import { formatPaymentMethod } from './payments';
+import { createEscPosEncoder, wrapText } from './escpos';
+import {
+  RECEIPT_STORE_NAME,
+  RECEIPT_STORE_ADDRESS,
+  RECEIPT_STORE_PHONE,
+  RECEIPT_STORE_GSTIN,
+  RECEIPT_FOOTER,
+  RECEIPT_CHARS_PER_LINE,
+} from '../config/receipt';
+
+/**
+ * GST lines for the receipt - CGST + SGST per rate intra-state, IGST inter-state
+ * @param {Object} taxBreakup - Result of computeTaxBreakup
+ * @returns {Array} [{ label, amount }]
+ */
+const toReceiptTaxLines = (taxBreakup) => {
+  if (!taxBreakup) return [];
+
+  return taxBreakup.groups.flatMap((group) => (taxBreakup.isInterState
+    ? [{ label: `IGST @ ${group.rate_percent}%`, amount: group.igst }]
+    : [
+      { label: `CGST @ ${group.rate_percent / 2}%`, amount: group.cgst },
+      { label: `SGST @ ${group.rate_percent / 2}%`, amount: group.sgst },
+    ]));
+};
+
+/**
+ * Snapshot everything a receipt needs from a completed checkout
+ * Taken at sale time because the cart is cleared straight after.
+ *
+ * @param {Object} sale
+ * @param {Object} sale.invoice - Checkout API result
+ * @param {Array} sale.items - Normalized cart items
+ * @param {Object} sale.totals - Cart totals including taxBreakup
+ * @param {string} sale.discountLabel - e.g. "Diwali 10%"
+ * @param {Array} sale.payments - Checkout payments payload [{ payment_method, payment_amount }]
+ * @param {number} sale.change - Change given from cash
+ * @param {number} sale.exchangeRefund - Old gold value above the bill, paid back to the customer
+ * @param {Array} sale.exchangeItems - Old gold pieces taken in exchange
+ * @param {Object} sale.customer - Selected customer, if any
+ * @param {string} sale.cashier - Who rang the sale up
+ * @param {Object} sale.hallmarks - HUIDs captured per line { [cart_item_id]: [{ huid }] }
+ * @returns {Object} Receipt
+ */
+export const buildReceipt = ({
+  invoice = {},
+  items = [],
+  totals = {},
+  discountLabel = null,
+  payments = [],
+  change = 0,
+  exchangeRefund = 0,
+  exchangeItems = [],
+  customer = null,
+  cashier = null,
+  hallmarks = {},
+}) => ({
+  store: {
+    name: RECEIPT_STORE_NAME,
+    address: RECEIPT_STORE_ADDRESS,
+    phone: RECEIPT_STORE_PHONE,
+    gstin: RECEIPT_STORE_GSTIN,
+  },
+  invoiceNumber: invoice.invoice_number || invoice.invoice_id || '',
+  invoiceId: invoice.invoice_id || null,
+  provisional: !!invoice.provisional,
+  date: new Date().toISOString(),
+  cashier,
+  customerName: customer?.name || customer?.["Contact Name"] || customer?.["Display Name"] || null,
+  customerPhone: customer?.phone || customer?.Phone || customer?.MobilePhone || null,
+  placeOfSupply: totals.taxBreakup?.placeOfSupply || null,
+  lines: items.map((item) => ({
+    name: item.name,
+    quantity: item.quantity,
+    rate: parseAmount(item.price),
+    amount: parseAmount(item.price * item.quantity),
+    weight: item.weight || null,
+    purity: item.purity || null,
+    hsn: item.hsn_code || null,
+    huids: (hallmarks[item.cart_item_id || item.id] || []).map((entry) => entry.huid),
+  })),
+  itemCount: totals.itemCount || 0,
+  subtotal: parseAmount(totals.subtotal),
+  discount: parseAmount(totals.discount),
+  discountLabel,
+  taxLines: toReceiptTaxLines(totals.taxBreakup),
+  tax: parseAmount(totals.tax),
+  total: parseAmount(totals.total),
+  tenders: payments.map((payment) => ({
+    label: formatPaymentMethod(payment.payment_method),
+    amount: parseAmount(payment.payment_amount),
+  })),
+  change: parseAmount(change),
+  exchangeRefund: parseAmount(exchangeRefund),
+  oldGold: exchangeItems.map((piece) => ({
+    description: piece.description,
+    fineWeight: piece.fine_weight_g,
+    value: parseAmount(piece.exchange_value),
+  })),
+  footer: RECEIPT_FOOTER,
+});
+
+/**
+ * Weight / purity detail shown under an item line
+ * @param {Object} line - Receipt line
+ * @returns {string}
+ */
+export const formatReceiptLineDetail = (line) => [
+  line.weight && `${line.weight} g`,
+  line.purity,
+  line.hsn && `HSN ${line.hsn}`,
+].filter(Boolean).join(' | ');
+
+/**
+ * BIS hallmark HUIDs of the pieces on an item line
+ * @param {Object} line - Receipt line
+ * @returns {string}
+ */
+export const formatReceiptLineHuids = (line) => (line.huids?.length ? `HUID ${line.huids.join(', ')}` : '');
+
+/**
+ * Render a receipt as ESC/POS commands for an 80mm printer
+ * @param {Object} receipt - Result of buildReceipt
+ * @param {Object} options
+ * @param {Object} options.logo - Raster from toMonochromeRaster, printed above the store name
+ * @param {number} options.width - Characters per line
+ * @returns {Uint8Array} Bytes to send to the printer
+ */
+export const encodeReceipt = (receipt, { logo = null, width = RECEIPT_CHARS_PER_LINE } = {}) => {
+  const printer = createEscPosEncoder({ width });
+  const money = (amount) => formatCurrency(amount);
+
+  printer.initialize().align('center');
+  if (logo) printer.image(logo);
+  printer.bold().size(2, 2).line(receipt.store.name).size(1, 1).bold(false);
+  wrapText(receipt.store.address, width).forEach((text) => printer.line(text));
+  if (receipt.store.phone) printer.line(`Ph: ${receipt.store.phone}`);
+  if (receipt.store.gstin) printer.line(`GSTIN: ${receipt.store.gstin}`);
+  printer.feed(1);
+
+  printer.bold().line(receipt.provisional ? 'PROVISIONAL RECEIPT' : 'TAX INVOICE').bold(false);
+  printer.align('left');
+  printer.columns(`Invoice: ${receipt.invoiceNumber}`, new Date(receipt.date).toLocaleDateString('en-IN'));
+  printer.columns(receipt.cashier ? `Cashier: ${receipt.cashier}` : '', new Date(receipt.date).toLocaleTimeString('en-IN'));
+  if (receipt.customerName) printer.line(`Customer: ${receipt.customerName}`);
+  if (receipt.customerPhone) printer.line(`Phone: ${receipt.customerPhone}`);
+  if (receipt.placeOfSupply) printer.line(`Place of supply: ${receipt.placeOfSupply}`);
+  printer.rule();
+
+  printer.bold().columns('Item', 'Amount').bold(false);
+  receipt.lines.forEach((line) => {
+    wrapText(line.name, width).forEach((text) => printer.line(text));
+    const detail = formatReceiptLineDetail(line);
+    if (detail) printer.line(`  ${detail}`);
+    const huids = formatReceiptLineHuids(line);
+    if (huids) wrapText(huids, width - 2).forEach((text) => printer.line(`  ${text}`));
+    printer.columns(`  ${line.quantity} x ${money(line.rate)}`, money(line.amount));
+  });
+  printer.rule();
+
+  printer.columns('Subtotal', money(receipt.subtotal));
+  if (receipt.discount > 0) {
+    printer.columns(`Discount${receipt.discountLabel ? ` (${receipt.discountLabel})` : ''}`, `-${money(receipt.discount)}`);
+  }
+  receipt.taxLines.forEach((tax) => printer.columns(tax.label, money(tax.amount)));
+  printer.bold().size(1, 2).columns('TOTAL', `Rs. ${money(receipt.total)}`).size(1, 1).bold(false);
+  printer.rule();
+
+  receipt.tenders.forEach((tender) => printer.columns(tender.label, money(tender.amount)));
+  if (receipt.change > 0) printer.columns('Change', money(receipt.change));
+  if (receipt.exchangeRefund > 0) printer.columns('Old gold balance paid', money(receipt.exchangeRefund));
+
+  if (receipt.oldGold.length > 0) {
+    printer.rule().line('Old gold taken in exchange:');
+    receipt.oldGold.forEach((piece) => {
+      printer.columns(`  ${piece.description} (${piece.fineWeight} g fine)`, money(piece.value));
+    });
+  }
+  printer.rule();
+
+  printer.align('center');
+  if (receipt.invoiceNumber) {
+    printer.qrCode(receipt.invoiceNumber).feed(1);
+  }
+  wrapText(receipt.footer, width).forEach((text) => printer.line(text));
+
+  return printer.feed(3).cut().encode();
+};
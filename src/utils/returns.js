@@ -0,0 +1,97 @@
+/**
+ * Returns / credit note utility functions
+ */
+
+import { parseAmount } from './currency';
+
+/**
+ * How the customer is paid back for a return
+ */
+export const REFUND_METHODS = [
+  { value: 'cash', label: 'Cash refund' },
+  { value: 'original_tender', label: 'Refund to original tender' },
+  { value: 'store_credit', label: 'Store credit (credit note)' },
+];
+
+/**
+ * Reasons offered when recording a return
+ */
+export const RETURN_REASONS = [
+  'Customer changed mind',
+  'Size / fit issue',
+  'Manufacturing defect',
+  'Damaged piece',
+  'Wrong item billed',
+  'Exchange for another piece',
+  'Other',
+];
+
+/**
+ * Normalize invoice line items from the different invoice response formats
+ * @param {Object} invoice - Invoice record
+ * @returns {Array} [{ line_id, product_id, product_type, name, sku, quantity, rate, amount }]
+ */
+export const getInvoiceLines = (invoice = {}) => {
+  const rawLines = invoice.items || invoice.line_items || invoice.products || [];
+
+  return rawLines.map((line, index) => {
+    const quantity = parseInt(line.quantity) || 1;
+    const rate = parseAmount(line.rate ?? line.unit_price ?? line.price);
+    return {
+      line_id: line.id || line.line_id || line.item_id || `line_${index}`,
+      product_id: line.product_id || line.item_id || line.id,
+      product_type: line.product_type || line.item_type || 'real_jewelry',
+      name: line.name || line.product_name || line.item_name || 'Item',
+      sku: line.sku || line.product_sku || '',
+      quantity,
+      rate,
+      amount: parseAmount(line.amount ?? line.total ?? rate * quantity),
+    };
+  });
+};
+
+/**
+ * Quantity of each invoice line already returned across previous returns
+ * @param {Array} returns - Previous returns for the invoice
+ * @returns {Object} Map of line_id -> returned quantity
+ */
+export const getReturnedQuantities = (returns = []) => {
+  return returns.reduce((totals, ret) => {
+    (ret.items || []).forEach((item) => {
+      totals[item.line_id] = (totals[item.line_id] || 0) + (parseInt(item.quantity) || 0);
+    });
+    return totals;
+  }, {});
+};
+
+/**
+ * Calculate the refund for the selected return lines
+ * Invoice-level discount and tax are apportioned by line value, so a full
+ * return refunds exactly what was paid.
+ *
+ * @param {Array} lines - Normalized invoice lines (from getInvoiceLines)
+ * @param {Object} selections - Map of line_id -> quantity to return
+ * @param {Object} invoice - Invoice record (uses subtotal, discount_amount, tax_amount)
+ * @returns {Object} { subtotal, discount, tax, total }
+ */
+export const calculateReturnTotals = (lines = [], selections = {}, invoice = {}) => {
+  const invoiceSubtotal = parseAmount(invoice.subtotal) || lines.reduce((sum, line) => sum + line.amount, 0);
+  const invoiceDiscount = parseAmount(invoice.discount_amount);
+  const invoiceTax = parseAmount(invoice.tax_amount);
+
+  const subtotal = lines.reduce((sum, line) => {
+    const quantity = parseInt(selections[line.line_id]) || 0;
+    return sum + (line.amount / line.quantity) * quantity;
+  }, 0);
+
+  const share = invoiceSubtotal > 0 ? subtotal / invoiceSubtotal : 0;
+  const discount = parseAmount(invoiceDiscount * share);
+  const tax = parseAmount(invoiceTax * share);
+
+  return {
+    subtotal: parseAmount(subtotal),
+    discount,
+    tax,
+    total: parseAmount(subtotal - discount + tax),
+  };
+};
@@ -0,0 +1,35 @@
+/**
+ * Barcode scanner utility functions
+ */
+
+import { SCANNER_MAX_KEY_INTERVAL_MS, SCANNER_MIN_LENGTH } from '../config/scanner';
+
+/**
+ * @param {string} code - Raw scanned text
+ * @returns {string} Code trimmed of whitespace and control characters
+ */
+export const normalizeScannedCode = (code) => (code || '').replace(/[\s\u0000-\u001f]+/g, '');
+
+/**
+ * Whether buffered keystrokes came from a scanner rather than a person
+ * @param {Array} keystrokes - [{ key, time }] since the last pause
+ * @returns {boolean}
+ */
+export const isScanBurst = (keystrokes = []) => {
+  if (keystrokes.length < SCANNER_MIN_LENGTH) return false;
+  const elapsed = keystrokes[keystrokes.length - 1].time - keystrokes[0].time;
+  return elapsed / (keystrokes.length - 1) <= SCANNER_MAX_KEY_INTERVAL_MS;
+};
+
+/**
+ * Whether keystrokes are going into a field the user is typing in
+ * Scans there are left to the field, so card numbers and HUIDs can be scanned into their inputs.
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+export const isEditableTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  return target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(target.type);
+};
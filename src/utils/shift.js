@@ -0,0 +1,80 @@
+/**
+ * Shift / cash drawer utility functions
+ */
+
+import { parseAmount } from './currency';
+
+/**
+ * Indian currency denominations counted in the drawer (notes and coins)
+ */
+export const DENOMINATIONS = [500, 200, 100, 50, 20, 10, 5, 2, 1];
+
+/**
+ * Cash drawer movement types
+ */
+export const CASH_MOVEMENT_TYPES = [
+  { value: 'cash_in', label: 'Cash In' },
+  { value: 'cash_out', label: 'Cash Out' },
+];
+
+/**
+ * Total value of a denomination count
+ * @param {Object} counts - Map of denomination -> number of notes/coins
+ * @returns {number} Total cash
+ */
+export const sumDenominations = (counts = {}) => {
+  return parseAmount(Object.entries(counts).reduce(
+    (sum, [denomination, count]) => sum + parseFloat(denomination) * (parseInt(count) || 0),
+    0
+  ));
+};
+
+/**
+ * Summarise a shift for the X/Z report
+ * Expected cash = opening float + cash taken on sales (net of change)
+ * + cash in − cash out − cash refunds.
+ *
+ * @param {Object} shift - Shift { opening_float, sales, returns, movements }
+ * @returns {Object} {
+ *   salesCount, grossSales, discounts, byMethod, changeGiven,
+ *   returnsCount, returnsTotal, cashRefunds, cashIn, cashOut, expectedCash
+ * }
+ */
+export const summarizeShift = (shift = {}) => {
+  const sales = shift.sales || [];
+  const returns = shift.returns || [];
+  const movements = shift.movements || [];
+
+  const byMethod = {};
+  sales.forEach((sale) => {
+    (sale.payments || []).forEach((payment) => {
+      byMethod[payment.payment_method] = parseAmount(
+        (byMethod[payment.payment_method] || 0) + parseAmount(payment.payment_amount)
+      );
+    });
+  });
+
+  const sum = (list, field) => parseAmount(list.reduce((total, entry) => total + parseAmount(entry[field]), 0));
+  const movementTotal = (type) => sum(movements.filter((movement) => movement.type === type), 'amount');
+
+  const changeGiven = sum(sales, 'change_given');
+  const cashRefunds = sum(returns.filter((ret) => ret.refund_method === 'cash'), 'refund_amount');
+  const cashIn = movementTotal('cash_in');
+  const cashOut = movementTotal('cash_out');
+
+  return {
+    salesCount: sales.length,
+    grossSales: sum(sales, 'total_amount'),
+    discounts: sum(sales, 'discount_amount'),
+    byMethod,
+    changeGiven,
+    returnsCount: returns.length,
+    returnsTotal: sum(returns, 'refund_amount'),
+    cashRefunds,
+    cashIn,
+    cashOut,
+    expectedCash: parseAmount(
+      parseAmount(shift.opening_float) + (byMethod.cash || 0) - changeGiven + cashIn - cashOut - cashRefunds
+    ),
+  };
+};
@@ -0,0 +1,131 @@
+/**
+ * GST calculation utilities
+ * Single source for the tax breakup shown in OrderSummary and sent at checkout
+ */
+
+import { GST_RULES, DEFAULT_GST_RATE_PERCENT, STORE_STATE } from '../config/gst';
+import { parseAmount } from './currency';
+
+const normalizeState = (state) => (state || '').toString().trim().toLowerCase();
+
+const normalizeKey = (value) => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Find the GST rule for a cart item
+ * Matched by HSN/SAC code, then exact item type, then exact category. The item name is not used.
+ *
+ * @param {Object} item - Cart item (uses hsn_code, item_type, category)
+ * @param {Array} rules - GST rules (default: GST_RULES)
+ * @returns {Object} Matching rule, or a default rule at DEFAULT_GST_RATE_PERCENT
+ */
+export const resolveTaxRule = (item = {}, rules = GST_RULES) => {
+  const hsn = (item.hsn_code || '').toString().replace(/\s/g, '');
+  const itemType = normalizeKey(item.item_type);
+  const category = normalizeKey(item.category);
+
+  const byHsn = hsn && rules.find((rule) => rule.hsn_codes.some((code) => hsn.startsWith(code)));
+  if (byHsn) return byHsn;
+
+  const byItemType = itemType && rules.find((rule) => (rule.item_types || []).includes(itemType));
+  if (byItemType) return byItemType;
+
+  const byCategory = category && rules.find((rule) => rule.categories.includes(category));
+  if (byCategory) return byCategory;
+
+  return { id: 'default', label: 'GST', hsn_codes: [], item_types: [], categories: [], rate_percent: DEFAULT_GST_RATE_PERCENT };
+};
+
+/**
+ * Whether a supply is inter-state (IGST) or intra-state (CGST + SGST)
+ * @param {string} placeOfSupply - Customer's state
+ * @param {string} storeState - Store's registered state
+ * @returns {boolean} True when IGST applies
+ */
+export const isInterStateSupply = (placeOfSupply, storeState = STORE_STATE) => {
+  if (!placeOfSupply) return false;
+  return normalizeState(placeOfSupply) !== normalizeState(storeState);
+};
+
+/**
+ * Compute the GST breakup for a set of cart items
+ * A cart-level discount is apportioned across items by value before tax.
+ *
+ * @param {Array} items - Cart items { price, quantity, hsn_code, category, item_type }
+ * @param {Object} options
+ * @param {number} options.discount - Cart-level discount amount
+ * @param {string} options.placeOfSupply - Customer's state
+ * @param {string} options.storeState - Store's registered state
+ * @returns {Object} {
+ *   isInterState, taxableAmount, cgst, sgst, igst, totalTax, effectiveRatePercent,
+ *   groups: [{ rule_id, label, rate_percent, taxable_amount, cgst, sgst, igst }]
+ * }
+ */
+export const computeTaxBreakup = (items = [], { discount = 0, placeOfSupply = null, storeState = STORE_STATE } = {}) => {
+  const interState = isInterStateSupply(placeOfSupply, storeState);
+  const lineValues = items.map((item) => (parseFloat(item.price) || 0) * (parseInt(item.quantity) || 0));
+  const subtotal = lineValues.reduce((sum, value) => sum + value, 0);
+  const discountRatio = subtotal > 0 ? Math.min(discount, subtotal) / subtotal : 0;
+
+  const groupsByRate = {};
+  items.forEach((item, index) => {
+    const rule = resolveTaxRule(item);
+    const key = `${rule.id}_${rule.rate_percent}`;
+    if (!groupsByRate[key]) {
+      groupsByRate[key] = { rule_id: rule.id, label: rule.label, rate_percent: rule.rate_percent, taxable_amount: 0 };
+    }
+    groupsByRate[key].taxable_amount += lineValues[index] * (1 - discountRatio);
+  });
+
+  const groups = Object.values(groupsByRate).map((group) => {
+    const tax = (group.taxable_amount * group.rate_percent) / 100;
+    return {
+      ...group,
+      taxable_amount: parseAmount(group.taxable_amount),
+      cgst: interState ? 0 : parseAmount(tax / 2),
+      sgst: interState ? 0 : parseAmount(tax / 2),
+      igst: interState ? parseAmount(tax) : 0,
+    };
+  });
+
+  const sum = (field) => parseAmount(groups.reduce((total, group) => total + group[field], 0));
+  const taxableAmount = sum('taxable_amount');
+  const cgst = sum('cgst');
+  const sgst = sum('sgst');
+  const igst = sum('igst');
+  const totalTax = parseAmount(cgst + sgst + igst);
+
+  return {
+    isInterState: interState,
+    placeOfSupply: placeOfSupply || storeState,
+    storeState,
+    taxableAmount,
+    cgst,
+    sgst,
+    igst,
+    totalTax,
+    effectiveRatePercent: taxableAmount > 0 ? parseAmount((totalTax / taxableAmount) * 100) : 0,
+    groups,
+  };
+};
+
+/**
+ * Convert a tax breakup into the checkout API payload shape
+ * @param {Object} breakup - Result of computeTaxBreakup
+ * @returns {Object} { place_of_supply, is_inter_state, cgst_amount, sgst_amount, igst_amount, tax_lines }
+ */
+export const toTaxPayload = (breakup) => ({
+  place_of_supply: breakup.placeOfSupply,
+  store_state: breakup.storeState,
+  is_inter_state: breakup.isInterState,
+  cgst_amount: breakup.cgst,
+  sgst_amount: breakup.sgst,
+  igst_amount: breakup.igst,
+  tax_lines: breakup.groups.map((group) => ({
+    rule_id: group.rule_id,
+    rate_percent: group.rate_percent,
+    taxable_amount: group.taxable_amount,
+    cgst_amount: group.cgst,
+    sgst_amount: group.sgst,
+    igst_amount: group.igst,
+  })),
+});
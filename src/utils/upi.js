@@ -0,0 +1,45 @@
+/**
+ * UPI payment utility functions
+ * Builds NPCI "upi://pay" intent payloads - no payment gateway involved.
+ */
+
+import { parseAmount } from './currency';
+
+const VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,64}$/;
+
+/**
+ * Check whether a string is a valid UPI virtual payment address
+ * @param {string} vpa - e.g. "minaki@okhdfcbank"
+ * @returns {boolean} True when valid
+ */
+export const isValidVpa = (vpa) => VPA_PATTERN.test((vpa || '').trim());
+
+/**
+ * Build a UPI intent payload for a dynamic QR code
+ * Any UPI app scanning it opens with payee, amount and reference pre-filled.
+ *
+ * @param {Object} params
+ * @param {string} params.vpa - Payee VPA
+ * @param {string} params.payeeName - Payee name shown in the customer's app
+ * @param {number} params.amount - Exact amount to collect
+ * @param {string} params.reference - Invoice or cart reference (max 35 chars)
+ * @param {string} params.note - Transaction note
+ * @returns {string} upi://pay?... payload
+ */
+export const buildUpiPayload = ({ vpa, payeeName, amount, reference, note }) => {
+  const params = [
+    ['pa', vpa.trim()],
+    ['pn', payeeName],
+    ['am', parseAmount(amount).toFixed(2)],
+    ['cu', 'INR'],
+    ['tr', reference ? String(reference).replace(/[^a-zA-Z0-9-]/g, '').slice(0, 35) : null],
+    ['tn', note ? note.slice(0, 50) : null],
+  ];
+
+  const query = params
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return `upi://pay?${query}`;
+};